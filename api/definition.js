@@ -48,6 +48,9 @@ export default function handler(req, res) {
     
     return res.status(200).json({
       definitions: wordData.definitions,
+      examples: wordData.examples ?? [],
+      senses: wordData.senses ?? [],
+      sense_count: wordData.sense_count ?? null,
       rae_link: wordData.rae_link
     });
   } catch (error) {
@@ -1,6 +1,51 @@
+/**
+ * build_slim_vocabulary.js
+ *
+ * Build-time script.
+ * Reads public/vocabulary.json and splits it in two:
+ *   - public/vocabulary-slim.json — what the app loads up front: ids, words,
+ *     ranks, translations, tags, the grammatical gender of nouns, and
+ *     whether a word has an example sentence for cloze cards
+ *   - api/data/definitions.json   — { id: { definitions, examples, senses,
+ *     sense_count, rae_link } }, served on demand by api/definition.js
+ *
+ * Noun gender is read from the definitions: RAE labels each noun sense
+ * "nombre masculino", "nombre femenino", "nombre masculino o femenino"
+ * (either gender, e.g. "mar") or "nombre masculino y femenino" (both sexes).
+ * The last covers nouns with one form for both ("estudiante") and two-form
+ * nouns entered under the masculine ("hijo, ja", "señor, ra", "rey,
+ * reina"); the entry's headword is not stored, so the vocabulary word
+ * decides — see bothSexesGender. Senses labelled "desusado" are not
+ * counted. Nouns without definitions yet get no gender.
+ *
+ * Example sentences are moved out of the definitions. The scraper stores
+ * them as `examples` on each word; words scraped before that have them run
+ * into the definition text ("Denota posesión. La casa de mi padre."), and
+ * splitDefinition (rae_senses.js) takes them back out: every sentence after
+ * the first that is not a usage note ("Usado también como pronominal") or
+ * too long to be an example.
+ *
+ * Senses are the structured acepciones (see rae_senses.js): stored by the
+ * scraper as `senses` and `sense_count`, else read back out of the flat
+ * definitions, with no acepción numbers or count.
+ *
+ * Usage:
+ *   node scripts/build_slim_vocabulary.js
+ *
+ * Exports:
+ *   isPendingDefinitions(definitions) → boolean
+ *   wordExamples(word)                → { definitions, examples }
+ *   wordSenses(word)                  → { senses, sense_count }
+ *   buildDefinitionsMap(words)        → { [id]: { definitions, examples, senses, sense_count, rae_link } }
+ *   nounGender(definitions, options)  → 'm' | 'f' | 'mf' | null
+ *   buildSlimVocabulary(data, definitionsMap) → { version, words }
+ */
+
 import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
+import { wordForms, findCloze } from '../src/utils/cloze.js';
+import { splitDefinition, parseDefinition } from './rae_senses.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -11,78 +56,235 @@ const slimOutputPath = join(projectRoot, 'public', 'vocabulary-slim.json');
 const definitionsOutputDir = join(projectRoot, 'api', 'data');
 const definitionsOutputPath = join(definitionsOutputDir, 'definitions.json');
 
-console.log('📚 Building slim vocabulary files...');
-
-// Read the full vocabulary
-const vocabularyData = JSON.parse(readFileSync(inputPath, 'utf-8'));
-console.log(`   Loaded ${vocabularyData.words.length} words from vocabulary.json`);
-
-// Create slim vocabulary (without definitions and rae_link)
-const slimVocabulary = {
-  version: vocabularyData.version,
-  words: vocabularyData.words.map(word => ({
-    id: word.id,
-    word: word.word,
-    frequency_rank: word.frequency_rank,
-    translations: word.translations,
-    tags: word.tags
-  }))
-};
-
-// Create definitions map (id -> { definitions, rae_link })
-// Keep the first (best) definition for each word ID, skip duplicates with pending definitions
-const definitionsMap = {};
-for (const word of vocabularyData.words) {
-  const existingDef = definitionsMap[word.id];
-  const newDefs = word.definitions || [];
-  const isPending = newDefs.length === 0 || 
-                    (newDefs.length === 1 && newDefs[0] === 'Definition pending...');
-  
-  // Keep existing if new is pending, or if existing has more definitions
-  if (existingDef) {
-    const existingIsPending = existingDef.definitions.length === 0 ||
-                              (existingDef.definitions.length === 1 && existingDef.definitions[0] === 'Definition pending...');
-    
-    // Only replace if new has real definitions and existing is pending
-    if (!isPending && existingIsPending) {
+const PENDING_DEFINITION = 'Definition pending...';
+
+// Gender label at the start of a noun sense. "Plural" senses ("nombre
+// masculino plural") name a plural-only use and say nothing of the singular.
+const GENDER_LABELS = [
+  { pattern: /^nombre (masculino|femenino) y (masculino|femenino)\b/, gender: 'both' },
+  { pattern: /^nombre (masculino|femenino) o (masculino|femenino)\b/, gender: 'mf' },
+  { pattern: /^nombre (masculino|femenino) plural\b/, gender: null },
+  { pattern: /^nombre masculino\b/, gender: 'm' },
+  { pattern: /^nombre femenino\b/, gender: 'f' },
+];
+
+// Endings of the masculine headword of a two-form noun: hijo, señor,
+// campeón, capitán, inglés, bailarín.
+const MASCULINE_HEADWORD = /(?:o|or|ón|án|és|ín)$/;
+// One form for both sexes, though they end like a masculine headword.
+const SINGLE_FORM = new Set(['testigo', 'modelo', 'piloto', 'soprano', 'miembro', 'reo']);
+
+/**
+ * Whether a word's definitions are still the scraper's placeholder.
+ * @param {string[]|undefined} definitions
+ * @returns {boolean}
+ */
+export function isPendingDefinitions(definitions) {
+  const defs = definitions || [];
+  return defs.length === 0 || (defs.length === 1 && defs[0] === PENDING_DEFINITION);
+}
+
+/**
+ * A word's definitions without their examples, and the examples — the
+ * scraper's own `examples` when it stored them, else split out of the text.
+ *
+ * @param {{ definitions?: string[], examples?: string[] }} word
+ * @returns {{ definitions: string[], examples: string[] }}
+ */
+export function wordExamples(word) {
+  const definitions = word.definitions || [];
+  if (Array.isArray(word.examples)) return { definitions, examples: word.examples };
+  const split = definitions.map(splitDefinition);
+  return {
+    definitions: split.map(({ definition }) => definition),
+    // Senses can share an example (él / ella)
+    examples: [...new Set(split.flatMap(({ examples }) => examples))],
+  };
+}
+
+/**
+ * A word's structured senses — the scraper's own when it stored them, else
+ * read out of the flat definitions — and how many acepciones its RAE entry
+ * has (null when unknown).
+ *
+ * @param {{ definitions?: string[], senses?: object[], sense_count?: number }} word
+ * @returns {{ senses: object[], sense_count: number|null }}
+ */
+export function wordSenses(word) {
+  if (Array.isArray(word.senses)) {
+    return { senses: word.senses, sense_count: word.sense_count ?? word.senses.length };
+  }
+  const definitions = isPendingDefinitions(word.definitions) ? [] : word.definitions;
+  return { senses: definitions.map(parseDefinition), sense_count: null };
+}
+
+/**
+ * Definitions map (id -> { definitions, examples, senses, sense_count, rae_link }).
+ * Keeps the first (best) definition for each word ID, skipping duplicates
+ * with pending definitions.
+ *
+ * @param {Array<{ id: string, definitions?: string[], examples?: string[], senses?: object[], rae_link?: string }>} words
+ * @returns {{ [id: string]: { definitions: string[], examples: string[], senses: object[], sense_count: number|null, rae_link: string|null } }}
+ */
+export function buildDefinitionsMap(words) {
+  const definitionsMap = {};
+  for (const word of words) {
+    const existingDef = definitionsMap[word.id];
+    const newDefs = word.definitions || [];
+
+    // Only replace an existing entry if it is pending and the new one is not
+    // (first entry wins otherwise).
+    if (!existingDef || (isPendingDefinitions(existingDef.definitions) && !isPendingDefinitions(newDefs))) {
       definitionsMap[word.id] = {
-        definitions: newDefs,
+        ...wordExamples(word),
+        ...wordSenses(word),
         rae_link: word.rae_link || null
       };
     }
-    // Otherwise keep existing (first entry wins, unless it's pending)
-  } else {
-    definitionsMap[word.id] = {
-      definitions: newDefs,
-      rae_link: word.rae_link || null
-    };
   }
+  return definitionsMap;
 }
 
-// Ensure api/data directory exists
-if (!existsSync(definitionsOutputDir)) {
-  mkdirSync(definitionsOutputDir, { recursive: true });
-  console.log('   Created api/data directory');
+/**
+ * The article a "nombre masculino y femenino" sense takes for the word the
+ * vocabulary lists. A word that shares its entry — the same definitions —
+ * with another word of the vocabulary is one of its two forms: the
+ * feminine if it ends in -a (la reina, of "rey, reina"), else the masculine
+ * (el rey). Otherwise words ending like a masculine headword are the
+ * masculine of a two-form entry (el hijo), and the rest one form for both
+ * sexes (el / la artista).
+ *
+ * @param {string|undefined} word
+ * @param {boolean} sharesEntry
+ * @returns {'m'|'f'|'mf'}
+ */
+function bothSexesGender(word, sharesEntry) {
+  const form = word?.toLowerCase() ?? '';
+  if (SINGLE_FORM.has(form)) return 'mf';
+  if (sharesEntry) return form.endsWith('a') ? 'f' : 'm';
+  return MASCULINE_HEADWORD.test(form) ? 'm' : 'mf';
 }
 
-// Write slim vocabulary
-writeFileSync(slimOutputPath, JSON.stringify(slimVocabulary));
-const slimSize = (readFileSync(slimOutputPath).length / 1024).toFixed(1);
-console.log(`   ✅ Written vocabulary-slim.json (${slimSize} KB)`);
+/**
+ * Grammatical gender of a noun from its RAE definitions: the label most of
+ * its noun senses carry. "mf" when either article is right — nouns of
+ * either gender, single-form nouns for both sexes, and nouns whose senses
+ * are split evenly (e.g. "final": el final / la final). null when no sense
+ * is a noun.
+ *
+ * @param {string[]|undefined} definitions
+ * @param {{ word?: string, sharesEntry?: boolean }} [options] - the
+ *   vocabulary word, and whether another word has the same definitions;
+ *   without the word, nouns for both sexes are "mf"
+ * @returns {'m'|'f'|'mf'|null}
+ */
+export function nounGender(definitions, { word, sharesEntry = false } = {}) {
+  const counts = { m: 0, f: 0, mf: 0 };
+  for (const definition of definitions || []) {
+    const label = GENDER_LABELS.find(({ pattern }) => pattern.test(definition));
+    if (!label?.gender) continue;
+    if (parseDefinition(definition).labels.some(l => /^desusad[oa]$/.test(l))) continue;
+    counts[label.gender === 'both' ? bothSexesGender(word, sharesEntry) : label.gender]++;
+  }
+  const [first, second] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (first[1] === 0) return null;
+  return first[1] === second[1] ? 'mf' : first[0];
+}
 
-// Write definitions map
-writeFileSync(definitionsOutputPath, JSON.stringify(definitionsMap));
-const definitionsSize = (readFileSync(definitionsOutputPath).length / 1024).toFixed(1);
-console.log(`   ✅ Written definitions.json (${definitionsSize} KB)`);
+/**
+ * Slim vocabulary: the full vocabulary without definitions and rae_link,
+ * with `gender` added to nouns whose gender is known and `has_cloze` to
+ * words that appear in one of their examples (see src/utils/cloze.js).
+ *
+ * @param {{ version: string, words: Array }} data - vocabulary.json
+ * @param {{ [id: string]: { definitions: string[], examples: string[] } }} definitionsMap
+ * @returns {{ version: string, words: Array }}
+ */
+export function buildSlimVocabulary(data, definitionsMap) {
+  // Words listed under one RAE entry ("rey, reina") have the same definitions
+  const entryWords = new Map();
+  for (const word of data.words) {
+    const definitions = definitionsMap[word.id]?.definitions;
+    if (isPendingDefinitions(definitions)) continue;
+    const key = definitions.join('\n');
+    if (!entryWords.has(key)) entryWords.set(key, new Set());
+    entryWords.get(key).add(word.word.toLowerCase());
+  }
+
+  return {
+    version: data.version,
+    words: data.words.map(word => {
+      const slim = {
+        id: word.id,
+        word: word.word,
+        frequency_rank: word.frequency_rank,
+        translations: word.translations,
+        tags: word.tags
+      };
+      const definitions = definitionsMap[word.id]?.definitions;
+      const gender = word.tags?.includes('noun')
+        ? nounGender(definitions, {
+          word: word.word,
+          sharesEntry: (entryWords.get(definitions?.join('\n'))?.size ?? 0) > 1,
+        })
+        : null;
+      if (gender) slim.gender = gender;
+      const forms = wordForms(word);
+      if (definitionsMap[word.id]?.examples.some(example => findCloze(example, forms))) {
+        slim.has_cloze = true;
+      }
+      return slim;
+    })
+  };
+}
 
-// Calculate savings
-const originalSize = (readFileSync(inputPath).length / 1024).toFixed(1);
-const savings = (100 - (parseFloat(slimSize) / parseFloat(originalSize) * 100)).toFixed(1);
-console.log(`\n📊 Size comparison:`);
-console.log(`   Original vocabulary.json: ${originalSize} KB`);
-console.log(`   Slim vocabulary-slim.json: ${slimSize} KB`);
-console.log(`   Definitions definitions.json: ${definitionsSize} KB`);
-console.log(`   Initial load savings: ${savings}%`);
+/**
+ * Main entry point — reads vocabulary.json, writes the slim vocabulary and
+ * the definitions map.
+ */
+function main() {
+  console.log('📚 Building slim vocabulary files...');
 
-console.log('\n✨ Build complete!');
+  // Read the full vocabulary
+  const vocabularyData = JSON.parse(readFileSync(inputPath, 'utf-8'));
+  console.log(`   Loaded ${vocabularyData.words.length} words from vocabulary.json`);
+
+  const definitionsMap = buildDefinitionsMap(vocabularyData.words);
+  const slimVocabulary = buildSlimVocabulary(vocabularyData, definitionsMap);
+  const genderCount = slimVocabulary.words.filter(word => word.gender).length;
+  console.log(`   Derived the gender of ${genderCount} nouns from their definitions`);
+  const clozeCount = slimVocabulary.words.filter(word => word.has_cloze).length;
+  console.log(`   Found example sentences for ${clozeCount} words`);
+
+  // Ensure api/data directory exists
+  if (!existsSync(definitionsOutputDir)) {
+    mkdirSync(definitionsOutputDir, { recursive: true });
+    console.log('   Created api/data directory');
+  }
 
+  // Write slim vocabulary
+  writeFileSync(slimOutputPath, JSON.stringify(slimVocabulary));
+  const slimSize = (readFileSync(slimOutputPath).length / 1024).toFixed(1);
+  console.log(`   ✅ Written vocabulary-slim.json (${slimSize} KB)`);
+
+  // Write definitions map
+  writeFileSync(definitionsOutputPath, JSON.stringify(definitionsMap));
+  const definitionsSize = (readFileSync(definitionsOutputPath).length / 1024).toFixed(1);
+  console.log(`   ✅ Written definitions.json (${definitionsSize} KB)`);
+
+  // Calculate savings
+  const originalSize = (readFileSync(inputPath).length / 1024).toFixed(1);
+  const savings = (100 - (parseFloat(slimSize) / parseFloat(originalSize) * 100)).toFixed(1);
+  console.log(`\n📊 Size comparison:`);
+  console.log(`   Original vocabulary.json: ${originalSize} KB`);
+  console.log(`   Slim vocabulary-slim.json: ${slimSize} KB`);
+  console.log(`   Definitions definitions.json: ${definitionsSize} KB`);
+  console.log(`   Initial load savings: ${savings}%`);
+
+  console.log('\n✨ Build complete!');
+}
+
+// Run main only when this file is executed directly (not imported by tests)
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  main();
+}
@@ -0,0 +1,194 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isPendingDefinitions,
+  wordExamples,
+  wordSenses,
+  buildDefinitionsMap,
+  nounGender,
+  buildSlimVocabulary,
+} from './build_slim_vocabulary.js';
+
+const PENDING = ['Definition pending...'];
+
+const sense = (text, fields = {}) => ({ number: null, category: null, labels: [], marks: [], text, examples: [], ...fields });
+
+describe('isPendingDefinitions', () => {
+  it('treats missing, empty and placeholder definitions as pending', () => {
+    expect(isPendingDefinitions(undefined)).toBe(true);
+    expect(isPendingDefinitions([])).toBe(true);
+    expect(isPendingDefinitions(PENDING)).toBe(true);
+    expect(isPendingDefinitions(['nombre femenino Edificio para habitar.'])).toBe(false);
+  });
+});
+
+describe('wordExamples', () => {
+  it('uses the examples the scraper stored, else splits them out of the definitions', () => {
+    expect(wordExamples({ definitions: ['nombre femenino Casa.'], examples: ['Mi casa.'] }))
+      .toEqual({ definitions: ['nombre femenino Casa.'], examples: ['Mi casa.'] });
+    expect(wordExamples({ definitions: ['pronombre Forma de él. Ellos son los culpables.', 'pronombre Forma de ella. Ellos son los culpables.'] }))
+      .toEqual({ definitions: ['pronombre Forma de él.', 'pronombre Forma de ella.'], examples: ['Ellos son los culpables.'] });
+    expect(wordExamples({})).toEqual({ definitions: [], examples: [] });
+  });
+});
+
+describe('buildDefinitionsMap', () => {
+  it('keeps the first entry per id unless it is pending', () => {
+    const map = buildDefinitionsMap([
+      { id: 'a', definitions: PENDING },
+      { id: 'a', definitions: ['real'], rae_link: 'https://dle.rae.es/a' },
+      { id: 'b', definitions: ['first'] },
+      { id: 'b', definitions: ['second'] },
+    ]);
+    expect(map).toEqual({
+      a: { definitions: ['real'], examples: [], senses: [sense('real')], sense_count: null, rae_link: 'https://dle.rae.es/a' },
+      b: { definitions: ['first'], examples: [], senses: [sense('first')], sense_count: null, rae_link: null },
+    });
+  });
+
+  it('serves the examples apart from the definitions', () => {
+    const map = buildDefinitionsMap([{ id: 'de', definitions: ['preposición Denota posesión. La casa de mi padre.'] }]);
+    expect(map.de).toEqual({
+      definitions: ['preposición Denota posesión.'],
+      examples: ['La casa de mi padre.'],
+      senses: [sense('Denota posesión.', { category: 'preposición', examples: ['La casa de mi padre.'] })],
+      sense_count: null,
+      rae_link: null,
+    });
+  });
+});
+
+describe('wordSenses', () => {
+  it('uses the senses the scraper stored, with their count', () => {
+    const senses = [sense('Edificio para habitar.', { number: 1, category: 'nombre femenino' })];
+    expect(wordSenses({ definitions: ['nombre femenino Edificio para habitar.'], senses, sense_count: 12 }))
+      .toEqual({ senses, sense_count: 12 });
+    expect(wordSenses({ senses })).toEqual({ senses, sense_count: 1 });
+  });
+
+  it('reads them out of the flat definitions otherwise, without a count', () => {
+    expect(wordSenses({ definitions: ['nombre femenino coloquial Edificio para habitar. Vivo en una casa.'] })).toEqual({
+      senses: [sense('Edificio para habitar.', { category: 'nombre femenino', labels: ['coloquial'], examples: ['Vivo en una casa.'] })],
+      sense_count: null,
+    });
+    expect(wordSenses({ definitions: PENDING })).toEqual({ senses: [], sense_count: null });
+    expect(wordSenses({})).toEqual({ senses: [], sense_count: null });
+  });
+});
+
+describe('nounGender', () => {
+  it('reads masculine and feminine noun senses', () => {
+    expect(nounGender(['nombre masculino Período de 24 horas.'])).toBe('m');
+    expect(nounGender([
+      'nombre femenino Edificio para habitar.',
+      'nombre femenino Familia.',
+    ])).toBe('f');
+  });
+
+  it('takes the gender most senses have', () => {
+    expect(nounGender([
+      'nombre femenino Tiempo desde que amanece.',
+      'nombre femenino Espacio de tiempo desde la medianoche.',
+      'nombre masculino Tiempo futuro.',
+    ])).toBe('f');
+  });
+
+  it('is "mf" for nouns of both sexes or either gender, and for even splits', () => {
+    expect(nounGender(['nombre masculino y femenino Persona que cursa estudios.'])).toBe('mf');
+    expect(nounGender(['nombre masculino o femenino Masa de agua salada.'])).toBe('mf');
+    expect(nounGender([
+      'nombre masculino Término y remate de algo.',
+      'nombre femenino Última y decisiva competición.',
+    ])).toBe('mf');
+  });
+
+  it('takes two-form nouns for both sexes by the form the vocabulary lists', () => {
+    const hijo = [
+      'nombre masculino y femenino Persona o animal respecto de sus padres.',
+      'nombre masculino y femenino Obra o producción del ingenio.',
+    ];
+    expect(nounGender(hijo, { word: 'hijo' })).toBe('m');
+    expect(nounGender(hijo, { word: 'señor' })).toBe('m');
+    const rey = [
+      'nombre masculino y femenino Monarca soberano de un reino.',
+      'nombre masculino y femenino Persona que por matrimonio tiene dignidad real.',
+      'nombre masculino Pieza principal del juego de ajedrez.',
+    ];
+    expect(nounGender(rey, { word: 'rey', sharesEntry: true })).toBe('m');
+    expect(nounGender(rey, { word: 'reina', sharesEntry: true })).toBe('f');
+  });
+
+  it('keeps "mf" for one form for both sexes', () => {
+    const estudiante = ['nombre masculino y femenino Persona que cursa estudios.'];
+    expect(nounGender(estudiante, { word: 'estudiante' })).toBe('mf');
+    expect(nounGender(['nombre masculino y femenino Persona que cultiva alguna de las bellas artes.'], { word: 'artista' })).toBe('mf');
+    expect(nounGender(['nombre masculino y femenino Persona que da testimonio.'], { word: 'testigo' })).toBe('mf');
+    expect(nounGender(['nombre masculino o femenino Masa de agua salada.'], { word: 'mar' })).toBe('mf');
+  });
+
+  it('does not count disused senses', () => {
+    expect(nounGender([
+      'nombre masculino desusado confianza.',
+      'nombre femenino fotografía (‖ imagen).',
+    ], { word: 'foto' })).toBe('f');
+  });
+
+  it('ignores plural-only senses and other parts of speech', () => {
+    expect(nounGender([
+      'adjetivo Que tiene poca edad.',
+      'nombre masculino Recuerdo.',
+      'nombre femenino plural Memorias.',
+    ])).toBe('m');
+    expect(nounGender(['adjetivo Que tiene poca edad.'])).toBeNull();
+    expect(nounGender(PENDING)).toBeNull();
+    expect(nounGender(undefined)).toBeNull();
+  });
+});
+
+describe('buildSlimVocabulary', () => {
+  const data = {
+    version: '1.0.0',
+    words: [
+      {
+        id: 'n1', word: 'casa', frequency_rank: 1, translations: { en: 'house' }, tags: ['noun'],
+        definitions: ['nombre femenino Edificio para habitar. Vivo en una casa grande.'], rae_link: 'https://dle.rae.es/casa',
+      },
+      { id: 'n2', word: 'perro', frequency_rank: 2, translations: { en: 'dog' }, tags: ['noun'], definitions: PENDING },
+      {
+        id: 'a1', word: 'alto', frequency_rank: 3, translations: { en: 'tall' }, tags: ['adjective'],
+        definitions: ['nombre masculino Detención o parada. Hicimos un alto en el camino.'],
+      },
+      {
+        id: 'v1', word: 'ser', frequency_rank: 4, translations: { en: 'to be' }, tags: ['verb'],
+        definitions: ['verbo intransitivo Indica tiempo. Son las tres.'],
+      },
+    ],
+  };
+
+  it('drops definitions and adds the gender of nouns that have one', () => {
+    const slim = buildSlimVocabulary(data, buildDefinitionsMap(data.words));
+    expect(slim.version).toBe('1.0.0');
+    expect(slim.words.slice(0, 3)).toEqual([
+      { id: 'n1', word: 'casa', frequency_rank: 1, translations: { en: 'house' }, tags: ['noun'], gender: 'f', has_cloze: true },
+      { id: 'n2', word: 'perro', frequency_rank: 2, translations: { en: 'dog' }, tags: ['noun'] },
+      { id: 'a1', word: 'alto', frequency_rank: 3, translations: { en: 'tall' }, tags: ['adjective'], has_cloze: true },
+    ]);
+  });
+
+  it('tells the masculine and feminine of a two-form entry apart', () => {
+    const entry = (id, word) => ({
+      id, word, frequency_rank: 5, translations: { en: word }, tags: ['noun'],
+      definitions: ['nombre masculino y femenino Monarca soberano de un reino.'],
+    });
+    const words = [entry('r1', 'rey'), entry('r2', 'reina'), entry('r3', 'monarca')];
+    words[2].definitions = ['nombre masculino y femenino Soberano de un Estado.'];
+    const slim = buildSlimVocabulary({ version: '1', words }, buildDefinitionsMap(words));
+    expect(slim.words.map((word) => word.gender)).toEqual(['m', 'f', 'mf']);
+  });
+
+  it('flags words found in an example, in any form', () => {
+    const slim = buildSlimVocabulary(data, buildDefinitionsMap(data.words));
+    expect(slim.words[3]).toHaveProperty('has_cloze', true);
+    const noMatch = { ...data, words: [{ ...data.words[0], definitions: ['nombre femenino Edificio. Vivo aquí.'] }] };
+    expect(buildSlimVocabulary(noMatch, buildDefinitionsMap(noMatch.words)).words[0]).not.toHaveProperty('has_cloze');
+  });
+});
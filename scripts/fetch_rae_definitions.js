@@ -2,62 +2,116 @@
 
 /**
  * RAE Definition Scraper
- * 
+ *
  * This script fetches Spanish word definitions from the Real Academia Española (RAE)
  * dictionary and updates vocabulary.json with the scraped content.
- * 
+ *
  * Features:
  * - Incremental processing (configurable batch size)
  * - Rate limiting to respect RAE servers
- * - Progress tracking via state file
+ * - Progress tracking via state file, with a retry queue: failures are
+ *   classified (not found, another lemma, unreadable page, timeout, network)
+ *   and retried in later runs with exponential back-off, up to a cap
+ *   (see rae_scraper_state.js)
+ * - A markdown summary of every run (--summary), for the workflow to publish
  * - Automatic version hash update
- * 
+ * - Usage examples stored apart from the definition text (`examples`)
+ * - Structured senses (`senses`, see rae_senses.js) with the entry's full
+ *   count of acepciones (`sense_count`); `definitions` keeps a flat string
+ *   per sense
+ * - Offline runs against recorded pages (--fixtures), and recording of the
+ *   live pages it reads (--record)
+ *
+ * Pages are read by rae_page.js, from HTML however it was fetched: live
+ * through Puppeteer, or with --fixtures from a local static server over a
+ * directory of recorded pages (rae_fixture_server.js), no browser needed.
+ *
  * Usage:
  *   node scripts/fetch_rae_definitions.js [--batch-size=50] [--delay=2000]
+ *     [--vocabulary=public/vocabulary.json] [--state=.rae-scraper-state.json]
+ *     [--summary=.rae-scraper-summary.md]
+ *     [--fixtures[=scripts/fixtures/rae]] [--record=scripts/fixtures/rae]
+ *
+ * Exports (for tests):
+ *   parseArgs(argv) → options
+ *   main(options)   → Promise<{ successCount, failCount, version }>
  */
 
-import puppeteer from 'puppeteer';
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { senseDefinition } from './rae_senses.js';
+import { readEntry } from './rae_page.js';
+import { startFixtureServer, DEFAULT_FIXTURES_DIR } from './rae_fixture_server.js';
+import {
+  FAILURE_REASONS,
+  QUEUE_DEFAULTS,
+  isPending,
+  migrateState,
+  recordFailure,
+  selectWords,
+  buildSummary,
+} from './rae_scraper_state.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configuration
-const CONFIG = {
+const DEFAULTS = {
   vocabularyPath: path.join(__dirname, '../public/vocabulary.json'),
   statePath: path.join(__dirname, '../.rae-scraper-state.json'),
-  batchSize: parseInt(process.argv.find(arg => arg.startsWith('--batch-size='))?.split('=')[1] || '50'),
-  delayMs: parseInt(process.argv.find(arg => arg.startsWith('--delay='))?.split('=')[1] || '2000'),
+  summaryPath: path.join(__dirname, '../.rae-scraper-summary.md'),
+  batchSize: 50,
+  delayMs: 2000,
   timeout: 30000, // 30 seconds per page
-  retries: 2,
+  retries: 2, // tries within a run, for timeouts and network errors
+  retryDelayMs: 1000,
+  ...QUEUE_DEFAULTS, // retries across runs
+  maxSenses: 5, // senses stored per word; sense_count has them all
+  fixturesDir: null, // serve pages from recorded fixtures instead of dle.rae.es
+  recordDir: null, // save every live page read here, as a fixture
 };
 
 /**
- * Load or initialize scraper state
+ * Options from the command line, over the defaults
+ * @param {string[]} argv
  */
-async function loadState() {
+export function parseArgs(argv) {
+  const value = (name) => {
+    const arg = argv.find(a => a.startsWith(`--${name}=`));
+    return arg === undefined ? undefined : arg.slice(name.length + 3);
+  };
+  const options = { ...DEFAULTS };
+  if (value('batch-size') !== undefined) options.batchSize = parseInt(value('batch-size'));
+  if (value('delay') !== undefined) options.delayMs = parseInt(value('delay'));
+  if (value('vocabulary') !== undefined) options.vocabularyPath = path.resolve(value('vocabulary'));
+  if (value('state') !== undefined) options.statePath = path.resolve(value('state'));
+  if (value('summary') !== undefined) options.summaryPath = path.resolve(value('summary'));
+  if (argv.includes('--fixtures')) options.fixturesDir = DEFAULT_FIXTURES_DIR;
+  if (value('fixtures') !== undefined) options.fixturesDir = path.resolve(value('fixtures'));
+  if (value('record') !== undefined) options.recordDir = path.resolve(value('record'));
+  return options;
+}
+
+/**
+ * Load scraper state, null if there is none yet
+ */
+async function loadState(statePath) {
   try {
-    const data = await fs.readFile(CONFIG.statePath, 'utf-8');
+    const data = await fs.readFile(statePath, 'utf-8');
     return JSON.parse(data);
   } catch {
-    return {
-      lastProcessedIndex: 0,
-      failedWords: [],
-      completedCount: 0,
-      lastRun: null,
-    };
+    return null;
   }
 }
 
 /**
  * Save scraper state
  */
-async function saveState(state) {
+async function saveState(statePath, state) {
   state.lastRun = new Date().toISOString();
-  await fs.writeFile(CONFIG.statePath, JSON.stringify(state, null, 2));
+  await fs.writeFile(statePath, JSON.stringify(state, null, 2));
 }
 
 /**
@@ -68,66 +122,99 @@ function generateVersionHash(data) {
 }
 
 /**
- * Extract definitions from RAE page
+ * An HTTP error, with its status for classifying the failure
  */
-async function scrapeDefinitions(page, url, word) {
-  try {
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: CONFIG.timeout });
-    
-    // Wait for definitions to load
-    await page.waitForSelector('.c-definitions', { timeout: 5000 }).catch(() => null);
-    
-    // Extract definitions from the RAE page structure
-    const definitions = await page.evaluate(() => {
-      const results = [];
-      
-      // RAE uses <ol class="c-definitions"> with <li class="j"> or <li class="j1"> etc.
-      const definitionItems = document.querySelectorAll('.c-definitions li[class^="j"]');
-      
-      definitionItems.forEach(li => {
-        // Get the definition item container
-        const defItem = li.querySelector('.c-definitions__item');
-        if (!defItem) return;
-        
-        // Clone to manipulate without affecting the page
-        const clone = defItem.cloneNode(true);
-        
-        // Remove the number prefix element
-        const numEl = clone.querySelector('.n_acep');
-        if (numEl) numEl.remove();
-        
-        // Remove abbreviation elements (like "intr.", "tr.", etc.) but keep their context
-        const abbrs = clone.querySelectorAll('abbr.d, abbr.g');
-        abbrs.forEach(abbr => {
-          // Keep the abbreviation text as part of the definition for context
-          const text = abbr.getAttribute('title') || abbr.textContent;
-          abbr.replaceWith(text + ' ');
-        });
-        
-        // Get clean text
-        let text = clone.textContent?.trim();
-        if (text) {
-          // Clean up extra whitespace
-          text = text.replace(/\s+/g, ' ').trim();
-          // Remove trailing references and arrows
-          text = text.replace(/\s*→.*$/, '');
-          // Only include if substantial
-          if (text.length > 10) {
-            results.push(text);
-          }
-        }
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Live pages, read through a headless browser. With `recordDir`, every page
+ * read is also saved there as <word>.html, ready to serve as a fixture.
+ * @returns {Promise<{ load: (url: string, word: string) => Promise<string>, close: () => Promise<void> }>}
+ */
+async function openLivePages(options) {
+  // Only live runs need a browser
+  const { default: puppeteer } = await import('puppeteer');
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+  });
+
+  const page = await browser.newPage();
+  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+  if (options.recordDir) await fs.mkdir(options.recordDir, { recursive: true });
+
+  return {
+    async load(url, word) {
+      const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: options.timeout });
+      if (response && !response.ok()) throw httpError(response.status());
+
+      // Wait for definitions to load
+      await page.waitForSelector('.c-definitions', { timeout: 5000 }).catch(() => null);
+
+      const html = await page.content();
+      if (options.recordDir) await fs.writeFile(path.join(options.recordDir, `${word}.html`), html);
+      return html;
+    },
+    close: () => browser.close(),
+  };
+}
+
+/**
+ * Recorded pages, served by a local fixture server: the path of each RAE
+ * link is asked of the server instead of dle.rae.es.
+ * @returns {Promise<{ load: (url: string, word: string) => Promise<string>, close: () => Promise<void> }>}
+ */
+async function openFixturePages(options) {
+  const server = await startFixtureServer({
+    dir: options.fixturesDir,
+    failures: options.fixtureFailures,
+    delays: options.fixtureDelays,
+  });
+  console.log(`📂 Serving fixtures from ${options.fixturesDir} at ${server.url}\n`);
+
+  return {
+    async load(url) {
+      const response = await fetch(`${server.url}${new URL(url).pathname}`, {
+        signal: AbortSignal.timeout(options.timeout),
       });
-      
-      return results.slice(0, 5); // Limit to 5 definitions per word
-    });
-    
-    return definitions.length > 0 ? definitions : null;
+      if (!response.ok) throw httpError(response.status);
+      return response.text();
+    },
+    close: () => server.close(),
+  };
+}
+
+/**
+ * Extract the senses (acepciones) of a word from its RAE page, and how many
+ * the entry has in all, or the reason there are none (FAILURE_REASONS)
+ * @returns {Promise<{ senses: object[], senseCount: number } | { failure: { reason: string, detail: string|null } }>}
+ */
+async function scrapeSenses(pages, url, word, options) {
+  let html;
+  try {
+    html = await pages.load(url, word);
   } catch (error) {
     console.error(`  Error scraping "${word}": ${error.message}`);
-    return null;
+    // Puppeteer's navigation timeout and AbortSignal.timeout are both TimeoutErrors
+    if (error.name === 'TimeoutError') return { failure: { reason: 'timeout', detail: error.message } };
+    if (error.status === 404) return { failure: { reason: 'not_found', detail: error.message } };
+    return { failure: { reason: 'network', detail: error.message } };
+  }
+  try {
+    return readEntry(html, word, { maxSenses: options.maxSenses });
+  } catch (error) {
+    console.error(`  Error reading "${word}": ${error.message}`);
+    return { failure: { reason: 'parse_error', detail: error.message } };
   }
 }
 
+// Failures worth another try within the same run
+const TRANSIENT = new Set(['timeout', 'network']);
+
 /**
  * Delay helper
  */
@@ -137,107 +224,133 @@ function delay(ms) {
 
 /**
  * Main scraping function
+ * @param {object} [options] - see DEFAULTS; tests may add `now` (a Date) and
+ *   `fixtureFailures` / `fixtureDelays` (startFixtureServer's `failures` and
+ *   `delays`)
  */
-async function main() {
+export async function main(options = parseArgs(process.argv)) {
+  options = { ...DEFAULTS, ...options };
   console.log('🔍 RAE Definition Scraper');
-  console.log(`   Batch size: ${CONFIG.batchSize}`);
-  console.log(`   Delay: ${CONFIG.delayMs}ms between requests\n`);
-  
+  console.log(`   Batch size: ${options.batchSize}`);
+  console.log(`   Delay: ${options.delayMs}ms between requests\n`);
+
   // Load vocabulary
-  const vocabularyData = JSON.parse(await fs.readFile(CONFIG.vocabularyPath, 'utf-8'));
+  const vocabularyData = JSON.parse(await fs.readFile(options.vocabularyPath, 'utf-8'));
   const words = vocabularyData.words;
-  
+
+  const now = options.now ?? new Date();
+
   // Load state
-  const state = await loadState();
-  console.log(`📊 State: ${state.completedCount} words completed, starting from index ${state.lastProcessedIndex}\n`);
-  
-  // Find words that need definitions
-  const wordsNeedingDefinitions = words
-    .map((word, index) => ({ ...word, originalIndex: index }))
-    .filter(word => 
-      word.definitions.length === 0 || 
-      word.definitions[0] === 'Definition pending...' ||
-      word.definitions[0] === ''
-    )
-    .slice(0, CONFIG.batchSize);
-  
-  if (wordsNeedingDefinitions.length === 0) {
-    console.log('✅ All words have definitions! Nothing to do.');
-    return;
+  const state = migrateState(await loadState(options.statePath), words, now);
+  const queued = Object.keys(state.retryQueue).length;
+  console.log(`📊 State: ${state.completedCount} words completed, ${queued} in the retry queue\n`);
+
+  // Due retries first, then words not tried yet
+  const wordsToScrape = selectWords(words, state.retryQueue, now, options);
+
+  if (wordsToScrape.length === 0) {
+    console.log('✅ No words to scrape: all have definitions, or wait to be retried.');
+    return { successCount: 0, failCount: 0, version: vocabularyData.version };
   }
-  
-  console.log(`📝 Processing ${wordsNeedingDefinitions.length} words...\n`);
-  
-  // Launch browser
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-  });
-  
-  const page = await browser.newPage();
-  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-  
+
+  console.log(`📝 Processing ${wordsToScrape.length} words...\n`);
+
+  const pages = options.fixturesDir ? await openFixturePages(options) : await openLivePages(options);
+
   let successCount = 0;
-  let failCount = 0;
-  
+  const recovered = [];
+  const failures = [];
+
   try {
-    for (const wordData of wordsNeedingDefinitions) {
-      const { word, rae_link, originalIndex } = wordData;
-      
-      console.log(`[${successCount + failCount + 1}/${wordsNeedingDefinitions.length}] Scraping: ${word}`);
-      
-      let definitions = null;
+    for (const wordData of wordsToScrape) {
+      const { id, word, rae_link } = wordData;
+
+      console.log(`[${successCount + failures.length + 1}/${wordsToScrape.length}] Scraping: ${word}`);
+
+      let scraped = null;
       let attempts = 0;
-      
-      while (!definitions && attempts < CONFIG.retries) {
+
+      while (attempts < options.retries) {
         attempts++;
-        definitions = await scrapeDefinitions(page, rae_link, word);
-        
-        if (!definitions && attempts < CONFIG.retries) {
-          console.log(`  Retry ${attempts}/${CONFIG.retries}...`);
-          await delay(1000);
+        scraped = await scrapeSenses(pages, rae_link, word, options);
+
+        if (!scraped.failure || !TRANSIENT.has(scraped.failure.reason)) break;
+        if (attempts < options.retries) {
+          console.log(`  Retry ${attempts}/${options.retries}...`);
+          await delay(options.retryDelayMs);
         }
       }
-      
-      if (definitions && definitions.length > 0) {
-        words[originalIndex].definitions = definitions;
+
+      if (!scraped.failure) {
+        const { senses, senseCount } = scraped;
+        const examples = [...new Set(senses.flatMap(sense => sense.examples))];
+        // Every entry of the word, should it be listed twice
+        words.forEach((entry, index) => {
+          if (entry.id !== id || !isPending(entry)) return;
+          words[index].definitions = senses.map(senseDefinition);
+          words[index].examples = examples;
+          words[index].senses = senses;
+          words[index].sense_count = senseCount;
+        });
+        if (state.retryQueue[id]) {
+          recovered.push(word);
+          delete state.retryQueue[id];
+        }
         successCount++;
-        console.log(`  ✅ Found ${definitions.length} definition(s)`);
+        console.log(`  ✅ Found ${senses.length} of ${senseCount} sense(s), ${examples.length} example(s)`);
       } else {
-        failCount++;
-        state.failedWords.push({ word, rae_link, reason: 'No definitions found' });
-        console.log(`  ❌ No definitions found`);
+        const entry = recordFailure(state.retryQueue, wordData, scraped.failure, now, options);
+        failures.push(entry);
+        const next = entry.nextAttemptAt ? `retry after ${entry.nextAttemptAt.slice(0, 10)}` : 'given up';
+        console.log(`  ❌ ${FAILURE_REASONS[entry.reason]}${entry.detail ? ` (${entry.detail})` : ''}, attempt ${entry.attempts}, ${next}`);
       }
-      
+
       // Rate limiting
-      await delay(CONFIG.delayMs);
+      await delay(options.delayMs);
     }
   } finally {
-    await browser.close();
+    await pages.close();
   }
-  
+
   // Update version hash
   vocabularyData.version = generateVersionHash(vocabularyData.words);
-  
+
   // Save updated vocabulary
-  await fs.writeFile(CONFIG.vocabularyPath, JSON.stringify(vocabularyData, null, 2));
-  
+  await fs.writeFile(options.vocabularyPath, JSON.stringify(vocabularyData, null, 2));
+
   // Update state
   state.completedCount += successCount;
-  state.lastProcessedIndex += wordsNeedingDefinitions.length;
-  await saveState(state);
-  
+  await saveState(options.statePath, state);
+
+  // Report for the workflow
+  const pendingCount = new Set(words.filter(isPending).map(word => word.id)).size;
+  await fs.writeFile(options.summaryPath, buildSummary({
+    now,
+    successCount,
+    recovered,
+    failures,
+    queue: state.retryQueue,
+    pendingCount,
+  }));
+
   // Summary
   console.log('\n' + '='.repeat(50));
   console.log('📊 Summary:');
-  console.log(`   ✅ Successful: ${successCount}`);
-  console.log(`   ❌ Failed: ${failCount}`);
+  console.log(`   ✅ Successful: ${successCount}${recovered.length ? ` (${recovered.length} on retry)` : ''}`);
+  console.log(`   ❌ Failed: ${failures.length}`);
+  console.log(`   🔁 Retry queue: ${Object.keys(state.retryQueue).length}`);
   console.log(`   📁 Total completed: ${state.completedCount}`);
   console.log(`   🔄 Version hash: ${vocabularyData.version}`);
+  console.log(`   📝 Report: ${options.summaryPath}`);
   console.log('='.repeat(50));
+
+  return { successCount, failCount: failures.length, version: vocabularyData.version };
 }
 
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+// Run main only when this file is executed directly (not imported by tests)
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
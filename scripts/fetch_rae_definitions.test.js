@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import crypto from 'crypto';
+import { parseArgs, main } from './fetch_rae_definitions.js';
+import { startFixtureServer, DEFAULT_FIXTURES_DIR } from './rae_fixture_server.js';
+
+const PENDING = ['Definition pending...'];
+const NOW = new Date('2026-10-12T03:00:00.000Z');
+
+const entry = (id, word, definitions = PENDING) => ({
+  id, word, frequency_rank: 1, rae_link: `https://dle.rae.es/${word}`, definitions,
+  translations: { en: 'Translation pending' }, tags: [],
+});
+
+describe('parseArgs', () => {
+  it('reads the batch, delay, paths and fixture options', () => {
+    const options = parseArgs(['node', 'x', '--batch-size=3', '--delay=0', '--vocabulary=v.json', '--summary=s.md', '--fixtures']);
+    expect(options).toMatchObject({ batchSize: 3, delayMs: 0, fixturesDir: DEFAULT_FIXTURES_DIR, recordDir: null });
+    expect(options.vocabularyPath).toBe(resolve('v.json'));
+    expect(options.summaryPath).toBe(resolve('s.md'));
+    expect(parseArgs(['--fixtures=here', '--record=there'])).toMatchObject({
+      fixturesDir: resolve('here'),
+      recordDir: resolve('there'),
+    });
+    expect(parseArgs([])).toMatchObject({ batchSize: 50, delayMs: 2000, fixturesDir: null });
+  });
+});
+
+describe('startFixtureServer', () => {
+  it('serves recorded pages by word, and fails or stalls on request', async () => {
+    const server = await startFixtureServer({ failures: { de: 1 }, delays: { casa: 200 } });
+    try {
+      await expect(fetch(`${server.url}/casa`, { signal: AbortSignal.timeout(50) }))
+        .rejects.toMatchObject({ name: 'TimeoutError' });
+      expect((await fetch(`${server.url}/de`)).status).toBe(503);
+      const page = await fetch(`${server.url}/de`);
+      expect(page.status).toBe(200);
+      expect(await page.text()).toContain('c-definitions');
+      expect((await fetch(`${server.url}/${encodeURIComponent('niño')}`)).status).toBe(404);
+      expect((await fetch(`${server.url}/..%2Fpackage.json`)).status).toBe(404);
+      expect(server.requests).toEqual(['casa', 'de', 'de', 'niño', '../package.json']);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('main, offline against the fixtures', () => {
+  let dir;
+  let options;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    dir = await mkdtemp(join(tmpdir(), 'rae-scraper-'));
+    options = {
+      vocabularyPath: join(dir, 'vocabulary.json'),
+      statePath: join(dir, 'state.json'),
+      summaryPath: join(dir, 'summary.md'),
+      now: NOW,
+      fixturesDir: DEFAULT_FIXTURES_DIR,
+      delayMs: 0,
+      retryDelayMs: 0,
+    };
+    await writeFile(options.vocabularyPath, JSON.stringify({
+      version: 'old',
+      words: [
+        entry('w1', 'casa'),
+        entry('w2', 'ella', ['pronombre personal Forma de tercera persona.']),
+        entry('w3', 'de'),
+        entry('w4', 'zzzz'),
+        entry('w5', 'estudiante'),
+      ],
+    }));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const readJson = async (file) => JSON.parse(await readFile(file, 'utf-8'));
+
+  it('stores the senses of pending words and bumps the version hash', async () => {
+    const result = await main({ ...options, batchSize: 3 });
+    expect(result).toMatchObject({ successCount: 2, failCount: 1 });
+
+    const vocabulary = await readJson(options.vocabularyPath);
+    const [casa, ella, de, zzzz, estudiante] = vocabulary.words;
+    expect(casa.senses).toHaveLength(5);
+    expect(casa.sense_count).toBe(7);
+    expect(casa.definitions[0]).toBe('nombre femenino Edificio para habitar. Sinónimos o afines vivienda, domicilio, hogar.');
+    expect(casa.examples).toContain('Una casa de ocho plantas.');
+    expect(de.definitions).toEqual([
+      'nombre femenino Letra d y sonido que representa.',
+      'preposición Denota posesión o pertenencia.',
+      'preposición Denota de dónde es, viene o sale alguien o algo.',
+    ]);
+    expect(ella.definitions).toEqual(['pronombre personal Forma de tercera persona.']);
+    expect(ella).not.toHaveProperty('senses');
+    expect(zzzz.definitions).toEqual(PENDING);
+    expect(estudiante.definitions).toEqual(PENDING);
+
+    const hash = crypto.createHash('md5').update(JSON.stringify(vocabulary.words)).digest('hex');
+    expect(vocabulary.version).toBe(hash);
+    expect(result.version).toBe(hash);
+  });
+
+  it('retries a page that fails and queues the words it could not read, by reason', async () => {
+    await writeFile(options.vocabularyPath, JSON.stringify({
+      version: 'old',
+      words: [entry('w1', 'casa'), entry('w3', 'de'), entry('w4', 'zzzz'), entry('w6', 'casas'), entry('w7', 'acercar'), entry('w8', 'nada')],
+    }));
+    const result = await main({
+      ...options,
+      retries: 2,
+      timeout: 100,
+      fixtureFailures: { casa: 1, de: 5 },
+      fixtureDelays: { acercar: 1000 },
+    });
+    expect(result).toMatchObject({ successCount: 1, failCount: 5 });
+
+    const state = await readJson(options.statePath);
+    expect(state.completedCount).toBe(1);
+    expect(new Date(state.lastRun).getTime()).not.toBeNaN();
+    const reasons = Object.fromEntries(Object.entries(state.retryQueue).map(([id, queued]) => [id, [queued.reason, queued.detail]]));
+    expect(reasons).toEqual({
+      w3: ['network', 'HTTP 503'],
+      w4: ['not_found', null],
+      w6: ['redirect', 'casa'],
+      w7: ['timeout', expect.any(String)],
+      w8: ['not_found', 'HTTP 404'],
+    });
+    expect(state.retryQueue.w4).toMatchObject({ attempts: 1, nextAttemptAt: '2026-10-13T03:00:00.000Z' });
+
+    const summary = await readFile(options.summaryPath, 'utf-8');
+    expect(summary).toContain('| Failed | 5 |');
+    expect(summary).toContain('| casas | Entry of another lemma | casa | 1 | 2026-10-13 |');
+  });
+
+  it('retries queued words once they are due, and gives up after the last attempt', async () => {
+    await writeFile(options.vocabularyPath, JSON.stringify({
+      version: 'old',
+      words: [entry('w1', 'casa'), entry('w4', 'zzzz')],
+    }));
+    await main({ ...options, fixtureFailures: { casa: 5 } });
+    let state = await readJson(options.statePath);
+    expect(Object.keys(state.retryQueue)).toEqual(['w1', 'w4']);
+
+    // Not due yet: nothing to do
+    expect(await main({ ...options, now: new Date('2026-10-12T12:00:00.000Z') })).toMatchObject({ successCount: 0, failCount: 0 });
+
+    const result = await main({ ...options, now: new Date('2026-10-13T03:00:00.000Z'), maxAttempts: 2 });
+    expect(result).toMatchObject({ successCount: 1, failCount: 1 });
+    state = await readJson(options.statePath);
+    expect(state.retryQueue).toEqual({
+      w4: expect.objectContaining({ reason: 'not_found', attempts: 2, nextAttemptAt: null }),
+    });
+    expect(await readFile(options.summaryPath, 'utf-8')).toContain('Recovered: casa');
+    expect((await readJson(options.vocabularyPath)).words[0].sense_count).toBe(7);
+  });
+
+  it('picks up from the state file on the next run', async () => {
+    await main({ ...options, batchSize: 1 });
+    const result = await main({ ...options, batchSize: 1 });
+    expect(result.successCount).toBe(1);
+    const state = await readJson(options.statePath);
+    expect(state).toMatchObject({ completedCount: 2, retryQueue: {} });
+    const vocabulary = await readJson(options.vocabularyPath);
+    expect(vocabulary.words[2].sense_count).toBe(3);
+  });
+
+  it('moves the failed words of an old state file into the retry queue', async () => {
+    await writeFile(options.statePath, JSON.stringify({
+      lastProcessedIndex: 5,
+      failedWords: [{ word: 'zzzz', rae_link: 'https://dle.rae.es/zzzz', reason: 'No definitions found' }],
+      completedCount: 40,
+      lastRun: '2026-10-05T03:00:00.000Z',
+    }));
+    const result = await main({ ...options, batchSize: 1 });
+    expect(result).toMatchObject({ successCount: 0, failCount: 1 });
+    const state = await readJson(options.statePath);
+    expect(state).not.toHaveProperty('failedWords');
+    expect(state.retryQueue.w4).toMatchObject({ reason: 'not_found', attempts: 2, firstFailedAt: '2026-10-05T03:00:00.000Z' });
+  });
+
+  it('puts words listed twice under one id through once', async () => {
+    await writeFile(options.vocabularyPath, JSON.stringify({
+      version: 'old',
+      words: [entry('w1', 'casa'), entry('w1', 'casa')],
+    }));
+    expect(await main(options)).toMatchObject({ successCount: 1 });
+    const [first, second] = (await readJson(options.vocabularyPath)).words;
+    expect(second.definitions).toEqual(first.definitions);
+  });
+
+  it('does nothing when no word is pending', async () => {
+    const vocabulary = { version: 'v1', words: [entry('w2', 'ella', ['pronombre personal Forma de tercera persona.'])] };
+    await writeFile(options.vocabularyPath, JSON.stringify(vocabulary));
+    expect(await main(options)).toEqual({ successCount: 0, failCount: 0, version: 'v1' });
+    expect(await readJson(options.vocabularyPath)).toEqual(vocabulary);
+    await expect(readFile(options.statePath)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * rae_fixture_server.js
+ *
+ * Local static server for the recorded RAE entry pages in fixtures/rae/, so
+ * the scraper can run offline: GET /casa serves fixtures/rae/casa.html, the
+ * way https://dle.rae.es/casa serves the live entry. Words without a
+ * fixture get a 404.
+ *
+ * fetch_rae_definitions.js starts one with --fixtures; run it on its own to
+ * browse the fixtures:
+ *   node scripts/rae_fixture_server.js [--dir=scripts/fixtures/rae] [--port=8787]
+ *
+ * Exports:
+ *   DEFAULT_FIXTURES_DIR
+ *   startFixtureServer({ dir, port, failures, delays }) → Promise<{ url, requests, close }>
+ */
+
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'rae');
+
+/**
+ * Start serving a fixture directory on localhost.
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir] - directory of <word>.html pages
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {{ [word: string]: number }} [options.failures] - answer the first
+ *   n requests for a word with a 503, as an overloaded server would
+ * @param {{ [word: string]: number }} [options.delays] - hold the answer for
+ *   a word this many milliseconds, as a slow server would
+ * @returns {Promise<{ url: string, requests: string[], close: () => Promise<void> }>}
+ *   requests — the words asked for, in order
+ */
+export async function startFixtureServer({ dir = DEFAULT_FIXTURES_DIR, port = 0, failures = {}, delays = {} } = {}) {
+  const requests = [];
+  const failuresLeft = { ...failures };
+
+  const server = http.createServer(async (req, res) => {
+    const word = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.slice(1));
+    requests.push(word);
+    if (delays[word]) await new Promise(resolve => setTimeout(resolve, delays[word]));
+
+    if (failuresLeft[word] > 0) {
+      failuresLeft[word]--;
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end('Service Unavailable');
+      return;
+    }
+
+    // Only plain file names: no way out of the fixture directory
+    if (!word || word.includes('/') || word.includes('\\') || word.startsWith('.')) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+      return;
+    }
+
+    try {
+      const html = await fs.readFile(path.join(dir, `${word}.html`), 'utf-8');
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+    } catch {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    }),
+  };
+}
+
+async function main() {
+  const arg = (name) => process.argv.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  const dir = path.resolve(arg('dir') || DEFAULT_FIXTURES_DIR);
+  const server = await startFixtureServer({ dir, port: parseInt(arg('port') || '8787') });
+  console.log(`📂 Serving RAE fixtures from ${dir}`);
+  console.log(`   ${server.url}/casa → ${path.join(dir, 'casa.html')}`);
+  console.log('   Press Ctrl+C to stop.');
+}
+
+// Run main only when this file is executed directly (not imported by tests)
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
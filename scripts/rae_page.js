@@ -0,0 +1,174 @@
+/**
+ * rae_page.js
+ *
+ * Reads the senses of a word off a saved dle.rae.es entry page. Pure: it
+ * takes the page HTML, however it was fetched — live through Puppeteer, from
+ * the local fixture server (rae_fixture_server.js) or from a file — so the
+ * extraction can be tested against the recorded pages in fixtures/rae/.
+ *
+ * The entry lists its acepciones as <li class="j"> (or "j1", "j2"…) in
+ * <ol class="c-definitions">, one list per homograph:
+ *
+ *   <li class="j"><div class="c-definitions__item"><div>
+ *     <span class="n_acep">1. </span>
+ *     <abbr class="d" title="nombre femenino">f.</abbr> Edificio para habitar.
+ *     <span class="h">Una casa de ocho plantas.</span>
+ *   </div></div></li>
+ *
+ * Complex forms ("casa de citas") are <li class="m"> and are left out.
+ *
+ * readEntry also says why a page has nothing to store for a word: the word
+ * is not in the dictionary ("Aviso: La palabra … no está en el
+ * Diccionario."), the page is the entry of another lemma (its headword,
+ * <h1 class="c-page-header__title">, is not the word), or the entry could
+ * not be read.
+ *
+ * Exports:
+ *   extractRawSenses(document)         → Array<{ number, parts, examples }>
+ *   extractSenses(html, options)       → { senses, senseCount } | null
+ *   readEntry(html, word, options)     → { senses, senseCount } | { failure: { reason, detail } }
+ */
+
+import { JSDOM } from 'jsdom';
+import { parseScrapedSense } from './rae_senses.js';
+
+const TEXT_NODE = 3;
+
+const NOT_FOUND = /no está en el Diccionario/;
+const ACCENTS = { á: 'a', é: 'e', í: 'i', ó: 'o', ú: 'u' };
+
+/**
+ * The acepciones of an entry page as rae_senses.js parseScrapedSense takes
+ * them: the number, the text and <abbr> elements in document order, and the
+ * usage examples (<span class="h">) kept apart.
+ *
+ * @param {Document} document
+ * @returns {Array<{ number: number|null, parts: Array<{ text: string, abbr?: string }>, examples: string[] }>}
+ */
+export function extractRawSenses(document) {
+  const results = [];
+
+  document.querySelectorAll('.c-definitions li[class^="j"]').forEach(li => {
+    const defItem = li.querySelector('.c-definitions__item');
+    if (!defItem) return;
+
+    // Clone to manipulate without affecting the page
+    const clone = defItem.cloneNode(true);
+
+    // The acepción number prefix ("3. ")
+    const numEl = clone.querySelector('.n_acep');
+    const number = numEl ? parseInt(numEl.textContent, 10) || null : null;
+    if (numEl) numEl.remove();
+
+    const examples = [];
+    clone.querySelectorAll('.h').forEach(el => {
+      const example = el.textContent?.replace(/\s+/g, ' ').trim();
+      if (example) examples.push(example);
+      el.remove();
+    });
+
+    // Text and abbreviations ("f.", "coloq.", "U. t. c. prnl.") in document
+    // order, each abbreviation with its full title
+    const parts = [];
+    const walk = (node) => node.childNodes.forEach(child => {
+      if (child.nodeType === TEXT_NODE) {
+        parts.push({ text: child.textContent });
+      } else if (child.nodeName === 'ABBR') {
+        parts.push({ text: child.textContent, abbr: child.getAttribute('title') || child.textContent });
+      } else {
+        walk(child);
+      }
+    });
+    walk(clone);
+
+    results.push({ number, parts, examples });
+  });
+
+  return results;
+}
+
+function sensesOf(document, maxSenses) {
+  const rawSenses = extractRawSenses(document);
+  const senses = rawSenses.map(parseScrapedSense).filter(sense => sense.text);
+  if (senses.length === 0) return null;
+  return { senses: senses.slice(0, maxSenses), senseCount: rawSenses.length };
+}
+
+/**
+ * The words an entry's headword stands for. Homograph numbers go, and an
+ * ending after the comma makes the feminine from the last letter it starts
+ * with: "de¹" → de, "bueno, na" → bueno, buena, "alemán, na" → alemán,
+ * alemana; a whole word stays whole: "él, ella" → él, ella.
+ * @param {Element} title - <h1 class="c-page-header__title">
+ * @returns {string[]} lower case
+ */
+function headwordForms(title) {
+  const clone = title.cloneNode(true);
+  clone.querySelectorAll('sup').forEach(sup => sup.remove());
+  const [base, ...others] = clone.textContent
+    .replace(/\d+$/, '')
+    .split(',')
+    .map(part => part.trim().toLowerCase())
+    .filter(Boolean);
+  if (!base) return [];
+  return [base, ...others.map(part => {
+    const cut = base.lastIndexOf(part[0]);
+    return part.length <= 3 && cut > 0
+      ? base.slice(0, cut).replace(/[áéíóú]/g, v => ACCENTS[v]) + part
+      : part;
+  })];
+}
+
+/**
+ * The senses of an entry page, up to `maxSenses`, and how many acepciones
+ * the entry has in all. null when the page has none — a word missing from
+ * the dictionary, or a page that did not load properly.
+ *
+ * @param {string} html
+ * @param {{ maxSenses?: number }} [options]
+ * @returns {{ senses: object[], senseCount: number } | null}
+ */
+export function extractSenses(html, { maxSenses = 5 } = {}) {
+  const { window } = new JSDOM(html);
+  try {
+    return sensesOf(window.document, maxSenses);
+  } finally {
+    window.close();
+  }
+}
+
+/**
+ * The senses of a word's entry page, or why there are none to store:
+ *   not_found   — the word is not in the dictionary
+ *   redirect    — the page is the entry of another lemma (detail: its headword)
+ *   parse_error — no entry on the page, or none of its senses could be read
+ * Pronominal verbs are found under the verb: "quejarse" on "quejar" is fine.
+ *
+ * @param {string} html
+ * @param {string} word
+ * @param {{ maxSenses?: number }} [options]
+ * @returns {{ senses: object[], senseCount: number } | { failure: { reason: string, detail: string|null } }}
+ */
+export function readEntry(html, word, { maxSenses = 5 } = {}) {
+  const { window } = new JSDOM(html);
+  try {
+    const { document } = window;
+    if (NOT_FOUND.test(document.body?.textContent ?? '')) {
+      return { failure: { reason: 'not_found', detail: null } };
+    }
+
+    const titles = [...document.querySelectorAll('.c-page-header__title')];
+    const lemmas = titles.map(headwordForms);
+    const wanted = word.trim().toLowerCase();
+    const matches = (form) => form === wanted || (wanted.endsWith('se') && form === wanted.slice(0, -2));
+    if (lemmas.length > 0 && !lemmas.flat().some(matches)) {
+      return { failure: { reason: 'redirect', detail: lemmas[0][0] ?? null } };
+    }
+
+    return sensesOf(document, maxSenses) ?? {
+      failure: { reason: 'parse_error', detail: titles.length > 0 ? 'no senses in the entry' : 'no entry on the page' },
+    };
+  } finally {
+    window.close();
+  }
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { JSDOM } from 'jsdom';
+import { extractRawSenses, extractSenses, readEntry } from './rae_page.js';
+import { DEFAULT_FIXTURES_DIR } from './rae_fixture_server.js';
+
+const fixture = (word) => readFileSync(join(DEFAULT_FIXTURES_DIR, `${word}.html`), 'utf-8');
+
+describe('extractRawSenses', () => {
+  it('reads the number, parts and examples of each acepción', () => {
+    const [first] = extractRawSenses(new JSDOM(fixture('casa')).window.document);
+    expect(first.number).toBe(1);
+    expect(first.examples).toEqual(['Una casa de ocho plantas.']);
+    expect(first.parts[0]).toEqual({ text: 'f.', abbr: 'nombre femenino' });
+    expect(first.parts.map((part) => part.text).join('')).toContain('Edificio para habitar.');
+  });
+
+  it('leaves out complex forms', () => {
+    const raw = extractRawSenses(new JSDOM(fixture('casa')).window.document);
+    expect(raw).toHaveLength(7);
+    expect(raw.every((sense) => !sense.parts.some((part) => part.text.includes('encuentros')))).toBe(true);
+  });
+});
+
+describe('extractSenses', () => {
+  it('keeps the first senses and counts them all', () => {
+    const { senses, senseCount } = extractSenses(fixture('casa'));
+    expect(senseCount).toBe(7);
+    expect(senses.map((sense) => sense.number)).toEqual([1, 2, 3, 4, 5]);
+    expect(senses[0]).toEqual({
+      number: 1,
+      category: 'nombre femenino',
+      labels: [],
+      marks: [],
+      text: 'Edificio para habitar. Sinónimos o afines vivienda, domicilio, hogar.',
+      examples: ['Una casa de ocho plantas.'],
+    });
+    expect(senses[2].text).toBe('piso (‖ vivienda).');
+    expect(extractSenses(fixture('casa'), { maxSenses: 7 }).senses[6]).toMatchObject({
+      labels: ['Deportes'],
+      text: 'Terreno propio.',
+    });
+  });
+
+  it('reads marks, register and region labels', () => {
+    const { senses } = extractSenses(fixture('acercar'));
+    expect(senses[0]).toMatchObject({
+      category: 'verbo transitivo',
+      marks: ['Usado también como pronominal', 'Usado también en sentido figurado'],
+      examples: [
+        'Acercó la radio para escuchar las noticias.',
+        'Se acercan las vacaciones de Navidad.',
+        'Los dos países se han acercado políticamente.',
+      ],
+    });
+    expect(senses[1]).toMatchObject({
+      category: 'verbo pronominal',
+      labels: ['coloquial', 'México', 'Nicaragua'],
+      text: 'Ir a un lugar.',
+    });
+    expect(extractSenses(fixture('estudiante')).senses.map((sense) => sense.category))
+      .toEqual(['adjetivo', 'nombre masculino y femenino', 'nombre masculino']);
+  });
+
+  it('reads every homograph, each numbered on its own', () => {
+    const { senses, senseCount } = extractSenses(fixture('de'));
+    expect(senseCount).toBe(3);
+    expect(senses.map((sense) => [sense.number, sense.category])).toEqual([
+      [1, 'nombre femenino'],
+      [1, 'preposición'],
+      [2, 'preposición'],
+    ]);
+  });
+
+  it('is null for words missing from the dictionary and pages without an entry', () => {
+    expect(extractSenses(fixture('zzzz'))).toBeNull();
+    expect(extractSenses('')).toBeNull();
+  });
+});
+
+describe('readEntry', () => {
+  const page = (title, body = '') => `<main><header><h1 class="c-page-header__title">${title}</h1></header>${body}</main>`;
+  const definitions = '<ol class="c-definitions"><li class="j"><div class="c-definitions__item"><div>'
+    + '<span class="n_acep">1. </span><abbr title="adjetivo">adj.</abbr> Que tiene bondad.</div></div></li></ol>';
+
+  it('reads the senses of the word', () => {
+    expect(readEntry(fixture('casa'), 'casa', { maxSenses: 2 })).toMatchObject({ senseCount: 7, senses: [{ number: 1 }, { number: 2 }] });
+    expect(readEntry(fixture('de'), 'de').senseCount).toBe(3);
+  });
+
+  it('says a word is not in the dictionary', () => {
+    expect(readEntry(fixture('zzzz'), 'zzzz')).toEqual({ failure: { reason: 'not_found', detail: null } });
+  });
+
+  it('says the page is the entry of another lemma', () => {
+    expect(readEntry(fixture('casas'), 'casas')).toEqual({ failure: { reason: 'redirect', detail: 'casa' } });
+  });
+
+  it('takes feminine endings and pronominal verbs as the word', () => {
+    expect(readEntry(page('bueno, na', definitions), 'buena')).toHaveProperty('senses');
+    expect(readEntry(page('alemán, na', definitions), 'alemana')).toHaveProperty('senses');
+    expect(readEntry(page('él, ella', definitions), 'ella')).toHaveProperty('senses');
+    expect(readEntry(page('acercar', definitions), 'acercarse')).toHaveProperty('senses');
+    expect(readEntry(page('bueno, na', definitions), 'buenas').failure.reason).toBe('redirect');
+  });
+
+  it('says when the page could not be read', () => {
+    expect(readEntry(page('casa', '<ol class="c-definitions"></ol>'), 'casa'))
+      .toEqual({ failure: { reason: 'parse_error', detail: 'no senses in the entry' } });
+    expect(readEntry('<html><body>Error</body></html>', 'casa'))
+      .toEqual({ failure: { reason: 'parse_error', detail: 'no entry on the page' } });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * rae_scraper_state.js
+ *
+ * The scraper's state between runs (.rae-scraper-state.json) and the summary
+ * it writes after each run. Pure: fetch_rae_definitions.js reads and writes
+ * the files.
+ *
+ *   {
+ *     completedCount: 1200,
+ *     retryQueue: {
+ *       "<word id>": {
+ *         word: 'casas', rae_link: 'https://dle.rae.es/casas',
+ *         reason: 'redirect',          // see FAILURE_REASONS
+ *         detail: 'casa',              // the other lemma, the error, or null
+ *         attempts: 2,
+ *         firstFailedAt: '2026-10-05T03:00:12.000Z',
+ *         lastFailedAt: '2026-10-12T03:00:40.000Z',
+ *         nextAttemptAt: '2026-10-14T03:00:40.000Z', // null once given up
+ *       },
+ *     },
+ *     lastRun: '2026-10-12T03:04:00.000Z',
+ *   }
+ *
+ * A word that fails is queued once, by id, and retried in later runs after
+ * a back-off that doubles with every failure (1, 2, 4, 8 days); after
+ * `maxAttempts` failures it is given up on and only reported. A run takes
+ * at most `maxRetriesPerRun` due retries, the longest waiting first, and
+ * fills the rest of its batch with words that have not been tried yet.
+ *
+ * State files from before the queue kept a `failedWords` list, with a
+ * duplicate for every failed run and no reason; migrateState queues those
+ * words as `unknown`, due at once, so the next runs classify them.
+ *
+ * Exports:
+ *   FAILURE_REASONS                             — reason → label
+ *   QUEUE_DEFAULTS                              — { maxAttempts, backoffDays, maxRetriesPerRun }
+ *   isPending(word)                             → boolean
+ *   migrateState(state, words, now)             → state
+ *   recordFailure(queue, word, failure, now, options) → queue entry
+ *   isDue(entry, now)                           → boolean
+ *   selectWords(words, queue, now, options)     → Array<word & { originalIndex }>
+ *   buildSummary(run)                           → markdown
+ */
+
+export const FAILURE_REASONS = {
+  not_found: 'Not in the dictionary',
+  redirect: 'Entry of another lemma',
+  parse_error: 'Page could not be read',
+  timeout: 'Timed out',
+  network: 'Network or server error',
+  unknown: 'Not classified (failed before reasons were kept)',
+};
+
+export const QUEUE_DEFAULTS = {
+  maxAttempts: 5,
+  backoffDays: 1, // doubles with every failure
+  maxRetriesPerRun: 10,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a word still waits for its definitions
+ * @param {{ definitions: string[] }} word
+ */
+export function isPending(word) {
+  return word.definitions.length === 0 ||
+    word.definitions[0] === 'Definition pending...' ||
+    word.definitions[0] === '';
+}
+
+/**
+ * Bring a loaded state file up to the current shape. Queue entries for words
+ * that are no longer pending (defined by hand, or gone from the vocabulary)
+ * are dropped.
+ *
+ * @param {object|null} state - as read from the file, null if there is none
+ * @param {Array<{ id: string, word: string, rae_link: string, definitions: string[] }>} words
+ * @param {Date} now
+ * @returns {{ completedCount: number, retryQueue: object, lastRun: string|null }}
+ */
+export function migrateState(state, words, now) {
+  const retryQueue = { ...state?.retryQueue };
+
+  const byWord = new Map();
+  for (const word of words) {
+    if (!byWord.has(word.word)) byWord.set(word.word, word);
+  }
+  for (const failed of state?.failedWords ?? []) {
+    const word = byWord.get(failed.word);
+    if (!word) continue;
+    const entry = retryQueue[word.id];
+    if (entry) {
+      if (entry.reason === 'unknown') entry.attempts = Math.min(entry.attempts + 1, QUEUE_DEFAULTS.maxAttempts - 1);
+      continue;
+    }
+    retryQueue[word.id] = {
+      word: word.word,
+      rae_link: word.rae_link,
+      reason: 'unknown',
+      detail: failed.reason ?? null,
+      attempts: 1,
+      firstFailedAt: state.lastRun ?? now.toISOString(),
+      lastFailedAt: state.lastRun ?? now.toISOString(),
+      nextAttemptAt: now.toISOString(),
+    };
+  }
+
+  const pendingIds = new Set(words.filter(isPending).map(word => word.id));
+  for (const id of Object.keys(retryQueue)) {
+    if (!pendingIds.has(id)) delete retryQueue[id];
+  }
+
+  return {
+    completedCount: state?.completedCount ?? 0,
+    retryQueue,
+    lastRun: state?.lastRun ?? null,
+  };
+}
+
+/**
+ * Queue a failed word, or count another failure of a queued one.
+ *
+ * @param {object} queue - state.retryQueue, updated in place
+ * @param {{ id: string, word: string, rae_link: string }} word
+ * @param {{ reason: string, detail?: string|null }} failure
+ * @param {Date} now
+ * @param {{ maxAttempts?: number, backoffDays?: number }} [options]
+ * @returns {object} the queue entry
+ */
+export function recordFailure(queue, word, failure, now, options = {}) {
+  const { maxAttempts, backoffDays } = { ...QUEUE_DEFAULTS, ...options };
+  const previous = queue[word.id];
+  const attempts = (previous?.attempts ?? 0) + 1;
+  const entry = {
+    word: word.word,
+    rae_link: word.rae_link,
+    reason: failure.reason,
+    detail: failure.detail ?? null,
+    attempts,
+    firstFailedAt: previous?.firstFailedAt ?? now.toISOString(),
+    lastFailedAt: now.toISOString(),
+    nextAttemptAt: attempts >= maxAttempts
+      ? null
+      : new Date(now.getTime() + backoffDays * 2 ** (attempts - 1) * DAY_MS).toISOString(),
+  };
+  queue[word.id] = entry;
+  return entry;
+}
+
+/**
+ * Whether a queued word is due for another try
+ * @param {{ nextAttemptAt: string|null }} entry
+ * @param {Date} now
+ */
+export function isDue(entry, now) {
+  return entry.nextAttemptAt !== null && new Date(entry.nextAttemptAt) <= now;
+}
+
+/**
+ * The words to scrape this run: up to `maxRetriesPerRun` due retries, the
+ * longest waiting first, then pending words not tried yet in vocabulary
+ * order, `batchSize` in all. A word listed twice under one id is taken once.
+ *
+ * @param {Array<{ id: string, definitions: string[] }>} words
+ * @param {object} queue - state.retryQueue
+ * @param {Date} now
+ * @param {{ batchSize: number, maxRetriesPerRun?: number }} options
+ * @returns {Array<object>} the words, each with its `originalIndex`
+ */
+export function selectWords(words, queue, now, { batchSize, maxRetriesPerRun = QUEUE_DEFAULTS.maxRetriesPerRun }) {
+  const seen = new Set();
+  const pending = words
+    .map((word, index) => ({ ...word, originalIndex: index }))
+    .filter(word => {
+      if (!isPending(word) || seen.has(word.id)) return false;
+      seen.add(word.id);
+      return true;
+    });
+
+  const retries = pending
+    .filter(word => queue[word.id] && isDue(queue[word.id], now))
+    .sort((a, b) => new Date(queue[a.id].nextAttemptAt) - new Date(queue[b.id].nextAttemptAt))
+    .slice(0, maxRetriesPerRun);
+  const fresh = pending.filter(word => !queue[word.id]);
+
+  return [...retries, ...fresh].slice(0, batchSize);
+}
+
+const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+const day = (iso) => iso.slice(0, 10);
+
+/**
+ * The run as a markdown report, for the workflow's job summary.
+ *
+ * @param {object} run
+ * @param {Date} run.now
+ * @param {number} run.successCount
+ * @param {string[]} run.recovered - words scraped on a retry
+ * @param {Array<{ word, reason, detail, attempts, nextAttemptAt }>} run.failures - this run's queue entries
+ * @param {object} run.queue - state.retryQueue after the run
+ * @param {number} run.pendingCount - words still without definitions
+ * @returns {string}
+ */
+export function buildSummary({ now, successCount, recovered, failures, queue, pendingCount }) {
+  const entries = Object.values(queue);
+  const waiting = entries.filter(entry => entry.nextAttemptAt !== null);
+  const givenUp = entries.filter(entry => entry.nextAttemptAt === null);
+
+  const lines = [
+    `## RAE scraper — ${day(now.toISOString())}`,
+    '',
+    '| | Words |',
+    '|---|---:|',
+    `| Scraped | ${successCount} |`,
+    `| Recovered on retry | ${recovered.length} |`,
+    `| Failed | ${failures.length} |`,
+    `| Waiting to retry | ${waiting.length} |`,
+    `| Given up | ${givenUp.length} |`,
+    `| Still pending | ${pendingCount} |`,
+  ];
+
+  const reasons = Object.keys(FAILURE_REASONS).filter(reason => entries.some(entry => entry.reason === reason));
+  if (reasons.length > 0) {
+    const count = (list, reason) => list.filter(entry => entry.reason === reason).length;
+    lines.push('', '### Failures by reason', '', '| Reason | This run | Waiting | Given up |', '|---|---:|---:|---:|');
+    for (const reason of reasons) {
+      lines.push(`| ${FAILURE_REASONS[reason]} | ${count(failures, reason)} | ${count(waiting, reason)} | ${count(givenUp, reason)} |`);
+    }
+  }
+
+  if (failures.length > 0) {
+    lines.push('', '### Failed this run', '', '| Word | Reason | Detail | Attempts | Next try |', '|---|---|---|---:|---|');
+    for (const entry of failures) {
+      lines.push(`| ${cell(entry.word)} | ${FAILURE_REASONS[entry.reason]} | ${cell(entry.detail ?? '')} | ${entry.attempts} | ${entry.nextAttemptAt ? day(entry.nextAttemptAt) : 'given up'} |`);
+    }
+  }
+
+  if (recovered.length > 0) {
+    lines.push('', `Recovered: ${recovered.map(cell).join(', ')}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import {
+  FAILURE_REASONS,
+  isPending,
+  migrateState,
+  recordFailure,
+  isDue,
+  selectWords,
+  buildSummary,
+} from './rae_scraper_state.js';
+
+const PENDING = ['Definition pending...'];
+const NOW = new Date('2026-10-12T03:00:00.000Z');
+const DAY = 24 * 60 * 60 * 1000;
+const later = (days) => new Date(NOW.getTime() + days * DAY);
+
+const word = (id, text = id, definitions = PENDING) => ({
+  id, word: text, rae_link: `https://dle.rae.es/${text}`, definitions,
+});
+
+describe('isPending', () => {
+  it('is true for words without definitions', () => {
+    expect(isPending(word('a'))).toBe(true);
+    expect(isPending(word('a', 'a', []))).toBe(true);
+    expect(isPending(word('a', 'a', ['']))).toBe(true);
+    expect(isPending(word('a', 'a', ['Preposición.']))).toBe(false);
+  });
+});
+
+describe('recordFailure', () => {
+  it('queues a word once and doubles the wait with every failure', () => {
+    const queue = {};
+    const first = recordFailure(queue, word('w1', 'casas'), { reason: 'redirect', detail: 'casa' }, NOW);
+    expect(first).toEqual({
+      word: 'casas',
+      rae_link: 'https://dle.rae.es/casas',
+      reason: 'redirect',
+      detail: 'casa',
+      attempts: 1,
+      firstFailedAt: NOW.toISOString(),
+      lastFailedAt: NOW.toISOString(),
+      nextAttemptAt: later(1).toISOString(),
+    });
+
+    const second = recordFailure(queue, word('w1', 'casas'), { reason: 'timeout' }, later(7));
+    expect(Object.keys(queue)).toEqual(['w1']);
+    expect(second).toMatchObject({
+      reason: 'timeout',
+      detail: null,
+      attempts: 2,
+      firstFailedAt: NOW.toISOString(),
+      nextAttemptAt: later(9).toISOString(),
+    });
+  });
+
+  it('gives up after the last attempt', () => {
+    const queue = {};
+    let entry;
+    for (let attempt = 0; attempt < 3; attempt++) {
+      entry = recordFailure(queue, word('w1'), { reason: 'not_found' }, NOW, { maxAttempts: 3, backoffDays: 2 });
+    }
+    expect(entry).toMatchObject({ attempts: 3, nextAttemptAt: null });
+    expect(isDue(entry, later(1000))).toBe(false);
+  });
+});
+
+describe('isDue', () => {
+  it('is true once the wait is over', () => {
+    const entry = { nextAttemptAt: later(1).toISOString() };
+    expect(isDue(entry, NOW)).toBe(false);
+    expect(isDue(entry, later(1))).toBe(true);
+  });
+});
+
+describe('migrateState', () => {
+  const words = [word('w1', 'casa'), word('w2', 'zzzz'), word('w3', 'de', ['Preposición.'])];
+
+  it('starts a new state', () => {
+    expect(migrateState(null, words, NOW)).toEqual({ completedCount: 0, retryQueue: {}, lastRun: null });
+  });
+
+  it('queues the failed words of an old state once, due at once', () => {
+    const state = migrateState({
+      lastProcessedIndex: 150,
+      completedCount: 120,
+      lastRun: '2026-10-05T03:00:00.000Z',
+      failedWords: [
+        { word: 'zzzz', rae_link: 'https://dle.rae.es/zzzz', reason: 'No definitions found' },
+        { word: 'zzzz', rae_link: 'https://dle.rae.es/zzzz', reason: 'No definitions found' },
+        { word: 'de', rae_link: 'https://dle.rae.es/de', reason: 'No definitions found' },
+        { word: 'gone', rae_link: 'https://dle.rae.es/gone', reason: 'No definitions found' },
+      ],
+    }, words, NOW);
+
+    expect(state).toEqual({
+      completedCount: 120,
+      lastRun: '2026-10-05T03:00:00.000Z',
+      retryQueue: {
+        w2: {
+          word: 'zzzz',
+          rae_link: 'https://dle.rae.es/zzzz',
+          reason: 'unknown',
+          detail: 'No definitions found',
+          attempts: 2,
+          firstFailedAt: '2026-10-05T03:00:00.000Z',
+          lastFailedAt: '2026-10-05T03:00:00.000Z',
+          nextAttemptAt: NOW.toISOString(),
+        },
+      },
+    });
+  });
+
+  it('drops queued words that are no longer pending', () => {
+    const queue = {};
+    recordFailure(queue, words[0], { reason: 'timeout' }, NOW);
+    recordFailure(queue, words[2], { reason: 'timeout' }, NOW);
+    expect(Object.keys(migrateState({ completedCount: 1, retryQueue: queue }, words, NOW).retryQueue)).toEqual(['w1']);
+  });
+});
+
+describe('selectWords', () => {
+  const words = [
+    word('w1', 'casa'),
+    word('w2', 'de', ['Preposición.']),
+    word('w3', 'zzzz'),
+    word('w4', 'casas'),
+    word('w1', 'casa'),
+    word('w5', 'ella'),
+  ];
+
+  it('takes pending words in order, each id once', () => {
+    expect(selectWords(words, {}, NOW, { batchSize: 10 }).map((w) => [w.id, w.originalIndex]))
+      .toEqual([['w1', 0], ['w3', 2], ['w4', 3], ['w5', 5]]);
+    expect(selectWords(words, {}, NOW, { batchSize: 2 }).map((w) => w.id)).toEqual(['w1', 'w3']);
+  });
+
+  it('puts due retries first, longest waiting first, and skips the others', () => {
+    const queue = {};
+    recordFailure(queue, words[3], { reason: 'redirect' }, NOW);
+    recordFailure(queue, words[2], { reason: 'not_found' }, later(-1));
+    recordFailure(queue, words[5], { reason: 'timeout' }, later(2));
+    expect(selectWords(words, queue, later(1), { batchSize: 10 }).map((w) => w.id)).toEqual(['w3', 'w4', 'w1']);
+    expect(selectWords(words, queue, later(1), { batchSize: 10, maxRetriesPerRun: 1 }).map((w) => w.id))
+      .toEqual(['w3', 'w1']);
+  });
+});
+
+describe('buildSummary', () => {
+  it('reports the run, the queue by reason and the words that failed', () => {
+    const queue = {};
+    const failures = [
+      recordFailure(queue, word('w4', 'casas'), { reason: 'redirect', detail: 'casa' }, NOW),
+      recordFailure(queue, word('w3', 'zzzz'), { reason: 'not_found' }, NOW, { maxAttempts: 1 }),
+    ];
+    recordFailure(queue, word('w6', 'casitas'), { reason: 'redirect' }, later(-3));
+
+    const summary = buildSummary({ now: NOW, successCount: 3, recovered: ['de'], failures, queue, pendingCount: 12 });
+    expect(summary).toContain('## RAE scraper — 2026-10-12');
+    expect(summary).toContain('| Scraped | 3 |');
+    expect(summary).toContain('| Waiting to retry | 2 |');
+    expect(summary).toContain('| Given up | 1 |');
+    expect(summary).toContain('| Still pending | 12 |');
+    expect(summary).toContain(`| ${FAILURE_REASONS.redirect} | 1 | 2 | 0 |`);
+    expect(summary).toContain(`| ${FAILURE_REASONS.not_found} | 1 | 0 | 1 |`);
+    expect(summary).not.toContain(FAILURE_REASONS.timeout);
+    expect(summary).toContain(`| casas | ${FAILURE_REASONS.redirect} | casa | 1 | 2026-10-13 |`);
+    expect(summary).toContain(`| zzzz | ${FAILURE_REASONS.not_found} |  | 1 | given up |`);
+    expect(summary).toContain('Recovered: de');
+  });
+
+  it('is a short table on a clean run', () => {
+    const summary = buildSummary({ now: NOW, successCount: 2, recovered: [], failures: [], queue: {}, pendingCount: 0 });
+    expect(summary).not.toContain('###');
+    expect(summary).not.toContain('Recovered:');
+  });
+});
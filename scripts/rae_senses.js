@@ -0,0 +1,247 @@
+/**
+ * rae_senses.js
+ *
+ * Structured RAE acepciones (senses), shared by the scraper
+ * (fetch_rae_definitions.js) and the build (build_slim_vocabulary.js):
+ *
+ *   {
+ *     number:   3,                         // acepción number in the RAE entry, or null
+ *     category: 'verbo transitivo',        // part of speech, or null
+ *     labels:   ['coloquial', 'América'],  // register, region and subject labels
+ *     marks:    ['Usado también como pronominal'], // grammatical marks
+ *     text:     'Poner cerca.',
+ *     examples: ['Acercó la radio.'],
+ *   }
+ *
+ * The scraper reads the parts from the page, where every label is an
+ * <abbr> with its full title. Words scraped before senses were stored only
+ * have flat definition strings — "nombre femenino coloquial Cuba, Pan. y
+ * R. Dom. Botella pequeña." — which parseDefinition reads back into a sense:
+ * the leading lower-case words are the category and register labels, the
+ * abbreviations after them region and subject labels (left abbreviated),
+ * usage notes the marks, and the sentences after the definition its
+ * examples (splitDefinition). Their acepción number is not known.
+ *
+ * Exports:
+ *   splitDefinition(text)    → { definition, examples }
+ *   parseDefinition(text)    → sense
+ *   parseScrapedSense(raw)   → sense
+ *   senseDefinition(sense)   → string
+ */
+
+// Synonyms close a sense, sometimes without a space: "…conformarme.Sinónimo o afín tener."
+const SYNONYMS_HEADING = '(?:Sinónimo o afín|Sinónimos o afines|Antónimo u opuesto|Antónimos u opuestos)';
+const SYNONYMS = new RegExp(`\\.?\\s*${SYNONYMS_HEADING}\\s`);
+const SYNONYMS_TITLE = new RegExp(`^${SYNONYMS_HEADING}$`);
+// A sentence ends at . ! ? or … followed by one starting with a capital.
+const SENTENCE_BREAK = /(?<=[.!?…])\s+(?=[¿¡«"—]?[A-ZÁÉÍÓÚÑ])/;
+const USAGE_NOTE = /^(?:(?:Usad[oa]s?|Era usad[oa]|Aplicad[oa]s?|Referid[oa]s?|Se (?:usa|omite|repite|emplea))\b|Era u\.|En [^.]*?, usad[oa]\b)/;
+// Subject and region abbreviations after the labels are not sentence ends:
+// "nombre femenino Fil. En la lógica …", "nombre femenino Cuba, Pan. y R. Dom. Botella …".
+const ABBREVIATION = '(?:[A-ZÁÉÍÓÚ][a-záéíóúñ]{0,5}|[A-Z]{2})';
+const LABELS_THEN_ABBREVIATION = new RegExp(`^[a-záéíóúñ ,]*(?:${ABBREVIATION}\\.?,? (?:y )?)*${ABBREVIATION}\\.$`);
+const LEADING_ABBREVIATIONS = new RegExp(`^((?:${ABBREVIATION}\\.?,? (?:y )?)*${ABBREVIATION}\\.) (?=\\S)`);
+// "Dicho de …" restricts a further definition.
+const DEFINITION_START = /^Dich[oa]s? de\b/;
+// A usage note can run straight into an example: "Usado también como pronominal No sabe qué hacerse."
+const NOTE_THEN_EXAMPLE = /\s([¿¡«"—]?[A-ZÁÉÍÓÚÑ]\S*\s.*[.!?…])$/;
+// Longer sentences, and text that does not end like a sentence, are further
+// definitions rather than examples.
+const EXAMPLE_MAX_WORDS = 20;
+
+// Words that make up a category: "nombre masculino y femenino",
+// "pronombre personal tercera persona plural", "conjunción copulativa".
+const CATEGORY_WORDS = new Set([
+  'nombre', 'verbo', 'adjetivo', 'adverbio', 'pronombre', 'preposición', 'conjunción',
+  'interjección', 'artículo', 'contracción', 'sufijo', 'prefijo', 'locución',
+  'masculino', 'femenino', 'neutro', 'singular', 'plural', 'y', 'o', 'de',
+  'transitivo', 'intransitivo', 'pronominal', 'copulativo', 'auxiliar', 'impersonal',
+  'determinado', 'indeterminado', 'indefinido', 'demostrativo', 'posesivo', 'personal',
+  'relativo', 'interrogativo', 'exclamativo', 'comparativo', 'numeral', 'cardinal', 'ordinal',
+  'primera', 'segunda', 'tercera', 'persona',
+  'copulativa', 'adversativa', 'disyuntiva', 'distributiva', 'concesiva', 'causal',
+  'final', 'ilativa', 'temporal', 'condicional', 'consecutiva', 'completiva',
+]);
+
+// Register labels written out after the category: "nombre masculino coloquial".
+const REGISTER_LABELS = new Set([
+  'coloquial', 'desusado', 'desusada', 'poco usado', 'poco usada', 'malsonante', 'vulgar',
+  'culto', 'culta', 'despectivo', 'despectiva', 'afectivo', 'afectiva', 'poético', 'poética',
+  'irónico', 'irónica', 'ponderativo', 'ponderativa', 'festivo', 'festiva', 'infantil',
+  'rural', 'eufemístico', 'eufemística', 'germanía', 'jergal', 'por antonomasia',
+]);
+
+const isCategory = (title) => title.toLowerCase().split(/\s+/).every((word) => CATEGORY_WORDS.has(word));
+
+/**
+ * The sentences of a scraped definition, each marked as part of the
+ * definition, a usage note, the synonyms or an example.
+ * @param {string} text
+ * @returns {{ pieces: Array<{ kind: 'text'|'note'|'synonyms', text: string }>, examples: string[] }}
+ */
+function splitSentences(text) {
+  const synonymsAt = text.search(SYNONYMS);
+  const body = synonymsAt === -1 ? text : text.slice(0, synonymsAt + (text[synonymsAt] === '.' ? 1 : 0));
+  const synonyms = synonymsAt === -1 ? '' : text.slice(synonymsAt).replace(/^\.?\s*/, '');
+
+  const sentences = body.split(SENTENCE_BREAK);
+  const first = [sentences.shift()];
+  while (LABELS_THEN_ABBREVIATION.test(first.join(' ')) && sentences.length > 0) {
+    first.push(sentences.shift());
+  }
+  const pieces = [{ kind: 'text', text: first.join(' ') }];
+  const examples = [];
+  while (sentences.length > 0) {
+    const sentence = sentences.shift();
+    if (DEFINITION_START.test(sentence)) {
+      pieces.push({ kind: 'text', text: sentence });
+    } else if (USAGE_NOTE.test(sentence)) {
+      const noteStart = USAGE_NOTE.exec(sentence)[0].length;
+      const example = NOTE_THEN_EXAMPLE.exec(sentence.slice(noteStart));
+      pieces.push({ kind: 'note', text: example ? sentence.slice(0, noteStart + example.index) : sentence });
+      if (example) sentences.unshift(example[1]);
+    } else if (!/[.!?…]$/.test(sentence) || sentence.split(/\s+/).length > EXAMPLE_MAX_WORDS) {
+      pieces.push({ kind: 'text', text: sentence });
+    } else {
+      examples.push(sentence);
+    }
+  }
+  if (synonyms) pieces.push({ kind: 'synonyms', text: synonyms });
+  return { pieces, examples };
+}
+
+/**
+ * Split the example sentences out of a scraped definition. The definition
+ * keeps its first sentence, usage notes and synonyms.
+ *
+ * @param {string} text - e.g. "preposición Denota posesión. La casa de mi padre."
+ * @returns {{ definition: string, examples: string[] }}
+ */
+export function splitDefinition(text) {
+  const { pieces, examples } = splitSentences(text);
+  return { definition: pieces.map((piece) => piece.text).join(' '), examples };
+}
+
+/**
+ * Read a flat definition string back into a sense.
+ *
+ * @param {string} text - e.g. "verbo transitivo coloquial Poner cerca. Acercó la radio."
+ * @returns {{ number: null, category: string|null, labels: string[], marks: string[], text: string, examples: string[] }}
+ */
+export function parseDefinition(text) {
+  const { pieces, examples } = splitSentences(text);
+  const marks = pieces.filter((piece) => piece.kind === 'note').map((piece) => piece.text);
+  let rest = pieces.filter((piece) => piece.kind !== 'note').map((piece) => piece.text).join(' ');
+
+  const words = rest.split(' ');
+  const category = [];
+  const labels = [];
+  let taken = 0;
+  while (taken < words.length - 1) {
+    const pair = `${words[taken]} ${words[taken + 1]}`;
+    if (REGISTER_LABELS.has(pair)) {
+      labels.push(pair);
+      taken += 2;
+    } else if (REGISTER_LABELS.has(words[taken])) {
+      labels.push(words[taken]);
+      taken += 1;
+    } else if (labels.length === 0 && CATEGORY_WORDS.has(words[taken])) {
+      category.push(words[taken]);
+      taken += 1;
+    } else {
+      break;
+    }
+  }
+  rest = words.slice(taken).join(' ');
+
+  const abbreviations = LEADING_ABBREVIATIONS.exec(rest);
+  if (abbreviations) {
+    labels.push(...abbreviations[1].split(/,\s*|\sy\s/));
+    rest = rest.slice(abbreviations[0].length);
+  }
+
+  return {
+    number: null,
+    category: category.length > 0 ? category.join(' ') : null,
+    labels,
+    marks,
+    text: rest,
+    examples,
+  };
+}
+
+/**
+ * Build a sense from an acepción read off the RAE page: its text and <abbr>
+ * elements in document order, and its examples. The <abbr>s before the text
+ * are the category and labels; those after it that are usage notes are
+ * marks, synonym and antonym headings ("Sin.:") are written out as the
+ * flat definitions had them, and any others stay in the text as printed.
+ *
+ * @param {{ number?: number|null, parts: Array<{ text: string, abbr?: string }>, examples?: string[] }} raw
+ *   parts — text nodes as `{ text }`, <abbr> elements as `{ text, abbr: title }`
+ * @returns {{ number: number|null, category: string|null, labels: string[], marks: string[], text: string, examples: string[] }}
+ */
+export function parseScrapedSense({ number = null, parts, examples = [] }) {
+  const category = [];
+  const labels = [];
+  const marks = [];
+  let text = '';
+  let leading = true;
+  let connector = null;
+
+  for (const part of parts) {
+    const title = part.abbr?.replace(/\s+/g, ' ').trim();
+    if (leading) {
+      if (title === undefined) {
+        // Commas and "y" / "o" between labels: "m. y f.", "Arg. y Ur."
+        const between = part.text.replace(/,/g, ' ').trim();
+        if (between === '') continue;
+        if (between === 'y' || between === 'o') {
+          connector = between;
+          continue;
+        }
+        leading = false;
+      } else if (!USAGE_NOTE.test(title)) {
+        if (!isCategory(title)) {
+          labels.push(title);
+        } else {
+          if (connector && category.length > 0) category.push(connector);
+          category.push(title);
+        }
+        connector = null;
+        continue;
+      } else {
+        leading = false;
+      }
+    }
+    if (title !== undefined && USAGE_NOTE.test(title)) {
+      marks.push(title);
+    } else if (title !== undefined && SYNONYMS_TITLE.test(title)) {
+      text += ` ${title} `;
+    } else {
+      text += part.text;
+    }
+  }
+
+  return {
+    number,
+    category: category.length > 0 ? category.join(' ') : null,
+    labels,
+    marks,
+    // Cross-references ("→ casa") point at other entries
+    text: text.replace(/\s+/g, ' ').trim().replace(/\s*→.*$/, ''),
+    examples,
+  };
+}
+
+/**
+ * A sense as one flat definition string, the way definitions were stored
+ * before senses: "verbo transitivo coloquial Poner cerca. Usado también como
+ * pronominal". Examples are left out.
+ *
+ * @param {{ category: string|null, labels: string[], marks: string[], text: string }} sense
+ * @returns {string}
+ */
+export function senseDefinition(sense) {
+  return [sense.category, ...sense.labels, sense.text, ...sense.marks].filter(Boolean).join(' ');
+}
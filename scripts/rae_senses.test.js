@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import {
+  splitDefinition,
+  parseDefinition,
+  parseScrapedSense,
+  senseDefinition,
+} from './rae_senses.js';
+
+describe('splitDefinition', () => {
+  it('moves the sentences after the definition into the examples', () => {
+    expect(splitDefinition('preposición Denota posesión o pertenencia. La casa de mi padre. La paciencia de Job.'))
+      .toEqual({
+        definition: 'preposición Denota posesión o pertenencia.',
+        examples: ['La casa de mi padre.', 'La paciencia de Job.'],
+      });
+    expect(splitDefinition('conjunción copulativa Usada a principio de período. ¡Y si no llega a tiempo! ¿Y si fuera otra la causa?').examples)
+      .toEqual(['¡Y si no llega a tiempo!', '¿Y si fuera otra la causa?']);
+  });
+
+  it('keeps synonyms and usage notes in the definition, and examples that follow a note', () => {
+    expect(splitDefinition(
+      'verbo transitivo Poner cerca. Acercó la radio. Usado también como pronominal Se acercan las vacaciones.Sinónimos o afines aproximar, arrimar.'
+    )).toEqual({
+      definition: 'verbo transitivo Poner cerca. Usado también como pronominal Sinónimos o afines aproximar, arrimar.',
+      examples: ['Acercó la radio.', 'Se acercan las vacaciones.'],
+    });
+    expect(splitDefinition('verbo intransitivo Dejar de estar a la vista. En América, usado también como pronominal Se desapareció de la casa.'))
+      .toEqual({
+        definition: 'verbo intransitivo Dejar de estar a la vista. En América, usado también como pronominal',
+        examples: ['Se desapareció de la casa.'],
+      });
+  });
+
+  it('does not take abbreviations, restrictions or long sentences for examples', () => {
+    expect(splitDefinition('nombre femenino Fil. En la lógica escolástica, letra que representa la proposición universal afirmativa.').examples)
+      .toEqual([]);
+    expect(splitDefinition('nombre femenino Cuba, Pan. y R. Dom. Botella pequeña.').examples).toEqual([]);
+    expect(splitDefinition('adjetivo Geom. Perpendicular. Dicho de una línea recta: Perpendicular a otra.').examples).toEqual([]);
+    const long = 'Arbusto de metro y medio de altura, con tallos tubulares huecos, flores de color rojo encendido y semillas pequeñas y duras.';
+    expect(splitDefinition(`nombre masculino Planta. ${long}`)).toEqual({ definition: `nombre masculino Planta. ${long}`, examples: [] });
+  });
+
+  it('leaves definitions without examples alone', () => {
+    expect(splitDefinition('Definition pending...')).toEqual({ definition: 'Definition pending...', examples: [] });
+    expect(splitDefinition('preposición sobre1.')).toEqual({ definition: 'preposición sobre1.', examples: [] });
+  });
+});
+
+describe('parseDefinition', () => {
+  it('reads the category, labels, marks and examples out of a flat definition', () => {
+    expect(parseDefinition('verbo transitivo Poner cerca. Acercó la radio. Usado también como pronominal Se acercan las vacaciones.'))
+      .toEqual({
+        number: null,
+        category: 'verbo transitivo',
+        labels: [],
+        marks: ['Usado también como pronominal'],
+        text: 'Poner cerca.',
+        examples: ['Acercó la radio.', 'Se acercan las vacaciones.'],
+      });
+  });
+
+  it('takes register words and leading abbreviations for labels', () => {
+    expect(parseDefinition('nombre masculino y femenino coloquial poco usado Persona lista.')).toMatchObject({
+      category: 'nombre masculino y femenino',
+      labels: ['coloquial', 'poco usado'],
+      text: 'Persona lista.',
+    });
+    expect(parseDefinition('nombre femenino Cuba, Pan. y R. Dom. Botella pequeña.')).toMatchObject({
+      category: 'nombre femenino',
+      labels: ['Cuba', 'Pan.', 'R. Dom.'],
+      text: 'Botella pequeña.',
+    });
+    expect(parseDefinition('adjetivo Geom. Perpendicular.')).toMatchObject({ labels: ['Geom.'], text: 'Perpendicular.' });
+  });
+
+  it('stops at the first word that is neither', () => {
+    expect(parseDefinition('verbo transitivo afrontar.')).toMatchObject({ category: 'verbo transitivo', text: 'afrontar.' });
+    expect(parseDefinition('Definition pending...')).toMatchObject({ category: null, labels: [], text: 'Definition pending...' });
+  });
+});
+
+describe('parseScrapedSense', () => {
+  const abbr = (title, text = title) => ({ abbr: title, text });
+
+  it('sorts the abbreviations before the text into category and labels', () => {
+    expect(parseScrapedSense({
+      number: 4,
+      parts: [
+        abbr('nombre masculino', 'm.'), { text: ' y ' }, abbr('nombre femenino', 'f.'), { text: ' ' },
+        abbr('coloquial', 'coloq.'), { text: ' ' }, abbr('Argentina', 'Arg.'), { text: ' y ' }, abbr('Uruguay', 'Ur.'),
+        { text: ' Persona   lista. ' },
+      ],
+      examples: ['Es un vivo.'],
+    })).toEqual({
+      number: 4,
+      category: 'nombre masculino y nombre femenino',
+      labels: ['coloquial', 'Argentina', 'Uruguay'],
+      marks: [],
+      text: 'Persona lista.',
+      examples: ['Es un vivo.'],
+    });
+  });
+
+  it('takes usage notes for marks and leaves other abbreviations in the text', () => {
+    const sense = parseScrapedSense({
+      parts: [
+        abbr('verbo transitivo', 'tr.'), { text: ' Poner cerca, ' }, abbr('por ejemplo', 'p. ej.'), { text: ' una silla. ' },
+        abbr('Usado también como pronominal', 'U. t. c. prnl.'),
+      ],
+    });
+    expect(sense).toEqual({
+      number: null,
+      category: 'verbo transitivo',
+      labels: [],
+      marks: ['Usado también como pronominal'],
+      text: 'Poner cerca, p. ej. una silla.',
+      examples: [],
+    });
+  });
+
+  it('writes out synonym headings', () => {
+    expect(parseScrapedSense({
+      parts: [
+        abbr('nombre femenino', 'f.'), { text: ' Edificio para habitar.' },
+        abbr('Sinónimos o afines', 'Sin.:'), { text: ' vivienda, hogar.' },
+      ],
+    }).text).toBe('Edificio para habitar. Sinónimos o afines vivienda, hogar.');
+  });
+
+  it('drops cross-references', () => {
+    expect(parseScrapedSense({ parts: [abbr('adjetivo', 'adj.'), { text: ' Alto. → altura' }] }).text).toBe('Alto.');
+    expect(parseScrapedSense({ parts: [{ text: '→ casa' }] }).text).toBe('');
+  });
+});
+
+describe('senseDefinition', () => {
+  it('flattens a sense without its examples', () => {
+    expect(senseDefinition({
+      category: 'verbo transitivo',
+      labels: ['coloquial'],
+      marks: ['Usado también como pronominal'],
+      text: 'Poner cerca.',
+      examples: ['Acercó la radio.'],
+    })).toBe('verbo transitivo coloquial Poner cerca. Usado también como pronominal');
+    expect(senseDefinition({ category: null, labels: [], marks: [], text: 'Alto.' })).toBe('Alto.');
+  });
+});
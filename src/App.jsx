@@ -7,21 +7,54 @@ import LanguagePicker from './components/LanguagePicker'
 import OfflineIndicator from './components/OfflineIndicator'
 // eslint-disable-next-line no-unused-vars -- used as JSX element
 import InstallBanner from './components/InstallBanner'
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import StatsPanel from './components/StatsPanel'
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import SettingsPanel from './components/SettingsPanel'
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import UndoToast from './components/UndoToast'
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import DecksPanel from './components/DecksPanel'
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import VocabularyBrowser from './components/VocabularyBrowser'
 import { clearOldEntries } from './utils/definitionsCache'
+import { createReviewEvent, logReview, deleteReview, getWordHistories } from './utils/reviewHistory'
 import {
   buildDeck,
-  markKnown,
-  markReview,
   migrateKnownWords,
   getEarliestNextReview,
+  clampSrsState,
+  isNewEntry,
+  isSuspended,
+  isBuried,
+  setSuspended,
+  buryCards,
+  resetCards,
 } from './utils/srsEngine'
-import { detectLocale, resolveTranslation } from './utils/translationsLoader'
+import { parseLeitnerConfig, toBoxIntervals } from './utils/leitnerConfig'
+import { importSrsState, importSettings } from './utils/backup'
+import {
+  SRS_ALGORITHMS,
+  SRS_ALGORITHM_LABELS,
+  parseSrsAlgorithm,
+  getScheduler,
+  convertSrsState,
+} from './utils/srsAlgorithm'
+import {
+  parseDailyLimits,
+  currentDailyProgress,
+  recordDailyAnswer,
+  remainingToday,
+  applyDailyLimits,
+} from './utils/dailyLimits'
+import { detectLocale, resolveTranslation, isPendingTranslation } from './utils/translationsLoader'
 import {
   FREQUENCY_BANDS,
   ALL_WORDS_LIMIT,
   filterByFrequency,
   parseFrequencyLimit,
 } from './utils/frequencyFilter'
+import { ALL_TAGS, filterByTag, collectTags, parseTagFilter, tagLabel } from './utils/tagFilter'
 import {
   CARD_MODES,
   CARD_MODE_LABELS,
@@ -29,7 +62,19 @@ import {
   prevCardMode,
   parseCardMode,
 } from './utils/cardMode'
-import { GlobeIcon, BookIcon, LayersIcon } from './components/icons'
+import { GRADE_LABELS, GRADE_EXIT_DIRECTIONS, gradeForKey } from './utils/grades'
+import { parseStudyDirection, buildCards, cardIdsOf, wordIdOf } from './utils/studyDirection'
+import { parseAnswerMode } from './utils/answerCheck'
+import { buildQuizOptions, seededRandom } from './utils/quiz'
+import { pushUndo, popUndo, restoreSrsEntry, isUndoKey } from './utils/undo'
+import { filterByDeck, getDecks, saveDeck, deleteDeck } from './utils/customDecks'
+import { countDueCards } from './utils/dueCounts'
+import { parseSpeechSettings, loadVoices, pickVoice, speak } from './utils/speech'
+import { parseDrillSettings, drillQuestion, drillCardIds, canDrill } from './utils/conjugationDrill'
+import { articleCardId, canPractiseArticle } from './utils/nounGender'
+import { clozeCardId, canCloze } from './utils/cloze'
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import { GlobeIcon, BookIcon, LayersIcon, ChartIcon, SlidersIcon, ListIcon, SearchIcon } from './components/icons'
 import './App.css'
 
 // Icon per card-back mode (FR-07 toggle)
@@ -52,6 +97,16 @@ const MANIFEST_CACHE_KEY = 'yalose-translations-manifest-cache';
 // Feature storage keys
 const FREQUENCY_FILTER_KEY = 'yalose-frequency-filter'; // FR-08
 const CARD_MODE_KEY = 'yalose-card-mode'; // FR-07
+const SRS_ALGORITHM_KEY = 'yalose-srs-algorithm';
+const DAILY_LIMITS_KEY = 'yalose-daily-limits';
+const DAILY_PROGRESS_KEY = 'yalose-daily-progress';
+const LEITNER_CONFIG_KEY = 'yalose-leitner-config';
+const STUDY_DIRECTION_KEY = 'yalose-study-direction';
+const ANSWER_MODE_KEY = 'yalose-answer-mode';
+const TAG_FILTER_KEY = 'yalose-tag-filter';
+const ACTIVE_DECK_KEY = 'yalose-active-deck';
+const SPEECH_KEY = 'yalose-speech';
+const CONJUGATION_DRILL_KEY = 'yalose-conjugation-drill';
 
 // GitHub repository configuration - uses full vocabulary.json for version checking
 const GITHUB_REPO_OWNER = 'bthos';
@@ -114,6 +169,60 @@ function loadAndMigrateSrsState() {
   return srsState;
 }
 
+/**
+ * Read a JSON value from localStorage; null when missing or corrupt.
+ */
+function readStoredJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cards to study: the words in the frequency band (FR-08) carrying the tag —
+ * or, while a custom deck is active, the deck's words instead — as
+ * recognition and/or production cards for the study direction, or as drill
+ * cards for their verbs in the tenses of `drill`.
+ */
+function studyCards(vocab, limit, tag, direction, deck = null, drill) {
+  const words = deck ? filterByDeck(vocab, deck) : filterByTag(filterByFrequency(vocab, limit), tag);
+  return buildCards(words, direction, drill);
+}
+
+/**
+ * Stored active deck id; null (the frequency band) when missing or invalid.
+ */
+function parseActiveDeckId(raw) {
+  const id = Number(raw);
+  return raw !== null && Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Words due now in a band, trimmed to today's new-word / review allowance.
+ * Returns the untrimmed due count too, so callers can tell "nothing due"
+ * apart from "daily limit reached".
+ */
+function buildDailyDeck(vocab, srsState, progress, limits, boxIntervals, now) {
+  const due = buildDeck(vocab, srsState, now, boxIntervals);
+  return {
+    deck: applyDailyLimits(due, srsState, progress, limits, now),
+    dueCount: due.length,
+  };
+}
+
+/**
+ * A random card for casual practice when nothing is due, skipping suspended
+ * and buried cards unless there is nothing else.
+ */
+function randomCasualCard(cards, srsState, now) {
+  const active = cards.filter((card) =>
+    !isSuspended(srsState[card.id]) && !isBuried(srsState[card.id], now));
+  const pool = active.length > 0 ? active : cards;
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
 /**
  * Format milliseconds remaining as a human-readable countdown string.
  * e.g. "2 h 14 min" or "3 days"
@@ -150,21 +259,99 @@ function App() {
   const [translationMap, setTranslationMap] = useState(null);
 
   // Stable refs so the keyboard effect (registered once) always calls the latest handlers.
-  const handleKnownRef = useRef(null);
-  const handleReviewRef = useRef(null);
+  const handleGradeRef = useRef(null);
+  const handleUndoRef = useRef(null);
   const currentWordRef = useRef(null);
+  // True while a dialog is open — card shortcuts are off behind it.
+  const dialogOpenRef = useRef(false);
+  // When the current card was shown — for the response time in review history.
+  const cardShownAtRef = useRef(null);
+
+  // Leitner box count and intervals, persisted as days per box.
+  const [leitnerConfig, setLeitnerConfig] = useState(() =>
+    parseLeitnerConfig(readStoredJson(LEITNER_CONFIG_KEY))
+  );
+  // The same intervals in ms, as taken by the engines (index = box).
+  const boxIntervals = useMemo(() => toBoxIntervals(leitnerConfig), [leitnerConfig]);
+
+  // SRS state: { [wordId]: { box, nextReview, ...scheduler fields } }
+  // Clamped on load so no entry sits above the configured top box.
+  const [srsState, setSrsState] = useState(() =>
+    clampSrsState(loadAndMigrateSrsState(), Date.now(), toBoxIntervals(leitnerConfig))
+  );
 
-  // SRS state: { [wordId]: { box, nextReview } }
-  const [srsState, setSrsState] = useState(() => loadAndMigrateSrsState());
+  // Scheduling algorithm (Leitner / SM-2), persisted.
+  const [srsAlgorithm, setSrsAlgorithm] = useState(() =>
+    parseSrsAlgorithm(localStorage.getItem(SRS_ALGORITHM_KEY))
+  );
+
+  // Daily new-word limit and review cap, persisted.
+  const [dailyLimits, setDailyLimits] = useState(() =>
+    parseDailyLimits(readStoredJson(DAILY_LIMITS_KEY))
+  );
+  // Words answered today: { date, newWords, reviewedWords }, persisted.
+  const [dailyProgress, setDailyProgress] = useState(() =>
+    currentDailyProgress(readStoredJson(DAILY_PROGRESS_KEY))
+  );
 
   // FR-08 — difficulty filter: integer frequency-band limit, persisted.
   const [frequencyLimit, setFrequencyLimit] = useState(() =>
     parseFrequencyLimit(localStorage.getItem(FREQUENCY_FILTER_KEY))
   );
-  // Ref so the deferred deck rebuild inside handleKnown's timeout reads the
+  // Ref so the deferred deck rebuild inside handleGrade's timeout reads the
   // latest limit without re-registering the handler.
   const frequencyLimitRef = useRef(frequencyLimit);
 
+  // Part-of-speech filter, combined with the band and persisted. Checked
+  // against the vocabulary's tags once it has loaded.
+  const [tagFilter, setTagFilter] = useState(() =>
+    parseTagFilter(localStorage.getItem(TAG_FILTER_KEY))
+  );
+  const tagFilterRef = useRef(tagFilter);
+
+  // Custom decks (IndexedDB) and the one being studied, if any — persisted by
+  // id. While a deck is active it replaces the band and tag filters.
+  const [customDecks, setCustomDecks] = useState([]);
+  const [decksLoaded, setDecksLoaded] = useState(false);
+  const [activeDeckId, setActiveDeckId] = useState(() =>
+    parseActiveDeckId(localStorage.getItem(ACTIVE_DECK_KEY))
+  );
+  const activeDeck = useMemo(
+    () => customDecks.find((d) => d.id === activeDeckId) ?? null,
+    [customDecks, activeDeckId]
+  );
+  const activeDeckRef = useRef(activeDeck);
+
+  // Study direction — which way round cards are shown, persisted.
+  const [studyDirection, setStudyDirection] = useState(() =>
+    parseStudyDirection(localStorage.getItem(STUDY_DIRECTION_KEY))
+  );
+  // Like frequencyLimitRef: a direction change applies from the next card.
+  const studyDirectionRef = useRef(studyDirection);
+
+  // Conjugation drill tenses and persons, persisted. Like the direction, a
+  // change applies from the next card.
+  const [drillSettings, setDrillSettings] = useState(() =>
+    parseDrillSettings(readStoredJson(CONJUGATION_DRILL_KEY))
+  );
+  const drillSettingsRef = useRef(drillSettings);
+
+  // Flip the card, or type the answer first — persisted.
+  const [answerMode, setAnswerMode] = useState(() =>
+    parseAnswerMode(localStorage.getItem(ANSWER_MODE_KEY))
+  );
+
+  // Pronunciation accent and auto-play, persisted; voices come from the browser.
+  const [speechSettings, setSpeechSettings] = useState(() =>
+    parseSpeechSettings(readStoredJson(SPEECH_KEY))
+  );
+  const [voices, setVoices] = useState([]);
+  // null when no Spanish voice is installed — the speak button is then hidden.
+  const speechVoice = useMemo(
+    () => pickVoice(voices, speechSettings.accent),
+    [voices, speechSettings.accent]
+  );
+
   // FR-07 — card-back content mode, persisted.
   const [cardMode, setCardMode] = useState(() =>
     parseCardMode(localStorage.getItem(CARD_MODE_KEY))
@@ -177,36 +364,82 @@ function App() {
   // True when deck was empty at last build — triggers empty-state UI
   const [isDeckEmpty, setIsDeckEmpty] = useState(false);
 
+  // Due words held back by the daily limits at last build
+  const [heldBackCount, setHeldBackCount] = useState(0);
+
   // Total vocabulary size for the "X due / Y total" counter (AC9)
   const [totalWordCount, setTotalWordCount] = useState(0);
 
   // Earliest upcoming nextReview ms (for empty-state countdown, AC5)
   const [earliestReview, setEarliestReview] = useState(null);
 
-  // FR-08 — vocabulary restricted to the active frequency band.
-  const filteredVocab = useMemo(
-    () => (fullVocab ? filterByFrequency(fullVocab, frequencyLimit) : null),
-    [fullVocab, frequencyLimit]
+  // Statistics dashboard visibility
+  const [showStats, setShowStats] = useState(false);
+  const closeStats = useCallback(() => setShowStats(false), []);
+
+  // Settings dialog visibility
+  const [showSettings, setShowSettings] = useState(false);
+  const closeSettings = useCallback(() => setShowSettings(false), []);
+
+  // Vocabulary browser visibility
+  const [showBrowser, setShowBrowser] = useState(false);
+  const closeBrowser = useCallback(() => setShowBrowser(false), []);
+
+  // Custom decks dialog visibility
+  const [showDecks, setShowDecks] = useState(false);
+  const closeDecks = useCallback(() => setShowDecks(false), []);
+
+  // Undo: snapshots of the latest answers (oldest first, see utils/undo.js)
+  // and the toast announcing the newest one.
+  const [undoStack, setUndoStack] = useState([]);
+  const [undoToast, setUndoToast] = useState(null);
+  const dismissUndoToast = useCallback(() => setUndoToast(null), []);
+
+  // FR-08 — cards for the active frequency band and tag (or custom deck) and
+  // study direction.
+  const bandCards = useMemo(
+    () => (fullVocab
+      ? studyCards(fullVocab, frequencyLimit, tagFilter, studyDirection, activeDeck, drillSettings)
+      : null),
+    [fullVocab, frequencyLimit, tagFilter, studyDirection, activeDeck, drillSettings]
   );
 
-  // FR-08 — due-word count per band, for the filter option labels (AC4).
-  const dueByBand = useMemo(() => {
-    if (!fullVocab) return {};
-    const now = Date.now();
-    return FREQUENCY_BANDS.reduce((acc, band) => {
-      acc[band] = buildDeck(filterByFrequency(fullVocab, band), srsState, now).length;
-      return acc;
-    }, {});
-  }, [fullVocab, srsState]);
+  // Tags used in the vocabulary, most common first, for the tag filter.
+  const availableTags = useMemo(() => collectTags(fullVocab), [fullVocab]);
+
+  // Cards of the whole vocabulary for the study direction, for the counts below.
+  const allCards = useMemo(
+    () => (fullVocab ? buildCards(fullVocab, studyDirection, drillSettings) : null),
+    [fullVocab, studyDirection, drillSettings]
+  );
+
+  // FR-08 — due-word count per band, tag and custom deck, for the picker
+  // option labels (AC4): what today's limits would actually let through, the
+  // band within the tag and the tag within the band. One pass over the due
+  // cards (utils/dueCounts.js), as it runs after every answer.
+  const { byBand: dueByBand, byTag: dueByTag, byDeck: dueByDeck } = useMemo(() => {
+    if (!allCards) return { byBand: {}, byTag: {}, byDeck: {} };
+    return countDueCards(allCards, srsState, dailyProgress, dailyLimits, Date.now(), {
+      bands: FREQUENCY_BANDS,
+      band: frequencyLimit,
+      tags: [ALL_TAGS, ...availableTags],
+      tag: tagFilter,
+      decks: customDecks,
+    });
+  }, [
+    allCards, srsState, dailyProgress, dailyLimits, frequencyLimit, availableTags, tagFilter,
+    customDecks,
+  ]);
 
   // Rebuild deck from fullVocab + srsState whenever either changes
-  const rebuildDeck = useCallback((vocab, state) => {
+  const rebuildDeck = useCallback((vocab, state, progress, limits, intervals) => {
     if (!vocab) return;
     const now = Date.now();
-    const due = buildDeck(vocab, state, now);
+    const { deck: due, dueCount } = buildDailyDeck(vocab, state, progress, limits, intervals, now);
     const earliest = getEarliestNextReview(vocab, state, now);
 
     setEarliestReview(earliest);
+    setHeldBackCount(dueCount - due.length);
 
     if (due.length > 0) {
       setIsDeckEmpty(false);
@@ -215,7 +448,7 @@ function App() {
     } else {
       // Empty deck: pick a random word for casual practice (OQ2 / AC5)
       setIsDeckEmpty(true);
-      const randomWord = vocab[Math.floor(Math.random() * vocab.length)];
+      const randomWord = randomCasualCard(vocab, state, now);
       setDeck([randomWord]);
       setCurrentIndex(0);
     }
@@ -227,8 +460,22 @@ function App() {
       const words = data.words;
       setFullVocab(words);
       setTotalWordCount(words.length);
-      // Build the first deck from the active frequency band (FR-08).
-      rebuildDeck(filterByFrequency(words, frequencyLimitRef.current), srsState);
+      // A stored tag the vocabulary no longer has falls back to all tags.
+      const tag = parseTagFilter(tagFilterRef.current, collectTags(words));
+      tagFilterRef.current = tag;
+      setTagFilter(tag);
+      // Build the first deck from the active frequency band (FR-08) and tag,
+      // or custom deck.
+      rebuildDeck(
+        studyCards(
+          words, frequencyLimitRef.current, tag, studyDirectionRef.current, activeDeckRef.current,
+          drillSettingsRef.current
+        ),
+        srsState,
+        dailyProgress,
+        dailyLimits,
+        boxIntervals
+      );
       setLoading(false);
     };
 
@@ -302,7 +549,31 @@ function App() {
     // Try GitHub first, fall back to local
     fetchFromGitHub();
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []); // run once on mount — srsState is read from localStorage directly
+  }, []); // run once on mount — srsState and daily limits are read from localStorage directly
+
+  // Load the custom decks from IndexedDB (empty when unavailable).
+  useEffect(() => {
+    getDecks().then((decks) => {
+      setCustomDecks(decks);
+      setDecksLoaded(true);
+    });
+  }, []);
+
+  // Installed speech voices; some browsers only list them after a moment.
+  useEffect(() => {
+    loadVoices().then(setVoices);
+  }, []);
+
+  // The first deck is built from the band while the custom decks are still
+  // loading; once both they and the vocabulary are in, switch to the stored
+  // deck. A deck that no longer exists falls back to the band.
+  const restoredDeckRef = useRef(false);
+  useEffect(() => {
+    if (!decksLoaded || !fullVocab || restoredDeckRef.current) return;
+    restoredDeckRef.current = true;
+    if (activeDeckId !== null) handleStudyDeck(activeDeckId);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [decksLoaded, fullVocab]); // once — later changes go through handleStudyDeck
 
   // AC8 — fetch translations manifest on startup; auto-detect locale
   useEffect(() => {
@@ -428,7 +699,8 @@ function App() {
     }
   }, [activeLocale, translationsManifest, loadTranslationFile]);
 
-  const handleKnown = (wordId) => {
+  // Answer a card with one of the four grades (see grades.js).
+  const handleGrade = (wordId, grade) => {
     // Prevent multiple clicks during animation
     if (exitDirection) return;
 
@@ -436,22 +708,77 @@ function App() {
     setHasTransitioned(true);
 
     // Set exit direction for animation
-    setExitDirection('right');
+    setExitDirection(GRADE_EXIT_DIRECTIONS[grade] ?? 'right');
+
+    const responseTimeMs = cardShownAtRef.current ? Date.now() - cardShownAtRef.current : null;
 
     setTimeout(() => {
       const now = Date.now();
-      const newState = markKnown(srsState, wordId, now);
+      // A placeholder entry (a never-studied card that was suspended or
+      // buried) is graded as the new card it is.
+      const wasNew = isNewEntry(srsState[wordId]);
+      const gradedFrom = wasNew ? resetCards(srsState, [wordId]) : srsState;
+      const newState = getScheduler(srsAlgorithm).applyGrade(gradedFrom, wordId, grade, now, boxIntervals);
       setSrsState(newState);
       localStorage.setItem(SRS_STATE_KEY, JSON.stringify(newState));
 
-      // Rebuild deck — remove word from session deck (advance index).
-      // FR-08 AC2: the new band (if the filter changed mid-card) takes effect
-      // here, on the next card — read the latest limit via the ref.
-      if (fullVocab) {
-        const bandVocab = filterByFrequency(fullVocab, frequencyLimitRef.current);
-        const due = buildDeck(bandVocab, newState, now);
+      // Count the answer against today's limits (once per word per day)
+      const newProgress = recordDailyAnswer(dailyProgress, wordId, wasNew, now);
+      setDailyProgress(newProgress);
+      localStorage.setItem(DAILY_PROGRESS_KEY, JSON.stringify(newProgress));
+
+      // Append to the IndexedDB review history (fire-and-forget); the id is
+      // kept so an undo can remove the event again.
+      const historyId = logReview(createReviewEvent({
+        wordId,
+        grade,
+        previousEntry: srsState[wordId],
+        newEntry: newState[wordId],
+        responseTimeMs,
+        cardMode,
+        now,
+      }));
+      cardShownAtRef.current = now;
+
+      // Everything this answer changes, so it can be undone
+      setUndoStack(prev => pushUndo(prev, {
+        wordId,
+        previousEntry: srsState[wordId],
+        previousProgress: dailyProgress,
+        deck,
+        currentIndex,
+        isDeckEmpty,
+        heldBackCount,
+        earliestReview,
+        historyId,
+      }));
+      const answered = deck.find(w => w.id === wordId);
+      setUndoToast({
+        id: now,
+        message: `“${answered?.word ?? wordId}” → ${GRADE_LABELS[grade] ?? grade}`,
+      });
+
+      if (new Date(newState[wordId].nextReview).getTime() <= now) {
+        // Still due ("again", or "hard" in box 1) — word stays in session
+        // deck, cycle to next card
+        if (deck.length > 1) {
+          setCurrentIndex((currentIndex + 1) % deck.length);
+        }
+        // If single-word deck (casual mode), stay on same card
+      } else if (fullVocab) {
+        // Rebuild deck — remove word from session deck (advance index).
+        // FR-08 AC2: the new band or direction (if changed mid-card) takes
+        // effect here, on the next card — read the latest values via the refs.
+        const bandVocab = studyCards(
+          fullVocab, frequencyLimitRef.current, tagFilterRef.current, studyDirectionRef.current,
+          activeDeckRef.current, drillSettingsRef.current
+        );
+        const { deck: due, dueCount } = buildDailyDeck(
+          bandVocab, newState, newProgress, dailyLimits, boxIntervals, now
+        );
         const earliest = getEarliestNextReview(bandVocab, newState, now);
         setEarliestReview(earliest);
+        setHeldBackCount(dueCount - due.length);
 
         if (due.length > 0) {
           setIsDeckEmpty(false);
@@ -463,13 +790,13 @@ function App() {
           } else {
             // All due words answered — flip to empty state
             setIsDeckEmpty(true);
-            const randomWord = bandVocab[Math.floor(Math.random() * bandVocab.length)];
+            const randomWord = randomCasualCard(bandVocab, newState, now);
             setDeck([randomWord]);
             setCurrentIndex(0);
           }
         } else {
           setIsDeckEmpty(true);
-          const randomWord = bandVocab[Math.floor(Math.random() * bandVocab.length)];
+          const randomWord = randomCasualCard(bandVocab, newState, now);
           setDeck([randomWord]);
           setCurrentIndex(0);
         }
@@ -479,30 +806,105 @@ function App() {
     }, SLIDE_ANIMATION_DURATION);
   };
 
-  const handleReview = (wordId) => {
-    // Prevent multiple clicks during animation
-    if (exitDirection) return;
+  // Translation of a word in the active language, for the vocabulary browser.
+  const translationOf = useCallback(
+    (word) => resolveTranslation(word, translationMap),
+    [translationMap]
+  );
 
-    // Mark that a transition has occurred
-    setHasTransitioned(true);
+  // Persist a per-word SRS change made outside an answer (browser and card
+  // actions). The cards of a word being suspended or buried (`removedWordId`)
+  // leave the session deck straight away. When the deck is empty the change
+  // may bring cards due, so it is rebuilt; otherwise changes apply from the
+  // next card, like the band filter.
+  const commitWordState = (state, removedWordId = null) => {
+    setSrsState(state);
+    localStorage.setItem(SRS_STATE_KEY, JSON.stringify(state));
+    const remaining = removedWordId === null
+      ? deck
+      : deck.filter((card) => wordIdOf(card) !== removedWordId);
+    if (isDeckEmpty || remaining.length === 0) {
+      rebuildDeck(bandCards, state, currentDailyProgress(dailyProgress), dailyLimits, boxIntervals);
+    } else if (remaining.length < deck.length) {
+      setDeck(remaining);
+      setCurrentIndex(prev => (prev >= remaining.length ? 0 : prev));
+    }
+  };
 
-    // Set exit direction for animation
-    setExitDirection('left');
+  // Every card of a word: both directions, every drill tense of a verb, the
+  // article card of a noun and the cloze card.
+  const wordCardIds = (wordId) => {
+    const word = fullVocab?.find((w) => w.id === wordId);
+    return [
+      ...cardIdsOf(wordId, 'both'),
+      ...(word && canDrill(word) ? drillCardIds(wordId) : []),
+      ...(word && canPractiseArticle(word) ? [articleCardId(wordId)] : []),
+      ...(word && canCloze(word) ? [clozeCardId(wordId)] : []),
+    ];
+  };
 
-    setTimeout(() => {
-      const now = Date.now();
-      const newState = markReview(srsState, wordId, now);
-      setSrsState(newState);
-      localStorage.setItem(SRS_STATE_KEY, JSON.stringify(newState));
+  // Suspend or unsuspend a word — all of its cards.
+  const handleSuspendWord = (wordId, suspended) => {
+    const state = setSuspended(srsState, wordCardIds(wordId), suspended, Date.now());
+    commitWordState(state, suspended ? wordId : null);
+  };
 
-      // Word stays in session deck — cycle to next card
-      if (deck.length > 1) {
-        setCurrentIndex((currentIndex + 1) % deck.length);
-      }
-      // If single-word deck (casual mode), stay on same card
+  // Bury a word — all of its cards — until tomorrow.
+  const handleBuryWord = (wordId) => {
+    commitWordState(buryCards(srsState, wordCardIds(wordId), Date.now()), wordId);
+  };
 
-      setExitDirection(null);
-    }, SLIDE_ANIMATION_DURATION);
+  // Forget a word's progress in every direction; it comes back as new.
+  const handleResetWord = (wordId) => {
+    commitWordState(resetCards(srsState, wordCardIds(wordId)));
+  };
+
+  // Show a word from the browser as the current card, whatever the band or
+  // its due date. Answering it schedules it as usual. In the conjugation
+  // drill or gender practice a word without such a card is shown as its
+  // recognition card.
+  const handleStudyWord = (wordId) => {
+    const word = fullVocab?.find((w) => w.id === wordId);
+    if (!word) return;
+    const card = buildCards([word], studyDirection, drillSettings)[0] ?? word;
+    const rest = isDeckEmpty ? [] : deck.filter((c) => c.id !== card.id);
+    setDeck([card, ...rest]);
+    setCurrentIndex(0);
+    setIsDeckEmpty(false);
+    setShowBrowser(false);
+  };
+
+  // Undo the latest answer: restore the word's SRS entry, today's progress
+  // and the session deck/position, and drop the answer from the history.
+  const handleUndo = () => {
+    if (exitDirection) return;
+    const { snapshot, stack } = popUndo(undoStack);
+    if (!snapshot) return;
+
+    const restored = restoreSrsEntry(srsState, snapshot.wordId, snapshot.previousEntry);
+    setSrsState(restored);
+    localStorage.setItem(SRS_STATE_KEY, JSON.stringify(restored));
+    setDailyProgress(snapshot.previousProgress);
+    localStorage.setItem(DAILY_PROGRESS_KEY, JSON.stringify(snapshot.previousProgress));
+
+    setDeck(snapshot.deck);
+    setCurrentIndex(snapshot.currentIndex);
+    setIsDeckEmpty(snapshot.isDeckEmpty);
+    setHeldBackCount(snapshot.heldBackCount);
+    setEarliestReview(snapshot.earliestReview);
+
+    snapshot.historyId.then((id) => {
+      if (id !== undefined) deleteReview(id);
+    });
+    setUndoStack(stack);
+    setUndoToast(null);
+  };
+
+  // Snapshots refer to the SRS state they were taken from; once the whole
+  // state is replaced or converted they can no longer be restored safely.
+  const clearUndo = () => {
+    setUndoStack([]);
+    setUndoToast(null);
   };
 
   const handleReset = () => {
@@ -510,10 +912,23 @@ function App() {
     if (!window.confirm('Reset all spaced-repetition progress? This cannot be undone.')) return;
 
     localStorage.removeItem(SRS_STATE_KEY);
+    localStorage.removeItem(DAILY_PROGRESS_KEY);
     const empty = {};
+    const freshProgress = currentDailyProgress(null);
     setSrsState(empty);
+    setDailyProgress(freshProgress);
+    clearUndo();
     if (fullVocab) {
-      rebuildDeck(filterByFrequency(fullVocab, frequencyLimitRef.current), empty);
+      rebuildDeck(
+        studyCards(
+          fullVocab, frequencyLimitRef.current, tagFilterRef.current, studyDirectionRef.current,
+          activeDeckRef.current, drillSettingsRef.current
+        ),
+        empty,
+        freshProgress,
+        dailyLimits,
+        boxIntervals
+      );
     }
     setCurrentIndex(0);
   };
@@ -527,6 +942,232 @@ function App() {
     localStorage.setItem(FREQUENCY_FILTER_KEY, String(limit));
   };
 
+  // Change the tag filter. Like the band, it applies on the next card.
+  const handleTagFilterChange = (e) => {
+    const tag = parseTagFilter(e.target.value, availableTags);
+    setTagFilter(tag);
+    localStorage.setItem(TAG_FILTER_KEY, tag);
+  };
+
+  // Study a custom deck, or go back to the band with null. Unlike the band
+  // filter this rebuilds straight away: picking a deck means "study this now".
+  // Undo snapshots hold the previous session deck, so they are dropped.
+  const handleStudyDeck = (id) => {
+    const selected = customDecks.find((d) => d.id === id) ?? null;
+    setActiveDeckId(selected ? selected.id : null);
+    if (selected) {
+      localStorage.setItem(ACTIVE_DECK_KEY, String(selected.id));
+    } else {
+      localStorage.removeItem(ACTIVE_DECK_KEY);
+    }
+    clearUndo();
+    if (fullVocab) {
+      rebuildDeck(
+        studyCards(fullVocab, frequencyLimit, tagFilter, studyDirection, selected, drillSettings),
+        srsState,
+        currentDailyProgress(dailyProgress),
+        dailyLimits,
+        boxIntervals
+      );
+      setCurrentIndex(0);
+    }
+  };
+
+  const handleDeckSelectChange = (e) => {
+    handleStudyDeck(e.target.value === '' ? null : Number(e.target.value));
+  };
+
+  // Store a new or edited deck. Edits to the active deck apply from the next
+  // card, like the band filter. Resolves false when IndexedDB is unavailable.
+  const handleSaveDeck = async (deckToSave) => {
+    const id = await saveDeck(deckToSave);
+    if (id === undefined) return false;
+    const saved = { ...deckToSave, id };
+    setCustomDecks((prev) => (prev.some((d) => d.id === id)
+      ? prev.map((d) => (d.id === id ? saved : d))
+      : [...prev, saved]));
+    return true;
+  };
+
+  // Delete a deck; studying it falls back to the band. SRS progress is kept.
+  const handleDeleteDeck = (id) => {
+    deleteDeck(id);
+    setCustomDecks((prev) => prev.filter((d) => d.id !== id));
+    if (id === activeDeckId) handleStudyDeck(null);
+  };
+
+  // Change the study direction. Like the band filter it applies from the next
+  // card — unless the deck is empty, where the new direction may have cards due.
+  const handleStudyDirectionChange = (direction) => {
+    setStudyDirection(direction);
+    localStorage.setItem(STUDY_DIRECTION_KEY, direction);
+    if (isDeckEmpty && fullVocab) {
+      rebuildDeck(
+        studyCards(fullVocab, frequencyLimit, tagFilter, direction, activeDeck, drillSettings),
+        srsState,
+        currentDailyProgress(dailyProgress),
+        dailyLimits,
+        boxIntervals
+      );
+    }
+  };
+
+  // Change the drilled tenses and persons. Like the direction it applies from
+  // the next card — unless the deck is empty.
+  const handleDrillSettingsChange = (settings) => {
+    setDrillSettings(settings);
+    localStorage.setItem(CONJUGATION_DRILL_KEY, JSON.stringify(settings));
+    if (isDeckEmpty && fullVocab) {
+      rebuildDeck(
+        studyCards(fullVocab, frequencyLimit, tagFilter, studyDirection, activeDeck, settings),
+        srsState,
+        currentDailyProgress(dailyProgress),
+        dailyLimits,
+        boxIntervals
+      );
+    }
+  };
+
+  // Switch between flipping and typing answers; applies to the current card too.
+  const handleAnswerModeChange = (mode) => {
+    setAnswerMode(mode);
+    localStorage.setItem(ANSWER_MODE_KEY, mode);
+  };
+
+  const handleSpeechChange = (settings) => {
+    setSpeechSettings(settings);
+    localStorage.setItem(SPEECH_KEY, JSON.stringify(settings));
+  };
+
+  const handleSpeak = useCallback(
+    (text) => speak(text, { voice: speechVoice, accent: speechSettings.accent }),
+    [speechVoice, speechSettings.accent]
+  );
+
+  // Switch scheduling algorithm. Existing entries are converted to the new
+  // algorithm's shape with their due dates kept, so the deck does not change
+  // — except under FSRS, which replays each card's review history where it
+  // has one (see convertSrsState).
+  const handleSrsAlgorithmChange = async (e) => {
+    const algorithm = parseSrsAlgorithm(e.target.value);
+    const histories = algorithm === 'fsrs' ? await getWordHistories(Object.keys(srsState)) : {};
+    const converted = convertSrsState(srsState, algorithm, boxIntervals, histories);
+    setSrsAlgorithm(algorithm);
+    setSrsState(converted);
+    clearUndo();
+    localStorage.setItem(SRS_ALGORITHM_KEY, algorithm);
+    localStorage.setItem(SRS_STATE_KEY, JSON.stringify(converted));
+  };
+
+  // Change the daily limits. Like the band filter, new limits apply from the
+  // next card — unless the deck is empty, where raising a limit should bring
+  // held-back words in straight away.
+  const handleDailyLimitsChange = (limits) => {
+    setDailyLimits(limits);
+    localStorage.setItem(DAILY_LIMITS_KEY, JSON.stringify(limits));
+    if (isDeckEmpty && fullVocab) {
+      rebuildDeck(
+        studyCards(fullVocab, frequencyLimit, tagFilter, studyDirection, activeDeck, drillSettings),
+        srsState,
+        currentDailyProgress(dailyProgress),
+        limits,
+        boxIntervals
+      );
+    }
+  };
+
+  // Change the Leitner box count / intervals. Words above a removed box move
+  // down to the new top box; new intervals apply from each word's next answer.
+  const handleLeitnerConfigChange = (config) => {
+    setLeitnerConfig(config);
+    localStorage.setItem(LEITNER_CONFIG_KEY, JSON.stringify(config));
+    const clamped = clampSrsState(srsState, Date.now(), toBoxIntervals(config));
+    if (clamped !== srsState) {
+      setSrsState(clamped);
+      localStorage.setItem(SRS_STATE_KEY, JSON.stringify(clamped));
+      clearUndo();
+    }
+  };
+
+  // Everything a backup file carries (see utils/backup.js).
+  const backupSource = useMemo(() => ({
+    srsState,
+    settings: {
+      locale: activeLocale || 'en',
+      cardMode,
+      studyDirection,
+      answerMode,
+      frequencyLimit,
+      tagFilter,
+      srsAlgorithm,
+      dailyLimits,
+      leitnerConfig,
+      speech: speechSettings,
+      conjugationDrill: drillSettings,
+    },
+  }), [
+    srsState, activeLocale, cardMode, studyDirection, answerMode, frequencyLimit, tagFilter,
+    srsAlgorithm, dailyLimits, leitnerConfig, speechSettings, drillSettings,
+  ]);
+
+  // Import a validated backup. "replace" restores the backup's settings too;
+  // "merge" keeps the current ones. Imported entries are converted to the
+  // resulting algorithm and box configuration, then the deck is rebuilt.
+  const handleImportBackup = (backup, mode) => {
+    const now = Date.now();
+    const settings = importSettings(backupSource.settings, backup, mode);
+    const algorithm = parseSrsAlgorithm(settings.srsAlgorithm);
+    const config = parseLeitnerConfig(settings.leitnerConfig);
+    const limits = parseDailyLimits(settings.dailyLimits);
+    const limit = parseFrequencyLimit(settings.frequencyLimit);
+    const tag = parseTagFilter(settings.tagFilter, availableTags);
+    const direction = parseStudyDirection(settings.studyDirection);
+    const drill = parseDrillSettings(settings.conjugationDrill);
+    const intervals = toBoxIntervals(config);
+    const imported = clampSrsState(
+      convertSrsState(importSrsState(srsState, backup, mode), algorithm, intervals),
+      now,
+      intervals
+    );
+
+    setSrsState(imported);
+    localStorage.setItem(SRS_STATE_KEY, JSON.stringify(imported));
+    clearUndo();
+    setSrsAlgorithm(algorithm);
+    localStorage.setItem(SRS_ALGORITHM_KEY, algorithm);
+    setLeitnerConfig(config);
+    localStorage.setItem(LEITNER_CONFIG_KEY, JSON.stringify(config));
+    setDailyLimits(limits);
+    localStorage.setItem(DAILY_LIMITS_KEY, JSON.stringify(limits));
+    setFrequencyLimit(limit);
+    localStorage.setItem(FREQUENCY_FILTER_KEY, String(limit));
+    setTagFilter(tag);
+    localStorage.setItem(TAG_FILTER_KEY, tag);
+    setStudyDirection(direction);
+    localStorage.setItem(STUDY_DIRECTION_KEY, direction);
+    setDrillSettings(drill);
+    localStorage.setItem(CONJUGATION_DRILL_KEY, JSON.stringify(drill));
+    handleAnswerModeChange(parseAnswerMode(settings.answerMode));
+    handleSpeechChange(parseSpeechSettings(settings.speech));
+    selectCardMode(parseCardMode(settings.cardMode));
+
+    // Only switch to a locale this build can load translations for
+    const { locale } = settings;
+    if (locale && (locale === 'en' || translationsManifest?.locales?.[locale])) {
+      handleLocaleChange(locale);
+    }
+
+    if (fullVocab) {
+      rebuildDeck(
+        studyCards(fullVocab, limit, tag, direction, activeDeck, drill),
+        imported,
+        currentDailyProgress(dailyProgress),
+        limits,
+        intervals
+      );
+    }
+  };
+
   // FR-07 — select a card-back mode. Takes effect immediately on the current
   // card (AC7); the back face re-renders in place via the FlashCard prop.
   const selectCardMode = (mode) => {
@@ -546,22 +1187,81 @@ function App() {
   };
 
   // Sync refs every render so the keyboard effect always sees the latest values.
-  handleKnownRef.current = handleKnown;
-  handleReviewRef.current = handleReview;
+  handleGradeRef.current = handleGrade;
+  handleUndoRef.current = handleUndo;
   currentWordRef.current = deck[currentIndex] || deck[0];
+  dialogOpenRef.current = showStats || showSettings || showDecks || showBrowser;
   frequencyLimitRef.current = frequencyLimit;
-
-  // AC7: keyboard arrow navigation alongside swipe.
+  studyDirectionRef.current = studyDirection;
+  drillSettingsRef.current = drillSettings;
+  tagFilterRef.current = tagFilter;
+  activeDeckRef.current = activeDeck;
+
+  // AC7: keyboard arrow navigation alongside swipe; 1–4 answer with a grade;
+  // Ctrl+Z / ⌘Z / U undoes the last answer. Ignored while typing in a form
+  // field or with a dialog open.
   // Registered once; always reads the latest handler/word via refs.
   useEffect(() => {
     const onKeyDown = (e) => {
-      if (e.key === 'ArrowRight') handleKnownRef.current?.(currentWordRef.current?.id);
-      else if (e.key === 'ArrowLeft') handleReviewRef.current?.(currentWordRef.current?.id);
+      if (dialogOpenRef.current || e.target.closest?.('input, textarea, select')) return;
+      if (isUndoKey(e)) {
+        e.preventDefault();
+        handleUndoRef.current?.();
+        return;
+      }
+      const grade = e.key === 'ArrowRight' ? 'good'
+        : e.key === 'ArrowLeft' ? 'again'
+        : gradeForKey(e.key);
+      if (grade) handleGradeRef.current?.(currentWordRef.current?.id, grade);
     };
     document.addEventListener('keydown', onKeyDown);
     return () => document.removeEventListener('keydown', onKeyDown);
   }, []); // refs are always current — no deps needed
 
+  // Start the response-time clock whenever a new card comes up.
+  useEffect(() => {
+    cardShownAtRef.current = Date.now();
+  }, [deck, currentIndex]);
+
+  // Quiz mode: the current card's four options, or null to flip instead.
+  // Seeded by the card and its due date, so the options hold still while the
+  // card is shown and reshuffle once it has been answered.
+  const quizCard = deck[currentIndex] || deck[0];
+  const quizOptions = useMemo(() => {
+    if (answerMode !== 'quiz' || !quizCard || quizCard.drill || quizCard.article || quizCard.cloze || !fullVocab) {
+      return null;
+    }
+    const meaning = (word) => {
+      const translation = resolveTranslation(word, translationMap);
+      return isPendingTranslation(translation) ? null : translation;
+    };
+    const spanish = (word) => word.word;
+    return buildQuizOptions(quizCard, fullVocab, {
+      optionText: quizCard.reverse ? spanish : meaning,
+      promptText: quizCard.reverse ? meaning : spanish,
+      random: seededRandom(`${quizCard.id}:${srsState[quizCard.id]?.nextReview ?? ''}`),
+    });
+  }, [answerMode, quizCard, fullVocab, translationMap, srsState]);
+
+  // Conjugation drill: what the current drill card asks for, seeded like the
+  // quiz options so the person holds still until the card is answered.
+  const drillPrompt = useMemo(
+    () => (quizCard?.drill
+      ? drillQuestion(
+        quizCard,
+        drillSettings,
+        seededRandom(`${quizCard.id}:${srsState[quizCard.id]?.nextReview ?? ''}`)
+      )
+      : null),
+    [quizCard, drillSettings, srsState]
+  );
+
+  // Cloze cards pick their example once FlashCard has fetched it; the seed
+  // holds the sentence still until the card is answered.
+  const clozeSeed = quizCard?.cloze
+    ? `${quizCard.id}:${srsState[quizCard.id]?.nextReview ?? ''}`
+    : null;
+
   if (loading) {
     return <div className="app-container"><p className="status">Loading...</p></div>;
   }
@@ -586,6 +1286,7 @@ function App() {
 
   const currentWord = deck[currentIndex] || deck[0];
   const dueCount = isDeckEmpty ? 0 : deck.length;
+  const { newLeft, reviewsLeft } = remainingToday(dailyProgress, dailyLimits);
 
   return (
     <div className="app-container">
@@ -602,6 +1303,26 @@ function App() {
         />
 
         <div className="header-controls">
+          {/* Custom deck picker — a deck replaces the band and tag filters */}
+          {customDecks.length > 0 && (
+            <div className="deck-filter">
+              <label htmlFor="deck-filter-select" className="deck-filter__label">Deck</label>
+              <select
+                id="deck-filter-select"
+                className="deck-filter__select"
+                value={activeDeck ? activeDeck.id : ''}
+                onChange={handleDeckSelectChange}
+              >
+                <option value="">Frequency band</option>
+                {customDecks.map((d) => (
+                  <option key={d.id} value={d.id}>
+                    {d.name} · {dueByDeck[d.id] ?? 0} due
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* FR-08 — difficulty filter (native select: keyboard-accessible, AC7) */}
           <div className="freq-filter">
             <label htmlFor="freq-filter-select" className="freq-filter__label">Showing</label>
@@ -610,6 +1331,7 @@ function App() {
               className="freq-filter__select"
               value={frequencyLimit}
               onChange={handleFrequencyChange}
+              disabled={activeDeck !== null}
             >
               {FREQUENCY_BANDS.map((band) => (
                 <option key={band} value={band}>
@@ -619,6 +1341,41 @@ function App() {
             </select>
           </div>
 
+          {/* Part-of-speech filter, combined with the band */}
+          <div className="tag-filter">
+            <label htmlFor="tag-filter-select" className="tag-filter__label">Tag</label>
+            <select
+              id="tag-filter-select"
+              className="tag-filter__select"
+              value={tagFilter}
+              onChange={handleTagFilterChange}
+              disabled={activeDeck !== null}
+            >
+              {[ALL_TAGS, ...availableTags].map((tag) => (
+                <option key={tag} value={tag}>
+                  {tagLabel(tag)} · {dueByTag[tag] ?? 0} due
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Scheduling algorithm picker */}
+          <div className="srs-algorithm">
+            <label htmlFor="srs-algorithm-select" className="srs-algorithm__label">Schedule</label>
+            <select
+              id="srs-algorithm-select"
+              className="srs-algorithm__select"
+              value={srsAlgorithm}
+              onChange={handleSrsAlgorithmChange}
+            >
+              {SRS_ALGORITHMS.map((algorithm) => (
+                <option key={algorithm} value={algorithm}>
+                  {SRS_ALGORITHM_LABELS[algorithm]}
+                </option>
+              ))}
+            </select>
+          </div>
+
           {/* FR-07 — card-back mode toggle (AC6, AC9) */}
           <div
             className="card-mode-toggle"
@@ -646,13 +1403,62 @@ function App() {
               );
             })}
           </div>
+
+          <button
+            type="button"
+            className="header-icon-button"
+            aria-label="Vocabulary"
+            title="Vocabulary"
+            onClick={() => setShowBrowser(true)}
+          >
+            <SearchIcon size={18} />
+          </button>
+
+          <button
+            type="button"
+            className="header-icon-button"
+            aria-label="Custom decks"
+            title="Custom decks"
+            onClick={() => setShowDecks(true)}
+          >
+            <ListIcon size={18} />
+          </button>
+
+          <button
+            type="button"
+            className="header-icon-button"
+            aria-label="Statistics"
+            title="Statistics"
+            onClick={() => setShowStats(true)}
+          >
+            <ChartIcon size={18} />
+          </button>
+
+          <button
+            type="button"
+            className="header-icon-button"
+            aria-label="Settings"
+            title="Settings"
+            onClick={() => setShowSettings(true)}
+          >
+            <SlidersIcon size={18} />
+          </button>
         </div>
       </header>
       <main className="app-main">
         {isDeckEmpty && (
           <div className="empty-state-banner">
-            <p className="empty-state-message">Nothing due — come back later!</p>
-            {earliestReview !== null && (
+            {heldBackCount > 0 ? (
+              <>
+                <p className="empty-state-message">Daily limit reached — see you tomorrow!</p>
+                <p className="empty-state-countdown">
+                  {heldBackCount} more word{heldBackCount !== 1 ? 's' : ''} due · raise the limits in Settings to keep going
+                </p>
+              </>
+            ) : (
+              <p className="empty-state-message">Nothing due — come back later!</p>
+            )}
+            {heldBackCount === 0 && earliestReview !== null && (
               <p className="empty-state-countdown">
                 Next review in {formatCountdown(earliestReview - Date.now())}
               </p>
@@ -666,22 +1472,103 @@ function App() {
             key={currentWord.id}
             word={currentWord}
             translation={resolveTranslation(currentWord, translationMap)}
-            onKnown={handleKnown}
-            onReview={handleReview}
+            onGrade={handleGrade}
             exitDirection={exitDirection}
             hasTransitioned={hasTransitioned}
             boxNumber={srsState[currentWord.id]?.box ?? 0}
             cardMode={cardMode}
+            answerMode={answerMode}
+            quizOptions={quizOptions}
+            drillPrompt={drillPrompt}
+            clozeSeed={clozeSeed}
+            onBury={handleBuryWord}
+            onSuspend={handleSuspendWord}
+            onSpeak={speechVoice ? handleSpeak : null}
+            autoSpeak={speechSettings.autoPlay}
           />
         )}
 
-        {/* AC9: "X due / Y total" counter — total reflects the active band (FR-08) */}
+        {/* AC9: "X due / Y total" counter — total reflects the active band (FR-08)
+            and direction: "both" counts each word twice */}
         <div className="navigation">
           <p className="word-counter">
-            {dueCount} due / {filteredVocab ? filteredVocab.length : totalWordCount} total
+            {dueCount} due / {bandCards ? bandCards.length : totalWordCount} total
+          </p>
+          <p className="daily-counter">
+            Today: {newLeft} new · {reviewsLeft} review{reviewsLeft !== 1 ? 's' : ''} left
           </p>
         </div>
 
+        {undoToast && undoStack.length > 0 && (
+          <UndoToast
+            key={undoToast.id}
+            message={undoToast.message}
+            onUndo={handleUndo}
+            onDismiss={dismissUndoToast}
+          />
+        )}
+
+        {showStats && (
+          <StatsPanel
+            vocab={bandCards}
+            srsState={srsState}
+            boxIntervals={boxIntervals}
+            bandLabel={activeDeck ? `deck “${activeDeck.name}”` : [
+              frequencyLimit >= ALL_WORDS_LIMIT ? 'all words' : `Top ${frequencyLimit}`,
+              ...(tagFilter === ALL_TAGS ? [] : [tagLabel(tagFilter).toLowerCase()]),
+            ].join(' · ')}
+            onClose={closeStats}
+          />
+        )}
+
+        {showSettings && (
+          <SettingsPanel
+            studyDirection={studyDirection}
+            onStudyDirectionChange={handleStudyDirectionChange}
+            drillSettings={drillSettings}
+            onDrillSettingsChange={handleDrillSettingsChange}
+            answerMode={answerMode}
+            onAnswerModeChange={handleAnswerModeChange}
+            speech={speechSettings}
+            onSpeechChange={handleSpeechChange}
+            speechAvailable={Boolean(speechVoice)}
+            dailyLimits={dailyLimits}
+            onDailyLimitsChange={handleDailyLimitsChange}
+            leitnerConfig={leitnerConfig}
+            onLeitnerConfigChange={handleLeitnerConfigChange}
+            backupSource={backupSource}
+            onImportBackup={handleImportBackup}
+            onClose={closeSettings}
+          />
+        )}
+
+        {showDecks && (
+          <DecksPanel
+            vocab={fullVocab ?? []}
+            decks={customDecks}
+            activeDeckId={activeDeck ? activeDeck.id : null}
+            dueByDeck={dueByDeck}
+            availableTags={availableTags}
+            onStudy={handleStudyDeck}
+            onSave={handleSaveDeck}
+            onDelete={handleDeleteDeck}
+            onClose={closeDecks}
+          />
+        )}
+
+        {showBrowser && (
+          <VocabularyBrowser
+            vocab={fullVocab ?? []}
+            srsState={srsState}
+            studyDirection={studyDirection}
+            translationOf={translationOf}
+            onSuspend={handleSuspendWord}
+            onReset={handleResetWord}
+            onStudy={handleStudyWord}
+            onClose={closeBrowser}
+          />
+        )}
+
         {/* AC8: Reset progress button */}
         <button
           className="reset-button reset-button--subtle"
@@ -0,0 +1,201 @@
+/**
+ * BackupSettings.jsx
+ *
+ * Backup section of the settings dialog: downloads the current progress and
+ * settings as a JSON file, and imports one back after showing what it will
+ * change. The file format and validation live in utils/backup.js.
+ *
+ * Props:
+ *   current  — { srsState, settings } to export / compare against
+ *   onImport — (backup, mode) => void, called once the user confirms
+ */
+
+import { useState, useRef } from 'react';
+import {
+  createBackup,
+  backupFileName,
+  parseBackup,
+  previewImport,
+} from '../utils/backup';
+import { CARD_MODE_LABELS } from '../utils/cardMode';
+import { STUDY_DIRECTION_LABELS } from '../utils/studyDirection';
+import { ANSWER_MODE_LABELS } from '../utils/answerCheck';
+import { SRS_ALGORITHM_LABELS } from '../utils/srsAlgorithm';
+import { ALL_WORDS_LIMIT } from '../utils/frequencyFilter';
+import { tagLabel } from '../utils/tagFilter';
+import { SPEECH_ACCENT_LABELS } from '../utils/speech';
+import { TENSE_LABELS } from '../utils/conjugation';
+
+const SETTING_LABELS = {
+  locale: 'Language',
+  cardMode: 'Card back',
+  studyDirection: 'Study direction',
+  answerMode: 'Answering',
+  frequencyLimit: 'Frequency band',
+  tagFilter: 'Tag',
+  srsAlgorithm: 'Schedule',
+  dailyLimits: 'Daily limits',
+  leitnerConfig: 'Leitner boxes',
+  speech: 'Pronunciation',
+  conjugationDrill: 'Conjugation drill',
+};
+
+/** Human-readable value of a backup setting for the preview. */
+function formatSetting(key, value) {
+  if (value === undefined || value === null) return 'not set';
+  switch (key) {
+    case 'cardMode': return CARD_MODE_LABELS[value] ?? value;
+    case 'studyDirection': return STUDY_DIRECTION_LABELS[value] ?? value;
+    case 'answerMode': return ANSWER_MODE_LABELS[value] ?? value;
+    case 'frequencyLimit': return value >= ALL_WORDS_LIMIT ? 'All words' : `Top ${value}`;
+    case 'tagFilter': return tagLabel(value);
+    case 'srsAlgorithm': return SRS_ALGORITHM_LABELS[value] ?? value;
+    case 'dailyLimits': return `${value.newPerDay} new · ${value.reviewsPerDay} reviews`;
+    case 'leitnerConfig': return `${value.intervals.length} boxes (${value.intervals.join(', ')} days)`;
+    case 'speech':
+      return `${SPEECH_ACCENT_LABELS[value.accent] ?? value.accent}${value.autoPlay ? ' · auto-play' : ''}`;
+    case 'conjugationDrill':
+      return `${value.tenses.map((tense) => TENSE_LABELS[tense] ?? tense).join(', ')} · ${
+        plural(value.persons.length, 'person')}`;
+    default: return String(value);
+  }
+}
+
+const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+
+export default function BackupSettings({ current, onImport }) {
+  const fileInputRef = useRef(null);
+  // { fileName, backup } once a valid file is chosen
+  const [pending, setPending] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const handleExport = () => {
+    const now = Date.now();
+    const backup = createBackup(current, now);
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = backupFileName(now);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    setMessage(`Exported ${plural(Object.keys(current.srsState).length, 'word')}.`);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    // Allow choosing the same file again after a cancel
+    e.target.value = '';
+    if (!file) return;
+
+    setMessage(null);
+    const { backup, errors: parseErrors } = parseBackup(await file.text());
+    setErrors(parseErrors);
+    setPending(backup ? { fileName: file.name, backup } : null);
+  };
+
+  const handleConfirm = () => {
+    onImport(pending.backup, mode);
+    const count = Object.keys(pending.backup.data.srsState).length;
+    setMessage(`Imported ${plural(count, 'word')} from ${pending.fileName}.`);
+    setPending(null);
+  };
+
+  const preview = pending ? previewImport(current, pending.backup, mode) : null;
+
+  return (
+    <div className="settings-backup">
+      <div className="settings-actions">
+        <button type="button" className="settings-button" onClick={handleExport}>
+          Export backup
+        </button>
+        <button
+          type="button"
+          className="settings-button settings-button--subtle"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          Import backup…
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFileChange}
+          hidden
+        />
+      </div>
+
+      {message && <p className="settings-field__hint" role="status">{message}</p>}
+
+      {errors.length > 0 && (
+        <ul className="settings-errors" role="alert">
+          {errors.map((error) => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      {pending && (
+        <div className="settings-backup__preview">
+          <p className="settings-backup__file-name">
+            {pending.fileName}
+            {pending.backup.exportedAt && (
+              <> · exported {new Date(pending.backup.exportedAt).toLocaleString()}</>
+            )}
+          </p>
+
+          <fieldset className="settings-backup__modes">
+            <legend className="settings-field__label">How to import</legend>
+            <label>
+              <input
+                type="radio"
+                name="backup-import-mode"
+                value="merge"
+                checked={mode === 'merge'}
+                onChange={() => setMode('merge')}
+              />
+              Merge — add the backup&apos;s words; keep the further-along entry for words in both; keep current settings
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="backup-import-mode"
+                value="replace"
+                checked={mode === 'replace'}
+                onChange={() => setMode('replace')}
+              />
+              Replace — use exactly the backup&apos;s progress and settings
+            </label>
+          </fieldset>
+
+          <ul className="settings-backup__summary">
+            <li>{plural(preview.added, 'new word')}</li>
+            <li>{plural(preview.updated, 'word')} updated</li>
+            {mode === 'replace' && <li>{plural(preview.removed, 'word')} removed</li>}
+            <li>{plural(preview.unchanged, 'word')} unchanged</li>
+            {preview.settings.map(({ key, from, to }) => (
+              <li key={key}>
+                {SETTING_LABELS[key]}: {formatSetting(key, from)} → {formatSetting(key, to)}
+              </li>
+            ))}
+          </ul>
+
+          <div className="settings-actions">
+            <button type="button" className="settings-button" onClick={handleConfirm}>
+              Import
+            </button>
+            <button
+              type="button"
+              className="settings-button settings-button--subtle"
+              onClick={() => setPending(null)}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+/**
+ * ConjugationPanel.jsx
+ *
+ * Conjugation tables for a verb card: the gerund and past participle, then
+ * the simple tenses grouped by mood. Forms come from utils/conjugation.js.
+ *
+ * Props:
+ *   conjugation — result of conjugate(word)
+ *   onClose     — () => void
+ */
+
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import Panel from './Panel';
+import { PERSONS, TENSE_LABELS } from '../utils/conjugation';
+import './ConjugationPanel.css';
+
+// Tenses per mood, in display order.
+const MOODS = [
+  { label: 'Indicative', tenses: ['present', 'preterite', 'imperfect', 'future', 'conditional'] },
+  { label: 'Subjunctive', tenses: ['presentSubjunctive', 'imperfectSubjunctive'] },
+  { label: 'Imperative', tenses: ['imperative'] },
+];
+
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+function TenseTable({ tense, forms }) {
+  return (
+    <table className="conjugation-table">
+      <caption>{TENSE_LABELS[tense]}</caption>
+      <tbody>
+        {PERSONS.map((person, index) => (
+          <tr key={person}>
+            <th scope="row">{person}</th>
+            <td lang="es">{forms[index] ?? '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function ConjugationPanel({ conjugation, onClose }) {
+  const { infinitive, gerund, pastParticiple, forms } = conjugation;
+
+  return (
+    <Panel title={infinitive} onClose={onClose} className="conjugation-panel">
+      <dl className="conjugation-nonfinite">
+        <div>
+          <dt>Gerund</dt>
+          <dd lang="es">{gerund}</dd>
+        </div>
+        <div>
+          <dt>Past participle</dt>
+          <dd lang="es">{pastParticiple}</dd>
+        </div>
+      </dl>
+      {MOODS.map(({ label, tenses }) => (
+        <section key={label} className="panel-section">
+          <h4>{label}</h4>
+          <div className="conjugation-tenses">
+            {tenses.map((tense) => (
+              <TenseTable key={tense} tense={tense} forms={forms[tense]} />
+            ))}
+          </div>
+        </section>
+      ))}
+    </Panel>
+  );
+}
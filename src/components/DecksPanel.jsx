@@ -0,0 +1,370 @@
+/**
+ * DecksPanel.jsx
+ *
+ * Custom decks dialog: lists the saved decks with their due counts, starts
+ * studying one (or goes back to the frequency band), and creates, edits and
+ * deletes decks. Words are added by search, tag and rank range, or by pasting
+ * a list of Spanish words. Deck helpers and storage live in utils/customDecks.js.
+ *
+ * Props:
+ *   vocab         — full vocabulary (words to pick from)
+ *   decks         — saved decks
+ *   activeDeckId  — id of the deck being studied, or null for the band
+ *   dueByDeck     — { [deckId]: number } cards due today per deck
+ *   availableTags — tags for the tag picker
+ *   onStudy       — (deckId | null) => void
+ *   onSave        — (deck) => Promise<boolean>, false when it could not be stored
+ *   onDelete      — (deckId) => void
+ *   onClose       — () => void
+ */
+
+import { useState, useMemo } from 'react';
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import Panel from './Panel';
+import {
+  MAX_DECK_NAME_LENGTH,
+  createDeck,
+  validateDeck,
+  searchWords,
+  resolveWordList,
+} from '../utils/customDecks';
+import { tagLabel } from '../utils/tagFilter';
+import './DecksPanel.css';
+
+// Search results listed individually; the rest can still be added at once.
+const MAX_LISTED_MATCHES = 30;
+
+const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+
+const parseRank = (text) => {
+  const value = Number(text);
+  return text.trim() !== '' && Number.isInteger(value) && value > 0 ? value : null;
+};
+
+/**
+ * Editor for a new or existing deck. Keeps a draft until saved.
+ */
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+function DeckEditor({ deck, vocab, decks, availableTags, onSave, onCancel }) {
+  const [name, setName] = useState(deck?.name ?? '');
+  const [wordIds, setWordIds] = useState(deck?.wordIds ?? []);
+  const [query, setQuery] = useState('');
+  const [tag, setTag] = useState('');
+  const [minRank, setMinRank] = useState('');
+  const [maxRank, setMaxRank] = useState('');
+  const [pasted, setPasted] = useState('');
+  const [pasteResult, setPasteResult] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const wordsById = useMemo(() => new Map(vocab.map((word) => [word.id, word])), [vocab]);
+  const selected = new Set(wordIds);
+
+  const hasCriteria = query.trim() !== '' || tag !== '' || minRank !== '' || maxRank !== '';
+  const matches = useMemo(
+    () => (hasCriteria
+      ? searchWords(vocab, { query, tag, minRank: parseRank(minRank), maxRank: parseRank(maxRank) })
+      : []),
+    [vocab, hasCriteria, query, tag, minRank, maxRank]
+  );
+
+  const addWords = (ids) => setWordIds((prev) => [...new Set([...prev, ...ids])]);
+  const removeWord = (id) => setWordIds((prev) => prev.filter((wordId) => wordId !== id));
+
+  const handleAddPasted = () => {
+    const result = resolveWordList(pasted, vocab);
+    addWords(result.wordIds);
+    setPasteResult(result);
+    setPasted('');
+  };
+
+  const handleSave = async () => {
+    const now = Date.now();
+    const draft = deck
+      ? { ...deck, name: name.trim(), wordIds, updatedAt: now }
+      : createDeck(name, wordIds, now);
+    const problems = validateDeck(draft, decks);
+    setErrors(problems);
+    if (problems.length > 0) return;
+
+    setSaving(true);
+    const saved = await onSave(draft);
+    setSaving(false);
+    if (!saved) setErrors(['The deck could not be saved on this device.']);
+  };
+
+  return (
+    <div className="deck-editor">
+      <div className="decks-field">
+        <label htmlFor="deck-name" className="decks-field__label">Name</label>
+        <input
+          id="deck-name"
+          type="text"
+          className="decks-input decks-input--wide"
+          value={name}
+          maxLength={MAX_DECK_NAME_LENGTH}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Kitchen words"
+        />
+      </div>
+
+      <section className="panel-section">
+        <h4>Find words</h4>
+        <div className="deck-editor__criteria">
+          <input
+            type="search"
+            className="decks-input decks-input--wide"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Spanish word or translation"
+            aria-label="Search words"
+          />
+          <select
+            className="decks-input"
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            aria-label="Tag"
+          >
+            <option value="">Any tag</option>
+            {availableTags.map((t) => (
+              <option key={t} value={t}>{tagLabel(t)}</option>
+            ))}
+          </select>
+          <span className="deck-editor__range">
+            Rank
+            <input
+              type="number"
+              min="1"
+              className="decks-input decks-input--rank"
+              value={minRank}
+              onChange={(e) => setMinRank(e.target.value)}
+              aria-label="Lowest frequency rank"
+            />
+            to
+            <input
+              type="number"
+              min="1"
+              className="decks-input decks-input--rank"
+              value={maxRank}
+              onChange={(e) => setMaxRank(e.target.value)}
+              aria-label="Highest frequency rank"
+            />
+          </span>
+        </div>
+
+        {hasCriteria && (
+          <>
+            <div className="decks-actions">
+              <span className="decks-hint">{plural(matches.length, 'match')}</span>
+              <button
+                type="button"
+                className="decks-button decks-button--subtle"
+                onClick={() => addWords(matches.map((word) => word.id))}
+                disabled={matches.every((word) => selected.has(word.id))}
+              >
+                Add all
+              </button>
+            </div>
+            <ul className="deck-editor__matches">
+              {matches.slice(0, MAX_LISTED_MATCHES).map((word) => (
+                <li key={word.id}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={selected.has(word.id)}
+                      onChange={(e) => (e.target.checked ? addWords([word.id]) : removeWord(word.id))}
+                    />
+                    <span lang="es">{word.word}</span>
+                    <span className="decks-hint">#{word.frequency_rank ?? '—'} · {word.tags?.join(', ')}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+            {matches.length > MAX_LISTED_MATCHES && (
+              <p className="decks-hint">
+                Showing the {MAX_LISTED_MATCHES} most frequent — narrow the search or use Add all.
+              </p>
+            )}
+          </>
+        )}
+      </section>
+
+      <section className="panel-section">
+        <h4>Paste a word list</h4>
+        <textarea
+          className="decks-input decks-input--wide deck-editor__paste"
+          value={pasted}
+          onChange={(e) => setPasted(e.target.value)}
+          placeholder={'casa\nperro, gato\nmesa'}
+          aria-label="Spanish words, one per line or separated by commas"
+          rows={4}
+        />
+        <div className="decks-actions">
+          <button
+            type="button"
+            className="decks-button decks-button--subtle"
+            onClick={handleAddPasted}
+            disabled={pasted.trim() === ''}
+          >
+            Add words
+          </button>
+        </div>
+        {pasteResult && (
+          <p className="decks-hint" role="status">
+            Found {plural(pasteResult.wordIds.length, 'word')}.
+            {pasteResult.unmatched.length > 0 && (
+              <> Not in the vocabulary: {pasteResult.unmatched.join(', ')}.</>
+            )}
+          </p>
+        )}
+      </section>
+
+      <section className="panel-section">
+        <h4>Words in this deck · {wordIds.length}</h4>
+        {wordIds.length === 0 ? (
+          <p className="decks-hint">No words yet.</p>
+        ) : (
+          <ul className="deck-editor__words">
+            {wordIds.map((id) => (
+              <li key={id}>
+                <span lang="es">{wordsById.get(id)?.word ?? id}</span>
+                <button
+                  type="button"
+                  className="deck-editor__remove"
+                  onClick={() => removeWord(id)}
+                  aria-label={`Remove ${wordsById.get(id)?.word ?? id}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {errors.length > 0 && (
+        <ul className="decks-errors" role="alert">
+          {errors.map((error) => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="decks-actions">
+        <button type="button" className="decks-button" onClick={handleSave} disabled={saving}>
+          Save deck
+        </button>
+        <button type="button" className="decks-button decks-button--subtle" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function DecksPanel({
+  vocab,
+  decks,
+  activeDeckId,
+  dueByDeck,
+  availableTags,
+  onStudy,
+  onSave,
+  onDelete,
+  onClose,
+}) {
+  // null: list; 'new': new deck; a deck: editing it
+  const [editing, setEditing] = useState(null);
+
+  const handleSave = async (deck) => {
+    const saved = await onSave(deck);
+    if (saved) setEditing(null);
+    return saved;
+  };
+
+  const handleDelete = (deck) => {
+    if (!window.confirm(`Delete the deck "${deck.name}"? Your progress on its words is kept.`)) return;
+    onDelete(deck.id);
+  };
+
+  if (editing) {
+    return (
+      <Panel
+        title={editing === 'new' ? 'New deck' : `Edit “${editing.name}”`}
+        onClose={onClose}
+        className="decks-panel"
+      >
+        <DeckEditor
+          deck={editing === 'new' ? null : editing}
+          vocab={vocab}
+          decks={decks}
+          availableTags={availableTags}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      </Panel>
+    );
+  }
+
+  return (
+    <Panel title="Decks" onClose={onClose} className="decks-panel">
+      <p className="decks-hint">
+        Study your own word lists instead of a frequency band. Progress is shared:
+        a word answered in a deck counts everywhere.
+      </p>
+
+      {decks.length === 0 ? (
+        <p className="decks-empty">No decks yet.</p>
+      ) : (
+        <ul className="decks-list">
+          {decks.map((deck) => {
+            const isActive = deck.id === activeDeckId;
+            return (
+              <li key={deck.id} className={`decks-list__item ${isActive ? 'decks-list__item--active' : ''}`}>
+                <div className="decks-list__info">
+                  <span className="decks-list__name">{deck.name}</span>
+                  <span className="decks-hint">
+                    {plural(deck.wordIds.length, 'word')} · {dueByDeck[deck.id] ?? 0} due
+                  </span>
+                </div>
+                <div className="decks-list__actions">
+                  <button
+                    type="button"
+                    className="decks-button"
+                    onClick={() => onStudy(deck.id)}
+                    disabled={isActive}
+                  >
+                    {isActive ? 'Studying' : 'Study'}
+                  </button>
+                  <button
+                    type="button"
+                    className="decks-button decks-button--subtle"
+                    onClick={() => setEditing(deck)}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    className="decks-button decks-button--subtle"
+                    onClick={() => handleDelete(deck)}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="decks-actions">
+        <button type="button" className="decks-button" onClick={() => setEditing('new')}>
+          New deck
+        </button>
+        {activeDeckId !== null && (
+          <button type="button" className="decks-button decks-button--subtle" onClick={() => onStudy(null)}>
+            Back to frequency band
+          </button>
+        )}
+      </div>
+    </Panel>
+  );
+}
@@ -0,0 +1,66 @@
+/**
+ * DueCalendar.jsx
+ *
+ * Heatmap calendar of the due-load forecast: one cell per day, laid out in
+ * Monday-first week rows, shaded by how many words fall due that day.
+ *
+ * Props:
+ *   forecast — [{ date: "YYYY-MM-DD", count }] from getDueForecast, today first
+ */
+
+import { heatmapLevel } from '../utils/statistics';
+import './DueCalendar.css';
+
+/** Local Date for a "YYYY-MM-DD" key. */
+function parseDayKey(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// Monday-first column headers (2024-01-01 was a Monday)
+const WEEKDAYS = Array.from({ length: 7 }, (_, i) =>
+  new Date(2024, 0, 1 + i).toLocaleDateString(undefined, { weekday: 'narrow' })
+);
+
+export default function DueCalendar({ forecast }) {
+  if (forecast.length === 0) return null;
+
+  const max = Math.max(0, ...forecast.map((d) => d.count));
+  const total = forecast.reduce((sum, d) => sum + d.count, 0);
+  // Blank cells before today so every column is one weekday
+  const leading = (parseDayKey(forecast[0].date).getDay() + 6) % 7;
+
+  return (
+    <div className="due-calendar">
+      <div className="due-calendar__grid" role="list" aria-label="Words due per day">
+        {WEEKDAYS.map((day, i) => (
+          <span key={`weekday-${i}`} className="due-calendar__weekday" aria-hidden="true">
+            {day}
+          </span>
+        ))}
+        {Array.from({ length: leading }, (_, i) => (
+          <span key={`blank-${i}`} className="due-calendar__cell due-calendar__cell--blank" />
+        ))}
+        {forecast.map((d, i) => {
+          const date = parseDayKey(d.date);
+          const label = `${date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}: ${d.count} due`;
+          return (
+            <span
+              key={d.date}
+              role="listitem"
+              className={`due-calendar__cell level-${heatmapLevel(d.count, max)}${i === 0 ? ' is-today' : ''}`}
+              title={label}
+              aria-label={label}
+            >
+              <span className="due-calendar__day">{date.getDate()}</span>
+              {d.count > 0 && <span className="due-calendar__count">{d.count}</span>}
+            </span>
+          );
+        })}
+      </div>
+      <p className="due-calendar__summary">
+        {total} review{total !== 1 ? 's' : ''} scheduled · busiest day {max}
+      </p>
+    </div>
+  );
+}
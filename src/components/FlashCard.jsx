@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import { getCachedDefinition, cacheDefinition } from '../utils/definitionsCache';
 import {
   createSwipeState,
@@ -7,27 +7,101 @@ import {
   onPointerUp,
   onPointerCancel,
   computeProgress,
+  computeVerticalProgress,
 } from '../utils/swipeGesture';
+import { GRADES, GRADE_LABELS, GRADE_KEYS, gradeForSwipe } from '../utils/grades';
+import { wordIdOf } from '../utils/studyDirection';
+import { acceptedAnswers, checkAnswer, gradeForAnswer } from '../utils/answerCheck';
+import { conjugate } from '../utils/conjugation';
+import { checkDrillAnswer } from '../utils/conjugationDrill';
+import { ARTICLES, GENDER_LABELS } from '../utils/nounGender';
+import { clozeQuestion } from '../utils/cloze';
+import { seededRandom } from '../utils/quiz';
 // eslint-disable-next-line no-unused-vars -- used as JSX elements
-import { BookIcon, LinkIcon, NoteIcon, AlertIcon, CloseIcon } from './icons';
+import { BookIcon, LinkIcon, NoteIcon, AlertIcon, CloseIcon, SpeakerIcon, TableIcon } from './icons';
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import ConjugationPanel from './ConjugationPanel';
 import './FlashCard.css';
 
 // Match the CSS transition duration (0.6s)
 const FLIP_TRANSITION_DURATION = 600;
 
+// Typed-answer feedback per checkAnswer result
+const ANSWER_MESSAGES = {
+  exact: 'Correct!',
+  accent: 'Correct — mind the accents:',
+  typo: 'Almost — check the spelling:',
+  wrong: 'Not quite. The answer is',
+};
+
 function FlashCard({
   word,
   translation,
-  onKnown,
-  onReview,
+  onGrade,
   exitDirection,
   hasTransitioned,
   boxNumber = 0,
   cardMode = 'translation',
+  answerMode = 'flip',
+  quizOptions = null,
+  drillPrompt = null,
+  clozeSeed = null,
+  onBury,
+  onSuspend,
+  onSpeak = null,
+  autoSpeak = false,
 }) {
-  // Which parts of the back face this mode shows (FR-07).
+  // Which parts of the meaning side this mode shows (FR-07). Production
+  // cards (your language → Spanish) show the meaning on the front instead.
   const showTranslation = cardMode === 'translation' || cardMode === 'mixed';
-  const showInlineDefinitions = cardMode === 'definition' || cardMode === 'mixed';
+  // Conjugation drill cards show neither; they always take a typed form.
+  // Article cards (noun gender) always offer el / la, and their definitions
+  // would give the gender away. Cloze cards always take the typed word.
+  const articleCard = word.article ?? null;
+  const clozeCard = Boolean(word.cloze);
+  const showInlineDefinitions = !drillPrompt && !articleCard && !clozeCard &&
+    (cardMode === 'definition' || cardMode === 'mixed');
+  const reverse = Boolean(word.reverse);
+
+  // Definitions state
+  const [showDefinitions, setShowDefinitions] = useState(false);
+  const [definitions, setDefinitions] = useState(null);
+  const [examples, setExamples] = useState(null);
+  const [senses, setSenses] = useState(null);
+  const [senseCount, setSenseCount] = useState(null);
+  const [definitionsLoading, setDefinitionsLoading] = useState(false);
+  const [definitionsError, setDefinitionsError] = useState(null);
+  const [raeLink, setRaeLink] = useState(null);
+
+  // Cloze cards blank the word in one of its examples, fetched with the
+  // definitions; seeded by App so the sentence holds still until answered.
+  // Without a usable example (offline, say) they ask for the word from its
+  // meaning instead.
+  const clozePrompt = useMemo(
+    () => (clozeCard && examples
+      ? clozeQuestion(word, examples, seededRandom(clozeSeed ?? word.id))
+      : null),
+    [clozeCard, examples, word, clozeSeed]
+  );
+  const clozeLoading = clozeCard && examples === null && !definitionsError;
+
+  // Typed-answer mode: what the learner must type for this card. Words with
+  // a pending translation accept nothing and fall back to flipping. Drill and
+  // cloze cards want one exact form.
+  const exactAnswer = drillPrompt?.answer ?? (clozeCard ? (clozePrompt?.answer ?? word.word) : null);
+  const accepted = exactAnswer
+    ? [exactAnswer]
+    : acceptedAnswers(reverse ? word.word : (translation ?? word.translations.en));
+  const typing = Boolean(exactAnswer) ||
+    (!articleCard && answerMode === 'type' && accepted.length > 0);
+  // Quiz mode: options come from App (utils/quiz.js); null also falls back to flipping.
+  const options = articleCard
+    ? ARTICLES.map((article) => ({ id: article, text: article, correct: article === articleCard.answer }))
+    : quizOptions;
+  const quizzing = Boolean(articleCard) || (answerMode === 'quiz' && Boolean(quizOptions));
+  const [typed, setTyped] = useState('');
+  // { result, answer, grade, given } once the typed or picked answer is checked
+  const [answerCheck, setAnswerCheck] = useState(null);
 
   const [isFlipped, setIsFlipped] = useState(false);
   const [isAnimating, setIsAnimating] = useState(false);
@@ -41,19 +115,24 @@ function FlashCard({
 
   // Track current word ID to prevent stale updates from async operations
   const currentWordIdRef = useRef(word.id);
-  
-  // Definitions state
-  const [showDefinitions, setShowDefinitions] = useState(false);
-  const [definitions, setDefinitions] = useState(null);
-  const [definitionsLoading, setDefinitionsLoading] = useState(false);
-  const [definitionsError, setDefinitionsError] = useState(null);
-  const [raeLink, setRaeLink] = useState(null);
+
+  // Conjugation tables for verb cards; null for other words and for
+  // verb-tagged entries that are not an infinitive.
+  const conjugation = useMemo(
+    () => (word.tags?.includes('verb') ? conjugate(word.word) : null),
+    [word.word, word.tags]
+  );
+  const [showConjugation, setShowConjugation] = useState(false);
 
   // Reset definitions state when word changes
   useEffect(() => {
     currentWordIdRef.current = word.id;
     setShowDefinitions(false);
+    setShowConjugation(false);
     setDefinitions(null);
+    setExamples(null);
+    setSenses(null);
+    setSenseCount(null);
     setDefinitionsLoading(false);
     setDefinitionsError(null);
     setRaeLink(null);
@@ -61,11 +140,12 @@ function FlashCard({
 
   // Auto-load definitions inline when the card is flipped to the back in
   // definition/mixed mode — and when the mode changes while already flipped
-  // (AC3, AC4, AC7 immediate switch, AC8 spinner/error).
+  // (AC3, AC4, AC7 immediate switch, AC8 spinner/error). Production cards
+  // show them on the front, and cloze cards need their examples, so they
+  // load straight away.
   useEffect(() => {
     if (
-      isFlipped &&
-      showInlineDefinitions &&
+      (clozeCard || ((isFlipped || reverse) && showInlineDefinitions)) &&
       !definitions &&
       !definitionsLoading &&
       !definitionsError
@@ -75,6 +155,16 @@ function FlashCard({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isFlipped, cardMode]);
 
+  // Auto-play says the Spanish word once per card, when its side is first
+  // shown: straight away on recognition cards, on flipping production and
+  // cloze ones.
+  const autoSpokenRef = useRef(false);
+  useEffect(() => {
+    if (!autoSpeak || !onSpeak || autoSpokenRef.current || ((reverse || clozeCard) && !isFlipped)) return;
+    autoSpokenRef.current = true;
+    onSpeak(word.word);
+  }, [autoSpeak, onSpeak, reverse, clozeCard, isFlipped, word.word]);
+
   // Cleanup timeout on unmount
   useEffect(() => {
     return () => {
@@ -114,24 +204,30 @@ function FlashCard({
   const fetchDefinitions = async ({ openModal = true } = {}) => {
     if (definitionsLoading || definitions) return;
 
-    // Capture the word ID at the start to detect stale updates
+    // Capture the card ID at the start to detect stale updates
     const requestedWordId = word.id;
+    // Both directions of a word share its definitions
+    const definitionId = wordIdOf(word);
     
     setDefinitionsLoading(true);
     setDefinitionsError(null);
 
     try {
       // First, check IndexedDB cache
-      const cached = await getCachedDefinition(requestedWordId);
+      const cached = await getCachedDefinition(definitionId);
       
       // Check if word changed during await - abort if stale
       if (currentWordIdRef.current !== requestedWordId) {
         return;
       }
       
-      // Only use cache if definitions are not placeholders
-      if (cached && !isPlaceholder(cached.definitions)) {
+      // Only use cache if definitions are not placeholders, and for cloze
+      // cards if it has the examples
+      if (cached && !isPlaceholder(cached.definitions) && (cached.examples || !clozeCard)) {
         setDefinitions(cached.definitions);
+        setExamples(cached.examples);
+        setSenses(cached.senses);
+        setSenseCount(cached.sense_count);
         setRaeLink(cached.rae_link);
         setDefinitionsLoading(false);
         if (openModal) setShowDefinitions(true);
@@ -139,7 +235,7 @@ function FlashCard({
       }
 
       // Cache miss - fetch from API
-      const response = await fetch(`/api/definition?wordId=${encodeURIComponent(requestedWordId)}`);
+      const response = await fetch(`/api/definition?wordId=${encodeURIComponent(definitionId)}`);
       
       // Check if word changed during await - abort if stale
       if (currentWordIdRef.current !== requestedWordId) {
@@ -162,8 +258,11 @@ function FlashCard({
       
       // Only cache if definitions are not placeholders
       if (!isPlaceholder(data.definitions)) {
-        await cacheDefinition(requestedWordId, {
+        await cacheDefinition(definitionId, {
           definitions: data.definitions,
+          examples: data.examples ?? [],
+          senses: data.senses ?? null,
+          sense_count: data.sense_count ?? null,
           rae_link: data.rae_link
         });
       }
@@ -174,6 +273,9 @@ function FlashCard({
       }
 
       setDefinitions(data.definitions);
+      setExamples(data.examples ?? []);
+      setSenses(data.senses ?? null);
+      setSenseCount(data.sense_count ?? null);
       setRaeLink(data.rae_link);
       if (openModal) setShowDefinitions(true);
     } catch (error) {
@@ -202,6 +304,11 @@ function FlashCard({
     }
   };
 
+  const handleConjugationClick = (e) => {
+    e.stopPropagation();
+    setShowConjugation(true);
+  };
+
   const handleCloseModal = () => {
     setShowDefinitions(false);
   };
@@ -222,8 +329,8 @@ function FlashCard({
   };
 
   const handlePointerDown = (e) => {
-    // AC6: don't start a swipe when tapping the definitions area.
-    if (e.target.closest('.definitions-section')) return;
+    // AC6: don't start a swipe when tapping the definitions area or the typed answer.
+    if (e.target.closest('.definitions-section, .typed-answer, .quiz-options, .answer-feedback, .speak-button')) return;
     swipeStateRef.current = onPointerDown(e.clientX, e.clientY);
     // Capture keeps pointermove/pointerup firing even if the pointer leaves the element.
     e.currentTarget.setPointerCapture(e.pointerId);
@@ -235,25 +342,29 @@ function FlashCard({
     swipeStateRef.current = onPointerMove(swipeStateRef.current, e.clientX, e.clientY);
     const threshold = getSwipeThreshold();
     const progress = computeProgress(swipeStateRef.current, threshold);
+    const progressY = computeVerticalProgress(swipeStateRef.current, threshold);
     e.currentTarget.style.setProperty('--swipe-progress', progress);
+    e.currentTarget.style.setProperty('--swipe-progress-y', progressY);
   };
 
   const handlePointerUp = (e) => {
     if (!swipeStateRef.current.active) return;
     const threshold = getSwipeThreshold();
-    const { state, action } = onPointerUp(swipeStateRef.current, threshold);
+    // Vertical swipes grade Hard (up) / Easy (down).
+    const { state, action } = onPointerUp(swipeStateRef.current, threshold, true);
     swipeStateRef.current = state;
 
     // Remove swiping class and reset progress — CSS transition springs it back.
     e.currentTarget.removeAttribute('data-swiping');
     e.currentTarget.style.setProperty('--swipe-progress', 0);
+    e.currentTarget.style.setProperty('--swipe-progress-y', 0);
 
-    if (action) {
+    const grade = gradeForSwipe(action);
+    if (grade) {
       swipeDidFire.current = true;
       // Clear the flag after pointer-event → click propagation window (AC5/pointer compat).
       setTimeout(() => { swipeDidFire.current = false; }, 300);
-      if (action === 'known') handleCardAction(onKnown);
-      else handleCardAction(onReview);
+      handleCardAction(grade);
     }
   };
 
@@ -261,6 +372,7 @@ function FlashCard({
     swipeStateRef.current = onPointerCancel();
     e.currentTarget.removeAttribute('data-swiping');
     e.currentTarget.style.setProperty('--swipe-progress', 0);
+    e.currentTarget.style.setProperty('--swipe-progress-y', 0);
   };
 
   const handleCardClick = (e) => {
@@ -272,15 +384,16 @@ function FlashCard({
     // Don't flip if clicking on buttons, definitions area, or during animation
     if (e.target.closest('.flashcard-actions') ||
         e.target.closest('.definitions-section') ||
+        e.target.closest('.typed-answer, .quiz-options, .answer-feedback, .speak-button') ||
         isAnimating) {
       return;
     }
     setIsFlipped(!isFlipped);
   };
 
-  // Helper function to handle card actions with flip-back animation
-  const handleCardAction = (callback) => {
-    if (!callback || isAnimating) return;
+  // Helper function to answer the card with a grade, with flip-back animation
+  const handleCardAction = (grade) => {
+    if (!onGrade || isAnimating) return;
     
     const wordId = word.id; // Capture the current word ID
     
@@ -295,25 +408,153 @@ function FlashCard({
       }
       
       timeoutRef.current = setTimeout(() => {
-        callback(wordId);
+        onGrade(wordId, grade);
         setIsAnimating(false);
         timeoutRef.current = null;
       }, FLIP_TRANSITION_DURATION);
     } else {
-      callback(wordId);
+      onGrade(wordId, grade);
     }
   };
 
-  const handleKnown = (e) => {
+  const handleGradeClick = (e, grade) => {
+    e.stopPropagation();
+    handleCardAction(grade);
+  };
+
+  const handleSpeakClick = (e, text) => {
     e.stopPropagation();
-    handleCardAction(onKnown);
+    onSpeak(text);
+  };
+
+  // Bury / suspend act on the word, so all of its cards.
+  const handleBuryClick = () => {
+    onBury(wordIdOf(word));
+  };
+
+  const handleSuspendClick = () => {
+    if (!window.confirm(
+      `Suspend “${word.word}”? It will not be shown again until you unsuspend it under Vocabulary.`
+    )) return;
+    onSuspend(wordIdOf(word), true);
+  };
+
+  // Check the typed answer, then flip to show the answer and the suggested grade.
+  // The grade waits for Continue (or another grade) so the learner can read
+  // the answer and overrule the checker, which only knows the listed meanings.
+  const handleAnswerSubmit = (e) => {
+    e.preventDefault();
+    const { result, answer } = exactAnswer
+      ? checkDrillAnswer(typed, exactAnswer)
+      : checkAnswer(typed, accepted);
+    setAnswerCheck({ result, answer, grade: gradeForAnswer(result), given: typed.trim() });
+    setIsFlipped(true);
   };
 
-  const handleReview = (e) => {
+  // Quiz mode: a pick is either right ("exact") or wrong.
+  const handleQuizPick = (e, option) => {
     e.stopPropagation();
-    handleCardAction(onReview);
+    const result = option.correct ? 'exact' : 'wrong';
+    const answer = options.find((o) => o.correct).text;
+    setAnswerCheck({ result, answer, grade: gradeForAnswer(result), given: option.text });
+    setIsFlipped(true);
   };
 
+  // Pronunciation button on the Spanish side; hidden without a Spanish voice.
+  const renderSpeakButton = (text = word.word) => onSpeak && (
+    <button
+      type="button"
+      className="speak-button"
+      onClick={(e) => handleSpeakClick(e, text)}
+      aria-label={`Say “${text}”`}
+      title="Listen"
+    >
+      <SpeakerIcon size={22} />
+    </button>
+  );
+
+  const renderTypedAnswer = () => (
+    <form className="typed-answer" onSubmit={handleAnswerSubmit}>
+      <input
+        type="text"
+        className="typed-answer__input"
+        value={typed}
+        onChange={(e) => setTyped(e.target.value)}
+        placeholder={drillPrompt ? 'Type the form'
+          : clozePrompt ? 'Type the missing word'
+          : reverse || clozeCard ? 'Type the Spanish word' : 'Type the meaning'}
+        aria-label={drillPrompt ? 'Verb form'
+          : clozePrompt ? 'Missing word'
+          : reverse || clozeCard ? 'Spanish word' : 'Meaning'}
+        lang={reverse || drillPrompt || clozeCard ? 'es' : undefined}
+        autoComplete="off"
+        autoCapitalize="off"
+        autoCorrect="off"
+        spellCheck={false}
+        autoFocus
+        disabled={Boolean(answerCheck)}
+      />
+      <button type="submit" className="typed-answer__submit" disabled={Boolean(answerCheck)}>
+        Check
+      </button>
+    </form>
+  );
+
+  const renderQuizOptions = () => (
+    <div className="quiz-options" role="group" aria-label="Choose the answer">
+      {options.map((option) => (
+        <button
+          key={option.id}
+          type="button"
+          className="quiz-option"
+          lang={reverse || articleCard ? 'es' : undefined}
+          onClick={(e) => handleQuizPick(e, option)}
+          disabled={Boolean(answerCheck)}
+        >
+          {option.text}
+        </button>
+      ))}
+    </div>
+  );
+
+  // What the front offers below the prompt: quiz options, the answer input,
+  // or just a hint to flip.
+  const renderPromptAction = (hint) => {
+    if (quizzing) return renderQuizOptions();
+    if (typing) return renderTypedAnswer();
+    return <p className="hint">{hint}</p>;
+  };
+
+  // Result of the typed or picked answer on the back face, with a button that answers
+  // the card with the suggested grade (Enter, since it takes focus).
+  const renderAnswerFeedback = () => (
+    <div className={`answer-feedback answer-feedback--${answerCheck.result}`} role="status">
+      <p className="answer-feedback__message">
+        {ANSWER_MESSAGES[answerCheck.result]}
+        {answerCheck.result !== 'exact' && <strong> {answerCheck.answer}</strong>}
+      </p>
+      {answerCheck.result !== 'exact' && answerCheck.given !== '' && (
+        <p className="answer-feedback__given">Your answer: “{answerCheck.given}”</p>
+      )}
+      <button
+        type="button"
+        className="answer-feedback__continue"
+        onClick={(e) => handleGradeClick(e, answerCheck.grade)}
+        disabled={isAnimating}
+        autoFocus
+      >
+        Continue · {GRADE_LABELS[answerCheck.grade]}
+      </button>
+    </div>
+  );
+
+  // Opens the conjugation tables; only on verb cards.
+  const renderConjugationButton = () => conjugation && (
+    <button className="definitions-button" onClick={handleConjugationClick}>
+      <TableIcon size={18} /> Conjugation
+    </button>
+  );
+
   const renderDefinitionsButton = () => {
     if (definitionsLoading) {
       return (
@@ -392,11 +633,7 @@ function FlashCard({
       }
       return (
         <div className="inline-definitions">
-          <ol className="definitions-list definitions-list--inline">
-            {definitions.map((def, index) => (
-              <li key={index} className="definition-item">{def}</li>
-            ))}
-          </ol>
+          {renderDefinitionList(true)}
           {raeLink && (
             <a href={raeLink} target="_blank" rel="noopener noreferrer" className="rae-link">
               <LinkIcon size={16} /> Ver en RAE
@@ -410,6 +647,62 @@ function FlashCard({
     return null;
   };
 
+  // A word's RAE definitions: structured senses with their acepción number,
+  // category, labels and marks set apart from the text — or the flat strings
+  // of entries cached before senses were served. The modal adds examples.
+  const renderDefinitionList = (inline) => {
+    const listClass = inline ? 'definitions-list definitions-list--inline' : 'definitions-list';
+    if (!senses?.length) {
+      return (
+        <>
+          <ol className={listClass}>
+            {definitions.map((def, index) => (
+              <li key={index} className="definition-item">{def}</li>
+            ))}
+          </ol>
+          {!inline && examples?.length > 0 && (
+            <>
+              <h4 className="examples-heading">Examples</h4>
+              <ul className="examples-list" lang="es">
+                {examples.map((example, index) => (
+                  <li key={index} className="example-item">{example}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      );
+    }
+    return (
+      <>
+        <ol className={listClass}>
+          {senses.map((sense, index) => (
+            <li key={index} className="definition-item" value={sense.number ?? undefined}>
+              {sense.category && <span className="sense-category">{sense.category}</span>}
+              {sense.labels.map((label) => (
+                <span key={label} className="sense-label">{label}</span>
+              ))}
+              <span className="sense-text">{sense.text}</span>
+              {sense.marks.map((mark) => (
+                <span key={mark} className="sense-mark">{mark}</span>
+              ))}
+              {!inline && sense.examples.length > 0 && (
+                <ul className="examples-list" lang="es">
+                  {sense.examples.map((example, exampleIndex) => (
+                    <li key={exampleIndex} className="example-item">{example}</li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+        {senseCount > senses.length && (
+          <p className="senses-more">{senses.length} of {senseCount} senses</p>
+        )}
+      </>
+    );
+  };
+
   const renderDefinitionsModal = () => {
     if (!showDefinitions || !definitions) return null;
 
@@ -441,11 +734,7 @@ function FlashCard({
               </div>
             ) : (
               <>
-                <ol className="definitions-list">
-                  {definitions.map((def, index) => (
-                    <li key={index} className="definition-item">{def}</li>
-                  ))}
-                </ol>
+                {renderDefinitionList(false)}
                 {raeLink && (
                   <a
                     href={raeLink}
@@ -464,6 +753,159 @@ function FlashCard({
     );
   };
 
+  // Production card: the meaning (per cardMode) on the front, the Spanish
+  // word on the back. The definitions modal names the word, so it is only
+  // offered once the card is flipped.
+  const renderReverseFaces = () => (
+    <>
+      <div className={`flashcard-front flashcard-front--reverse flashcard-front--${cardMode}`}>
+        {showTranslation && <h2>{translation ?? word.translations.en}</h2>}
+        {showInlineDefinitions && (
+          <div className="definitions-section inline-definitions-wrap">
+            {renderInlineDefinitions()}
+          </div>
+        )}
+        {renderPromptAction('What is it in Spanish?')}
+        {boxNumber > 0 && (
+          <span className="box-badge" title={`Leitner box ${boxNumber}`}>
+            Box {boxNumber}
+          </span>
+        )}
+      </div>
+      <div className="flashcard-back">
+        {answerCheck && renderAnswerFeedback()}
+        <h2 lang="es">{word.word}</h2>
+        {renderSpeakButton()}
+        {word.tags && word.tags.length > 0 && (
+          <div className="tags">
+            {word.tags.map((tag, index) => (
+              <span key={index} className="tag">{tag}</span>
+            ))}
+          </div>
+        )}
+        <div className="definitions-section">
+          {renderDefinitionsButton()}
+          {renderConjugationButton()}
+        </div>
+      </div>
+    </>
+  );
+
+  // Conjugation drill card: the infinitive and the person and tense asked
+  // for on the front, the form and the meaning on the back.
+  const renderDrillFaces = () => (
+    <>
+      <div className="flashcard-front flashcard-front--drill">
+        <h2 lang="es">{word.word}</h2>
+        {renderSpeakButton()}
+        <p className="drill-prompt" lang="es">{drillPrompt.prompt}</p>
+        {renderPromptAction('Type the form')}
+        {boxNumber > 0 && (
+          <span className="box-badge" title={`Leitner box ${boxNumber}`}>
+            Box {boxNumber}
+          </span>
+        )}
+      </div>
+      <div className="flashcard-back flashcard-back--drill">
+        {answerCheck && renderAnswerFeedback()}
+        <h2 lang="es">{drillPrompt.answer}</h2>
+        <p className="drill-prompt" lang="es">{word.word} — {drillPrompt.prompt}</p>
+        <p className="drill-translation">{translation ?? word.translations.en}</p>
+        <div className="definitions-section">
+          {renderConjugationButton()}
+        </div>
+      </div>
+    </>
+  );
+
+  // Noun gender card: the noun and its meaning on the front, with el / la to
+  // pick; the noun with its article and gender on the back.
+  const renderArticleFaces = () => (
+    <>
+      <div className="flashcard-front flashcard-front--article">
+        <h2 lang="es">
+          <span className="article-blank" aria-label="el or la">…</span> {word.word}
+        </h2>
+        {renderSpeakButton()}
+        <p className="drill-translation">{translation ?? word.translations.en}</p>
+        {renderPromptAction('el or la?')}
+        {boxNumber > 0 && (
+          <span className="box-badge" title={`Leitner box ${boxNumber}`}>
+            Box {boxNumber}
+          </span>
+        )}
+      </div>
+      <div className="flashcard-back flashcard-back--article">
+        {answerCheck && renderAnswerFeedback()}
+        <h2 lang="es">{articleCard.answer} {word.word}</h2>
+        <p className="drill-prompt">
+          {GENDER_LABELS[word.gender]}
+          {articleCard.exception && ' — but el before a stressed a-'}
+        </p>
+        <p className="drill-translation">{translation ?? word.translations.en}</p>
+        <div className="definitions-section">
+          {renderDefinitionsButton()}
+        </div>
+      </div>
+    </>
+  );
+
+  // An example with its blanked words: empty blanks on the front, the words
+  // picked out on the back.
+  const renderClozeSentence = (filled) => (
+    <p className="cloze-sentence" lang="es">
+      {clozePrompt.segments.map((segment, index) => (
+        index % 2 === 0 ? <span key={index}>{segment}</span>
+          : filled ? <strong key={index} className="cloze-answer">{segment}</strong>
+          : <span key={index} className="cloze-blank" aria-label="blank">…</span>
+      ))}
+    </p>
+  );
+
+  // Cloze card: an example with the word blanked and the word's meaning on
+  // the front; the whole sentence on the back. Without a usable example it
+  // asks for the word from its meaning alone.
+  const renderClozeFaces = () => (
+    <>
+      <div className="flashcard-front flashcard-front--cloze">
+        {clozePrompt && renderClozeSentence(false)}
+        {clozeLoading && (
+          <p className="drill-prompt">
+            <span className="definitions-spinner"></span> Fetching an example...
+          </p>
+        )}
+        <p className="drill-translation">{translation ?? word.translations.en}</p>
+        {!clozeLoading && renderPromptAction(clozePrompt ? 'Type the missing word' : 'Type the Spanish word')}
+        {boxNumber > 0 && (
+          <span className="box-badge" title={`Leitner box ${boxNumber}`}>
+            Box {boxNumber}
+          </span>
+        )}
+      </div>
+      <div className="flashcard-back flashcard-back--cloze">
+        {answerCheck && renderAnswerFeedback()}
+        {clozePrompt ? (
+          <>
+            {renderClozeSentence(true)}
+            {renderSpeakButton(clozePrompt.sentence)}
+          </>
+        ) : (
+          <>
+            <h2 lang="es">{word.word}</h2>
+            {renderSpeakButton()}
+          </>
+        )}
+        <p className="drill-translation">
+          <span lang="es">{word.word}</span> — {translation ?? word.translations.en}
+        </p>
+        <div className="definitions-section">
+          {renderDefinitionsButton()}
+          {renderConjugationButton()}
+        </div>
+      </div>
+    </>
+  );
+
   return (
     <>
       <div className={`flashcard-wrapper ${exitDirection ? `exit-${exitDirection}` : (hasTransitioned ? 'fade-in' : '')}`}>
@@ -478,63 +920,103 @@ function FlashCard({
         >
           <div className="swipe-overlay" aria-hidden="true" />
           <div className={`flashcard ${isFlipped ? 'flipped' : ''}`}>
-            <div className="flashcard-front">
-              <h2>{word.word}</h2>
-              <p className="hint">Click to flip</p>
-              {boxNumber > 0 && (
-                <span className="box-badge" title={`Leitner box ${boxNumber}`}>
-                  Box {boxNumber}
-                </span>
-              )}
-            </div>
-            <div className={`flashcard-back flashcard-back--${cardMode}`}>
-              {showTranslation && <h2>{translation ?? word.translations.en}</h2>}
-              {word.tags && word.tags.length > 0 && (
-                <div className="tags">
-                  {word.tags.map((tag, index) => (
-                    <span key={index} className="tag">{tag}</span>
-                  ))}
+            {drillPrompt ? renderDrillFaces()
+              : articleCard ? renderArticleFaces()
+              : clozeCard ? renderClozeFaces()
+              : reverse ? renderReverseFaces() : (
+              <>
+                <div className="flashcard-front">
+                  <h2 lang="es">{word.word}</h2>
+                  {renderSpeakButton()}
+                  {renderPromptAction('Click to flip')}
+                  {boxNumber > 0 && (
+                    <span className="box-badge" title={`Leitner box ${boxNumber}`}>
+                      Box {boxNumber}
+                    </span>
+                  )}
                 </div>
-              )}
-              {showInlineDefinitions ? (
-                <>
-                  <div className="definitions-section inline-definitions-wrap">
-                    {renderInlineDefinitions()}
-                  </div>
-                  {/* Modal is kept available in every mode (UAT decision) */}
-                  <div className="definitions-section">
-                    <button className="definitions-button" onClick={handleDefinitionsClick}>
-                      <BookIcon size={18} /> See definitions
-                    </button>
-                  </div>
-                </>
-              ) : (
-                <div className="definitions-section">
-                  {renderDefinitionsButton()}
+                <div className={`flashcard-back flashcard-back--${cardMode}`}>
+                  {answerCheck && renderAnswerFeedback()}
+                  {showTranslation && <h2>{translation ?? word.translations.en}</h2>}
+                  {word.tags && word.tags.length > 0 && (
+                    <div className="tags">
+                      {word.tags.map((tag, index) => (
+                        <span key={index} className="tag">{tag}</span>
+                      ))}
+                    </div>
+                  )}
+                  {showInlineDefinitions ? (
+                    <>
+                      <div className="definitions-section inline-definitions-wrap">
+                        {renderInlineDefinitions()}
+                      </div>
+                      {/* Modal is kept available in every mode (UAT decision) */}
+                      <div className="definitions-section">
+                        <button className="definitions-button" onClick={handleDefinitionsClick}>
+                          <BookIcon size={18} /> See definitions
+                        </button>
+                        {renderConjugationButton()}
+                      </div>
+                    </>
+                  ) : (
+                    <div className="definitions-section">
+                      {renderDefinitionsButton()}
+                      {renderConjugationButton()}
+                    </div>
+                  )}
                 </div>
-              )}
-            </div>
+              </>
+            )}
           </div>
         </div>
         <div className="flashcard-actions">
-          <button 
-            className="action-button review-button" 
-            onClick={handleReview}
-            disabled={isAnimating}
-          >
-            Repasar
-          </button>
-          <button 
-            className="action-button known-button" 
-            onClick={handleKnown}
-            disabled={isAnimating}
-          >
-            Ya lo sé
-          </button>
+          {GRADES.map((grade) => (
+            <button
+              key={grade}
+              className={`action-button grade-button grade-button--${grade}${
+                answerCheck?.grade === grade ? ' grade-button--suggested' : ''
+              }`}
+              onClick={(e) => handleGradeClick(e, grade)}
+              disabled={isAnimating}
+              aria-keyshortcuts={GRADE_KEYS[grade]}
+            >
+              {GRADE_LABELS[grade]}
+              <kbd className="grade-button__key" aria-hidden="true">{GRADE_KEYS[grade]}</kbd>
+            </button>
+          ))}
         </div>
+        {(onBury || onSuspend) && (
+          <div className="flashcard-word-actions">
+            {onBury && (
+              <button
+                type="button"
+                className="word-action-button"
+                onClick={handleBuryClick}
+                disabled={isAnimating || Boolean(exitDirection)}
+                title="Hide this word until tomorrow"
+              >
+                Bury until tomorrow
+              </button>
+            )}
+            {onSuspend && (
+              <button
+                type="button"
+                className="word-action-button"
+                onClick={handleSuspendClick}
+                disabled={isAnimating || Boolean(exitDirection)}
+                title="Never show this word again"
+              >
+                Suspend
+              </button>
+            )}
+          </div>
+        )}
       </div>
       
       {renderDefinitionsModal()}
+      {showConjugation && conjugation && (
+        <ConjugationPanel conjugation={conjugation} onClose={() => setShowConjugation(false)} />
+      )}
     </>
   );
 }
@@ -0,0 +1,50 @@
+import { useEffect } from 'react';
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import { CloseIcon } from './icons';
+import './Panel.css';
+
+/**
+ * Full-screen dialog shell shared by the app's secondary views
+ * (statistics, settings, …). Same look as the definitions modal.
+ *
+ * Closes on Escape and on a backdrop click; locks page scroll while open.
+ *
+ * Props:
+ *   title     — heading text
+ *   onClose   — () => void
+ *   className — extra class on the dialog (for per-view sizing)
+ *   children  — dialog body
+ */
+export default function Panel({ title, onClose, className = '', children }) {
+  useEffect(() => {
+    const handleEscKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleEscKey);
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.removeEventListener('keydown', handleEscKey);
+      document.body.style.overflow = '';
+    };
+  }, [onClose]);
+
+  return (
+    <div className="panel-backdrop" onClick={onClose}>
+      <div
+        className={`panel ${className}`}
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="panel-header">
+          <h3>{title}</h3>
+          <button className="panel-close" onClick={onClose} aria-label="Close">
+            <CloseIcon size={20} />
+          </button>
+        </div>
+        <div className="panel-body">{children}</div>
+      </div>
+    </div>
+  );
+}
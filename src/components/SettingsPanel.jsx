@@ -0,0 +1,426 @@
+/**
+ * SettingsPanel.jsx
+ *
+ * Study settings dialog:
+ *   - study direction: Spanish → your language, the reverse, both, or the
+ *     conjugation drill, with its tenses and persons
+ *   - answering: flip the card, type the answer, or pick from four options
+ *   - pronunciation: Spanish accent and auto-play, when a Spanish voice is installed
+ *   - daily limits: new words and reviews per day
+ *   - Leitner boxes: how many boxes there are and each box's interval
+ *   - backup: export / import progress as a JSON file (BackupSettings)
+ *
+ * Props:
+ *   studyDirection           — 'recognition' | 'production' | 'both' | 'conjugation'
+ *   onStudyDirectionChange   — (direction) => void
+ *   drillSettings            — { tenses, persons } (see utils/conjugationDrill.js)
+ *   onDrillSettingsChange    — (settings) => void
+ *   answerMode               — 'flip' | 'type' | 'quiz'
+ *   onAnswerModeChange       — (mode) => void
+ *   speech                   — { accent, autoPlay } (see utils/speech.js)
+ *   onSpeechChange           — (settings) => void
+ *   speechAvailable          — whether any Spanish voice is installed
+ *   dailyLimits           — { newPerDay, reviewsPerDay }
+ *   onDailyLimitsChange   — (limits) => void, called with parsed limits
+ *   leitnerConfig         — { intervals: [days per box] }
+ *   onLeitnerConfigChange — (config) => void, called with a validated config
+ *   backupSource          — { srsState, settings } for export and the import preview
+ *   onImportBackup        — (backup, mode) => void
+ *   onClose               — () => void
+ */
+
+import { useState } from 'react';
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import Panel from './Panel';
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import BackupSettings from './BackupSettings';
+import { MAX_DAILY_LIMIT, parseDailyLimits } from '../utils/dailyLimits';
+import {
+  MIN_BOX_COUNT,
+  MAX_BOX_COUNT,
+  MAX_INTERVAL_DAYS,
+  DEFAULT_LEITNER_CONFIG,
+  validateLeitnerConfig,
+  resizeIntervals,
+  maxBoxCount,
+} from '../utils/leitnerConfig';
+import { STUDY_DIRECTIONS, STUDY_DIRECTION_LABELS } from '../utils/studyDirection';
+import { ANSWER_MODES, ANSWER_MODE_LABELS } from '../utils/answerCheck';
+import { SPEECH_ACCENTS, SPEECH_ACCENT_LABELS } from '../utils/speech';
+import { PERSONS, TENSES, TENSE_LABELS } from '../utils/conjugation';
+import './SettingsPanel.css';
+
+/**
+ * Whole-number input that keeps its own draft text while typing, so clearing
+ * the field to retype does not snap it back to the default. Valid values are
+ * committed as they are typed; the draft is normalised on blur.
+ */
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+function NumberSetting({ id, label, hint, value, max, onCommit }) {
+  const [draft, setDraft] = useState(String(value));
+
+  // Pick up changes made elsewhere (backup import) without clobbering typing
+  const [prevValue, setPrevValue] = useState(value);
+  if (value !== prevValue) {
+    setPrevValue(value);
+    if (Number(draft) !== value) setDraft(String(value));
+  }
+
+  const handleChange = (e) => {
+    setDraft(e.target.value);
+    if (e.target.value.trim() !== '' && Number.isFinite(Number(e.target.value))) {
+      onCommit(e.target.value);
+    }
+  };
+
+  return (
+    <div className="settings-field">
+      <label htmlFor={id} className="settings-field__label">{label}</label>
+      <input
+        id={id}
+        className="settings-field__input"
+        type="number"
+        inputMode="numeric"
+        min="0"
+        max={max}
+        step="1"
+        value={draft}
+        onChange={handleChange}
+        onBlur={() => setDraft(String(value))}
+      />
+      {hint && <p className="settings-field__hint">{hint}</p>}
+    </div>
+  );
+}
+
+const BOX_COUNTS = Array.from(
+  { length: MAX_BOX_COUNT - MIN_BOX_COUNT + 1 },
+  (_, i) => MIN_BOX_COUNT + i
+);
+
+/** Draft input text → number; blank or non-numeric becomes NaN (invalid). */
+const toDays = (text) => (text.trim() === '' ? NaN : Number(text));
+
+/**
+ * Box count and per-box interval editor. Edits stay in a draft until they
+ * pass validation and are saved, so a half-typed interval never reaches the
+ * scheduler.
+ */
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+function LeitnerBoxesSetting({ config, onSave }) {
+  const [draft, setDraft] = useState(() => config.intervals.map(String));
+
+  const intervals = draft.map(toDays);
+  const errors = validateLeitnerConfig({ intervals });
+  const unchanged = intervals.length === config.intervals.length &&
+    intervals.every((days, i) => days === config.intervals[i]);
+  const isDefault = config.intervals.join() === DEFAULT_LEITNER_CONFIG.intervals.join();
+
+  const numeric = intervals.map((days) => (Number.isFinite(days) ? days : 0));
+  // No more boxes fit after a 365-day one
+  const maxCount = maxBoxCount(numeric);
+
+  const handleCountChange = (e) => {
+    const count = Number(e.target.value);
+    const grown = resizeIntervals(numeric, count);
+    setDraft([...draft.slice(0, count), ...grown.slice(draft.length).map(String)]);
+  };
+
+  const handleIntervalChange = (index) => (e) => {
+    setDraft(draft.map((text, i) => (i === index ? e.target.value : text)));
+  };
+
+  const handleRestoreDefaults = () => {
+    setDraft(DEFAULT_LEITNER_CONFIG.intervals.map(String));
+    onSave(DEFAULT_LEITNER_CONFIG);
+  };
+
+  return (
+    <div className="settings-boxes">
+      <div className="settings-field">
+        <label htmlFor="settings-box-count" className="settings-field__label">Number of boxes</label>
+        <select
+          id="settings-box-count"
+          className="settings-field__input"
+          value={draft.length}
+          onChange={handleCountChange}
+        >
+          {BOX_COUNTS.map((count) => (
+            <option key={count} value={count} disabled={count > draft.length && count > maxCount}>
+              {count}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <ol className="settings-boxes__list">
+        {draft.map((text, i) => (
+          <li key={i} className="settings-boxes__row">
+            <label htmlFor={`settings-box-${i + 1}`} className="settings-boxes__name">Box {i + 1}</label>
+            <input
+              id={`settings-box-${i + 1}`}
+              className="settings-field__input settings-boxes__input"
+              type="number"
+              inputMode="numeric"
+              min="0"
+              max={MAX_INTERVAL_DAYS}
+              step="1"
+              value={text}
+              onChange={handleIntervalChange(i)}
+            />
+            <span className="settings-boxes__unit">
+              {intervals[i] === 0 ? 'days · every session' : 'days'}
+            </span>
+          </li>
+        ))}
+      </ol>
+
+      {errors.length > 0 && (
+        <ul className="settings-errors" role="alert">
+          {errors.map((error) => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+      {errors.length === 0 && draft.length < config.intervals.length && (
+        <p className="settings-field__hint">
+          Words in boxes above {draft.length} will move to box {draft.length}.
+        </p>
+      )}
+
+      <div className="settings-actions">
+        <button
+          type="button"
+          className="settings-button"
+          disabled={errors.length > 0 || unchanged}
+          onClick={() => onSave({ intervals })}
+        >
+          Save boxes
+        </button>
+        <button
+          type="button"
+          className="settings-button settings-button--subtle"
+          disabled={isDefault && unchanged}
+          onClick={handleRestoreDefaults}
+        >
+          Restore defaults
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Tenses and persons the conjugation drill asks for. At least one of each
+ * stays ticked.
+ */
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+function DrillSetting({ settings, onChange }) {
+  // Toggle a value in one of the lists, keeping the lists' display order.
+  const toggle = (field, all, value) => (e) => {
+    const values = e.target.checked
+      ? all.filter((v) => v === value || settings[field].includes(v))
+      : settings[field].filter((v) => v !== value);
+    onChange({ ...settings, [field]: values });
+  };
+  const personIndices = PERSONS.map((_, index) => index);
+
+  return (
+    <div className="settings-drill">
+      <fieldset className="settings-choices" aria-label="Drilled tenses">
+        {TENSES.map((tense) => {
+          const checked = settings.tenses.includes(tense);
+          return (
+            <label key={tense}>
+              <input
+                type="checkbox"
+                checked={checked}
+                disabled={checked && settings.tenses.length === 1}
+                onChange={toggle('tenses', TENSES, tense)}
+              />
+              {TENSE_LABELS[tense]}
+            </label>
+          );
+        })}
+      </fieldset>
+      <fieldset className="settings-choices" aria-label="Drilled persons">
+        {personIndices.map((person) => {
+          const checked = settings.persons.includes(person);
+          return (
+            <label key={person}>
+              <input
+                type="checkbox"
+                checked={checked}
+                disabled={checked && settings.persons.length === 1}
+                onChange={toggle('persons', personIndices, person)}
+              />
+              <span lang="es">{PERSONS[person]}</span>
+            </label>
+          );
+        })}
+      </fieldset>
+    </div>
+  );
+}
+
+export default function SettingsPanel({
+  studyDirection,
+  onStudyDirectionChange,
+  drillSettings,
+  onDrillSettingsChange,
+  answerMode,
+  onAnswerModeChange,
+  speech,
+  onSpeechChange,
+  speechAvailable,
+  dailyLimits,
+  onDailyLimitsChange,
+  leitnerConfig,
+  onLeitnerConfigChange,
+  backupSource,
+  onImportBackup,
+  onClose,
+}) {
+  const updateLimit = (field) => (raw) => {
+    onDailyLimitsChange(parseDailyLimits({ ...dailyLimits, [field]: raw }));
+  };
+
+  return (
+    <Panel title="Settings" onClose={onClose} className="settings-panel">
+      <section className="panel-section">
+        <h4>Study direction</h4>
+        <p className="settings-field__hint settings-section-hint">
+          Each direction is scheduled on its own, so recalling a Spanish word
+          does not ride on recognising it.
+        </p>
+        <fieldset className="settings-choices" aria-label="Study direction">
+          {STUDY_DIRECTIONS.map((direction) => (
+            <label key={direction}>
+              <input
+                type="radio"
+                name="study-direction"
+                value={direction}
+                checked={studyDirection === direction}
+                onChange={() => onStudyDirectionChange(direction)}
+              />
+              {STUDY_DIRECTION_LABELS[direction]}
+            </label>
+          ))}
+        </fieldset>
+      </section>
+
+      {studyDirection === 'conjugation' && (
+        <section className="panel-section">
+          <h4>Conjugation drill</h4>
+          <p className="settings-field__hint settings-section-hint">
+            Each verb is a card per tense, asking for one of the persons below.
+            Type the form; accents are forgiven, other slips are not.
+          </p>
+          <DrillSetting settings={drillSettings} onChange={onDrillSettingsChange} />
+        </section>
+      )}
+
+      <section className="panel-section">
+        <h4>Answering</h4>
+        <p className="settings-field__hint settings-section-hint">
+          Typed answers are checked ignoring accents and small typos. Typed and
+          picked answers suggest a grade; you can always choose another.
+        </p>
+        <fieldset className="settings-choices" aria-label="Answering">
+          {ANSWER_MODES.map((mode) => (
+            <label key={mode}>
+              <input
+                type="radio"
+                name="answer-mode"
+                value={mode}
+                checked={answerMode === mode}
+                onChange={() => onAnswerModeChange(mode)}
+              />
+              {ANSWER_MODE_LABELS[mode]}
+            </label>
+          ))}
+        </fieldset>
+      </section>
+
+      <section className="panel-section">
+        <h4>Pronunciation</h4>
+        {speechAvailable ? (
+          <>
+            <p className="settings-field__hint settings-section-hint">
+              Voices come from your browser; if the accent you pick is not
+              installed, another Spanish voice is used.
+            </p>
+            <fieldset className="settings-choices" aria-label="Accent">
+              {SPEECH_ACCENTS.map((accent) => (
+                <label key={accent}>
+                  <input
+                    type="radio"
+                    name="speech-accent"
+                    value={accent}
+                    checked={speech.accent === accent}
+                    onChange={() => onSpeechChange({ ...speech, accent })}
+                  />
+                  {SPEECH_ACCENT_LABELS[accent]}
+                </label>
+              ))}
+              <label>
+                <input
+                  type="checkbox"
+                  checked={speech.autoPlay}
+                  onChange={(e) => onSpeechChange({ ...speech, autoPlay: e.target.checked })}
+                />
+                Say each Spanish word when it is shown
+              </label>
+            </fieldset>
+          </>
+        ) : (
+          <p className="settings-field__hint settings-section-hint">
+            No Spanish voice is installed in this browser. Add one in your
+            system's text-to-speech settings to hear words read aloud.
+          </p>
+        )}
+      </section>
+
+      <section className="panel-section">
+        <h4>Daily limits</h4>
+        <NumberSetting
+          id="settings-new-per-day"
+          label="New words per day"
+          hint="Words you have never answered. 0 pauses new words."
+          value={dailyLimits.newPerDay}
+          max={MAX_DAILY_LIMIT}
+          onCommit={updateLimit('newPerDay')}
+        />
+        <NumberSetting
+          id="settings-reviews-per-day"
+          label="Reviews per day"
+          hint="Words already in your boxes. Cards answered earlier today never count twice."
+          value={dailyLimits.reviewsPerDay}
+          max={MAX_DAILY_LIMIT}
+          onCommit={updateLimit('reviewsPerDay')}
+        />
+      </section>
+
+      <section className="panel-section">
+        <h4>Leitner boxes</h4>
+        <p className="settings-field__hint settings-section-hint">
+          How long a word waits before its next review in each box. SM-2 and
+          FSRS schedule by their own intervals and only use boxes for the badge.
+        </p>
+        {/* Keyed by the saved config so the draft resets when it changes elsewhere (backup import) */}
+        <LeitnerBoxesSetting
+          key={leitnerConfig.intervals.join()}
+          config={leitnerConfig}
+          onSave={onLeitnerConfigChange}
+        />
+      </section>
+
+      <section className="panel-section">
+        <h4>Backup</h4>
+        <p className="settings-field__hint settings-section-hint">
+          Save your progress and settings to a file, or restore them from one.
+          The review history used by Statistics stays on this device.
+        </p>
+        <BackupSettings current={backupSource} onImport={onImportBackup} />
+      </section>
+    </Panel>
+  );
+}
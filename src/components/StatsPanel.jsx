@@ -0,0 +1,158 @@
+/**
+ * StatsPanel.jsx
+ *
+ * Statistics dashboard: words per Leitner box, daily review counts, true
+ * retention, study streaks and a due-load calendar of upcoming reviews.
+ *
+ * Box distribution and forecast come from the SRS state; everything else
+ * from the IndexedDB review history (loaded when the panel opens).
+ *
+ * Props:
+ *   vocab        — words in the active frequency band
+ *   srsState     — { [wordId]: { box, nextReview, … } }
+ *   boxIntervals — active Leitner intervals in ms (index = box)
+ *   bandLabel    — e.g. "Top 1000", shown in the box-distribution heading
+ *   onClose      — () => void
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import Panel from './Panel';
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import DueCalendar from './DueCalendar';
+import { getReviewsInRange } from '../utils/reviewHistory';
+import { DAY_MS, getDueForecast, maxBoxOf } from '../utils/srsEngine';
+import {
+  countByBox,
+  reviewsPerDay,
+  trueRetention,
+  computeStreaks,
+} from '../utils/statistics';
+import './StatsPanel.css';
+
+// Days of history shown in the reviews-per-day chart
+const HISTORY_DAYS = 14;
+// Days covered by the due-load calendar (four weeks from today)
+const FORECAST_DAYS = 28;
+// How far back the history is loaded (streaks / retention)
+const HISTORY_LOOKBACK_MS = 365 * DAY_MS;
+
+/** "every session" / "every 2 days" for a box's review interval. */
+function intervalLabel(box, boxIntervals) {
+  if (box === 0) return 'not started';
+  const days = boxIntervals[box] / DAY_MS;
+  if (days === 0) return 'every session';
+  return `every ${days} day${days !== 1 ? 's' : ''}`;
+}
+
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+function BarChart({ data, label }) {
+  const max = Math.max(1, ...data.map((d) => d.value));
+  return (
+    <ol className="stats-bars" aria-label={label}>
+      {data.map((d) => (
+        <li key={d.key} className="stats-bars__item" title={`${d.title}: ${d.value}`}>
+          <span className="stats-bars__value">{d.value}</span>
+          <span
+            className="stats-bars__bar"
+            style={{ height: `calc((100% - 28px) * ${d.value / max})` }}
+            aria-hidden="true"
+          />
+          <span className="stats-bars__label">{d.label}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export default function StatsPanel({ vocab, srsState, boxIntervals, bandLabel, onClose }) {
+  // null while loading
+  const [events, setEvents] = useState(null);
+  const [now] = useState(() => Date.now());
+
+  useEffect(() => {
+    let cancelled = false;
+    getReviewsInRange(now - HISTORY_LOOKBACK_MS, now).then((result) => {
+      if (!cancelled) setEvents(result);
+    });
+    return () => { cancelled = true; };
+  }, [now]);
+
+  const boxCounts = useMemo(
+    () => countByBox(vocab, srsState, maxBoxOf(boxIntervals)),
+    [vocab, srsState, boxIntervals]
+  );
+  const forecast = useMemo(
+    () => getDueForecast(vocab, srsState, FORECAST_DAYS, now),
+    [vocab, srsState, now]
+  );
+
+  const daily = events ? reviewsPerDay(events, HISTORY_DAYS, now) : [];
+  const retention = events ? trueRetention(events) : null;
+  const streaks = events ? computeStreaks(events, now) : { current: 0, longest: 0 };
+  const maxBoxCount = Math.max(1, ...boxCounts);
+
+  return (
+    <Panel title="Statistics" onClose={onClose} className="stats-panel">
+      <section className="panel-section stats-summary">
+        <div className="stats-tile">
+          <span className="stats-tile__value">
+            {retention === null ? '—' : `${Math.round(retention * 100)}%`}
+          </span>
+          <span className="stats-tile__label">Retention (first try)</span>
+        </div>
+        <div className="stats-tile">
+          <span className="stats-tile__value">{streaks.current}</span>
+          <span className="stats-tile__label">Day streak</span>
+        </div>
+        <div className="stats-tile">
+          <span className="stats-tile__value">{streaks.longest}</span>
+          <span className="stats-tile__label">Longest streak</span>
+        </div>
+      </section>
+
+      <section className="panel-section">
+        <h4>Words per box · {bandLabel}</h4>
+        <ul className="stats-boxes">
+          {boxCounts.map((count, box) => (
+            <li key={box} className="stats-boxes__row">
+              <span className="stats-boxes__name">{box === 0 ? 'New' : `Box ${box}`}</span>
+              <span className="stats-boxes__track" aria-hidden="true">
+                <span
+                  className="stats-boxes__fill"
+                  style={{ width: `${(count / maxBoxCount) * 100}%` }}
+                />
+              </span>
+              <span className="stats-boxes__count">{count}</span>
+              <span className="stats-boxes__interval">{intervalLabel(box, boxIntervals)}</span>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <section className="panel-section">
+        <h4>Reviews per day · last {HISTORY_DAYS} days</h4>
+        {events === null ? (
+          <p className="stats-empty">Loading history…</p>
+        ) : events.length === 0 ? (
+          <p className="stats-empty">No reviews recorded yet.</p>
+        ) : (
+          <BarChart
+            label="Reviews per day"
+            data={daily.map((d) => ({
+              key: d.date,
+              value: d.count,
+              title: d.date,
+              label: d.date.slice(8),
+            }))}
+          />
+        )}
+      </section>
+
+      <section className="panel-section">
+        <h4>Coming up · next {FORECAST_DAYS} days</h4>
+        <DueCalendar forecast={forecast} />
+      </section>
+    </Panel>
+  );
+}
@@ -0,0 +1,33 @@
+/**
+ * UndoToast.jsx
+ *
+ * Bottom toast shown after each answer with an Undo button. Hides itself
+ * after a few seconds; undo stays available from the keyboard (Ctrl+Z / ⌘Z
+ * or U) for as long as there is something to undo.
+ *
+ * Props:
+ *   message   — e.g. "“casa” → Ya lo sé"
+ *   onUndo    — () => void
+ *   onDismiss — () => void, called when the toast times out
+ *   duration  — ms before it hides (default 5000)
+ */
+
+import { useEffect } from 'react';
+import './UndoToast.css';
+
+export default function UndoToast({ message, onUndo, onDismiss, duration = 5000 }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss, duration]);
+
+  return (
+    <div className="undo-toast" role="status" aria-live="polite">
+      <span className="undo-toast__message">{message}</span>
+      <button type="button" className="undo-toast__button" onClick={onUndo}>
+        Undo
+      </button>
+      <kbd className="undo-toast__key" aria-hidden="true">U</kbd>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+/**
+ * VocabularyBrowser.jsx
+ *
+ * Browsable list of the whole vocabulary, outside the current card and
+ * band. Searches the Spanish word, its translation in the active language
+ * and any cached RAE definitions (accents ignored), shows each word's box
+ * and next review for the active study direction, and lets a word be
+ * suspended, reset or studied straight away.
+ *
+ * The list is virtualised — only the rows in view are rendered — so all
+ * 5 000 words scroll smoothly. Helpers live in utils/vocabBrowser.js.
+ *
+ * Props:
+ *   vocab          — full vocabulary
+ *   srsState       — { [cardId]: { box, nextReview, suspended?, … } }
+ *   studyDirection — whose cards' status to show (see studyDirection.js)
+ *   translationOf  — (word) => translation in the active language
+ *   onSuspend      — (wordId, suspended: boolean) => void
+ *   onReset        — (wordId) => void
+ *   onStudy        — (wordId) => void, shows the word as the next card
+ *   onClose        — () => void
+ */
+
+import { useState, useEffect, useMemo, useRef, useDeferredValue } from 'react';
+// eslint-disable-next-line no-unused-vars -- used as JSX element
+import Panel from './Panel';
+import { getAllCachedDefinitions } from '../utils/definitionsCache';
+import { searchVocabulary, describeCard, visibleRange } from '../utils/vocabBrowser';
+import { cardIdsOf, isReverseCardId } from '../utils/studyDirection';
+import { drillCardIds } from '../utils/conjugationDrill';
+import { articleCardId } from '../utils/nounGender';
+import { clozeCardId } from '../utils/cloze';
+import { isSuspended } from '../utils/srsEngine';
+import './VocabularyBrowser.css';
+
+// Fixed row height (px) the virtualisation relies on — keep in sync with the CSS.
+const ROW_HEIGHT = 72;
+
+export default function VocabularyBrowser({
+  vocab,
+  srsState,
+  studyDirection,
+  translationOf,
+  onSuspend,
+  onReset,
+  onStudy,
+  onClose,
+}) {
+  const [query, setQuery] = useState('');
+  const deferredQuery = useDeferredValue(query);
+  // { [wordId]: string[] } — definitions cached on this device
+  const [definitions, setDefinitions] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const listRef = useRef(null);
+  // Due dates are described relative to when the browser was opened.
+  const [now] = useState(() => Date.now());
+
+  useEffect(() => {
+    getAllCachedDefinitions().then(setDefinitions);
+  }, []);
+
+  // Track the list's height so the visible range follows window resizes.
+  useEffect(() => {
+    const measure = () => setViewportHeight(listRef.current?.clientHeight ?? 0);
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  const results = useMemo(
+    () => searchVocabulary(vocab, deferredQuery, {
+      translationOf,
+      definitionsOf: (word) => definitions[word.id],
+    }),
+    [vocab, deferredQuery, translationOf, definitions]
+  );
+
+  const { start, end } = visibleRange(scrollTop, viewportHeight, ROW_HEIGHT, results.length);
+
+  // A new search starts back at the top of the list.
+  const handleQueryChange = (e) => {
+    setQuery(e.target.value);
+    if (listRef.current) listRef.current.scrollTop = 0;
+    setScrollTop(0);
+  };
+
+  const handleReset = (word) => {
+    if (!window.confirm(`Reset progress on “${word.word}”? It will come back as a new word.`)) return;
+    onReset(word.id);
+  };
+
+  return (
+    <Panel title="Vocabulary" onClose={onClose} className="vocab-browser">
+      <input
+        type="search"
+        className="vocab-browser__search"
+        value={query}
+        onChange={handleQueryChange}
+        placeholder="Search words, translations, definitions"
+        aria-label="Search the vocabulary"
+        autoFocus
+      />
+      <p className="vocab-browser__count" role="status">
+        {results.length} {results.length === 1 ? 'word' : 'words'}
+      </p>
+
+      <div
+        ref={listRef}
+        className="vocab-browser__list"
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <ul
+          className="vocab-browser__rows"
+          style={{ height: results.length * ROW_HEIGHT }}
+        >
+          {results.slice(start, end).map((word, i) => {
+            const suspended = isSuspended(srsState[word.id]);
+            const hasProgress = [
+              ...cardIdsOf(word.id, 'both'), ...drillCardIds(word.id), articleCardId(word.id), clozeCardId(word.id),
+            ].some((id) => srsState[id]);
+            return (
+              <li
+                key={word.id}
+                className={`vocab-row ${suspended ? 'vocab-row--suspended' : ''}`}
+                style={{ top: (start + i) * ROW_HEIGHT, height: ROW_HEIGHT }}
+              >
+                <span className="vocab-row__rank">#{word.frequency_rank ?? '—'}</span>
+                <div className="vocab-row__text">
+                  <span className="vocab-row__word" lang="es">{word.word}</span>
+                  <span className="vocab-row__translation">{translationOf(word)}</span>
+                </div>
+                <div className="vocab-row__status">
+                  {cardIdsOf(word.id, studyDirection).map((id) => (
+                    <span
+                      key={id}
+                      title={isReverseCardId(id) ? 'Your language → Spanish' : 'Spanish → your language'}
+                    >
+                      {studyDirection === 'both' && (isReverseCardId(id) ? '← ' : '→ ')}
+                      {describeCard(srsState[id], now)}
+                    </span>
+                  ))}
+                </div>
+                <div className="vocab-row__actions">
+                  <button
+                    type="button"
+                    className="vocab-row__button"
+                    onClick={() => onStudy(word.id)}
+                    disabled={suspended}
+                  >
+                    Study
+                  </button>
+                  <button
+                    type="button"
+                    className="vocab-row__button"
+                    onClick={() => onSuspend(word.id, !suspended)}
+                  >
+                    {suspended ? 'Unsuspend' : 'Suspend'}
+                  </button>
+                  <button
+                    type="button"
+                    className="vocab-row__button"
+                    onClick={() => handleReset(word)}
+                    disabled={!hasProgress}
+                  >
+                    Reset
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+        {results.length === 0 && <p className="vocab-browser__empty">No words match.</p>}
+      </div>
+    </Panel>
+  );
+}
@@ -0,0 +1,190 @@
+/**
+ * answerCheck.js — typed-answer mode
+ *
+ * In typed-answer mode the learner types the answer before the card flips:
+ * the translation on a recognition card, the Spanish word on a production
+ * card (see studyDirection.js). The typed text is compared with every
+ * accepted answer and the best match decides the result:
+ *
+ *   - exact:  same text, ignoring case, punctuation and spacing
+ *   - accent: same once accents and ñ are ignored ("cafe" for "café")
+ *   - typo:   within a small edit distance, scaled by answer length
+ *   - wrong:  anything else, including an empty answer
+ *
+ * Each result maps onto a grade (ANSWER_GRADES), which the card suggests
+ * and the learner confirms or overrides. Quiz mode (quiz.js) reuses the
+ * grades: a right pick is "exact", a wrong one "wrong".
+ *
+ * Pure helpers only; the input lives in FlashCard.jsx, persistence in App.jsx.
+ */
+
+import { isPendingTranslation } from './translationsLoader.js';
+
+export const ANSWER_MODES = ['flip', 'type', 'quiz'];
+
+/** Default mode when nothing is stored — cards flip as before. */
+export const DEFAULT_ANSWER_MODE = 'flip';
+
+/** Labels for the answer-mode picker. */
+export const ANSWER_MODE_LABELS = {
+  flip: 'Flip the card',
+  type: 'Type the answer',
+  quiz: 'Pick from four options',
+};
+
+/** Grade suggested for each check result. */
+export const ANSWER_GRADES = {
+  exact: 'good',
+  accent: 'good',
+  typo: 'hard',
+  wrong: 'again',
+};
+
+/**
+ * Coerce a stored/raw value into a valid answer mode, falling back to the default.
+ * @param {*} raw
+ * @returns {string}
+ */
+export function parseAnswerMode(raw) {
+  return ANSWER_MODES.includes(raw) ? raw : DEFAULT_ANSWER_MODE;
+}
+
+/**
+ * Lower-case, drop punctuation (including ¿ and ¡) and collapse whitespace.
+ * Accents are kept — see foldAccents.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeAnswer(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[¿?¡!.,;:"“”'‘’«»()[\]]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Strip diacritics, so "café" → "cafe", "niño" → "nino", "pingüino" → "pinguino".
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Lower-case, punctuation- and accent-free form for searching and matching
+ * words, e.g. "¿Niño?" → "nino".
+ * @param {string} text
+ * @returns {string}
+ */
+export function searchKey(text) {
+  return foldAccents(normalizeAnswer(text));
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * two neighbouring letters as one edit each (optimal string alignment).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+}
+
+/**
+ * Typos tolerated for an answer of this length: none up to 3 letters (too
+ * easy to land on a different word), 1 up to 6, then 2.
+ * @param {number} length
+ * @returns {number}
+ */
+export function typoAllowance(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Answers accepted for an expected string. Comma/semicolon/slash-separated
+ * alternatives are each accepted ("of, from" → of | from), and English
+ * infinitives also without "to" ("to be" → to be | be). A pending
+ * translation accepts nothing.
+ *
+ * @param {string} expected
+ * @returns {string[]}
+ */
+export function acceptedAnswers(expected) {
+  if (isPendingTranslation(expected)) return [];
+  const answers = [];
+  for (const part of expected.split(/[,;/]/)) {
+    const answer = part.trim();
+    if (!answer) continue;
+    answers.push(answer);
+    const bare = answer.replace(/^to\s+/i, '');
+    if (bare !== answer && bare) answers.push(bare);
+  }
+  return answers;
+}
+
+/**
+ * Check a typed answer against the accepted answers.
+ *
+ * @param {string} typed
+ * @param {string[]} accepted  see acceptedAnswers
+ * @returns {{ result: 'exact'|'accent'|'typo'|'wrong', answer: string|null }}
+ *          `answer` is the accepted answer matched (the first one when wrong)
+ */
+export function checkAnswer(typed, accepted) {
+  const input = normalizeAnswer(typed);
+  const fallback = { result: 'wrong', answer: accepted[0] ?? null };
+  if (!input) return fallback;
+
+  const candidates = accepted.map((answer) => ({ answer, normalized: normalizeAnswer(answer) }));
+
+  const exact = candidates.find((c) => c.normalized === input);
+  if (exact) return { result: 'exact', answer: exact.answer };
+
+  const folded = foldAccents(input);
+  const accent = candidates.find((c) => foldAccents(c.normalized) === folded);
+  if (accent) return { result: 'accent', answer: accent.answer };
+
+  let best = null;
+  for (const c of candidates) {
+    const target = foldAccents(c.normalized);
+    const distance = editDistance(folded, target);
+    if (distance <= typoAllowance(target.length) && (!best || distance < best.distance)) {
+      best = { answer: c.answer, distance };
+    }
+  }
+  if (best) return { result: 'typo', answer: best.answer };
+
+  return fallback;
+}
+
+/**
+ * Grade suggested for a check result.
+ * @param {string} result
+ * @returns {string}
+ */
+export function gradeForAnswer(result) {
+  return ANSWER_GRADES[result] ?? 'again';
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ANSWER_MODES,
+  ANSWER_MODE_LABELS,
+  DEFAULT_ANSWER_MODE,
+  parseAnswerMode,
+  normalizeAnswer,
+  foldAccents,
+  searchKey,
+  editDistance,
+  typoAllowance,
+  acceptedAnswers,
+  checkAnswer,
+  gradeForAnswer,
+} from './answerCheck.js';
+
+describe('parseAnswerMode', () => {
+  it('keeps valid modes and falls back to flip', () => {
+    expect(Object.keys(ANSWER_MODE_LABELS)).toEqual(ANSWER_MODES);
+    expect(parseAnswerMode('type')).toBe('type');
+    expect(parseAnswerMode(null)).toBe(DEFAULT_ANSWER_MODE);
+    expect(parseAnswerMode('speak')).toBe('flip');
+  });
+});
+
+describe('normalizeAnswer', () => {
+  it('lower-cases, strips punctuation and collapses spaces', () => {
+    expect(normalizeAnswer('  ¿Qué   TAL?  ')).toBe('qué tal');
+    expect(normalizeAnswer('(to) run!')).toBe('to run');
+    expect(normalizeAnswer(undefined)).toBe('');
+  });
+});
+
+describe('foldAccents', () => {
+  it('removes accents, tildes and diaereses', () => {
+    expect(foldAccents('café')).toBe('cafe');
+    expect(foldAccents('niño')).toBe('nino');
+    expect(foldAccents('pingüino')).toBe('pinguino');
+  });
+});
+
+describe('searchKey', () => {
+  it('lower-cases and strips punctuation and accents', () => {
+    expect(searchKey('¿Niño?')).toBe('nino');
+    expect(searchKey('  Está  bien ')).toBe('esta bien');
+    expect(searchKey(undefined)).toBe('');
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('casa', 'casa')).toBe(0);
+    expect(editDistance('casa', 'cas')).toBe(1);
+    expect(editDistance('casa', 'caza')).toBe(1);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+
+  it('counts a swap of neighbouring letters as one edit', () => {
+    expect(editDistance('perro', 'pemro')).toBe(1);
+    expect(editDistance('about', 'abotu')).toBe(1);
+  });
+});
+
+describe('typoAllowance', () => {
+  it('grows with the answer length', () => {
+    expect(typoAllowance(3)).toBe(0);
+    expect(typoAllowance(4)).toBe(1);
+    expect(typoAllowance(6)).toBe(1);
+    expect(typoAllowance(7)).toBe(2);
+  });
+});
+
+describe('acceptedAnswers', () => {
+  it('splits comma-separated translations', () => {
+    expect(acceptedAnswers('of, from')).toEqual(['of', 'from']);
+    expect(acceptedAnswers('he; him / it')).toEqual(['he', 'him', 'it']);
+  });
+
+  it('also accepts infinitives without "to"', () => {
+    expect(acceptedAnswers('to be')).toEqual(['to be', 'be']);
+  });
+
+  it('accepts nothing for a pending or missing translation', () => {
+    expect(acceptedAnswers('Translation pending')).toEqual([]);
+    expect(acceptedAnswers(undefined)).toEqual([]);
+  });
+});
+
+describe('checkAnswer', () => {
+  it('matches any of the alternatives exactly', () => {
+    expect(checkAnswer('From', acceptedAnswers('of, from'))).toEqual({ result: 'exact', answer: 'from' });
+    expect(checkAnswer('be', acceptedAnswers('to be'))).toEqual({ result: 'exact', answer: 'be' });
+  });
+
+  it('tolerates missing accents and ñ', () => {
+    expect(checkAnswer('tambien', ['también'])).toEqual({ result: 'accent', answer: 'también' });
+    expect(checkAnswer('nino', ['niño'])).toEqual({ result: 'accent', answer: 'niño' });
+  });
+
+  it('tolerates small typos on longer answers', () => {
+    expect(checkAnswer('everyting', acceptedAnswers('all, everything'))).toEqual({
+      result: 'typo',
+      answer: 'everything',
+    });
+    expect(checkAnswer('tambein', ['también']).result).toBe('typo');
+  });
+
+  it('does not tolerate typos on short answers', () => {
+    expect(checkAnswer('if', ['of'])).toEqual({ result: 'wrong', answer: 'of' });
+  });
+
+  it('treats an empty answer as wrong', () => {
+    expect(checkAnswer('   ', ['casa'])).toEqual({ result: 'wrong', answer: 'casa' });
+    expect(checkAnswer('casa', [])).toEqual({ result: 'wrong', answer: null });
+  });
+});
+
+describe('gradeForAnswer', () => {
+  it('maps results onto grades', () => {
+    expect(gradeForAnswer('exact')).toBe('good');
+    expect(gradeForAnswer('accent')).toBe('good');
+    expect(gradeForAnswer('typo')).toBe('hard');
+    expect(gradeForAnswer('wrong')).toBe('again');
+    expect(gradeForAnswer('other')).toBe('again');
+  });
+});
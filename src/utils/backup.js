@@ -0,0 +1,300 @@
+/**
+ * backup.js — JSON backup of study progress
+ *
+ * Progress lives in localStorage (`yalose-srs-state`) and "Reset progress"
+ * wipes it for good, so learners can export it to a file and import it back.
+ * A backup file looks like:
+ *
+ *   {
+ *     "format": "yalose-backup",
+ *     "version": 1,
+ *     "exportedAt": "2026-01-10T12:00:00.000Z",
+ *     "data": {
+ *       "srsState": { [wordId]: { box, nextReview, …scheduler fields } },
+ *       "settings": { locale, cardMode, studyDirection, answerMode,
+ *                     frequencyLimit, tagFilter, srsAlgorithm, dailyLimits,
+ *                     leitnerConfig, speech, conjugationDrill }
+ *     }
+ *   }
+ *
+ * Every setting is optional on import. Importing either replaces the current
+ * progress and settings, or merges the backup's words into the current
+ * progress and leaves settings alone. The review history (IndexedDB) is not
+ * part of the backup.
+ *
+ * Pure helpers only; file handling and persistence live in the UI / App.jsx.
+ */
+
+import { dayKey, STATUS_FIELDS } from './srsEngine.js';
+import { CARD_MODES } from './cardMode.js';
+import { STUDY_DIRECTIONS } from './studyDirection.js';
+import { ANSWER_MODES } from './answerCheck.js';
+import { FREQUENCY_BANDS } from './frequencyFilter.js';
+import { SRS_ALGORITHMS } from './srsAlgorithm.js';
+import { validateLeitnerConfig } from './leitnerConfig.js';
+import { validateSpeechSettings } from './speech.js';
+import { validateDrillSettings } from './conjugationDrill.js';
+
+export const BACKUP_FORMAT = 'yalose-backup';
+
+/** Current backup schema version. Bump when the file layout changes. */
+export const BACKUP_VERSION = 1;
+
+export const IMPORT_MODES = ['merge', 'replace'];
+
+/** Settings carried in a backup, in display order. */
+export const BACKUP_SETTINGS = [
+  'locale',
+  'cardMode',
+  'studyDirection',
+  'answerMode',
+  'frequencyLimit',
+  'tagFilter',
+  'srsAlgorithm',
+  'dailyLimits',
+  'leitnerConfig',
+  'speech',
+  'conjugationDrill',
+];
+
+// Stop listing invalid words after this many — one bad file can have thousands.
+const MAX_ENTRY_ERRORS = 5;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Build a backup object from the current progress and settings.
+ *
+ * @param {{ srsState: Object, settings: Object }} params
+ * @param {number} now
+ * @returns {Object}
+ */
+export function createBackup({ srsState, settings = {} }, now = Date.now()) {
+  const picked = {};
+  for (const key of BACKUP_SETTINGS) {
+    if (settings[key] !== undefined && settings[key] !== null) picked[key] = settings[key];
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    data: { srsState, settings: picked },
+  };
+}
+
+/**
+ * File name for a backup taken at `now`, e.g. "yalose-backup-2026-01-10.json".
+ * @param {number} now
+ * @returns {string}
+ */
+export function backupFileName(now = Date.now()) {
+  return `yalose-backup-${dayKey(now)}.json`;
+}
+
+function validateEntry(wordId, entry) {
+  if (!isPlainObject(entry)) return `Word "${wordId}": entry is not an object.`;
+  if (!Number.isInteger(entry.box) || entry.box < 0) {
+    return `Word "${wordId}": box must be a whole number of 0 or more.`;
+  }
+  if (typeof entry.nextReview !== 'string' || Number.isNaN(new Date(entry.nextReview).getTime())) {
+    return `Word "${wordId}": nextReview must be a date.`;
+  }
+  return null;
+}
+
+function validateSettings(settings) {
+  if (settings === undefined) return [];
+  if (!isPlainObject(settings)) return ['Settings must be an object.'];
+
+  const errors = [];
+  const {
+    locale, cardMode, studyDirection, answerMode, frequencyLimit, tagFilter, srsAlgorithm,
+    dailyLimits, leitnerConfig, speech, conjugationDrill,
+  } = settings;
+  if (locale !== undefined && (typeof locale !== 'string' || locale.trim() === '')) {
+    errors.push('Settings: locale must be a language code.');
+  }
+  if (cardMode !== undefined && !CARD_MODES.includes(cardMode)) {
+    errors.push(`Settings: unknown card mode "${cardMode}".`);
+  }
+  if (studyDirection !== undefined && !STUDY_DIRECTIONS.includes(studyDirection)) {
+    errors.push(`Settings: unknown study direction "${studyDirection}".`);
+  }
+  if (answerMode !== undefined && !ANSWER_MODES.includes(answerMode)) {
+    errors.push(`Settings: unknown answer mode "${answerMode}".`);
+  }
+  if (frequencyLimit !== undefined && !FREQUENCY_BANDS.includes(frequencyLimit)) {
+    errors.push(`Settings: unknown frequency band "${frequencyLimit}".`);
+  }
+  if (tagFilter !== undefined && (typeof tagFilter !== 'string' || tagFilter.trim() === '')) {
+    errors.push('Settings: tag filter must be a tag name.');
+  }
+  if (srsAlgorithm !== undefined && !SRS_ALGORITHMS.includes(srsAlgorithm)) {
+    errors.push(`Settings: unknown scheduling algorithm "${srsAlgorithm}".`);
+  }
+  if (dailyLimits !== undefined) {
+    const valid = isPlainObject(dailyLimits) &&
+      ['newPerDay', 'reviewsPerDay'].every(
+        (key) => dailyLimits[key] === undefined ||
+          (Number.isInteger(dailyLimits[key]) && dailyLimits[key] >= 0)
+      );
+    if (!valid) errors.push('Settings: daily limits must be whole numbers of 0 or more.');
+  }
+  if (leitnerConfig !== undefined) {
+    errors.push(...validateLeitnerConfig(leitnerConfig).map((error) => `Settings: ${error}`));
+  }
+  if (speech !== undefined) {
+    errors.push(...validateSpeechSettings(speech).map((error) => `Settings: ${error}`));
+  }
+  if (conjugationDrill !== undefined) {
+    errors.push(...validateDrillSettings(conjugationDrill).map((error) => `Settings: ${error}`));
+  }
+  return errors;
+}
+
+/**
+ * Schema problems with a parsed backup, as messages for the import UI.
+ *
+ * @param {*} backup
+ * @returns {string[]} empty when the backup is valid
+ */
+export function validateBackup(backup) {
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return ['This is not a Yalosé backup file.'];
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return ['The backup has no valid version.'];
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return ['This backup was made by a newer version of Yalosé. Update the app and try again.'];
+  }
+  if (!isPlainObject(backup.data) || !isPlainObject(backup.data.srsState)) {
+    return ['The backup contains no study progress.'];
+  }
+
+  const errors = [];
+  let invalidEntries = 0;
+  for (const [wordId, entry] of Object.entries(backup.data.srsState)) {
+    const error = validateEntry(wordId, entry);
+    if (!error) continue;
+    invalidEntries++;
+    if (invalidEntries <= MAX_ENTRY_ERRORS) errors.push(error);
+  }
+  if (invalidEntries > MAX_ENTRY_ERRORS) {
+    errors.push(`…and ${invalidEntries - MAX_ENTRY_ERRORS} more invalid words.`);
+  }
+  errors.push(...validateSettings(backup.data.settings));
+  return errors;
+}
+
+/**
+ * Parse and validate the text of a backup file.
+ *
+ * @param {string} text
+ * @returns {{ backup: Object|null, errors: string[] }}
+ */
+export function parseBackup(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { backup: null, errors: ['The file is not valid JSON.'] };
+  }
+  const errors = validateBackup(parsed);
+  return errors.length > 0 ? { backup: null, errors } : { backup: parsed, errors: [] };
+}
+
+/**
+ * Which of two entries for the same word to keep when merging: the one in
+ * the higher box, or — in the same box — the one due later.
+ */
+function moreAdvanced(a, b) {
+  if (a.box !== b.box) return a.box > b.box ? a : b;
+  return new Date(b.nextReview).getTime() > new Date(a.nextReview).getTime() ? b : a;
+}
+
+/**
+ * The merged entry for a word in both: the more advanced progress, with the
+ * current entry's status (suspended, buried), so an older backup never
+ * brings back a card the learner has put aside since.
+ */
+function mergeEntry(current, incoming) {
+  const kept = moreAdvanced(current, incoming);
+  const status = STATUS_FIELDS.filter((field) => current[field] !== undefined);
+  if (kept === current || status.length === 0) return kept;
+  const merged = { ...kept };
+  for (const field of status) merged[field] = current[field];
+  return merged;
+}
+
+/**
+ * SRS state after importing a backup.
+ *
+ * - replace: the backup's progress, as is.
+ * - merge:   every word from both; where both have a word, the more advanced
+ *            entry wins (higher box, then later due date), keeping the
+ *            current entry's suspension or bury.
+ *
+ * Pure — returns a new state object, never mutates the inputs.
+ *
+ * @param {Object} srsState  current state
+ * @param {Object} backup    a valid backup (see parseBackup)
+ * @param {'merge'|'replace'} mode
+ * @returns {Object} new srsState
+ */
+export function importSrsState(srsState, backup, mode) {
+  const incoming = backup.data.srsState;
+  if (mode === 'replace') return { ...incoming };
+  const result = { ...srsState };
+  for (const [wordId, entry] of Object.entries(incoming)) {
+    result[wordId] = result[wordId] ? mergeEntry(result[wordId], entry) : entry;
+  }
+  return result;
+}
+
+/**
+ * Settings after importing a backup: the backup's settings on replace, the
+ * current ones on merge. Settings missing from the backup are left as they are.
+ *
+ * @param {Object} settings  current settings
+ * @param {Object} backup
+ * @param {'merge'|'replace'} mode
+ * @returns {Object}
+ */
+export function importSettings(settings, backup, mode) {
+  if (mode !== 'replace') return settings;
+  return { ...settings, ...(backup.data.settings ?? {}) };
+}
+
+/**
+ * What an import would change, for the preview shown before confirming.
+ *
+ * @param {{ srsState: Object, settings: Object }} current
+ * @param {Object} backup
+ * @param {'merge'|'replace'} mode
+ * @returns {{ added: number, updated: number, removed: number, unchanged: number,
+ *             settings: Array<{ key: string, from: *, to: * }> }}
+ */
+export function previewImport(current, backup, mode) {
+  const after = importSrsState(current.srsState, backup, mode);
+  const summary = { added: 0, updated: 0, removed: 0, unchanged: 0, settings: [] };
+
+  for (const [wordId, entry] of Object.entries(after)) {
+    const before = current.srsState[wordId];
+    if (!before) summary.added++;
+    else if (JSON.stringify(before) === JSON.stringify(entry)) summary.unchanged++;
+    else summary.updated++;
+  }
+  for (const wordId of Object.keys(current.srsState)) {
+    if (!after[wordId]) summary.removed++;
+  }
+
+  const settingsAfter = importSettings(current.settings, backup, mode);
+  for (const key of BACKUP_SETTINGS) {
+    const from = current.settings[key];
+    const to = settingsAfter[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) summary.settings.push({ key, from, to });
+  }
+  return summary;
+}
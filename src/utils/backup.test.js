@@ -0,0 +1,227 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createBackup,
+  backupFileName,
+  validateBackup,
+  parseBackup,
+  importSrsState,
+  importSettings,
+  previewImport,
+} from './backup.js';
+
+const NOW = new Date(2026, 0, 10, 12, 0, 0).getTime();
+const at = (day) => new Date(2026, 0, day, 12, 0, 0).toISOString();
+
+const SETTINGS = {
+  locale: 'en',
+  cardMode: 'translation',
+  studyDirection: 'recognition',
+  answerMode: 'flip',
+  frequencyLimit: 1000,
+  tagFilter: 'all',
+  srsAlgorithm: 'leitner',
+  dailyLimits: { newPerDay: 20, reviewsPerDay: 200 },
+  leitnerConfig: { intervals: [0, 2, 4, 8, 16] },
+  speech: { accent: 'es-ES', autoPlay: false },
+  conjugationDrill: { tenses: ['present', 'preterite'], persons: [0, 1, 2, 3, 4, 5] },
+};
+
+const backupOf = (srsState, settings = SETTINGS) => createBackup({ srsState, settings }, NOW);
+
+describe('createBackup', () => {
+  it('wraps progress and settings in a versioned envelope', () => {
+    const srsState = { a: { box: 2, nextReview: at(12) } };
+    expect(backupOf(srsState)).toEqual({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date(NOW).toISOString(),
+      data: { srsState, settings: SETTINGS },
+    });
+  });
+
+  it('leaves out unknown and empty settings', () => {
+    const backup = createBackup({ srsState: {}, settings: { locale: null, cardMode: 'mixed', other: 1 } }, NOW);
+    expect(backup.data.settings).toEqual({ cardMode: 'mixed' });
+  });
+
+  it('round-trips through JSON and validation', () => {
+    const backup = backupOf({ a: { box: 2, nextReview: at(12), ease: 2.5 } });
+    expect(parseBackup(JSON.stringify(backup))).toEqual({ backup, errors: [] });
+  });
+});
+
+describe('backupFileName', () => {
+  it('names the file after the local date', () => {
+    expect(backupFileName(NOW)).toBe('yalose-backup-2026-01-10.json');
+  });
+});
+
+describe('validateBackup', () => {
+  it('rejects files that are not backups', () => {
+    expect(validateBackup([])).toEqual(['This is not a Yalosé backup file.']);
+    expect(validateBackup({ format: 'other' })).toHaveLength(1);
+  });
+
+  it('rejects missing and newer versions', () => {
+    expect(validateBackup({ format: BACKUP_FORMAT, data: {} })[0]).toMatch('version');
+    expect(validateBackup({ ...backupOf({}), version: BACKUP_VERSION + 1 })[0]).toMatch('newer version');
+  });
+
+  it('requires the progress map', () => {
+    expect(validateBackup({ format: BACKUP_FORMAT, version: 1, data: {} })[0]).toMatch('no study progress');
+  });
+
+  it('reports invalid entries', () => {
+    const errors = validateBackup(backupOf({
+      a: { box: -1, nextReview: at(12) },
+      b: { box: 1, nextReview: 'not a date' },
+      c: 'x',
+      d: { box: 1, nextReview: at(12) },
+    }));
+    expect(errors).toEqual([
+      'Word "a": box must be a whole number of 0 or more.',
+      'Word "b": nextReview must be a date.',
+      'Word "c": entry is not an object.',
+    ]);
+  });
+
+  it('caps the number of listed entry errors', () => {
+    const srsState = {};
+    for (let i = 0; i < 8; i++) srsState[`w${i}`] = { box: 'x', nextReview: at(12) };
+    const errors = validateBackup(backupOf(srsState));
+    expect(errors).toHaveLength(6);
+    expect(errors[5]).toBe('…and 3 more invalid words.');
+  });
+
+  it('validates settings', () => {
+    const errors = validateBackup(backupOf({}, {
+      cardMode: 'sideways',
+      studyDirection: 'upside-down',
+      answerMode: 'shout',
+      frequencyLimit: 42,
+      tagFilter: 7,
+      srsAlgorithm: 'magic',
+      dailyLimits: { newPerDay: -1 },
+      leitnerConfig: { intervals: [4, 2] },
+      speech: { accent: 'es-AR' },
+      conjugationDrill: { tenses: ['pluperfect'] },
+    }));
+    expect(errors).toHaveLength(10);
+    expect(errors[1]).toBe('Settings: unknown study direction "upside-down".');
+    expect(errors[2]).toBe('Settings: unknown answer mode "shout".');
+    expect(errors[4]).toBe('Settings: tag filter must be a tag name.');
+    expect(errors[7]).toBe('Settings: Box 2 must be longer than box 1.');
+    expect(errors[8]).toBe('Settings: Unknown pronunciation accent "es-AR".');
+    expect(errors[9]).toBe('Settings: Unknown conjugation drill tense "pluperfect".');
+  });
+
+  it('accepts a backup without settings', () => {
+    const backup = backupOf({});
+    delete backup.data.settings;
+    expect(validateBackup(backup)).toEqual([]);
+  });
+});
+
+describe('parseBackup', () => {
+  it('reports invalid JSON', () => {
+    expect(parseBackup('{oops')).toEqual({ backup: null, errors: ['The file is not valid JSON.'] });
+  });
+
+  it('returns schema errors without a backup', () => {
+    const result = parseBackup(JSON.stringify({ format: 'nope' }));
+    expect(result.backup).toBeNull();
+    expect(result.errors).toHaveLength(1);
+  });
+});
+
+describe('importSrsState', () => {
+  const current = {
+    a: { box: 3, nextReview: at(14) },
+    b: { box: 1, nextReview: at(10) },
+    c: { box: 2, nextReview: at(11) },
+  };
+  const backup = backupOf({
+    a: { box: 2, nextReview: at(20) },
+    b: { box: 4, nextReview: at(18) },
+    c: { box: 2, nextReview: at(13) },
+    d: { box: 1, nextReview: at(10) },
+  });
+
+  it('replace returns the backup progress', () => {
+    expect(importSrsState(current, backup, 'replace')).toEqual(backup.data.srsState);
+  });
+
+  it('merge keeps every word and the more advanced entry', () => {
+    const merged = importSrsState(current, backup, 'merge');
+    expect(merged.a).toBe(current.a); // higher box wins
+    expect(merged.b).toBe(backup.data.srsState.b);
+    expect(merged.c).toBe(backup.data.srsState.c); // same box, later due date
+    expect(merged.d).toBe(backup.data.srsState.d);
+  });
+
+  it('merge keeps the current suspension and bury when the backup wins', () => {
+    const buriedUntil = at(12);
+    const local = {
+      b: { ...current.b, suspended: true },
+      c: { ...current.c, buriedUntil },
+    };
+    const merged = importSrsState(local, backup, 'merge');
+    expect(merged.b).toEqual({ ...backup.data.srsState.b, suspended: true });
+    expect(merged.c).toEqual({ ...backup.data.srsState.c, buriedUntil });
+    expect(backup.data.srsState.b).not.toHaveProperty('suspended');
+  });
+
+  it('does not mutate the inputs', () => {
+    importSrsState(current, backup, 'merge');
+    expect(Object.keys(current)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('importSettings', () => {
+  const backup = backupOf({}, { cardMode: 'mixed' });
+
+  it('replace applies the backup settings over the current ones', () => {
+    expect(importSettings(SETTINGS, backup, 'replace')).toEqual({ ...SETTINGS, cardMode: 'mixed' });
+  });
+
+  it('merge keeps the current settings', () => {
+    expect(importSettings(SETTINGS, backup, 'merge')).toBe(SETTINGS);
+  });
+});
+
+describe('previewImport', () => {
+  const current = {
+    srsState: {
+      a: { box: 3, nextReview: at(14) },
+      b: { box: 1, nextReview: at(10) },
+      gone: { box: 1, nextReview: at(10) },
+    },
+    settings: SETTINGS,
+  };
+  const backup = backupOf(
+    {
+      a: { box: 3, nextReview: at(14) },
+      b: { box: 4, nextReview: at(18) },
+      d: { box: 1, nextReview: at(10) },
+    },
+    { ...SETTINGS, frequencyLimit: 500 }
+  );
+
+  it('counts word changes for a merge and leaves settings alone', () => {
+    expect(previewImport(current, backup, 'merge')).toEqual({
+      added: 1, updated: 1, removed: 0, unchanged: 2, settings: [],
+    });
+  });
+
+  it('counts removed words and setting changes for a replace', () => {
+    expect(previewImport(current, backup, 'replace')).toEqual({
+      added: 1,
+      updated: 1,
+      removed: 1,
+      unchanged: 1,
+      settings: [{ key: 'frequencyLimit', from: 1000, to: 500 }],
+    });
+  });
+});
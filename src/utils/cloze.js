@@ -0,0 +1,170 @@
+/**
+ * cloze.js — example sentences with the word blanked out
+ *
+ * RAE definitions come with usage examples, which the build
+ * (scripts/build_slim_vocabulary.js) serves as `examples` from
+ * /api/definition and flags in the slim vocabulary with `has_cloze` when
+ * the word itself appears in at least one of them.
+ *
+ * The "cloze" study direction (studyDirection.js) makes a cloze card for
+ * each flagged word, with its own SRS entry:
+ *
+ *   { ...word, id: "<wordId>:cloze", wordId: "<wordId>", cloze: true }
+ *
+ * The card blanks the word in one of its examples: "La casa ___ mi padre."
+ * The word may appear inflected — verbs in any conjugated form (ser → "Son
+ * las tres."), other words in the plural or feminine (mío → "Son míos.") —
+ * and that form is the answer.
+ *
+ * Pure helpers only; randomness is injected so results are reproducible.
+ */
+
+import { conjugate } from './conjugation.js';
+
+const CLOZE_SUFFIX = ':cloze';
+
+const ACCENTS = { á: 'a', é: 'e', í: 'i', ó: 'o', ú: 'u' };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches `source` only as a whole word, in any case.
+const wholeWord = (source) => new RegExp(`(?<![\\p{L}\\p{N}])(?:${source})(?![\\p{L}\\p{N}])`, 'giu');
+
+/**
+ * Plural and gender forms of a non-verb: casa → casas, mío → mía, míos,
+ * mías, este → esta, estos, estas, canción → canciones, luz → luces.
+ * @param {string} word - lower case
+ * @returns {string[]}
+ */
+function nominalForms(word) {
+  if (/[aeiouáéíóú]$/.test(word)) {
+    const forms = [`${word}s`];
+    if (/[oe]$/.test(word)) {
+      const stem = word.slice(0, -1);
+      forms.push(`${stem}a`, `${stem}as`, `${stem}os`);
+    }
+    return forms;
+  }
+  if (word.endsWith('z')) return [`${word.slice(0, -1)}ces`];
+  // The plural adds a syllable, so a written accent on the last one goes:
+  // canción → canciones, inglés → ingleses.
+  return [`${word.replace(/[áéíóú](?=[ns]$)/, (v) => ACCENTS[v])}es`];
+}
+
+/**
+ * Every form a word can take in an example, lower case: the word itself,
+ * all conjugated forms of a verb (without reflexive pronouns, but with and
+ * without "-se" in the infinitive), or the plural and gender forms of other
+ * words.
+ * @param {{ word: string, tags?: string[] }} word
+ * @returns {string[]}
+ */
+export function wordForms(word) {
+  const base = String(word.word ?? '').trim().toLowerCase();
+  const forms = new Set([base]);
+  const verb = word.tags?.includes('verb') ? conjugate(base) : null;
+  if (verb) {
+    // Pronominal uses: quejarse → quejar, deber → deberse
+    const infinitive = verb.infinitive.replace(/se$/, '');
+    forms.add(infinitive);
+    forms.add(`${infinitive}se`);
+    forms.add(verb.gerund);
+    const participleStem = verb.pastParticiple.slice(0, -1);
+    for (const ending of ['o', 'a', 'os', 'as']) forms.add(participleStem + ending);
+    for (const tense of Object.values(verb.forms)) {
+      for (const form of tense) {
+        // "me quejo" → "quejo"
+        if (form) forms.add(form.split(' ').at(-1));
+      }
+    }
+  } else if (base) {
+    for (const form of nominalForms(base)) forms.add(form);
+  }
+  return [...forms];
+}
+
+/**
+ * Blank a word in a sentence. Finds the first of `forms` standing as a whole
+ * word — accents matter, so "el" does not match "él" — and blanks every
+ * occurrence of that form.
+ * @param {string} sentence
+ * @param {string[]} forms - lower case, from wordForms
+ * @returns {{ segments: string[], answer: string } | null} segments alternate
+ *   text and blanked words, starting and ending with text; null when no form
+ *   appears
+ */
+export function findCloze(sentence, forms) {
+  const alternatives = forms
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  if (alternatives.length === 0) return null;
+
+  const first = wholeWord(alternatives.join('|')).exec(sentence);
+  if (!first) return null;
+  const answer = first[0].toLowerCase();
+  // The capturing group keeps the blanked words in the split.
+  const segments = sentence.split(wholeWord(`(${escapeRegExp(answer)})`));
+  return { segments, answer };
+}
+
+/**
+ * Whether a word gets a cloze card: the build found it in an example.
+ * @param {{ has_cloze?: boolean }} word
+ * @returns {boolean}
+ */
+export function canCloze(word) {
+  return word.has_cloze === true;
+}
+
+/**
+ * SRS key of a word's cloze card.
+ * @param {string} wordId
+ * @returns {string}
+ */
+export function clozeCardId(wordId) {
+  return `${wordId}${CLOZE_SUFFIX}`;
+}
+
+/**
+ * Whether an SRS key / card id belongs to a cloze card.
+ * @param {string} cardId
+ * @returns {boolean}
+ */
+export function isClozeCardId(cardId) {
+  return typeof cardId === 'string' && cardId.endsWith(CLOZE_SUFFIX);
+}
+
+/**
+ * Cloze cards for a vocabulary list: one per word with a usable example.
+ * Pure — never mutates the input.
+ * @param {Array<{id: string, has_cloze?: boolean}>} vocab
+ * @returns {Array}
+ */
+export function buildClozeCards(vocab) {
+  return vocab.filter(canCloze).map((word) => ({
+    ...word,
+    id: clozeCardId(word.id),
+    wordId: word.id,
+    cloze: true,
+  }));
+}
+
+/**
+ * What a cloze card asks: one of the word's examples, picked at random
+ * among those it appears in, with the word blanked.
+ * @param {{ word: string, tags?: string[] }} card
+ * @param {string[]|null|undefined} examples - from /api/definition
+ * @param {() => number} [random]
+ * @returns {{ sentence: string, segments: string[], answer: string } | null}
+ *          null when no example contains the word
+ */
+export function clozeQuestion(card, examples, random = Math.random) {
+  const forms = wordForms(card);
+  const candidates = (examples ?? [])
+    .map((sentence) => ({ sentence, cloze: findCloze(sentence, forms) }))
+    .filter(({ cloze }) => cloze);
+  if (candidates.length === 0) return null;
+  const { sentence, cloze } = candidates[Math.floor(random() * candidates.length)];
+  return { sentence, ...cloze };
+}
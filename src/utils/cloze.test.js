@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import {
+  wordForms,
+  findCloze,
+  canCloze,
+  clozeCardId,
+  isClozeCardId,
+  buildClozeCards,
+  clozeQuestion,
+} from './cloze.js';
+
+// A random source that always lands on the n-th of `count` candidates.
+const pickIndex = (n, count) => () => (n + 0.5) / count;
+
+describe('wordForms', () => {
+  it('adds plural and gender forms of other words', () => {
+    expect(wordForms({ word: 'casa', tags: ['noun'] })).toEqual(['casa', 'casas']);
+    expect(wordForms({ word: 'mío' })).toEqual(['mío', 'míos', 'mía', 'mías']);
+    expect(wordForms({ word: 'este' })).toEqual(['este', 'estes', 'esta', 'estas', 'estos']);
+    expect(wordForms({ word: 'bueno' })).toEqual(expect.arrayContaining(['buena', 'buenos', 'buenas']));
+    expect(wordForms({ word: 'canción' })).toEqual(['canción', 'canciones']);
+    expect(wordForms({ word: 'luz' })).toEqual(['luz', 'luces']);
+    expect(wordForms({ word: 'Papel' })).toEqual(['papel', 'papeles']);
+  });
+
+  it('adds every conjugated form of a verb', () => {
+    const forms = wordForms({ word: 'ser', tags: ['verb'] });
+    expect(forms).toEqual(expect.arrayContaining(['ser', 'serse', 'siendo', 'sido', 'soy', 'son', 'fue', 'era', 'seré', 'sea', 'fuera']));
+  });
+
+  it('drops reflexive pronouns but keeps pronominal infinitives', () => {
+    const forms = wordForms({ word: 'quejarse', tags: ['verb'] });
+    expect(forms).toEqual(expect.arrayContaining(['quejarse', 'quejar', 'quejo', 'quejó', 'quéjate', 'quejado']));
+    expect(forms).not.toContain('me quejo');
+    expect(wordForms({ word: 'deber', tags: ['verb'] })).toContain('deberse');
+  });
+
+  it('treats verb-tagged words that are not infinitives as other words', () => {
+    expect(wordForms({ word: 'hecho', tags: ['verb'] })).toEqual(expect.arrayContaining(['hecho', 'hechos']));
+  });
+});
+
+describe('findCloze', () => {
+  it('blanks the word where it stands as a whole word', () => {
+    expect(findCloze('La casa de mi padre.', ['de'])).toEqual({
+      segments: ['La casa ', 'de', ' mi padre.'],
+      answer: 'de',
+    });
+    expect(findCloze('Vengo desde Aranjuez.', ['de'])).toBeNull();
+  });
+
+  it('matches any form, whatever its case, and answers in lower case', () => {
+    const forms = wordForms({ word: 'ser', tags: ['verb'] });
+    expect(findCloze('Son las tres.', forms)).toEqual({ segments: ['', 'Son', ' las tres.'], answer: 'son' });
+  });
+
+  it('minds accents', () => {
+    expect(findCloze('No se refirió a él.', ['el'])).toBeNull();
+    expect(findCloze('No se refirió a él.', ['él'])).toMatchObject({ answer: 'él' });
+  });
+
+  it('blanks every occurrence of the form it found', () => {
+    expect(findCloze('¡Y dejas! Días y días.', ['y']).segments).toEqual(['¡', 'Y', ' dejas! Días ', 'y', ' días.']);
+    expect(findCloze('Mitad en serio, mitad en broma.', wordForms({ word: 'mitad' })).segments)
+      .toEqual(['', 'Mitad', ' en serio, ', 'mitad', ' en broma.']);
+  });
+
+  it('prefers the longest form at a position', () => {
+    expect(findCloze('No me vengas con canciones.', wordForms({ word: 'canción' })).answer).toBe('canciones');
+  });
+
+  it('is null without forms', () => {
+    expect(findCloze('La casa.', [])).toBeNull();
+  });
+});
+
+describe('cloze cards', () => {
+  const VOCAB = [
+    { id: 'de', word: 'de', has_cloze: true },
+    { id: 'ella', word: 'ella' },
+    { id: 'ser', word: 'ser', tags: ['verb'], has_cloze: true },
+  ];
+
+  it('are made for words the build found in an example', () => {
+    expect(VOCAB.filter(canCloze).map((w) => w.id)).toEqual(['de', 'ser']);
+    expect(buildClozeCards(VOCAB)).toEqual([
+      { ...VOCAB[0], id: 'de:cloze', wordId: 'de', cloze: true },
+      { ...VOCAB[2], id: 'ser:cloze', wordId: 'ser', cloze: true },
+    ]);
+    expect(VOCAB[0]).not.toHaveProperty('cloze');
+  });
+
+  it('suffix the word id', () => {
+    expect(clozeCardId('de')).toBe('de:cloze');
+    expect(isClozeCardId('de:cloze')).toBe(true);
+    expect(isClozeCardId('de:article')).toBe(false);
+    expect(isClozeCardId(undefined)).toBe(false);
+  });
+});
+
+describe('clozeQuestion', () => {
+  const card = { id: 'ser:cloze', word: 'ser', tags: ['verb'], cloze: true };
+  const examples = ['Son las tres.', 'Ellos están aquí.', 'Los idiomas son para comunicarse.'];
+
+  it('picks among the examples the word appears in', () => {
+    expect(clozeQuestion(card, examples, pickIndex(0, 2))).toEqual({
+      sentence: 'Son las tres.',
+      segments: ['', 'Son', ' las tres.'],
+      answer: 'son',
+    });
+    expect(clozeQuestion(card, examples, pickIndex(1, 2)).sentence).toBe('Los idiomas son para comunicarse.');
+  });
+
+  it('is null when no example contains the word', () => {
+    expect(clozeQuestion(card, ['Ellos están aquí.'])).toBeNull();
+    expect(clozeQuestion(card, [])).toBeNull();
+    expect(clozeQuestion(card, null)).toBeNull();
+  });
+});
@@ -0,0 +1,669 @@
+/**
+ * conjugation.js — rule-based Spanish verb conjugation
+ *
+ * Conjugates an infinitive ("hablar", "tener", "quejarse") into the simple
+ * tenses shown on verb cards: present, preterite, imperfect, future and
+ * conditional indicative, present and imperfect (-ra) subjunctive, and the
+ * affirmative imperative, plus the gerund and past participle.
+ *
+ * Forms are built from the regular -ar / -er / -ir endings, then adjusted by
+ * rules and small data tables:
+ *   - stem changes (pensar → pienso, dormir → durmió, pedir → pidió),
+ *     listed per verb in STEM_CHANGES;
+ *   - spelling changes that keep the sound of the stem (buscar → busqué,
+ *     coger → cojo, conocer → conozco, seguir → sigo, construir → construyo,
+ *     leer → leyó);
+ *   - written accents on -iar / -uar verbs (enviar → envío, actuar → actúo);
+ *   - irregular verbs in IRREGULARS, whose compounds (mantener, suponer,
+ *     deshacer, sonreír, …) inherit their irregular forms.
+ *
+ * Accents follow the 2010 RAE spelling, so monosyllables such as "rio",
+ * "guie" and "hui" carry none. Where the RAE accepts two forms, only the
+ * first is given: erguir → irgo, not yergo.
+ *
+ * Pure module: no DOM, no storage.
+ */
+
+/** Grammatical persons, in the order of every tense's forms. */
+export const PERSONS = [
+  'yo',
+  'tú',
+  'él / ella / usted',
+  'nosotros',
+  'vosotros',
+  'ellos / ellas / ustedes',
+];
+
+/** Tenses returned by conjugate(), in display order. */
+export const TENSES = [
+  'present',
+  'preterite',
+  'imperfect',
+  'future',
+  'conditional',
+  'presentSubjunctive',
+  'imperfectSubjunctive',
+  'imperative',
+];
+
+export const TENSE_LABELS = {
+  present: 'Present',
+  preterite: 'Preterite',
+  imperfect: 'Imperfect',
+  future: 'Future',
+  conditional: 'Conditional',
+  presentSubjunctive: 'Present subjunctive',
+  imperfectSubjunctive: 'Imperfect subjunctive',
+  imperative: 'Imperative',
+};
+
+const ENDINGS = {
+  ar: {
+    present: ['o', 'as', 'a', 'amos', 'áis', 'an'],
+    preterite: ['é', 'aste', 'ó', 'amos', 'asteis', 'aron'],
+    imperfect: ['aba', 'abas', 'aba', 'ábamos', 'abais', 'aban'],
+    presentSubjunctive: ['e', 'es', 'e', 'emos', 'éis', 'en'],
+    gerund: 'ando',
+    participle: 'ado',
+  },
+  er: {
+    present: ['o', 'es', 'e', 'emos', 'éis', 'en'],
+    preterite: ['í', 'iste', 'ió', 'imos', 'isteis', 'ieron'],
+    imperfect: ['ía', 'ías', 'ía', 'íamos', 'íais', 'ían'],
+    presentSubjunctive: ['a', 'as', 'a', 'amos', 'áis', 'an'],
+    gerund: 'iendo',
+    participle: 'ido',
+  },
+  ir: {
+    present: ['o', 'es', 'e', 'imos', 'ís', 'en'],
+    preterite: ['í', 'iste', 'ió', 'imos', 'isteis', 'ieron'],
+    imperfect: ['ía', 'ías', 'ía', 'íamos', 'íais', 'ían'],
+    presentSubjunctive: ['a', 'as', 'a', 'amos', 'áis', 'an'],
+    gerund: 'iendo',
+    participle: 'ido',
+  },
+};
+
+const FUTURE_ENDINGS = ['é', 'ás', 'á', 'emos', 'éis', 'án'];
+const CONDITIONAL_ENDINGS = ['ía', 'ías', 'ía', 'íamos', 'íais', 'ían'];
+// Preterite of verbs with an irregular stem (tuve, dije, hice): unstressed endings.
+const STRONG_PRETERITE_ENDINGS = ['e', 'iste', 'o', 'imos', 'isteis', 'ieron'];
+const RA_ENDINGS = ['ra', 'ras', 'ra', 'ramos', 'rais', 'ran'];
+const REFLEXIVE_PRONOUNS = ['me', 'te', 'se', 'nos', 'os', 'se'];
+
+// Persons whose stem is stressed in the present ("boot" forms): yo, tú, él, ellos.
+const STRESSED_STEM = [true, true, true, false, false, true];
+
+// Stem changes, by change:
+//   ie — stressed e → ie (pensar → pienso; adquirir: i → ie)
+//   ue — stressed o → ue (contar → cuento; jugar: u → ue)
+//   i  — e → i (pedir → pido), -ir verbs only
+// -ir verbs with any of these also change e → i / o → u where the stem is
+// unstressed before a stressed a or ió (sintamos, durmió, pidiendo).
+const STEM_CHANGES = {
+  ie: [
+    'acertar', 'apretar', 'asentar', 'atravesar', 'calentar', 'cerrar', 'comenzar',
+    'confesar', 'desplegar', 'despertar', 'empezar', 'encerrar', 'enterrar', 'fregar',
+    'gobernar', 'helar', 'manifestar', 'merendar', 'negar', 'nevar', 'pensar',
+    'quebrar', 'recomendar', 'regar', 'reventar', 'sembrar', 'sentar', 'temblar',
+    'tropezar',
+    'ascender', 'atender', 'defender', 'descender', 'encender', 'entender',
+    'extender', 'perder', 'tender', 'verter',
+    'adquirir', 'advertir', 'arrepentir', 'consentir', 'convertir', 'digerir',
+    'divertir', 'herir', 'hervir', 'inquirir', 'interferir', 'invertir', 'mentir',
+    'preferir', 'referir', 'requerir', 'sentir', 'sugerir', 'transferir',
+  ],
+  ue: [
+    'acordar', 'acostar', 'almorzar', 'apostar', 'aprobar', 'avergonzar', 'colar',
+    'colgar', 'comprobar', 'consolar', 'contar', 'costar', 'demostrar', 'descolgar',
+    'encontrar', 'esforzar', 'forzar', 'jugar', 'mostrar', 'probar', 'recordar',
+    'reforzar', 'renovar', 'rodar', 'rogar', 'soltar', 'sonar', 'soñar', 'tostar',
+    'volar',
+    'absolver', 'conmover', 'devolver', 'doler', 'envolver', 'llover', 'morder',
+    'mover', 'oler', 'promover', 'remover', 'resolver', 'soler', 'torcer', 'volver',
+    'dormir', 'morir',
+  ],
+  i: [
+    'competir', 'concebir', 'conseguir', 'corregir', 'derretir', 'despedir',
+    'elegir', 'expedir', 'gemir', 'impedir', 'medir', 'pedir', 'perseguir',
+    'proseguir', 'regir', 'rendir', 'repetir', 'seguir', 'servir', 'vestir',
+    'erguir',
+  ],
+};
+
+// Verbs whose stressed i / u takes a written accent (enviar → envío,
+// reunir → reúno). -uar verbs do this as a rule, except after c or g.
+const ACCENTED_STEMS = {
+  í: [
+    'aislar', 'ampliar', 'confiar', 'criar', 'desafiar', 'desviar', 'enfriar',
+    'enviar', 'espiar', 'esquiar', 'fiar', 'guiar', 'liar', 'prohibir', 'resfriar',
+    'vaciar', 'variar',
+  ],
+  ú: ['rehusar', 'reunir'],
+};
+
+const STEM_CHANGE_OF = new Map(
+  Object.entries({ ...STEM_CHANGES, ...ACCENTED_STEMS })
+    .flatMap(([change, verbs]) => verbs.map((verb) => [verb, change]))
+);
+
+/**
+ * Irregular verbs. Each entry overrides only what is irregular; the rest is
+ * conjugated by the rules above.
+ *   present / preterite / imperfect / presentSubjunctive — all six forms
+ *   yo              — irregular first person present (hago); the present
+ *                     subjunctive is built on it (haga)
+ *   preteriteStem   — stem of an irregular preterite (tuv → tuve, tuvo)
+ *   futureStem      — stem of the future and conditional (tendr → tendré)
+ *   subjunctiveStem — stem of the present subjunctive (sep → sepa)
+ *   stem            — stem change of the otherwise regular forms (see STEM_CHANGES)
+ *   imperativeTu, imperativeNosotros, gerund, participle — single forms
+ */
+const IRREGULARS = {
+  ser: {
+    present: ['soy', 'eres', 'es', 'somos', 'sois', 'son'],
+    preterite: ['fui', 'fuiste', 'fue', 'fuimos', 'fuisteis', 'fueron'],
+    imperfect: ['era', 'eras', 'era', 'éramos', 'erais', 'eran'],
+    presentSubjunctive: ['sea', 'seas', 'sea', 'seamos', 'seáis', 'sean'],
+    imperativeTu: 'sé',
+  },
+  ir: {
+    present: ['voy', 'vas', 'va', 'vamos', 'vais', 'van'],
+    preterite: ['fui', 'fuiste', 'fue', 'fuimos', 'fuisteis', 'fueron'],
+    imperfect: ['iba', 'ibas', 'iba', 'íbamos', 'ibais', 'iban'],
+    presentSubjunctive: ['vaya', 'vayas', 'vaya', 'vayamos', 'vayáis', 'vayan'],
+    imperativeTu: 've',
+    imperativeNosotros: 'vamos',
+    gerund: 'yendo',
+  },
+  estar: {
+    present: ['estoy', 'estás', 'está', 'estamos', 'estáis', 'están'],
+    preteriteStem: 'estuv',
+    presentSubjunctive: ['esté', 'estés', 'esté', 'estemos', 'estéis', 'estén'],
+    imperativeTu: 'está',
+  },
+  haber: {
+    present: ['he', 'has', 'ha', 'hemos', 'habéis', 'han'],
+    preteriteStem: 'hub',
+    futureStem: 'habr',
+    subjunctiveStem: 'hay',
+    imperativeTu: 'he',
+  },
+  tener: {
+    present: ['tengo', 'tienes', 'tiene', 'tenemos', 'tenéis', 'tienen'],
+    preteriteStem: 'tuv',
+    futureStem: 'tendr',
+    imperativeTu: 'ten',
+  },
+  venir: {
+    present: ['vengo', 'vienes', 'viene', 'venimos', 'venís', 'vienen'],
+    preteriteStem: 'vin',
+    futureStem: 'vendr',
+    imperativeTu: 'ven',
+    gerund: 'viniendo',
+  },
+  decir: {
+    present: ['digo', 'dices', 'dice', 'decimos', 'decís', 'dicen'],
+    preteriteStem: 'dij',
+    futureStem: 'dir',
+    imperativeTu: 'di',
+    gerund: 'diciendo',
+    participle: 'dicho',
+  },
+  hacer: {
+    yo: 'hago',
+    preteriteStem: 'hic',
+    futureStem: 'har',
+    imperativeTu: 'haz',
+    participle: 'hecho',
+  },
+  poner: {
+    yo: 'pongo',
+    preteriteStem: 'pus',
+    futureStem: 'pondr',
+    imperativeTu: 'pon',
+    participle: 'puesto',
+  },
+  salir: { yo: 'salgo', futureStem: 'saldr', imperativeTu: 'sal' },
+  valer: { yo: 'valgo', futureStem: 'valdr' },
+  traer: { yo: 'traigo', preteriteStem: 'traj' },
+  caer: { yo: 'caigo' },
+  oír: { present: ['oigo', 'oyes', 'oye', 'oímos', 'oís', 'oyen'] },
+  poder: { stem: 'ue', preteriteStem: 'pud', futureStem: 'podr', gerund: 'pudiendo' },
+  querer: { stem: 'ie', preteriteStem: 'quis', futureStem: 'querr' },
+  saber: { yo: 'sé', preteriteStem: 'sup', futureStem: 'sabr', subjunctiveStem: 'sep' },
+  caber: { yo: 'quepo', preteriteStem: 'cup', futureStem: 'cabr' },
+  andar: { preteriteStem: 'anduv' },
+  errar: {
+    present: ['yerro', 'yerras', 'yerra', 'erramos', 'erráis', 'yerran'],
+    presentSubjunctive: ['yerre', 'yerres', 'yerre', 'erremos', 'erréis', 'yerren'],
+  },
+  pudrir: { participle: 'podrido' },
+  dar: {
+    present: ['doy', 'das', 'da', 'damos', 'dais', 'dan'],
+    preterite: ['di', 'diste', 'dio', 'dimos', 'disteis', 'dieron'],
+    presentSubjunctive: ['dé', 'des', 'dé', 'demos', 'deis', 'den'],
+  },
+  ver: {
+    present: ['veo', 'ves', 've', 'vemos', 'veis', 'ven'],
+    preterite: ['vi', 'viste', 'vio', 'vimos', 'visteis', 'vieron'],
+    imperfect: ['veía', 'veías', 'veía', 'veíamos', 'veíais', 'veían'],
+    participle: 'visto',
+  },
+  reír: {
+    present: ['río', 'ríes', 'ríe', 'reímos', 'reís', 'ríen'],
+    preterite: ['reí', 'reíste', 'rio', 'reímos', 'reísteis', 'rieron'],
+    presentSubjunctive: ['ría', 'rías', 'ría', 'riamos', 'riais', 'rían'],
+    gerund: 'riendo',
+  },
+};
+
+// Compounds inherit their base's irregular forms with the prefix added
+// (mantener → mantengo, mantuve, mantén). `base` differs from the suffix
+// only in its first letter (satisfacer → hacer); `prefixes` limits which
+// compounds count, where the suffix alone would catch unrelated verbs.
+const COMPOUNDS = [
+  { suffix: 'tener' },
+  { suffix: 'poner' },
+  { suffix: 'venir' },
+  { suffix: 'hacer' },
+  { suffix: 'facer', base: 'hacer' },
+  { suffix: 'traer' },
+  { suffix: 'decir' },
+  { suffix: 'reír' },
+  { suffix: 'ver', prefixes: ['pre', 'entre'] },
+];
+
+// Irregular forms a compound does not inherit: "predice", not "predí";
+// "bendeciré" and "bendecido", not "bendiré" and "bendicho".
+const REGULAR_IN_COMPOUNDS = {
+  decir: ['imperativeTu'],
+  bendecir: ['imperativeTu', 'futureStem', 'participle'],
+  maldecir: ['imperativeTu', 'futureStem', 'participle'],
+};
+
+// Irregular participles of otherwise regular (or stem-changing) verbs.
+const IRREGULAR_PARTICIPLES = [
+  [/olver$/, 'uelto'],
+  [/scribir$/, 'scrito'],
+  [/brir$/, 'bierto'],
+  [/^morir$/, 'muerto'],
+  [/^romper$/, 'roto'],
+  [/^imprimir$/, 'impreso'],
+  [/^proveer$/, 'provisto'],
+  [/^freír$/, 'frito'],
+];
+
+// ---------------------------------------------------------------------------
+// Syllables and written accents
+// ---------------------------------------------------------------------------
+
+const STRONG_VOWELS = 'aeoáéó';
+const ACCENT = { a: 'á', e: 'é', i: 'í', o: 'ó', u: 'ú' };
+const UNACCENT = { á: 'a', é: 'e', í: 'i', ó: 'o', ú: 'u' };
+
+const isStrong = (char) => STRONG_VOWELS.includes(char);
+const isAccented = (char) => char in UNACCENT;
+
+// A vowel letter, leaving out the silent u of "que", "qui", "gue", "gui".
+function isVowelAt(word, i) {
+  const char = word[i];
+  if (!'aeiouáéíóúü'.includes(char)) return false;
+  if (char === 'u' && 'qg'.includes(word[i - 1]) && 'eiéí'.includes(word[i + 1] ?? '')) {
+    return false;
+  }
+  return true;
+}
+
+// Two strong vowels, or an accented i / u next to a strong one, are
+// pronounced apart; other neighbouring vowels form one syllable.
+const isHiatus = (a, b) =>
+  (isStrong(a) && isStrong(b)) ||
+  (isStrong(a) && (b === 'í' || b === 'ú')) ||
+  ((a === 'í' || a === 'ú') && isStrong(b));
+
+/** Vowel nuclei of a word, one per syllable, as [start, end) indexes. */
+function nuclei(word) {
+  const found = [];
+  for (let i = 0; i < word.length; i++) {
+    if (!isVowelAt(word, i)) continue;
+    const last = found[found.length - 1];
+    if (last && last[1] === i && !isHiatus(word[i - 1], word[i])) last[1] = i + 1;
+    else found.push([i, i + 1]);
+  }
+  return found;
+}
+
+/** Index (into nuclei()) of the stressed syllable. */
+function stressedNucleus(word) {
+  const found = nuclei(word);
+  const accented = found.findIndex(([start, end]) =>
+    [...word.slice(start, end)].some(isAccented)
+  );
+  if (accented !== -1) return accented;
+  // Words ending in a vowel, n or s stress the second-to-last syllable.
+  return /[aeiouns]$/.test(word) ? Math.max(0, found.length - 2) : found.length - 1;
+}
+
+/** Write an accent on a syllable: on its strong vowel, else on its last vowel. */
+function accentNucleus(word, [start, end]) {
+  const chars = [...word];
+  let at = end - 1;
+  for (let i = start; i < end; i++) if (isStrong(chars[i])) at = i;
+  chars[at] = ACCENT[chars[at]] ?? chars[at];
+  return chars.join('');
+}
+
+const stripAccents = (word) => [...word].map((char) => UNACCENT[char] ?? char).join('');
+
+// One-syllable forms take no accent ("rio", "guie", "hui"); a lone vowel
+// keeps a diacritic one ("dé", "sé").
+function dropMonosyllableAccent(form) {
+  const found = nuclei(form);
+  if (found.length !== 1 || found[0][1] - found[0][0] < 2) return form;
+  return stripAccents(form);
+}
+
+// Prefixing a monosyllable makes it a word stressed on the last syllable,
+// which needs an accent when it ends in a vowel, n or s (ten → mantén).
+function addPrefix(prefix, form) {
+  if (!prefix || form == null) return form;
+  const found = nuclei(form);
+  if (found.length === 1 && /[aeiouns]$/.test(form) && ![...form].some(isAccented)) {
+    return prefix + accentNucleus(form, found[0]);
+  }
+  return prefix + form;
+}
+
+/**
+ * Attach an unstressed pronoun to the end of a form, moving the written
+ * accent to keep the stress where it was (queja + te → quéjate,
+ * está + te → estate).
+ */
+function withEnclitic(form, pronoun) {
+  const stressed = stressedNucleus(form);
+  const combined = form + pronoun;
+  const found = nuclei(combined);
+  const [start, end] = found[stressed];
+  if (stressed === found.length - 2) {
+    // The stress now falls where it would anyway; only an accent that keeps
+    // í / ú apart from a neighbouring a, e, o stays.
+    const chars = [...combined];
+    for (let i = start; i < end; i++) {
+      const hiatus = 'íú'.includes(chars[i]) &&
+        (isStrong(chars[i - 1] ?? '') || isStrong(chars[i + 1] ?? ''));
+      if (isAccented(chars[i]) && !hiatus) chars[i] = UNACCENT[chars[i]];
+    }
+    return chars.join('');
+  }
+  return [...combined.slice(start, end)].some(isAccented)
+    ? combined
+    : accentNucleus(combined, [start, end]);
+}
+
+// ---------------------------------------------------------------------------
+// Building forms
+// ---------------------------------------------------------------------------
+
+/**
+ * Split an infinitive into stem, verb group and reflexive "-se".
+ * @param {string} word
+ * @returns {{ infinitive: string, verb: string, stem: string, group: 'ar'|'er'|'ir', reflexive: boolean } | null}
+ *          null when the word is not an infinitive
+ */
+export function parseInfinitive(word) {
+  const infinitive = String(word ?? '').trim().toLowerCase();
+  const match = /^([a-zñáéíóúü]*?)(ar|er|ir|ír)(se)?$/.exec(infinitive);
+  if (!match) return null;
+  const [, stem, ending, se] = match;
+  return {
+    infinitive,
+    verb: stem + ending,
+    stem,
+    group: ending === 'ír' ? 'ir' : ending,
+    reflexive: Boolean(se),
+  };
+}
+
+/** Irregular entry for a verb, derived from its base for compounds. */
+function irregularSpec(verb) {
+  if (IRREGULARS[verb]) return IRREGULARS[verb];
+  for (const { suffix, base = suffix, prefixes } of COMPOUNDS) {
+    if (!verb.endsWith(suffix) || verb === suffix) continue;
+    const prefix = verb.slice(0, -suffix.length);
+    if (prefixes && !prefixes.includes(prefix)) continue;
+
+    // satisfacer: hacer's forms with its h swapped for f
+    const swap = (form) => (base === suffix ? form : suffix[0] + form.slice(1));
+    const regular = REGULAR_IN_COMPOUNDS[verb] ?? REGULAR_IN_COMPOUNDS[base] ?? [];
+    const spec = {};
+    for (const [key, value] of Object.entries(IRREGULARS[base])) {
+      if (regular.includes(key)) continue;
+      if (key === 'stem') spec[key] = value;
+      else if (key.endsWith('Stem')) spec[key] = prefix + swap(value);
+      else if (Array.isArray(value)) spec[key] = value.map((form) => addPrefix(prefix, swap(form)));
+      else spec[key] = addPrefix(prefix, swap(value));
+    }
+    return spec;
+  }
+  return null;
+}
+
+// The stem with its change applied to the last matching vowel.
+function changeStem(stem, change) {
+  const replaceLast = (vowel, replacement) => {
+    const at = stem.lastIndexOf(vowel);
+    return at === -1 ? null : stem.slice(0, at) + replacement(at) + stem.slice(at + 1);
+  };
+  switch (change) {
+    case 'ie':
+      return replaceLast('e', () => 'ie') ?? replaceLast('i', () => 'ie') ?? stem;
+    case 'ue':
+      return replaceLast('o', (at) => {
+        if (at === 0) return 'hue'; // oler → huelo
+        return stem[at - 1] === 'g' ? 'üe' : 'ue'; // avergonzar → avergüenzo
+      }) ?? replaceLast('u', () => 'ue') ?? stem;
+    case 'i':
+      return replaceLast('e', () => 'i') ?? stem;
+    case 'í':
+      return replaceLast('i', () => 'í') ?? stem;
+    case 'ú':
+      return replaceLast('u', () => 'ú') ?? stem;
+    default:
+      return stem;
+  }
+}
+
+// The weaker change of -ir verbs where the stem is unstressed: sentir →
+// sintió, dormir → durmió. adquirir keeps its i.
+function weakenStem(stem, change) {
+  if (change === 'ie' || change === 'i') {
+    const at = stem.lastIndexOf('e');
+    return at === -1 ? stem : stem.slice(0, at) + 'i' + stem.slice(at + 1);
+  }
+  if (change === 'ue') {
+    const at = stem.lastIndexOf('o');
+    return at === -1 ? stem : stem.slice(0, at) + 'u' + stem.slice(at + 1);
+  }
+  return stem;
+}
+
+/**
+ * Join a stem and an ending, respelling the stem so it keeps its sound
+ * and inserting y between vowels where Spanish writes it.
+ */
+function attach(stem, ending, { verb, group }) {
+  const first = ending[0];
+
+  if (group === 'ar') {
+    if ('eé'.includes(first)) {
+      if (stem.endsWith('gu')) return stem.slice(0, -2) + 'gü' + ending; // averigüe
+      if (stem.endsWith('g')) return stem + 'u' + ending; // pague
+      if (stem.endsWith('c')) return stem.slice(0, -1) + 'qu' + ending; // busque
+      if (stem.endsWith('z')) return stem.slice(0, -1) + 'c' + ending; // empiece
+    }
+    return stem + ending;
+  }
+
+  const backVowel = 'aoáó'.includes(first);
+  if (backVowel) {
+    if (stem.endsWith('gu') && verb.endsWith('guir')) return stem.slice(0, -1) + ending; // sigo
+    if (stem.endsWith('g')) return stem.slice(0, -1) + 'j' + ending; // cojo
+    if (stem.endsWith('c')) {
+      // conozco after a vowel, venzo after a consonant
+      const afterVowel = isVowelAt(stem, stem.length - 2);
+      return stem.slice(0, -1) + (afterVowel ? 'zc' : 'z') + ending;
+    }
+  }
+
+  const last = stem[stem.length - 1] ?? '';
+  // An unstressed i between vowels is written y: leyó, cayendo, construyeron.
+  const unstressedI = first === 'i' && isVowelAt(ending, 1);
+  // construir: y before a, e, o (construyo, construye)
+  if (last === 'u' && verb.endsWith('uir') && !/[gq]uir$/.test(verb)) {
+    if (unstressedI) return stem + 'y' + ending.slice(1);
+    if ('aeoáéó'.includes(first)) return stem + 'y' + ending;
+    return stem + ending;
+  }
+  if (last && 'aeo'.includes(last)) {
+    if (unstressedI) return stem + 'y' + ending.slice(1);
+    // leer → leíste, leído: the i is stressed and stands apart
+    if (first === 'i') return stem + 'í' + ending.slice(1);
+    return stem + ending;
+  }
+  // bullir, gruñir: the i disappears after ll and ñ (gruñó, bullendo)
+  if (unstressedI && (stem.endsWith('ll') || stem.endsWith('ñ'))) return stem + ending.slice(1);
+  return stem + ending;
+}
+
+const sixForms = (build) => PERSONS.map((_, person) => build(person));
+
+/**
+ * Conjugate a Spanish verb.
+ *
+ * @param {string} word - infinitive, optionally reflexive ("quejarse")
+ * @returns {{
+ *   infinitive: string,
+ *   gerund: string,
+ *   pastParticiple: string,
+ *   forms: { [tense: string]: Array<string|null> }
+ * } | null} forms per tense in PERSONS order (the imperative has no "yo",
+ *   so its first form is null); null when the word is not an infinitive
+ */
+export function conjugate(word) {
+  const parsed = parseInfinitive(word);
+  if (!parsed) return null;
+  const { infinitive, verb, stem, group, reflexive } = parsed;
+  const info = { verb, group };
+  const spec = irregularSpec(verb) ?? {};
+  const endings = ENDINGS[group];
+
+  let change = spec.stem ?? STEM_CHANGE_OF.get(verb) ?? null;
+  if (!change && /[^gc]uar$/.test(verb)) change = 'ú'; // actuar → actúo
+  const strongStem = change ? changeStem(stem, change) : stem;
+  // Only -ir verbs weaken in the unstressed forms.
+  const weakStem = change && group === 'ir' ? weakenStem(stem, change) : stem;
+
+  // Present indicative
+  const present = spec.present ?? sixForms((person) => {
+    if (person === 0 && spec.yo) return spec.yo;
+    return attach(STRESSED_STEM[person] ? strongStem : stem, endings.present[person], info);
+  });
+
+  // Preterite; conducir, producir, … → conduje, produjo
+  const preteriteStem = spec.preteriteStem ??
+    (verb.endsWith('ducir') ? stem.slice(0, -1) + 'j' : null);
+  const preterite = spec.preterite ?? sixForms((person) => {
+    if (preteriteStem) {
+      let ending = STRONG_PRETERITE_ENDINGS[person];
+      // dijeron, trajeron: no i after j
+      if (person === 5 && preteriteStem.endsWith('j')) ending = 'eron';
+      // hizo
+      if (person === 2 && preteriteStem.endsWith('c')) return preteriteStem.slice(0, -1) + 'zo';
+      return preteriteStem + ending;
+    }
+    const weak = person === 2 || person === 5;
+    return attach(weak ? weakStem : stem, endings.preterite[person], info);
+  });
+
+  const imperfect = spec.imperfect ?? sixForms((person) => attach(stem, endings.imperfect[person], info));
+
+  const futureStem = spec.futureStem ?? stripAccents(verb);
+  const future = FUTURE_ENDINGS.map((ending) => futureStem + ending);
+  const conditional = CONDITIONAL_ENDINGS.map((ending) => futureStem + ending);
+
+  // Present subjunctive: on the irregular yo stem where there is one
+  // (tengo → tenga), else the stem-changed stem.
+  const yoStem = spec.subjunctiveStem ??
+    (spec.yo || spec.present ? (spec.yo ?? spec.present[0]).replace(/o$/, '') : null);
+  const presentSubjunctive = spec.presentSubjunctive ?? sixForms((person) => {
+    const ending = endings.presentSubjunctive[person];
+    if (yoStem) return yoStem + ending;
+    const personStem = STRESSED_STEM[person] ? strongStem : weakStem;
+    return attach(personStem, ending, info);
+  });
+
+  // Imperfect subjunctive: from the preterite ellos form (tuvieron → tuviera),
+  // with the stressed vowel of nosotros written (tuviéramos).
+  const raStem = preterite[5].slice(0, -3);
+  const imperfectSubjunctive = sixForms((person) => {
+    const personStem = person === 3 ? accentNucleus(raStem, nuclei(raStem).at(-1)) : raStem;
+    return personStem + RA_ENDINGS[person];
+  });
+
+  const imperative = [
+    null,
+    spec.imperativeTu ?? present[2],
+    presentSubjunctive[2],
+    spec.imperativeNosotros ?? presentSubjunctive[3],
+    verb.slice(0, -1) + 'd',
+    presentSubjunctive[5],
+  ];
+
+  const gerund = spec.gerund ?? attach(weakStem, endings.gerund, info);
+  const participleRule = IRREGULAR_PARTICIPLES.find(([pattern]) => pattern.test(verb));
+  const pastParticiple = spec.participle ??
+    (participleRule ? verb.replace(participleRule[0], participleRule[1]) : attach(stem, endings.participle, info));
+
+  const forms = {
+    present, preterite, imperfect, future, conditional,
+    presentSubjunctive, imperfectSubjunctive, imperative,
+  };
+  for (const tense of TENSES) {
+    forms[tense] = forms[tense].map((form) => (form == null ? form : dropMonosyllableAccent(form)));
+  }
+
+  if (!reflexive) {
+    return { infinitive, gerund, pastParticiple, forms };
+  }
+  return {
+    infinitive,
+    gerund: withEnclitic(gerund, 'se'),
+    pastParticiple,
+    forms: reflexiveForms(forms, group, verb),
+  };
+}
+
+// Reflexive verbs: pronoun before the finite forms (me quejo), attached to
+// the imperative (quéjate, quejémonos, quejaos).
+function reflexiveForms(forms, group, verb) {
+  const result = {};
+  for (const tense of TENSES) {
+    if (tense === 'imperative') continue;
+    result[tense] = forms[tense].map((form, person) => `${REFLEXIVE_PRONOUNS[person]} ${form}`);
+  }
+  const [, tu, usted, nosotros, vosotros, ustedes] = forms.imperative;
+  let vosotrosReflexive;
+  if (verb === 'ir') vosotrosReflexive = 'idos';
+  else if (group === 'ir') vosotrosReflexive = vosotros.slice(0, -2) + 'íos'; // arrepentíos
+  else vosotrosReflexive = vosotros.slice(0, -1) + 'os'; // quejaos
+  result.imperative = [
+    null,
+    withEnclitic(tu, 'te'),
+    withEnclitic(usted, 'se'),
+    withEnclitic(nosotros.replace(/s$/, ''), 'nos'),
+    vosotrosReflexive,
+    withEnclitic(ustedes, 'se'),
+  ];
+  return result;
+}
@@ -0,0 +1,385 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { PERSONS, TENSES, TENSE_LABELS, parseInfinitive, conjugate } from './conjugation.js';
+
+// Forms of one tense as a comma-separated string, for compact expectations.
+const tense = (verb, name) => conjugate(verb).forms[name].map((form) => form ?? '—').join(', ');
+
+describe('parseInfinitive', () => {
+  it('splits the stem, group and reflexive -se', () => {
+    expect(parseInfinitive('hablar')).toEqual({
+      infinitive: 'hablar', verb: 'hablar', stem: 'habl', group: 'ar', reflexive: false,
+    });
+    expect(parseInfinitive(' Quejarse ')).toMatchObject({ verb: 'quejar', stem: 'quej', reflexive: true });
+    expect(parseInfinitive('oír')).toMatchObject({ stem: 'o', group: 'ir' });
+  });
+
+  it('returns null for anything that is not an infinitive', () => {
+    expect(parseInfinitive('casa')).toBeNull();
+    expect(parseInfinitive('ponerle')).toBeNull();
+    expect(parseInfinitive('')).toBeNull();
+    expect(parseInfinitive(undefined)).toBeNull();
+    expect(conjugate('casa')).toBeNull();
+  });
+});
+
+describe('conjugate — shape', () => {
+  it('returns six forms per tense, with no "yo" imperative', () => {
+    const result = conjugate('hablar');
+    expect(Object.keys(result.forms)).toEqual(TENSES);
+    for (const name of TENSES) expect(result.forms[name]).toHaveLength(PERSONS.length);
+    expect(result.forms.imperative[0]).toBeNull();
+    expect(TENSES.every((name) => TENSE_LABELS[name])).toBe(true);
+  });
+});
+
+describe('regular verbs', () => {
+  it('conjugates -ar verbs', () => {
+    const result = conjugate('hablar');
+    expect(result.gerund).toBe('hablando');
+    expect(result.pastParticiple).toBe('hablado');
+    expect(tense('hablar', 'present')).toBe('hablo, hablas, habla, hablamos, habláis, hablan');
+    expect(tense('hablar', 'preterite')).toBe('hablé, hablaste, habló, hablamos, hablasteis, hablaron');
+    expect(tense('hablar', 'imperfect')).toBe('hablaba, hablabas, hablaba, hablábamos, hablabais, hablaban');
+    expect(tense('hablar', 'future')).toBe('hablaré, hablarás, hablará, hablaremos, hablaréis, hablarán');
+    expect(tense('hablar', 'conditional')).toBe('hablaría, hablarías, hablaría, hablaríamos, hablaríais, hablarían');
+    expect(tense('hablar', 'presentSubjunctive')).toBe('hable, hables, hable, hablemos, habléis, hablen');
+    expect(tense('hablar', 'imperfectSubjunctive')).toBe('hablara, hablaras, hablara, habláramos, hablarais, hablaran');
+    expect(tense('hablar', 'imperative')).toBe('—, habla, hable, hablemos, hablad, hablen');
+  });
+
+  it('conjugates -er verbs', () => {
+    const result = conjugate('comer');
+    expect(result.gerund).toBe('comiendo');
+    expect(result.pastParticiple).toBe('comido');
+    expect(tense('comer', 'present')).toBe('como, comes, come, comemos, coméis, comen');
+    expect(tense('comer', 'preterite')).toBe('comí, comiste, comió, comimos, comisteis, comieron');
+    expect(tense('comer', 'imperfect')).toBe('comía, comías, comía, comíamos, comíais, comían');
+    expect(tense('comer', 'future')).toBe('comeré, comerás, comerá, comeremos, comeréis, comerán');
+    expect(tense('comer', 'conditional')).toBe('comería, comerías, comería, comeríamos, comeríais, comerían');
+    expect(tense('comer', 'presentSubjunctive')).toBe('coma, comas, coma, comamos, comáis, coman');
+    expect(tense('comer', 'imperfectSubjunctive')).toBe('comiera, comieras, comiera, comiéramos, comierais, comieran');
+    expect(tense('comer', 'imperative')).toBe('—, come, coma, comamos, comed, coman');
+  });
+
+  it('conjugates -ir verbs', () => {
+    const result = conjugate('vivir');
+    expect(result.gerund).toBe('viviendo');
+    expect(result.pastParticiple).toBe('vivido');
+    expect(tense('vivir', 'present')).toBe('vivo, vives, vive, vivimos, vivís, viven');
+    expect(tense('vivir', 'preterite')).toBe('viví, viviste, vivió, vivimos, vivisteis, vivieron');
+    expect(tense('vivir', 'imperfect')).toBe('vivía, vivías, vivía, vivíamos, vivíais, vivían');
+    expect(tense('vivir', 'future')).toBe('viviré, vivirás, vivirá, viviremos, viviréis, vivirán');
+    expect(tense('vivir', 'conditional')).toBe('viviría, vivirías, viviría, viviríamos, viviríais, vivirían');
+    expect(tense('vivir', 'presentSubjunctive')).toBe('viva, vivas, viva, vivamos, viváis, vivan');
+    expect(tense('vivir', 'imperfectSubjunctive')).toBe('viviera, vivieras, viviera, viviéramos, vivierais, vivieran');
+    expect(tense('vivir', 'imperative')).toBe('—, vive, viva, vivamos, vivid, vivan');
+  });
+});
+
+describe('stem changes', () => {
+  it('e → ie where the stem is stressed', () => {
+    expect(tense('pensar', 'present')).toBe('pienso, piensas, piensa, pensamos, pensáis, piensan');
+    expect(tense('pensar', 'presentSubjunctive')).toBe('piense, pienses, piense, pensemos, penséis, piensen');
+    expect(tense('pensar', 'imperative')).toBe('—, piensa, piense, pensemos, pensad, piensen');
+    expect(tense('entender', 'present')).toBe('entiendo, entiendes, entiende, entendemos, entendéis, entienden');
+    expect(tense('adquirir', 'present')).toBe('adquiero, adquieres, adquiere, adquirimos, adquirís, adquieren');
+  });
+
+  it('o → ue, and u → ue in jugar', () => {
+    expect(tense('contar', 'present')).toBe('cuento, cuentas, cuenta, contamos, contáis, cuentan');
+    expect(tense('volver', 'presentSubjunctive')).toBe('vuelva, vuelvas, vuelva, volvamos, volváis, vuelvan');
+    expect(tense('jugar', 'present')).toBe('juego, juegas, juega, jugamos, jugáis, juegan');
+    expect(tense('jugar', 'presentSubjunctive')).toBe('juegue, juegues, juegue, juguemos, juguéis, jueguen');
+  });
+
+  it('writes hue- at the start of a word and güe after g', () => {
+    expect(tense('oler', 'present')).toBe('huelo, hueles, huele, olemos, oléis, huelen');
+    expect(tense('avergonzar', 'present')).toBe('avergüenzo, avergüenzas, avergüenza, avergonzamos, avergonzáis, avergüenzan');
+    expect(tense('avergonzar', 'presentSubjunctive')).toBe('avergüence, avergüences, avergüence, avergoncemos, avergoncéis, avergüencen');
+  });
+
+  it('weakens -ir stems where they are unstressed', () => {
+    expect(tense('sentir', 'preterite')).toBe('sentí, sentiste, sintió, sentimos, sentisteis, sintieron');
+    expect(tense('sentir', 'presentSubjunctive')).toBe('sienta, sientas, sienta, sintamos, sintáis, sientan');
+    expect(conjugate('sentir').gerund).toBe('sintiendo');
+    expect(tense('dormir', 'preterite')).toBe('dormí, dormiste, durmió, dormimos, dormisteis, durmieron');
+    expect(tense('dormir', 'imperfectSubjunctive')).toBe('durmiera, durmieras, durmiera, durmiéramos, durmierais, durmieran');
+    expect(conjugate('dormir').gerund).toBe('durmiendo');
+    expect(tense('adquirir', 'presentSubjunctive')).toBe('adquiera, adquieras, adquiera, adquiramos, adquiráis, adquieran');
+  });
+
+  it('e → i in -ir verbs', () => {
+    expect(tense('pedir', 'present')).toBe('pido, pides, pide, pedimos, pedís, piden');
+    expect(tense('pedir', 'preterite')).toBe('pedí, pediste, pidió, pedimos, pedisteis, pidieron');
+    expect(tense('pedir', 'presentSubjunctive')).toBe('pida, pidas, pida, pidamos, pidáis, pidan');
+    expect(conjugate('pedir').gerund).toBe('pidiendo');
+    expect(tense('repetir', 'present')).toBe('repito, repites, repite, repetimos, repetís, repiten');
+  });
+});
+
+describe('spelling changes', () => {
+  it('keeps the sound of c, g, z and gu before e in -ar verbs', () => {
+    expect(tense('buscar', 'preterite')).toBe('busqué, buscaste, buscó, buscamos, buscasteis, buscaron');
+    expect(tense('pagar', 'presentSubjunctive')).toBe('pague, pagues, pague, paguemos, paguéis, paguen');
+    expect(tense('empezar', 'presentSubjunctive')).toBe('empiece, empieces, empiece, empecemos, empecéis, empiecen');
+    expect(tense('averiguar', 'preterite')).toBe('averigüé, averiguaste, averiguó, averiguamos, averiguasteis, averiguaron');
+  });
+
+  it('keeps the sound of g, gu and c before a and o in -er / -ir verbs', () => {
+    expect(tense('coger', 'present')).toBe('cojo, coges, coge, cogemos, cogéis, cogen');
+    expect(tense('elegir', 'presentSubjunctive')).toBe('elija, elijas, elija, elijamos, elijáis, elijan');
+    expect(tense('seguir', 'present')).toBe('sigo, sigues, sigue, seguimos, seguís, siguen');
+    expect(tense('distinguir', 'presentSubjunctive')).toBe('distinga, distingas, distinga, distingamos, distingáis, distingan');
+    expect(tense('vencer', 'present')).toBe('venzo, vences, vence, vencemos, vencéis, vencen');
+  });
+
+  it('adds zc in -cer / -cir verbs after a vowel', () => {
+    expect(tense('conocer', 'present')).toBe('conozco, conoces, conoce, conocemos, conocéis, conocen');
+    expect(tense('parecer', 'presentSubjunctive')).toBe('parezca, parezcas, parezca, parezcamos, parezcáis, parezcan');
+  });
+
+  it('gives -ducir verbs a j preterite', () => {
+    expect(tense('conducir', 'present')).toBe('conduzco, conduces, conduce, conducimos, conducís, conducen');
+    expect(tense('conducir', 'preterite')).toBe('conduje, condujiste, condujo, condujimos, condujisteis, condujeron');
+    expect(tense('traducir', 'imperfectSubjunctive')).toBe('tradujera, tradujeras, tradujera, tradujéramos, tradujerais, tradujeran');
+  });
+
+  it('inserts y in -uir verbs', () => {
+    const result = conjugate('construir');
+    expect(tense('construir', 'present')).toBe('construyo, construyes, construye, construimos, construís, construyen');
+    expect(tense('construir', 'preterite')).toBe('construí, construiste, construyó, construimos, construisteis, construyeron');
+    expect(result.gerund).toBe('construyendo');
+    expect(result.pastParticiple).toBe('construido');
+  });
+
+  it('writes y and í around vowel stems', () => {
+    const result = conjugate('leer');
+    expect(tense('leer', 'preterite')).toBe('leí, leíste, leyó, leímos, leísteis, leyeron');
+    expect(tense('leer', 'imperfectSubjunctive')).toBe('leyera, leyeras, leyera, leyéramos, leyerais, leyeran');
+    expect(result.gerund).toBe('leyendo');
+    expect(result.pastParticiple).toBe('leído');
+    expect(tense('caer', 'preterite')).toBe('caí, caíste, cayó, caímos, caísteis, cayeron');
+  });
+});
+
+describe('written accents', () => {
+  it('accents the stressed i / u of -iar and -uar verbs', () => {
+    expect(tense('enviar', 'present')).toBe('envío, envías, envía, enviamos, enviáis, envían');
+    expect(tense('enviar', 'presentSubjunctive')).toBe('envíe, envíes, envíe, enviemos, enviéis, envíen');
+    expect(tense('actuar', 'present')).toBe('actúo, actúas, actúa, actuamos, actuáis, actúan');
+    expect(tense('continuar', 'imperative')).toBe('—, continúa, continúe, continuemos, continuad, continúen');
+    expect(tense('reunir', 'present')).toBe('reúno, reúnes, reúne, reunimos, reunís, reúnen');
+    expect(tense('prohibir', 'present')).toBe('prohíbo, prohíbes, prohíbe, prohibimos, prohibís, prohíben');
+  });
+
+  it('leaves other -iar verbs alone', () => {
+    expect(tense('cambiar', 'present')).toBe('cambio, cambias, cambia, cambiamos, cambiáis, cambian');
+    expect(tense('estudiar', 'presentSubjunctive')).toBe('estudie, estudies, estudie, estudiemos, estudiéis, estudien');
+  });
+
+  it('writes no accent on monosyllables (2010 spelling)', () => {
+    expect(tense('guiar', 'present')).toBe('guío, guías, guía, guiamos, guiais, guían');
+    expect(tense('guiar', 'preterite')).toBe('guie, guiaste, guio, guiamos, guiasteis, guiaron');
+    expect(tense('huir', 'present')).toBe('huyo, huyes, huye, huimos, huis, huyen');
+    expect(tense('huir', 'preterite')).toBe('hui, huiste, huyó, huimos, huisteis, huyeron');
+    expect(tense('reír', 'preterite')).toBe('reí, reíste, rio, reímos, reísteis, rieron');
+  });
+});
+
+describe('irregular verbs', () => {
+  it('ser', () => {
+    expect(tense('ser', 'present')).toBe('soy, eres, es, somos, sois, son');
+    expect(tense('ser', 'preterite')).toBe('fui, fuiste, fue, fuimos, fuisteis, fueron');
+    expect(tense('ser', 'imperfect')).toBe('era, eras, era, éramos, erais, eran');
+    expect(tense('ser', 'future')).toBe('seré, serás, será, seremos, seréis, serán');
+    expect(tense('ser', 'presentSubjunctive')).toBe('sea, seas, sea, seamos, seáis, sean');
+    expect(tense('ser', 'imperfectSubjunctive')).toBe('fuera, fueras, fuera, fuéramos, fuerais, fueran');
+    expect(tense('ser', 'imperative')).toBe('—, sé, sea, seamos, sed, sean');
+    expect(conjugate('ser')).toMatchObject({ gerund: 'siendo', pastParticiple: 'sido' });
+  });
+
+  it('ir', () => {
+    expect(tense('ir', 'present')).toBe('voy, vas, va, vamos, vais, van');
+    expect(tense('ir', 'preterite')).toBe('fui, fuiste, fue, fuimos, fuisteis, fueron');
+    expect(tense('ir', 'imperfect')).toBe('iba, ibas, iba, íbamos, ibais, iban');
+    expect(tense('ir', 'future')).toBe('iré, irás, irá, iremos, iréis, irán');
+    expect(tense('ir', 'presentSubjunctive')).toBe('vaya, vayas, vaya, vayamos, vayáis, vayan');
+    expect(tense('ir', 'imperative')).toBe('—, ve, vaya, vamos, id, vayan');
+    expect(conjugate('ir')).toMatchObject({ gerund: 'yendo', pastParticiple: 'ido' });
+  });
+
+  it('estar, haber, dar', () => {
+    expect(tense('estar', 'present')).toBe('estoy, estás, está, estamos, estáis, están');
+    expect(tense('estar', 'preterite')).toBe('estuve, estuviste, estuvo, estuvimos, estuvisteis, estuvieron');
+    expect(tense('estar', 'imperative')).toBe('—, está, esté, estemos, estad, estén');
+    expect(tense('haber', 'present')).toBe('he, has, ha, hemos, habéis, han');
+    expect(tense('haber', 'future')).toBe('habré, habrás, habrá, habremos, habréis, habrán');
+    expect(tense('haber', 'presentSubjunctive')).toBe('haya, hayas, haya, hayamos, hayáis, hayan');
+    expect(tense('dar', 'preterite')).toBe('di, diste, dio, dimos, disteis, dieron');
+    expect(tense('dar', 'presentSubjunctive')).toBe('dé, des, dé, demos, deis, den');
+  });
+
+  it('tener, venir, decir', () => {
+    expect(tense('tener', 'present')).toBe('tengo, tienes, tiene, tenemos, tenéis, tienen');
+    expect(tense('tener', 'preterite')).toBe('tuve, tuviste, tuvo, tuvimos, tuvisteis, tuvieron');
+    expect(tense('tener', 'conditional')).toBe('tendría, tendrías, tendría, tendríamos, tendríais, tendrían');
+    expect(tense('tener', 'imperative')).toBe('—, ten, tenga, tengamos, tened, tengan');
+    expect(tense('venir', 'preterite')).toBe('vine, viniste, vino, vinimos, vinisteis, vinieron');
+    expect(conjugate('venir').gerund).toBe('viniendo');
+    expect(tense('decir', 'present')).toBe('digo, dices, dice, decimos, decís, dicen');
+    expect(tense('decir', 'preterite')).toBe('dije, dijiste, dijo, dijimos, dijisteis, dijeron');
+    expect(tense('decir', 'future')).toBe('diré, dirás, dirá, diremos, diréis, dirán');
+    expect(tense('decir', 'imperative')).toBe('—, di, diga, digamos, decid, digan');
+    expect(conjugate('decir')).toMatchObject({ gerund: 'diciendo', pastParticiple: 'dicho' });
+  });
+
+  it('hacer, poner, salir, valer', () => {
+    expect(tense('hacer', 'present')).toBe('hago, haces, hace, hacemos, hacéis, hacen');
+    expect(tense('hacer', 'preterite')).toBe('hice, hiciste, hizo, hicimos, hicisteis, hicieron');
+    expect(tense('hacer', 'future')).toBe('haré, harás, hará, haremos, haréis, harán');
+    expect(tense('hacer', 'imperative')).toBe('—, haz, haga, hagamos, haced, hagan');
+    expect(conjugate('hacer').pastParticiple).toBe('hecho');
+    expect(tense('poner', 'preterite')).toBe('puse, pusiste, puso, pusimos, pusisteis, pusieron');
+    expect(conjugate('poner').pastParticiple).toBe('puesto');
+    expect(tense('salir', 'imperative')).toBe('—, sal, salga, salgamos, salid, salgan');
+    expect(tense('valer', 'future')).toBe('valdré, valdrás, valdrá, valdremos, valdréis, valdrán');
+  });
+
+  it('poder, querer, saber, caber', () => {
+    expect(tense('poder', 'present')).toBe('puedo, puedes, puede, podemos, podéis, pueden');
+    expect(tense('poder', 'preterite')).toBe('pude, pudiste, pudo, pudimos, pudisteis, pudieron');
+    expect(conjugate('poder').gerund).toBe('pudiendo');
+    expect(tense('querer', 'preterite')).toBe('quise, quisiste, quiso, quisimos, quisisteis, quisieron');
+    expect(tense('querer', 'future')).toBe('querré, querrás, querrá, querremos, querréis, querrán');
+    expect(tense('saber', 'present')).toBe('sé, sabes, sabe, sabemos, sabéis, saben');
+    expect(tense('saber', 'presentSubjunctive')).toBe('sepa, sepas, sepa, sepamos, sepáis, sepan');
+    expect(tense('caber', 'present')).toBe('quepo, cabes, cabe, cabemos, cabéis, caben');
+    expect(tense('caber', 'preterite')).toBe('cupe, cupiste, cupo, cupimos, cupisteis, cupieron');
+  });
+
+  it('ver, oír, traer, caer, andar, reír', () => {
+    expect(tense('ver', 'imperfect')).toBe('veía, veías, veía, veíamos, veíais, veían');
+    expect(conjugate('ver').pastParticiple).toBe('visto');
+    expect(tense('oír', 'present')).toBe('oigo, oyes, oye, oímos, oís, oyen');
+    expect(tense('oír', 'preterite')).toBe('oí, oíste, oyó, oímos, oísteis, oyeron');
+    expect(tense('oír', 'future')).toBe('oiré, oirás, oirá, oiremos, oiréis, oirán');
+    expect(tense('oír', 'imperative')).toBe('—, oye, oiga, oigamos, oíd, oigan');
+    expect(tense('traer', 'preterite')).toBe('traje, trajiste, trajo, trajimos, trajisteis, trajeron');
+    expect(conjugate('traer').gerund).toBe('trayendo');
+    expect(tense('caer', 'presentSubjunctive')).toBe('caiga, caigas, caiga, caigamos, caigáis, caigan');
+    expect(tense('andar', 'preterite')).toBe('anduve, anduviste, anduvo, anduvimos, anduvisteis, anduvieron');
+    expect(tense('reír', 'present')).toBe('río, ríes, ríe, reímos, reís, ríen');
+    expect(tense('reír', 'presentSubjunctive')).toBe('ría, rías, ría, riamos, riais, rían');
+  });
+
+  it('errar, erguir', () => {
+    expect(tense('errar', 'present')).toBe('yerro, yerras, yerra, erramos, erráis, yerran');
+    expect(tense('errar', 'presentSubjunctive')).toBe('yerre, yerres, yerre, erremos, erréis, yerren');
+    expect(tense('errar', 'imperative')).toBe('—, yerra, yerre, erremos, errad, yerren');
+    expect(tense('errar', 'preterite')).toBe('erré, erraste, erró, erramos, errasteis, erraron');
+    expect(tense('erguir', 'present')).toBe('irgo, irgues, irgue, erguimos, erguís, irguen');
+    expect(tense('erguir', 'preterite')).toBe('erguí, erguiste, irguió, erguimos, erguisteis, irguieron');
+    expect(tense('erguir', 'presentSubjunctive')).toBe('irga, irgas, irga, irgamos, irgáis, irgan');
+    expect(tense('erguir', 'imperative')).toBe('—, irgue, irga, irgamos, erguid, irgan');
+    expect(conjugate('erguir').gerund).toBe('irguiendo');
+  });
+
+  it('irregular participles of otherwise regular verbs', () => {
+    const participle = (verb) => conjugate(verb).pastParticiple;
+    expect(participle('abrir')).toBe('abierto');
+    expect(participle('descubrir')).toBe('descubierto');
+    expect(participle('escribir')).toBe('escrito');
+    expect(participle('describir')).toBe('descrito');
+    expect(participle('volver')).toBe('vuelto');
+    expect(participle('resolver')).toBe('resuelto');
+    expect(participle('morir')).toBe('muerto');
+    expect(participle('romper')).toBe('roto');
+    expect(participle('imprimir')).toBe('impreso');
+    expect(participle('proveer')).toBe('provisto');
+    expect(participle('pudrir')).toBe('podrido');
+  });
+});
+
+describe('compounds', () => {
+  it('inherit the irregular forms, accenting prefixed monosyllables', () => {
+    expect(tense('mantener', 'present')).toBe('mantengo, mantienes, mantiene, mantenemos, mantenéis, mantienen');
+    expect(tense('mantener', 'preterite')).toBe('mantuve, mantuviste, mantuvo, mantuvimos, mantuvisteis, mantuvieron');
+    expect(tense('mantener', 'imperative')).toBe('—, mantén, mantenga, mantengamos, mantened, mantengan');
+    expect(tense('suponer', 'imperative')).toBe('—, supón, suponga, supongamos, suponed, supongan');
+    expect(conjugate('suponer').pastParticiple).toBe('supuesto');
+    expect(tense('intervenir', 'future')).toBe('intervendré, intervendrás, intervendrá, intervendremos, intervendréis, intervendrán');
+    expect(tense('atraer', 'preterite')).toBe('atraje, atrajiste, atrajo, atrajimos, atrajisteis, atrajeron');
+    expect(tense('deshacer', 'preterite')).toBe('deshice, deshiciste, deshizo, deshicimos, deshicisteis, deshicieron');
+    expect(tense('prever', 'present')).toBe('preveo, prevés, prevé, prevemos, prevéis, prevén');
+    expect(tense('prever', 'preterite')).toBe('preví, previste, previó, previmos, previsteis, previeron');
+    expect(conjugate('prever').pastParticiple).toBe('previsto');
+  });
+
+  it('satisfacer follows hacer', () => {
+    expect(tense('satisfacer', 'present')).toBe('satisfago, satisfaces, satisface, satisfacemos, satisfacéis, satisfacen');
+    expect(tense('satisfacer', 'preterite')).toBe('satisfice, satisficiste, satisfizo, satisficimos, satisficisteis, satisficieron');
+    expect(conjugate('satisfacer').pastParticiple).toBe('satisfecho');
+  });
+
+  it('sonreír and freír follow reír', () => {
+    expect(tense('sonreír', 'present')).toBe('sonrío, sonríes, sonríe, sonreímos, sonreís, sonríen');
+    expect(tense('sonreír', 'preterite')).toBe('sonreí, sonreíste, sonrió, sonreímos, sonreísteis, sonrieron');
+    expect(tense('sonreír', 'presentSubjunctive')).toBe('sonría, sonrías, sonría, sonriamos, sonriáis, sonrían');
+    expect(tense('freír', 'preterite')).toBe('freí, freíste, frio, freímos, freísteis, frieron');
+    expect(tense('freír', 'presentSubjunctive')).toBe('fría, frías, fría, friamos, friais, frían');
+    expect(conjugate('freír').pastParticiple).toBe('frito');
+  });
+
+  it('decir compounds keep a regular imperative; bendecir and maldecir more', () => {
+    expect(tense('predecir', 'imperative')).toBe('—, predice, prediga, predigamos, predecid, predigan');
+    expect(conjugate('predecir').pastParticiple).toBe('predicho');
+    expect(tense('bendecir', 'preterite')).toBe('bendije, bendijiste, bendijo, bendijimos, bendijisteis, bendijeron');
+    expect(tense('bendecir', 'future')).toBe('bendeciré, bendecirás, bendecirá, bendeciremos, bendeciréis, bendecirán');
+    expect(tense('maldecir', 'imperative')).toBe('—, maldice, maldiga, maldigamos, maldecid, maldigan');
+    expect(conjugate('maldecir').pastParticiple).toBe('maldecido');
+  });
+
+  it('do not catch verbs that merely end the same way', () => {
+    expect(tense('mover', 'preterite')).toBe('moví, moviste, movió, movimos, movisteis, movieron');
+    expect(tense('devolver', 'present')).toBe('devuelvo, devuelves, devuelve, devolvemos, devolvéis, devuelven');
+  });
+});
+
+describe('reflexive verbs', () => {
+  it('put the pronoun before finite forms', () => {
+    expect(tense('quejarse', 'present')).toBe('me quejo, te quejas, se queja, nos quejamos, os quejáis, se quejan');
+    expect(tense('arrepentirse', 'preterite'))
+      .toBe('me arrepentí, te arrepentiste, se arrepintió, nos arrepentimos, os arrepentisteis, se arrepintieron');
+  });
+
+  it('attach it to the imperative and gerund, moving the accent', () => {
+    expect(tense('quejarse', 'imperative')).toBe('—, quéjate, quéjese, quejémonos, quejaos, quéjense');
+    expect(tense('arrepentirse', 'imperative')).toBe('—, arrepiéntete, arrepiéntase, arrepintámonos, arrepentíos, arrepiéntanse');
+    expect(tense('irse', 'imperative')).toBe('—, vete, váyase, vámonos, idos, váyanse');
+    expect(conjugate('quejarse')).toMatchObject({ gerund: 'quejándose', pastParticiple: 'quejado' });
+    expect(conjugate('irse').gerund).toBe('yéndose');
+  });
+});
+
+describe('vocabulary', () => {
+  const vocabulary = JSON.parse(
+    readFileSync(join(process.cwd(), 'public', 'vocabulary-slim.json'), 'utf-8')
+  );
+  const verbs = vocabulary.words.filter((word) => word.tags?.includes('verb'));
+
+  it('conjugates every verb in the vocabulary that is an infinitive', () => {
+    const failures = verbs
+      .filter((word) => parseInfinitive(word.word))
+      .filter((word) => {
+        const { forms, gerund, pastParticiple } = conjugate(word.word);
+        const all = [...Object.values(forms).flat().filter(Boolean), gerund, pastParticiple];
+        // every form is a word with at most one written accent
+        return !all.every((form) => /^[a-zñáéíóúü ]+$/.test(form) && (form.match(/[áéíóú]/g) ?? []).length <= 1);
+      })
+      .map((word) => word.word);
+    expect(verbs.length).toBeGreaterThan(900);
+    expect(failures).toEqual([]);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * conjugationDrill.js — conjugation drill for verbs
+ *
+ * The "conjugation" study direction (studyDirection.js) turns each verb into
+ * one card per drilled tense, each with its own SRS entry:
+ *
+ *   { ...word, id: "<wordId>:conj:<tense>", wordId: "<wordId>", drill: { tense } }
+ *
+ * Whenever a card comes up it asks for one of the drilled persons —
+ * "tener — yo, pretérito" — and the form is typed. The person is picked
+ * with a seeded random (see quiz.js), so the question holds still while the
+ * card is shown and changes once it has been answered.
+ *
+ * Answers are checked like typed answers (answerCheck.js), ignoring case and
+ * accents — but not typos: one letter is often all that separates two
+ * persons or tenses ("tuve" / "tuvo").
+ *
+ * Settings are persisted as JSON:
+ *
+ *   { tenses: string[], persons: number[] }   persons index into PERSONS
+ *
+ * Pure helpers only; forms come from conjugation.js, persistence lives in App.jsx.
+ */
+
+import { PERSONS, TENSES, parseInfinitive, conjugate } from './conjugation.js';
+import { checkAnswer } from './answerCheck.js';
+
+/** Tense names as the drill asks for them. */
+export const DRILL_TENSE_NAMES = {
+  present: 'presente',
+  preterite: 'pretérito',
+  imperfect: 'imperfecto',
+  future: 'futuro',
+  conditional: 'condicional',
+  presentSubjunctive: 'presente de subjuntivo',
+  imperfectSubjunctive: 'imperfecto de subjuntivo',
+  imperative: 'imperativo',
+};
+
+/** Default drill: present and preterite, every person. */
+export const DEFAULT_DRILL_SETTINGS = {
+  tenses: ['present', 'preterite'],
+  persons: [0, 1, 2, 3, 4, 5],
+};
+
+const DRILL_SUFFIX = ':conj:';
+
+const PERSON_INDICES = PERSONS.map((_, index) => index);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Problems with drill settings, e.g. from a backup file.
+ * @param {*} settings
+ * @returns {string[]} empty when valid
+ */
+export function validateDrillSettings(settings) {
+  if (!isPlainObject(settings)) return ['Conjugation drill settings must be an object.'];
+  const errors = [];
+  const { tenses, persons } = settings;
+  if (tenses !== undefined) {
+    if (!Array.isArray(tenses) || tenses.length === 0) {
+      errors.push('Conjugation drill tenses must be a non-empty list.');
+    } else {
+      for (const tense of tenses.filter((t) => !TENSES.includes(t))) {
+        errors.push(`Unknown conjugation drill tense "${tense}".`);
+      }
+    }
+  }
+  if (persons !== undefined) {
+    if (!Array.isArray(persons) || persons.length === 0) {
+      errors.push('Conjugation drill persons must be a non-empty list.');
+    } else if (!persons.every((p) => PERSON_INDICES.includes(p))) {
+      errors.push(`Conjugation drill persons must be numbers from 0 to ${PERSONS.length - 1}.`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Coerce stored/raw drill settings: unknown tenses and persons are dropped,
+ * the rest put in display order, and an empty list falls back to the default.
+ * @param {*} raw
+ * @returns {{ tenses: string[], persons: number[] }}
+ */
+export function parseDrillSettings(raw) {
+  const settings = isPlainObject(raw) ? raw : {};
+  const pick = (all, values, fallback) => {
+    const picked = Array.isArray(values) ? all.filter((value) => values.includes(value)) : [];
+    return picked.length > 0 ? picked : fallback;
+  };
+  return {
+    tenses: pick(TENSES, settings.tenses, DEFAULT_DRILL_SETTINGS.tenses),
+    persons: pick(PERSON_INDICES, settings.persons, DEFAULT_DRILL_SETTINGS.persons),
+  };
+}
+
+/**
+ * SRS key of a verb's drill card for a tense.
+ * @param {string} wordId
+ * @param {string} tense
+ * @returns {string}
+ */
+export function drillCardId(wordId, tense) {
+  return `${wordId}${DRILL_SUFFIX}${tense}`;
+}
+
+/**
+ * Whether an SRS key / card id belongs to a drill card.
+ * @param {string} cardId
+ * @returns {boolean}
+ */
+export function isDrillCardId(cardId) {
+  return typeof cardId === 'string' && cardId.includes(DRILL_SUFFIX);
+}
+
+/**
+ * SRS keys of every drill card a word can have, whichever tenses are drilled.
+ * @param {string} wordId
+ * @returns {string[]}
+ */
+export function drillCardIds(wordId) {
+  return TENSES.map((tense) => drillCardId(wordId, tense));
+}
+
+/**
+ * Whether a word can be drilled: a verb in the infinitive (every infinitive
+ * conjugates).
+ * @param {{ word: string, tags?: string[] }} word
+ * @returns {boolean}
+ */
+export function canDrill(word) {
+  return Boolean(word.tags?.includes('verb') && parseInfinitive(word.word));
+}
+
+// Persons with a form in a tense (the imperative has no "yo"), preferring
+// the drilled ones.
+function personsFor(forms, persons) {
+  const available = persons.filter((person) => forms[person]);
+  return available.length > 0 ? available : PERSON_INDICES.filter((person) => forms[person]);
+}
+
+/**
+ * Drill cards for a vocabulary list: each verb once per drilled tense. All
+ * cards of the first tense come first, so new verbs start with it and a
+ * verb's tenses are not shown back to back.
+ * A tense none of the drilled persons has (the imperative for "yo" alone)
+ * is skipped. Pure — never mutates the input.
+ *
+ * @param {Array<{id: string, word: string, tags?: string[]}>} vocab
+ * @param {{ tenses: string[], persons: number[] }} settings
+ * @returns {Array}
+ */
+export function buildDrillCards(vocab, settings = DEFAULT_DRILL_SETTINGS) {
+  const verbs = vocab.filter(canDrill);
+  return settings.tenses
+    .filter((tense) => tense !== 'imperative' || settings.persons.some((person) => person > 0))
+    .flatMap((tense) => verbs.map((word) => ({
+      ...word,
+      id: drillCardId(word.id, tense),
+      wordId: word.id,
+      drill: { tense },
+    })));
+}
+
+/**
+ * The question a drill card asks this time: a person picked at random among
+ * the drilled ones, the prompt and the expected form.
+ *
+ * @param {{ word: string, drill?: { tense: string } }} card
+ * @param {{ persons: number[] }} settings
+ * @param {() => number} random
+ * @returns {{ person: number, tense: string, prompt: string, answer: string } | null}
+ *          null for cards that are not drill cards
+ */
+export function drillQuestion(card, settings = DEFAULT_DRILL_SETTINGS, random = Math.random) {
+  const tense = card?.drill?.tense;
+  const conjugation = tense ? conjugate(card.word) : null;
+  if (!conjugation) return null;
+  const forms = conjugation.forms[tense];
+  const candidates = personsFor(forms, settings.persons);
+  const person = candidates[Math.floor(random() * candidates.length)];
+  return {
+    person,
+    tense,
+    prompt: `${PERSONS[person]}, ${DRILL_TENSE_NAMES[tense]}`,
+    answer: forms[person],
+  };
+}
+
+/**
+ * Check a typed form. Like checkAnswer, but a near miss is wrong rather than
+ * a typo.
+ * @param {string} typed
+ * @param {string} answer
+ * @returns {{ result: 'exact'|'accent'|'wrong', answer: string }}
+ */
+export function checkDrillAnswer(typed, answer) {
+  const check = checkAnswer(typed, [answer]);
+  return check.result === 'typo' ? { result: 'wrong', answer } : check;
+}
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DRILL_TENSE_NAMES,
+  DEFAULT_DRILL_SETTINGS,
+  validateDrillSettings,
+  parseDrillSettings,
+  drillCardId,
+  isDrillCardId,
+  drillCardIds,
+  canDrill,
+  buildDrillCards,
+  drillQuestion,
+  checkDrillAnswer,
+} from './conjugationDrill.js';
+import { TENSES } from './conjugation.js';
+import { seededRandom } from './quiz.js';
+
+const VOCAB = [
+  { id: 'v1', word: 'tener', tags: ['verb'], translations: { en: 'to have' } },
+  { id: 'n1', word: 'casa', tags: ['noun'], translations: { en: 'house' } },
+  { id: 'v2', word: 'quejarse', tags: ['verb'], translations: { en: 'to complain' } },
+  { id: 'v3', word: 'ponerle', tags: ['verb'], translations: { en: 'to put on it' } },
+  { id: 'x1', word: 'hablar', translations: { en: 'to speak' } },
+];
+
+// A random source that always lands on the n-th of `count` candidates.
+const pickIndex = (n, count) => () => (n + 0.5) / count;
+
+describe('drill settings', () => {
+  it('names every tense in Spanish and defaults to present and preterite', () => {
+    expect(Object.keys(DRILL_TENSE_NAMES)).toEqual(TENSES);
+    expect(DEFAULT_DRILL_SETTINGS).toEqual({
+      tenses: ['present', 'preterite'],
+      persons: [0, 1, 2, 3, 4, 5],
+    });
+  });
+
+  it('parses stored settings, dropping unknown values and keeping display order', () => {
+    expect(parseDrillSettings(null)).toEqual(DEFAULT_DRILL_SETTINGS);
+    expect(parseDrillSettings({ tenses: ['future', 'present', 'pluperfect'], persons: [3, 0, 9] }))
+      .toEqual({ tenses: ['present', 'future'], persons: [0, 3] });
+    expect(parseDrillSettings({ tenses: [], persons: 'all' })).toEqual(DEFAULT_DRILL_SETTINGS);
+  });
+
+  it('validates settings from a backup', () => {
+    expect(validateDrillSettings(DEFAULT_DRILL_SETTINGS)).toEqual([]);
+    expect(validateDrillSettings({})).toEqual([]);
+    expect(validateDrillSettings('present')).toEqual(['Conjugation drill settings must be an object.']);
+    expect(validateDrillSettings({ tenses: [], persons: [0, 6] })).toEqual([
+      'Conjugation drill tenses must be a non-empty list.',
+      'Conjugation drill persons must be numbers from 0 to 5.',
+    ]);
+    expect(validateDrillSettings({ tenses: ['present', 'pluperfect'] }))
+      .toEqual(['Unknown conjugation drill tense "pluperfect".']);
+  });
+});
+
+describe('drill card ids', () => {
+  it('suffixes the word id with the tense', () => {
+    expect(drillCardId('v1', 'preterite')).toBe('v1:conj:preterite');
+    expect(isDrillCardId('v1:conj:preterite')).toBe(true);
+    expect(isDrillCardId('v1:reverse')).toBe(false);
+    expect(isDrillCardId(undefined)).toBe(false);
+    expect(drillCardIds('v1')).toEqual(TENSES.map((tense) => `v1:conj:${tense}`));
+  });
+});
+
+describe('buildDrillCards', () => {
+  it('only drills verbs in the infinitive', () => {
+    expect(VOCAB.filter(canDrill).map((w) => w.word)).toEqual(['tener', 'quejarse']);
+  });
+
+  it('makes a card per verb and tense, tense by tense', () => {
+    const cards = buildDrillCards(VOCAB, DEFAULT_DRILL_SETTINGS);
+    expect(cards.map((c) => c.id)).toEqual([
+      'v1:conj:present', 'v2:conj:present', 'v1:conj:preterite', 'v2:conj:preterite',
+    ]);
+    expect(cards[0]).toMatchObject({ word: 'tener', wordId: 'v1', drill: { tense: 'present' } });
+    expect(VOCAB[0]).not.toHaveProperty('drill');
+  });
+
+  it('skips the imperative when only "yo" is drilled', () => {
+    const tenses = ['present', 'imperative'];
+    expect(buildDrillCards(VOCAB, { tenses, persons: [0] }).map((c) => c.drill.tense))
+      .toEqual(['present', 'present']);
+    expect(buildDrillCards(VOCAB, { tenses, persons: [0, 1] })).toHaveLength(4);
+  });
+});
+
+describe('drillQuestion', () => {
+  const card = (word, tense) => ({ word, id: `x:conj:${tense}`, drill: { tense } });
+
+  it('asks for a drilled person with the Spanish tense name', () => {
+    const settings = { tenses: ['preterite'], persons: [0, 3] };
+    expect(drillQuestion(card('tener', 'preterite'), settings, pickIndex(0, 2))).toEqual({
+      person: 0,
+      tense: 'preterite',
+      prompt: 'yo, pretérito',
+      answer: 'tuve',
+    });
+    expect(drillQuestion(card('tener', 'preterite'), settings, pickIndex(1, 2)))
+      .toMatchObject({ person: 3, answer: 'tuvimos' });
+  });
+
+  it('includes the pronoun of reflexive verbs', () => {
+    const settings = { tenses: ['present'], persons: [2] };
+    expect(drillQuestion(card('quejarse', 'present'), settings))
+      .toMatchObject({ prompt: 'él / ella / usted, presente', answer: 'se queja' });
+  });
+
+  it('never asks for the "yo" imperative', () => {
+    const onlyYo = { tenses: ['imperative'], persons: [0] };
+    const question = drillQuestion(card('hablar', 'imperative'), onlyYo, pickIndex(0, 5));
+    expect(question).toMatchObject({ person: 1, answer: 'habla' });
+    const withYo = { tenses: ['imperative'], persons: [0, 1] };
+    expect(drillQuestion(card('hablar', 'imperative'), withYo, pickIndex(0, 1)).person).toBe(1);
+  });
+
+  it('holds still for the same seed', () => {
+    const ask = () => drillQuestion(card('tener', 'present'), DEFAULT_DRILL_SETTINGS, seededRandom('v1:conj:present:2026-01-10'));
+    expect(ask()).toEqual(ask());
+  });
+
+  it('returns null for cards that are not drill cards', () => {
+    expect(drillQuestion(VOCAB[0])).toBeNull();
+    expect(drillQuestion(null)).toBeNull();
+  });
+});
+
+describe('checkDrillAnswer', () => {
+  it('forgives case and accents', () => {
+    expect(checkDrillAnswer('tuve', 'tuve')).toEqual({ result: 'exact', answer: 'tuve' });
+    expect(checkDrillAnswer('Hablé', 'hablé')).toEqual({ result: 'exact', answer: 'hablé' });
+    expect(checkDrillAnswer('hable', 'hablé')).toEqual({ result: 'accent', answer: 'hablé' });
+    expect(checkDrillAnswer('me queje', 'me quejé').result).toBe('accent');
+  });
+
+  it('counts a near miss as wrong', () => {
+    expect(checkDrillAnswer('tuvo', 'tuve')).toEqual({ result: 'wrong', answer: 'tuve' });
+    expect(checkDrillAnswer('hablaron', 'hablaran')).toEqual({ result: 'wrong', answer: 'hablaran' });
+    expect(checkDrillAnswer('', 'tuve').result).toBe('wrong');
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * customDecks.js — named custom decks
+ *
+ * A custom deck is a named list of vocabulary ids the learner picked (by
+ * search, tag, rank range or a pasted word list). Studying one replaces the
+ * frequency band and tag filters: callers narrow the vocabulary with
+ * `filterByDeck` before `buildDeck`, exactly like the band. Decks hold no
+ * progress of their own — answers update the same per-word SRS state, and
+ * creating, editing or deleting a deck never touches it.
+ *
+ * Decks are stored in IndexedDB (yalose-custom-decks), next to the review
+ * history:
+ *
+ *   { id, name, wordIds: string[], createdAt, updatedAt }
+ *
+ * The pure helpers below build, validate and fill decks; the IndexedDB
+ * functions fail soft like reviewHistory.js.
+ */
+
+import { searchKey } from './answerCheck.js';
+import { isPendingTranslation } from './translationsLoader.js';
+import { openDatabase } from './indexedDb.js';
+
+const DB_NAME = 'yalose-custom-decks';
+const DB_VERSION = 1;
+const STORE_NAME = 'decks';
+
+export const MAX_DECK_NAME_LENGTH = 60;
+
+const englishOf = (word) =>
+  (isPendingTranslation(word.translations?.en) ? '' : word.translations.en);
+
+/**
+ * Build a deck record (without an id — IndexedDB assigns one on save).
+ *
+ * @param {string} name
+ * @param {string[]} wordIds
+ * @param {number} now
+ * @returns {{ name: string, wordIds: string[], createdAt: number, updatedAt: number }}
+ */
+export function createDeck(name, wordIds, now = Date.now()) {
+  return {
+    name: String(name ?? '').trim(),
+    wordIds: [...new Set(wordIds)],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Problems with a deck before saving, as messages for the editor.
+ *
+ * @param {{ id?: number, name: string, wordIds: string[] }} deck
+ * @param {Array<{ id: number, name: string }>} existing - saved decks
+ * @returns {string[]} empty when the deck can be saved
+ */
+export function validateDeck(deck, existing = []) {
+  const errors = [];
+  const name = String(deck.name ?? '').trim();
+  if (name === '') {
+    errors.push('Give the deck a name.');
+  } else if (name.length > MAX_DECK_NAME_LENGTH) {
+    errors.push(`Deck names can be at most ${MAX_DECK_NAME_LENGTH} characters.`);
+  } else if (existing.some((d) => d.id !== deck.id && d.name.toLowerCase() === name.toLowerCase())) {
+    errors.push(`There is already a deck called "${name}".`);
+  }
+  if (!Array.isArray(deck.wordIds) || deck.wordIds.length === 0) {
+    errors.push('Add at least one word.');
+  }
+  return errors;
+}
+
+/**
+ * Words matching every given criterion, most frequent first.
+ *
+ * - query:   part of the Spanish word (accents ignored) or of its English translation
+ * - tag:     a tag the word carries
+ * - minRank / maxRank: inclusive frequency_rank range; unranked words never match a range
+ *
+ * @param {Array} vocab
+ * @param {{ query?: string, tag?: string, minRank?: number|null, maxRank?: number|null }} criteria
+ * @returns {Array}
+ */
+export function searchWords(vocab, { query = '', tag = '', minRank = null, maxRank = null } = {}) {
+  const key = searchKey(query);
+  const hasRange = Number.isFinite(minRank) || Number.isFinite(maxRank);
+  return vocab
+    .filter((word) => {
+      if (key && !searchKey(word.word).includes(key) && !searchKey(englishOf(word)).includes(key)) {
+        return false;
+      }
+      if (tag && !(word.tags ?? []).includes(tag)) return false;
+      if (hasRange) {
+        const rank = word.frequency_rank;
+        if (typeof rank !== 'number') return false;
+        if (Number.isFinite(minRank) && rank < minRank) return false;
+        if (Number.isFinite(maxRank) && rank > maxRank) return false;
+      }
+      return true;
+    })
+    .sort((a, b) => (a.frequency_rank ?? Infinity) - (b.frequency_rank ?? Infinity));
+}
+
+/**
+ * Resolve a pasted list of Spanish words (one per line, or separated by
+ * commas / semicolons) to vocabulary ids. Matching ignores case and accents;
+ * when the vocabulary has the word twice, the more frequent entry wins.
+ *
+ * @param {string} text
+ * @param {Array} vocab
+ * @returns {{ wordIds: string[], unmatched: string[] }} in list order, without duplicates
+ */
+export function resolveWordList(text, vocab) {
+  const byKey = new Map();
+  for (const word of vocab) {
+    const key = searchKey(word.word);
+    const existing = byKey.get(key);
+    if (!existing || (word.frequency_rank ?? Infinity) < (existing.frequency_rank ?? Infinity)) {
+      byKey.set(key, word);
+    }
+  }
+
+  const wordIds = [];
+  const unmatched = [];
+  for (const entry of String(text ?? '').split(/[\n,;]/)) {
+    const item = entry.trim();
+    if (!item) continue;
+    const word = byKey.get(searchKey(item));
+    if (!word) {
+      if (!unmatched.includes(item)) unmatched.push(item);
+    } else if (!wordIds.includes(word.id)) {
+      wordIds.push(word.id);
+    }
+  }
+  return { wordIds, unmatched };
+}
+
+/**
+ * Restrict a vocabulary list to a deck's words, in vocabulary order.
+ * Ids no longer in the vocabulary are ignored. A null deck keeps every word.
+ * Pure — returns a new array, never mutates the input.
+ *
+ * @param {Array<{id: string}>} vocab
+ * @param {{ wordIds: string[] }|null} deck
+ * @returns {Array}
+ */
+export function filterByDeck(vocab, deck) {
+  if (!Array.isArray(vocab)) return [];
+  if (!deck) return vocab.slice();
+  const ids = new Set(deck.wordIds);
+  return vocab.filter((word) => ids.has(word.id));
+}
+
+/**
+ * Opens or creates the custom decks database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+  return openDatabase(DB_NAME, DB_VERSION, (db) => {
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    }
+  });
+}
+
+/**
+ * Gets every saved deck, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export async function getDecks() {
+  try {
+    const db = await openDB();
+
+    return new Promise((resolve) => {
+      const transaction = db.transaction(STORE_NAME, 'readonly');
+      const request = transaction.objectStore(STORE_NAME).getAll();
+
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.createdAt - b.createdAt));
+      request.onerror = () => {
+        console.warn('Error reading custom decks:', request.error);
+        resolve([]);
+      };
+    });
+  } catch (error) {
+    console.warn('IndexedDB not available for custom decks:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves a new deck or replaces an existing one (same id)
+ * @param {Object} deck - from createDeck, with `id` when updating
+ * @returns {Promise<number|undefined>} id of the saved deck, undefined on failure
+ */
+export async function saveDeck(deck) {
+  try {
+    const db = await openDB();
+
+    return new Promise((resolve) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const request = transaction.objectStore(STORE_NAME).put(deck);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Error saving custom deck:', request.error);
+        resolve(undefined);
+      };
+    });
+  } catch (error) {
+    console.warn('IndexedDB not available for custom decks:', error);
+  }
+}
+
+/**
+ * Deletes a deck. Progress on its words is kept.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export async function deleteDeck(id) {
+  try {
+    const db = await openDB();
+
+    return new Promise((resolve) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const request = transaction.objectStore(STORE_NAME).delete(id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => {
+        console.warn('Error deleting custom deck:', request.error);
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.warn('IndexedDB not available for custom decks:', error);
+  }
+}
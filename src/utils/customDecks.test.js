@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  MAX_DECK_NAME_LENGTH,
+  createDeck,
+  validateDeck,
+  searchWords,
+  resolveWordList,
+  filterByDeck,
+  getDecks,
+  saveDeck,
+  deleteDeck,
+} from './customDecks.js';
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+
+const word = (id, spanish, rank, tags, en = 'Translation pending') => ({
+  id, word: spanish, frequency_rank: rank, tags, translations: { en },
+});
+
+const VOCAB = [
+  word('w1', 'de', 1, ['preposition'], 'of, from'),
+  word('w2', 'uno', 9, ['numeral'], 'one'),
+  word('w3', 'uno', 15, ['pronoun'], 'one'),
+  word('w4', 'también', 41, ['adverb'], 'also, too'),
+  word('w5', 'niño', 300, ['noun']),
+  word('w6', 'casa', 120, ['noun']),
+  word('w7', 'cosa', null, ['noun']),
+];
+
+describe('createDeck', () => {
+  it('trims the name, drops duplicate ids and stamps the time', () => {
+    expect(createDeck('  Animals ', ['w1', 'w2', 'w1'], NOW)).toEqual({
+      name: 'Animals',
+      wordIds: ['w1', 'w2'],
+      createdAt: NOW,
+      updatedAt: NOW,
+    });
+  });
+});
+
+describe('validateDeck', () => {
+  const existing = [{ id: 1, name: 'Animals', wordIds: ['w1'] }];
+
+  it('accepts a named deck with words', () => {
+    expect(validateDeck({ name: 'Food', wordIds: ['w1'] }, existing)).toEqual([]);
+  });
+
+  it('requires a name and at least one word', () => {
+    expect(validateDeck({ name: ' ', wordIds: [] })).toEqual([
+      'Give the deck a name.',
+      'Add at least one word.',
+    ]);
+  });
+
+  it('limits the name length', () => {
+    const name = 'x'.repeat(MAX_DECK_NAME_LENGTH + 1);
+    expect(validateDeck({ name, wordIds: ['w1'] })[0]).toMatch(`${MAX_DECK_NAME_LENGTH} characters`);
+  });
+
+  it('rejects a name used by another deck, ignoring case', () => {
+    expect(validateDeck({ name: 'animals', wordIds: ['w1'] }, existing)).toEqual([
+      'There is already a deck called "animals".',
+    ]);
+    // Saving the same deck under its own name is fine
+    expect(validateDeck({ id: 1, name: 'Animals', wordIds: ['w1'] }, existing)).toEqual([]);
+  });
+});
+
+describe('searchWords', () => {
+  const ids = (words) => words.map((w) => w.id);
+
+  it('matches the Spanish word ignoring accents, or the English translation', () => {
+    expect(ids(searchWords(VOCAB, { query: 'nino' }))).toEqual(['w5']);
+    expect(ids(searchWords(VOCAB, { query: 'TAMB' }))).toEqual(['w4']);
+    expect(ids(searchWords(VOCAB, { query: 'from' }))).toEqual(['w1']);
+  });
+
+  it('does not match the pending-translation placeholder', () => {
+    expect(searchWords(VOCAB, { query: 'pending' })).toEqual([]);
+  });
+
+  it('filters by tag and rank range, most frequent first', () => {
+    expect(ids(searchWords(VOCAB, { tag: 'noun' }))).toEqual(['w6', 'w5', 'w7']);
+    expect(ids(searchWords(VOCAB, { tag: 'noun', minRank: 100, maxRank: 200 }))).toEqual(['w6']);
+    expect(ids(searchWords(VOCAB, { maxRank: 10 }))).toEqual(['w1', 'w2']);
+  });
+
+  it('returns every word without criteria', () => {
+    expect(searchWords(VOCAB)).toHaveLength(VOCAB.length);
+  });
+});
+
+describe('resolveWordList', () => {
+  it('resolves lines and comma-separated words, ignoring case and accents', () => {
+    expect(resolveWordList('De\ntambien, casa;  niño ', VOCAB)).toEqual({
+      wordIds: ['w1', 'w4', 'w6', 'w5'],
+      unmatched: [],
+    });
+  });
+
+  it('picks the more frequent entry for a duplicated word', () => {
+    expect(resolveWordList('uno', VOCAB).wordIds).toEqual(['w2']);
+  });
+
+  it('reports unmatched words once and skips duplicates and blanks', () => {
+    expect(resolveWordList('casa\n\nperro\ncasa\nperro', VOCAB)).toEqual({
+      wordIds: ['w6'],
+      unmatched: ['perro'],
+    });
+  });
+});
+
+describe('filterByDeck', () => {
+  it('keeps the deck words in vocabulary order and ignores unknown ids', () => {
+    const deck = { wordIds: ['w6', 'gone', 'w1'] };
+    expect(filterByDeck(VOCAB, deck).map((w) => w.id)).toEqual(['w1', 'w6']);
+  });
+
+  it('keeps every word without a deck', () => {
+    const result = filterByDeck(VOCAB, null);
+    expect(result).toEqual(VOCAB);
+    expect(result).not.toBe(VOCAB);
+  });
+});
+
+describe('without IndexedDB (graceful fallback)', () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it('reads resolve empty and writes do not throw', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await expect(getDecks()).resolves.toEqual([]);
+    await expect(saveDeck(createDeck('A', ['w1'], NOW))).resolves.toBeUndefined();
+    await expect(deleteDeck(1)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * dailyLimits.js — daily new-word limit and review cap
+ *
+ * `buildDeck` treats every untracked word as due, so without limits a fresh
+ * learner in a large band gets thousands of new cards at once. These pure
+ * helpers trim a built deck to what is left of today's allowance.
+ *
+ * Today's progress is tracked per local calendar day:
+ *
+ *   { date: "YYYY-MM-DD", newWords: [wordId…], reviewedWords: [wordId…] }
+ *
+ * A word counts once per day: answering a card again later the same day
+ * (e.g. after "again") never uses up more of the allowance, and words already
+ * started today always stay in the deck so they can be finished.
+ *
+ * Like the frequency filter, the SRS engine is unaware of the limits —
+ * callers apply `applyDailyLimits` to the deck returned by `buildDeck`.
+ * Persistence lives in App.jsx.
+ */
+
+import { dayKey, isNewEntry } from './srsEngine.js';
+
+/** Default new words introduced per day (Anki's default). */
+export const DEFAULT_NEW_PER_DAY = 20;
+
+/** Default maximum review words per day. */
+export const DEFAULT_REVIEWS_PER_DAY = 200;
+
+/** Upper bound accepted for either limit. */
+export const MAX_DAILY_LIMIT = 9999;
+
+export const DEFAULT_DAILY_LIMITS = {
+  newPerDay: DEFAULT_NEW_PER_DAY,
+  reviewsPerDay: DEFAULT_REVIEWS_PER_DAY,
+};
+
+function parseLimit(raw, fallback) {
+  const value = Number(raw);
+  if (raw === null || raw === undefined || raw === '' || !Number.isFinite(value)) return fallback;
+  return Math.min(MAX_DAILY_LIMIT, Math.max(0, Math.floor(value)));
+}
+
+/**
+ * Coerce stored/raw limits into valid ones, falling back to the defaults
+ * per field. Limits are whole numbers in 0..MAX_DAILY_LIMIT.
+ *
+ * @param {*} raw — e.g. the parsed localStorage object
+ * @returns {{ newPerDay: number, reviewsPerDay: number }}
+ */
+export function parseDailyLimits(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return {
+    newPerDay: parseLimit(source.newPerDay, DEFAULT_NEW_PER_DAY),
+    reviewsPerDay: parseLimit(source.reviewsPerDay, DEFAULT_REVIEWS_PER_DAY),
+  };
+}
+
+/**
+ * Today's progress: the stored progress if it is from today, otherwise a
+ * fresh one. Malformed input is treated as no progress.
+ *
+ * @param {*} progress
+ * @param {number} now
+ * @returns {{ date: string, newWords: string[], reviewedWords: string[] }}
+ */
+export function currentDailyProgress(progress, now = Date.now()) {
+  const date = dayKey(now);
+  if (
+    progress?.date === date &&
+    Array.isArray(progress.newWords) &&
+    Array.isArray(progress.reviewedWords)
+  ) {
+    return progress;
+  }
+  return { date, newWords: [], reviewedWords: [] };
+}
+
+/**
+ * Record an answer in today's progress. `wasNew` is true when the word had no
+ * SRS entry before the answer. Each word is counted at most once per day.
+ * Pure — returns a new progress object, never mutates the input.
+ *
+ * @param {*} progress
+ * @param {string} wordId
+ * @param {boolean} wasNew
+ * @param {number} now
+ * @returns {{ date: string, newWords: string[], reviewedWords: string[] }}
+ */
+export function recordDailyAnswer(progress, wordId, wasNew, now = Date.now()) {
+  const today = currentDailyProgress(progress, now);
+  if (today.newWords.includes(wordId) || today.reviewedWords.includes(wordId)) {
+    return today;
+  }
+  return wasNew
+    ? { ...today, newWords: [...today.newWords, wordId] }
+    : { ...today, reviewedWords: [...today.reviewedWords, wordId] };
+}
+
+/**
+ * What is left of today's allowance.
+ *
+ * @param {*} progress
+ * @param {{ newPerDay: number, reviewsPerDay: number }} limits
+ * @param {number} now
+ * @returns {{ newLeft: number, reviewsLeft: number }}
+ */
+export function remainingToday(progress, limits, now = Date.now()) {
+  const today = currentDailyProgress(progress, now);
+  return {
+    newLeft: Math.max(0, limits.newPerDay - today.newWords.length),
+    reviewsLeft: Math.max(0, limits.reviewsPerDay - today.reviewedWords.length),
+  };
+}
+
+/**
+ * Trim a due deck (from `buildDeck`) to today's allowance, keeping its order.
+ *
+ * - Words already answered today always stay.
+ * - Untracked words (and placeholders, see isNewEntry) are new: at most
+ *   `newLeft` of them are kept.
+ * - Tracked words are reviews: at most `reviewsLeft` of them are kept.
+ *
+ * Pure — returns a new array, never mutates the input.
+ *
+ * @param {Array<{id: string}>} deck
+ * @param {Object} srsState
+ * @param {*} progress
+ * @param {{ newPerDay: number, reviewsPerDay: number }} limits
+ * @param {number} now
+ * @returns {Array}
+ */
+export function applyDailyLimits(deck, srsState, progress, limits, now = Date.now()) {
+  const today = currentDailyProgress(progress, now);
+  const started = new Set([...today.newWords, ...today.reviewedWords]);
+  let { newLeft, reviewsLeft } = remainingToday(today, limits, now);
+
+  return deck.filter((word) => {
+    if (started.has(word.id)) return true;
+    if (isNewEntry(srsState[word.id])) {
+      if (newLeft === 0) return false;
+      newLeft--;
+      return true;
+    }
+    if (reviewsLeft === 0) return false;
+    reviewsLeft--;
+    return true;
+  });
+}
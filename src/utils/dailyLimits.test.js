@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_NEW_PER_DAY,
+  DEFAULT_REVIEWS_PER_DAY,
+  MAX_DAILY_LIMIT,
+  parseDailyLimits,
+  currentDailyProgress,
+  recordDailyAnswer,
+  remainingToday,
+  applyDailyLimits,
+} from './dailyLimits.js';
+
+// Local-time "now" so day bucketing is timezone-independent
+const NOW = new Date(2026, 0, 10, 12, 0, 0).getTime();
+const TOMORROW = new Date(2026, 0, 11, 8, 0, 0).getTime();
+
+const due = { box: 2, nextReview: new Date(NOW - 1000).toISOString() };
+
+describe('parseDailyLimits', () => {
+  it('falls back to the defaults for missing or invalid input', () => {
+    const defaults = { newPerDay: DEFAULT_NEW_PER_DAY, reviewsPerDay: DEFAULT_REVIEWS_PER_DAY };
+    expect(parseDailyLimits(null)).toEqual(defaults);
+    expect(parseDailyLimits('garbage')).toEqual(defaults);
+    expect(parseDailyLimits({ newPerDay: 'abc', reviewsPerDay: '' })).toEqual(defaults);
+  });
+
+  it('keeps valid values per field', () => {
+    expect(parseDailyLimits({ newPerDay: 5 })).toEqual({
+      newPerDay: 5,
+      reviewsPerDay: DEFAULT_REVIEWS_PER_DAY,
+    });
+    expect(parseDailyLimits({ newPerDay: '0', reviewsPerDay: '50' })).toEqual({
+      newPerDay: 0,
+      reviewsPerDay: 50,
+    });
+  });
+
+  it('clamps to whole numbers in 0..MAX_DAILY_LIMIT', () => {
+    expect(parseDailyLimits({ newPerDay: -3, reviewsPerDay: 1e9 })).toEqual({
+      newPerDay: 0,
+      reviewsPerDay: MAX_DAILY_LIMIT,
+    });
+    expect(parseDailyLimits({ newPerDay: 7.8 }).newPerDay).toBe(7);
+  });
+});
+
+describe('currentDailyProgress', () => {
+  it('starts empty when nothing is stored', () => {
+    expect(currentDailyProgress(null, NOW)).toEqual({
+      date: '2026-01-10',
+      newWords: [],
+      reviewedWords: [],
+    });
+  });
+
+  it('keeps progress from the same day', () => {
+    const progress = { date: '2026-01-10', newWords: ['a'], reviewedWords: [] };
+    expect(currentDailyProgress(progress, NOW)).toBe(progress);
+  });
+
+  it('resets on a new calendar day', () => {
+    const progress = { date: '2026-01-10', newWords: ['a'], reviewedWords: ['b'] };
+    expect(currentDailyProgress(progress, TOMORROW)).toEqual({
+      date: '2026-01-11',
+      newWords: [],
+      reviewedWords: [],
+    });
+  });
+
+  it('treats malformed progress as empty', () => {
+    expect(currentDailyProgress({ date: '2026-01-10' }, NOW).newWords).toEqual([]);
+  });
+});
+
+describe('recordDailyAnswer', () => {
+  it('counts new words and reviews separately', () => {
+    let progress = recordDailyAnswer(null, 'a', true, NOW);
+    progress = recordDailyAnswer(progress, 'b', false, NOW);
+    expect(progress.newWords).toEqual(['a']);
+    expect(progress.reviewedWords).toEqual(['b']);
+  });
+
+  it('counts each word once per day', () => {
+    let progress = recordDailyAnswer(null, 'a', true, NOW);
+    progress = recordDailyAnswer(progress, 'a', false, NOW);
+    expect(progress.newWords).toEqual(['a']);
+    expect(progress.reviewedWords).toEqual([]);
+  });
+
+  it('does not mutate the input', () => {
+    const progress = { date: '2026-01-10', newWords: [], reviewedWords: [] };
+    recordDailyAnswer(progress, 'a', true, NOW);
+    expect(progress.newWords).toEqual([]);
+  });
+
+  it('starts a fresh day after midnight', () => {
+    const yesterday = recordDailyAnswer(null, 'a', true, NOW);
+    expect(recordDailyAnswer(yesterday, 'b', true, TOMORROW)).toEqual({
+      date: '2026-01-11',
+      newWords: ['b'],
+      reviewedWords: [],
+    });
+  });
+});
+
+describe('remainingToday', () => {
+  const limits = { newPerDay: 2, reviewsPerDay: 3 };
+
+  it('subtracts today\'s answers from the limits', () => {
+    const progress = { date: '2026-01-10', newWords: ['a'], reviewedWords: ['b', 'c'] };
+    expect(remainingToday(progress, limits, NOW)).toEqual({ newLeft: 1, reviewsLeft: 1 });
+  });
+
+  it('never goes below zero (limits lowered mid-day)', () => {
+    const progress = { date: '2026-01-10', newWords: ['a', 'b', 'c'], reviewedWords: [] };
+    expect(remainingToday(progress, limits, NOW).newLeft).toBe(0);
+  });
+
+  it('ignores yesterday\'s progress', () => {
+    const progress = { date: '2026-01-09', newWords: ['a', 'b'], reviewedWords: ['c'] };
+    expect(remainingToday(progress, limits, NOW)).toEqual({ newLeft: 2, reviewsLeft: 3 });
+  });
+});
+
+describe('applyDailyLimits', () => {
+  const deck = [
+    { id: 'n1' }, { id: 'n2' }, { id: 'n3' },
+    { id: 'r1' }, { id: 'r2' },
+  ];
+  const srsState = { r1: due, r2: due };
+  const ids = (words) => words.map((w) => w.id);
+
+  it('caps new words and reviews separately, keeping deck order', () => {
+    const limits = { newPerDay: 2, reviewsPerDay: 1 };
+    expect(ids(applyDailyLimits(deck, srsState, null, limits, NOW))).toEqual(['n1', 'n2', 'r1']);
+  });
+
+  it('counts what was already answered today', () => {
+    const progress = { date: '2026-01-10', newWords: ['x'], reviewedWords: ['y'] };
+    const limits = { newPerDay: 2, reviewsPerDay: 1 };
+    expect(ids(applyDailyLimits(deck, srsState, progress, limits, NOW))).toEqual(['n1']);
+  });
+
+  it('always keeps words already started today', () => {
+    // n3 was introduced today and answered "again" — it must be finishable
+    // even though the new-word allowance is used up.
+    const progress = { date: '2026-01-10', newWords: ['n3'], reviewedWords: ['r2'] };
+    const state = { ...srsState, n3: { box: 1, nextReview: new Date(NOW).toISOString() } };
+    const limits = { newPerDay: 1, reviewsPerDay: 1 };
+    expect(ids(applyDailyLimits(deck, state, progress, limits, NOW))).toEqual(['n3', 'r2']);
+  });
+
+  it('counts a placeholder entry from a past bury as a new word', () => {
+    const state = { ...srsState, n1: { box: 0, nextReview: due.nextReview, buriedUntil: due.nextReview } };
+    const limits = { newPerDay: 1, reviewsPerDay: 2 };
+    expect(ids(applyDailyLimits(deck, state, null, limits, NOW))).toEqual(['n1', 'r1', 'r2']);
+  });
+
+  it('returns everything when the limits are large enough', () => {
+    const limits = { newPerDay: 100, reviewsPerDay: 100 };
+    expect(ids(applyDailyLimits(deck, srsState, null, limits, NOW))).toEqual(ids(deck));
+  });
+
+  it('allows turning new words off', () => {
+    const limits = { newPerDay: 0, reviewsPerDay: 100 };
+    expect(ids(applyDailyLimits(deck, srsState, null, limits, NOW))).toEqual(['r1', 'r2']);
+  });
+});
@@ -3,53 +3,34 @@
  * Provides offline-first caching with LRU eviction
  */
 
+import { openDatabase } from './indexedDb.js';
+
 const DB_NAME = 'yalose-definitions';
 const DB_VERSION = 1;
 const STORE_NAME = 'definitions';
 const MAX_ENTRIES = 1000;
 const MAX_AGE_DAYS = 30;
 
-let dbPromise = null;
-
 /**
- * Opens or creates the IndexedDB database
+ * Opens or creates the definitions cache database
  * @returns {Promise<IDBDatabase>}
  */
 function openDB() {
-  if (dbPromise) {
-    return dbPromise;
-  }
-
-  dbPromise = new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-    request.onerror = () => {
-      console.warn('IndexedDB error:', request.error);
-      reject(request.error);
-    };
-
-    request.onsuccess = () => {
-      resolve(request.result);
-    };
-
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      
-      // Create the definitions store if it doesn't exist
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        const store = db.createObjectStore(STORE_NAME, { keyPath: 'wordId' });
-        store.createIndex('cachedAt', 'cachedAt', { unique: false });
-      }
-    };
+  return openDatabase(DB_NAME, DB_VERSION, (db) => {
+    // Create the definitions store if it doesn't exist
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'wordId' });
+      store.createIndex('cachedAt', 'cachedAt', { unique: false });
+    }
   });
-
-  return dbPromise;
 }
 
 /**
- * Retrieves a cached definition by word ID
+ * Retrieves a cached definition by word ID. Entries cached before example
+ * sentences were served on their own have `examples: null`, and before
+ * structured senses `senses: null`.
  * @param {string} wordId - The word ID to look up
- * @returns {Promise<{definitions: string[], rae_link: string} | null>}
+ * @returns {Promise<{definitions: string[], examples: string[]|null, senses: object[]|null, sense_count: number|null, rae_link: string} | null>}
  */
 export async function getCachedDefinition(wordId) {
   try {
@@ -75,6 +56,9 @@ export async function getCachedDefinition(wordId) {
           // Return cached data regardless of LRU update success
           resolve({
             definitions: result.definitions,
+            examples: result.examples ?? null,
+            senses: result.senses ?? null,
+            sense_count: result.sense_count ?? null,
             rae_link: result.rae_link
           });
         } else {
@@ -97,7 +81,7 @@ export async function getCachedDefinition(wordId) {
 /**
  * Caches a definition for a word
  * @param {string} wordId - The word ID
- * @param {{definitions: string[], rae_link: string}} data - The definition data
+ * @param {{definitions: string[], examples: string[], senses: object[], sense_count: number|null, rae_link: string}} data - The definition data
  * @returns {Promise<void>}
  */
 export async function cacheDefinition(wordId, data) {
@@ -111,6 +95,9 @@ export async function cacheDefinition(wordId, data) {
       const entry = {
         wordId,
         definitions: data.definitions,
+        examples: data.examples,
+        senses: data.senses,
+        sense_count: data.sense_count,
         rae_link: data.rae_link,
         cachedAt: Date.now()
       };
@@ -225,6 +212,35 @@ export async function clearOldEntries(maxAgeDays = MAX_AGE_DAYS) {
   }
 }
 
+/**
+ * Gets every cached definition list, keyed by word ID. Read-only: unlike
+ * getCachedDefinition it does not count as a use for LRU eviction.
+ * @returns {Promise<{[wordId: string]: string[]}>}
+ */
+export async function getAllCachedDefinitions() {
+  try {
+    const db = await openDB();
+
+    return new Promise((resolve) => {
+      const transaction = db.transaction(STORE_NAME, 'readonly');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        const byWord = {};
+        for (const entry of request.result) {
+          if (Array.isArray(entry.definitions)) byWord[entry.wordId] = entry.definitions;
+        }
+        resolve(byWord);
+      };
+      request.onerror = () => resolve({});
+    });
+  } catch (error) {
+    console.warn('IndexedDB not available:', error);
+    return {};
+  }
+}
+
 /**
  * Gets the current number of cached entries
  * @returns {Promise<number>}
@@ -0,0 +1,87 @@
+/**
+ * dueCounts.js — due counts for the band, tag and custom deck pickers
+ *
+ * Each picker option is labelled with the cards it would put in today's
+ * deck: `buildDeck` over the option's cards, trimmed by `applyDailyLimits`.
+ * Building that deck once per option after every answer is too slow for a
+ * phone, so the counts come from one pass instead: the due cards of the
+ * whole vocabulary (isDueEntry, the test buildDeck applies) are tallied per
+ * option as started today, new or review, and the daily limits are applied
+ * to each tally. The limits keep every started card and the first
+ * `newLeft` new and `reviewsLeft` review cards whatever their order, so the
+ * count is the same.
+ *
+ * Like the deck, band options count within the active tag, tag options
+ * within the active band, and custom decks regardless of either.
+ */
+
+import { isDueEntry, isNewEntry } from './srsEngine.js';
+import { currentDailyProgress, remainingToday } from './dailyLimits.js';
+import { inFrequencyBand } from './frequencyFilter.js';
+import { ALL_TAGS, hasTag } from './tagFilter.js';
+import { wordIdOf } from './studyDirection.js';
+
+const emptyTally = () => ({ started: 0, new: 0, review: 0 });
+
+/**
+ * Due-card counts per frequency band, tag and custom deck, as the daily
+ * deck of each would hold them.
+ *
+ * @param {Array<{id: string, wordId?: string, frequency_rank?: number|null, tags?: string[]}>} cards
+ *   — the study cards of the whole vocabulary for the study direction
+ * @param {Object} srsState
+ * @param {*} progress — today's progress (see dailyLimits.js)
+ * @param {{ newPerDay: number, reviewsPerDay: number }} limits
+ * @param {number} now
+ * @param {{ bands: number[], band: number, tags: string[], tag: string, decks: Array<{id: number, wordIds: string[]}> }} options
+ *   — the options of each picker and the active band and tag
+ * @returns {{ byBand: Object<number, number>, byTag: Object<string, number>, byDeck: Object<number, number> }}
+ */
+export function countDueCards(cards, srsState, progress, limits, now, { bands, band, tags, tag, decks }) {
+  const today = currentDailyProgress(progress, now);
+  const started = new Set([...today.newWords, ...today.reviewedWords]);
+  const { newLeft, reviewsLeft } = remainingToday(today, limits, now);
+
+  const bandTallies = bands.map(emptyTally);
+  const tagTallies = tags.map(emptyTally);
+  const deckTallies = decks.map(emptyTally);
+  const deckIds = decks.map((deck) => new Set(deck.wordIds));
+  const tagIndex = new Map(tags.map((t, i) => [t, i]));
+  const allTagsIndex = tagIndex.get(ALL_TAGS);
+
+  for (const card of cards) {
+    const entry = srsState[card.id];
+    if (!isDueEntry(entry, now)) continue;
+    let kind = 'review';
+    if (started.has(card.id)) kind = 'started';
+    else if (isNewEntry(entry)) kind = 'new';
+
+    const inBand = inFrequencyBand(card, band);
+    const inTag = hasTag(card, tag);
+    bands.forEach((b, i) => {
+      if (inTag && inFrequencyBand(card, b)) bandTallies[i][kind]++;
+    });
+    if (inBand) {
+      // Through the card's own tags rather than testing every option
+      if (allTagsIndex !== undefined) tagTallies[allTagsIndex][kind]++;
+      new Set(card.tags).forEach((t) => {
+        if (t !== ALL_TAGS && tagIndex.has(t)) tagTallies[tagIndex.get(t)][kind]++;
+      });
+    }
+    const wordId = wordIdOf(card);
+    deckIds.forEach((ids, i) => {
+      if (ids.has(wordId)) deckTallies[i][kind]++;
+    });
+  }
+
+  const count = (tally) =>
+    tally.started + Math.min(tally.new, newLeft) + Math.min(tally.review, reviewsLeft);
+  const byKey = (keys, tallies) =>
+    Object.fromEntries(keys.map((key, i) => [key, count(tallies[i])]));
+
+  return {
+    byBand: byKey(bands, bandTallies),
+    byTag: byKey(tags, tagTallies),
+    byDeck: byKey(decks.map((deck) => deck.id), deckTallies),
+  };
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { countDueCards } from './dueCounts.js';
+import { buildDeck, BOX_INTERVALS, dayKey } from './srsEngine.js';
+import { applyDailyLimits } from './dailyLimits.js';
+import { FREQUENCY_BANDS, filterByFrequency } from './frequencyFilter.js';
+import { ALL_TAGS, filterByTag } from './tagFilter.js';
+import { filterByDeck } from './customDecks.js';
+import { buildCards } from './studyDirection.js';
+
+// Local-time "now" so day bucketing is timezone-independent
+const NOW = new Date(2026, 0, 10, 12, 0, 0).getTime();
+const TAGS = ['noun', 'verb', 'adjective'];
+
+// 60 words over every band, some unranked, each with one or two tags
+const VOCAB = Array.from({ length: 60 }, (_, i) => ({
+  id: `w${i}`,
+  word: `palabra${i}`,
+  frequency_rank: i % 7 === 0 ? null : i * 90 + 1,
+  tags: i % 5 === 0 ? [TAGS[i % 3], TAGS[(i + 1) % 3]] : [TAGS[i % 3]],
+}));
+
+// New, due, buried, not yet due, suspended and started-today cards, in both directions
+function srsStateFor(cards) {
+  const state = {};
+  cards.forEach((card, i) => {
+    if (i % 4 === 0) return;
+    if (i % 4 === 1) {
+      state[card.id] = { box: 2, nextReview: new Date(NOW - 1000).toISOString() };
+      if (i % 8 === 1) state[card.id].buriedUntil = new Date(NOW + 3600000).toISOString();
+    }
+    if (i % 4 === 2) state[card.id] = { box: 3, nextReview: new Date(NOW + 86400000).toISOString() };
+    if (i % 4 === 3) state[card.id] = { box: 1, nextReview: new Date(NOW - 1000).toISOString(), suspended: i % 8 === 3 };
+  });
+  return state;
+}
+
+const DECKS = [
+  { id: 1, name: 'A', wordIds: ['w1', 'w2', 'w3', 'w40', 'missing'] },
+  { id: 2, name: 'B', wordIds: [] },
+];
+
+// What App.jsx used to do: build each option's daily deck
+function dailyDeckSize(vocab, band, tag, deck, direction, state, progress, limits) {
+  const words = deck ? filterByDeck(vocab, deck) : filterByTag(filterByFrequency(vocab, band), tag);
+  const due = buildDeck(buildCards(words, direction), state, NOW, BOX_INTERVALS);
+  return applyDailyLimits(due, state, progress, limits, NOW).length;
+}
+
+describe('countDueCards', () => {
+  const cases = [
+    ['recognition', { newPerDay: 20, reviewsPerDay: 200 }],
+    ['both', { newPerDay: 3, reviewsPerDay: 5 }],
+    ['production', { newPerDay: 0, reviewsPerDay: 2 }],
+  ];
+
+  it.each(cases)('matches a daily deck per option (%s)', (direction, limits) => {
+    const cards = buildCards(VOCAB, direction);
+    const state = srsStateFor(cards);
+    const progress = { date: dayKey(NOW), newWords: [cards[4].id], reviewedWords: [cards[5].id] };
+    const band = 1000;
+    const tag = 'verb';
+    const tags = [ALL_TAGS, ...TAGS];
+
+    const counts = countDueCards(cards, state, progress, limits, NOW, {
+      bands: FREQUENCY_BANDS, band, tags, tag, decks: DECKS,
+    });
+
+    const size = (b, t, d) => dailyDeckSize(VOCAB, b, t, d, direction, state, progress, limits);
+    expect(counts.byBand).toEqual(Object.fromEntries(FREQUENCY_BANDS.map((b) => [b, size(b, tag, null)])));
+    expect(counts.byTag).toEqual(Object.fromEntries(tags.map((t) => [t, size(band, t, null)])));
+    expect(counts.byDeck).toEqual({ 1: size(null, null, DECKS[0]), 2: 0 });
+    expect(counts.byBand[5000]).toBeGreaterThan(0);
+  });
+
+  it('is all zeros for an empty vocabulary', () => {
+    expect(countDueCards([], {}, null, { newPerDay: 20, reviewsPerDay: 200 }, NOW, {
+      bands: [100], band: 100, tags: [ALL_TAGS], tag: ALL_TAGS, decks: [],
+    })).toEqual({ byBand: { 100: 0 }, byTag: { all: 0 }, byDeck: {} });
+  });
+});
@@ -36,9 +36,20 @@ export const ALL_WORDS_LIMIT = FREQUENCY_BANDS[FREQUENCY_BANDS.length - 1];
 export function filterByFrequency(vocab, limit) {
   if (!Array.isArray(vocab)) return [];
   if (limit >= ALL_WORDS_LIMIT) return vocab.slice();
-  return vocab.filter(
-    (word) => typeof word.frequency_rank === 'number' && word.frequency_rank <= limit
-  );
+  return vocab.filter((word) => inFrequencyBand(word, limit));
+}
+
+/**
+ * Whether one word (or a card, which carries its word's rank) falls within a
+ * band — the test `filterByFrequency` applies.
+ *
+ * @param {{frequency_rank?: number|null}} word
+ * @param {number} limit
+ * @returns {boolean}
+ */
+export function inFrequencyBand(word, limit) {
+  if (limit >= ALL_WORDS_LIMIT) return true;
+  return typeof word.frequency_rank === 'number' && word.frequency_rank <= limit;
 }
 
 /**
@@ -0,0 +1,291 @@
+/**
+ * fsrsEngine.js — FSRS (Free Spaced Repetition Scheduler) memory model
+ *
+ * Models each word with a stability S (days until recall probability drops
+ * to the requested retention) and a difficulty D (1–10). The next review is
+ * the day retrievability R(t, S) falls to `requestRetention`, so due dates
+ * follow the memory model rather than a box number.
+ *
+ * Entry shape:
+ *   { box, nextReview, stability, difficulty, reps, lapses, lastReview }
+ *
+ * `box` is the equivalent Leitner box for the interval (as in sm2Engine.js)
+ * so deck ordering and the box badge keep working.
+ *
+ * State is rebuilt from a review log with `scheduleFromLog`; `markKnown`
+ * and `markReview` apply one more log entry incrementally and share the
+ * srsEngine pure-function shape so App.jsx can swap them in. Words without
+ * a log are converted by `toFsrsEntry`, which estimates the stability from
+ * their current interval.
+ *
+ * Formulas follow FSRS-4.5; parameters are the published defaults.
+ */
+
+import { DAY_MS, BOX_INTERVALS, boxForInterval } from './srsEngine.js';
+
+/** FSRS ratings. */
+export const GRADE_AGAIN = 1;
+export const GRADE_HARD = 2;
+export const GRADE_GOOD = 3;
+export const GRADE_EASY = 4;
+
+/** FSRS rating for each answer grade (see grades.js). */
+export const GRADE_RATINGS = {
+  again: GRADE_AGAIN,
+  hard: GRADE_HARD,
+  good: GRADE_GOOD,
+  easy: GRADE_EASY,
+};
+
+/** Default model parameters (FSRS-4.5 weights). */
+export const DEFAULT_FSRS_PARAMS = {
+  w: [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031,
+    1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+  ],
+  requestRetention: 0.9,
+  maximumInterval: 36500, // days
+};
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81; // makes R(S, S) = 0.9
+
+const clampDifficulty = (d) => Math.min(10, Math.max(1, d));
+
+/**
+ * Probability of recall after `elapsedDays` for a memory of `stability`.
+ *
+ * @param {number} elapsedDays
+ * @param {number} stability
+ * @returns {number} 0..1
+ */
+export function retrievability(elapsedDays, stability) {
+  if (stability <= 0) return 0;
+  return Math.pow(1 + FACTOR * Math.max(0, elapsedDays) / stability, DECAY);
+}
+
+/**
+ * Interval (whole days, ≥ 1) after which retrievability reaches the
+ * requested retention.
+ *
+ * @param {number} stability
+ * @param {Object} params
+ * @returns {number}
+ */
+export function nextInterval(stability, params = DEFAULT_FSRS_PARAMS) {
+  const days = (stability / FACTOR) * (Math.pow(params.requestRetention, 1 / DECAY) - 1);
+  return Math.min(params.maximumInterval, Math.max(1, Math.round(days)));
+}
+
+function initialStability(grade, w) {
+  return Math.max(0.1, w[grade - 1]);
+}
+
+function initialDifficulty(grade, w) {
+  return clampDifficulty(w[4] - (grade - 3) * w[5]);
+}
+
+function nextDifficulty(difficulty, grade, w) {
+  const updated = difficulty - w[6] * (grade - 3);
+  // Mean reversion towards the difficulty of a first "Good" answer.
+  return clampDifficulty(w[7] * initialDifficulty(GRADE_GOOD, w) + (1 - w[7]) * updated);
+}
+
+function recallStability(difficulty, stability, r, grade, w) {
+  const hardPenalty = grade === GRADE_HARD ? w[15] : 1;
+  const easyBonus = grade === GRADE_EASY ? w[16] : 1;
+  return stability * (
+    1 +
+    Math.exp(w[8]) *
+    (11 - difficulty) *
+    Math.pow(stability, -w[9]) *
+    (Math.exp((1 - r) * w[10]) - 1) *
+    hardPenalty *
+    easyBonus
+  );
+}
+
+function forgetStability(difficulty, stability, r, w) {
+  return (
+    w[11] *
+    Math.pow(difficulty, -w[12]) *
+    (Math.pow(stability + 1, w[13]) - 1) *
+    Math.exp((1 - r) * w[14])
+  );
+}
+
+/**
+ * Apply one graded answer to a single entry.
+ * "Again" makes the word due immediately (same as Leitner box 1); any other
+ * grade schedules it for the day retrievability hits the requested retention.
+ *
+ * @param {Object|undefined} entry  FSRS entry, or undefined for a new word
+ * @param {number} grade            GRADE_AGAIN..GRADE_EASY
+ * @param {number} now
+ * @param {Object} params
+ * @param {number[]} boxIntervals   active Leitner intervals, for the equivalent box
+ * @returns {Object} new entry
+ */
+export function scheduleFsrs(
+  entry,
+  grade,
+  now = Date.now(),
+  params = DEFAULT_FSRS_PARAMS,
+  boxIntervals = BOX_INTERVALS
+) {
+  const { w } = params;
+  let stability;
+  let difficulty;
+  let lapses = entry?.lapses ?? 0;
+
+  if (!entry || !entry.reps) {
+    stability = initialStability(grade, w);
+    difficulty = initialDifficulty(grade, w);
+  } else {
+    const elapsedDays = (now - new Date(entry.lastReview).getTime()) / DAY_MS;
+    const r = retrievability(elapsedDays, entry.stability);
+    difficulty = nextDifficulty(entry.difficulty, grade, w);
+    if (grade === GRADE_AGAIN) {
+      stability = forgetStability(entry.difficulty, entry.stability, r, w);
+    } else {
+      stability = recallStability(entry.difficulty, entry.stability, r, grade, w);
+    }
+  }
+  if (grade === GRADE_AGAIN) lapses += entry?.reps ? 1 : 0;
+
+  const intervalDays = grade === GRADE_AGAIN ? 0 : nextInterval(stability, params);
+  return {
+    box: grade === GRADE_AGAIN ? 1 : boxForInterval(intervalDays * DAY_MS, boxIntervals),
+    nextReview: new Date(now + intervalDays * DAY_MS).toISOString(),
+    stability: Math.round(stability * 10000) / 10000,
+    difficulty: Math.round(difficulty * 10000) / 10000,
+    reps: (entry?.reps ?? 0) + 1,
+    lapses,
+    lastReview: new Date(now).toISOString(),
+  };
+}
+
+/**
+ * Rebuild an entry by replaying a review log in chronological order.
+ * Grades may be FSRS ratings or grades.js names, as the review history
+ * (reviewHistory.js) stores them.
+ *
+ * @param {Array<{ timestamp: number|string, grade: number|string }>} log
+ * @param {Object} params
+ * @param {number[]} boxIntervals   active Leitner intervals, for the equivalent box
+ * @returns {Object|null} entry, or null for an empty log
+ */
+export function scheduleFromLog(log, params = DEFAULT_FSRS_PARAMS, boxIntervals = BOX_INTERVALS) {
+  const ordered = [...log].sort(
+    (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()
+  );
+  let entry;
+  for (const review of ordered) {
+    const rating = typeof review.grade === 'number' ? review.grade : GRADE_RATINGS[review.grade] ?? GRADE_GOOD;
+    entry = scheduleFsrs(entry, rating, new Date(review.timestamp).getTime(), params, boxIntervals);
+  }
+  return entry ?? null;
+}
+
+/**
+ * Mark a word as known ("Good").
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string} wordId
+ * @param {number} now
+ * @param {number[]} boxIntervals
+ * @returns {Object} new srsState
+ */
+export function markKnown(srsState, wordId, now = Date.now(), boxIntervals = BOX_INTERVALS) {
+  return {
+    ...srsState,
+    [wordId]: scheduleFsrs(
+      toFsrsEntry(srsState[wordId], DEFAULT_FSRS_PARAMS, boxIntervals),
+      GRADE_GOOD,
+      now,
+      DEFAULT_FSRS_PARAMS,
+      boxIntervals
+    ),
+  };
+}
+
+/**
+ * Mark a word for review ("Again"): stability collapses, due immediately.
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string} wordId
+ * @param {number} now
+ * @param {number[]} boxIntervals
+ * @returns {Object} new srsState
+ */
+export function markReview(srsState, wordId, now = Date.now(), boxIntervals = BOX_INTERVALS) {
+  return {
+    ...srsState,
+    [wordId]: scheduleFsrs(
+      toFsrsEntry(srsState[wordId], DEFAULT_FSRS_PARAMS, boxIntervals),
+      GRADE_AGAIN,
+      now,
+      DEFAULT_FSRS_PARAMS,
+      boxIntervals
+    ),
+  };
+}
+
+/**
+ * Apply a four-grade answer using its FSRS rating (GRADE_RATINGS).
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string} wordId
+ * @param {'again'|'hard'|'good'|'easy'} grade
+ * @param {number} now
+ * @param {number[]} boxIntervals
+ * @returns {Object} new srsState
+ */
+export function applyGrade(srsState, wordId, grade, now = Date.now(), boxIntervals = BOX_INTERVALS) {
+  return {
+    ...srsState,
+    [wordId]: scheduleFsrs(
+      toFsrsEntry(srsState[wordId], DEFAULT_FSRS_PARAMS, boxIntervals),
+      GRADE_RATINGS[grade] ?? GRADE_GOOD,
+      now,
+      DEFAULT_FSRS_PARAMS,
+      boxIntervals
+    ),
+  };
+}
+
+/**
+ * Convert any stored entry into an FSRS entry.
+ *
+ * - Missing entry → undefined (a new word; the first grade initialises it).
+ * - Entry that already has a stability → returned as-is.
+ * - Leitner / SM-2 entry → stability taken from its interval (the box interval
+ *   for Leitner), default difficulty, last review = due date − interval.
+ *   `nextReview` is kept so migrating never moves a due date.
+ *
+ * @param {Object|undefined} entry
+ * @param {Object} params
+ * @param {number[]} boxIntervals  active Leitner intervals
+ * @returns {Object|undefined}
+ */
+export function toFsrsEntry(entry, params = DEFAULT_FSRS_PARAMS, boxIntervals = BOX_INTERVALS) {
+  if (!entry) return undefined;
+  if (typeof entry.stability === 'number') return entry;
+  const box = entry.box ?? 0;
+  const intervalDays = typeof entry.interval === 'number'
+    ? entry.interval
+    : (boxIntervals[box] ?? 0) / DAY_MS;
+  const due = entry.nextReview ? new Date(entry.nextReview).getTime() : Date.now();
+  return {
+    box,
+    nextReview: entry.nextReview,
+    stability: Math.max(intervalDays, params.w[GRADE_GOOD - 1]),
+    difficulty: initialDifficulty(GRADE_GOOD, params.w),
+    reps: entry.reps ?? Math.max(0, box),
+    lapses: 0,
+    lastReview: new Date(due - intervalDays * DAY_MS).toISOString(),
+  };
+}
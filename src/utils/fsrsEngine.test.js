@@ -0,0 +1,223 @@
+import { describe, it, expect } from 'vitest';
+import {
+  markKnown,
+  markReview,
+  applyGrade,
+  retrievability,
+  nextInterval,
+  scheduleFsrs,
+  scheduleFromLog,
+  toFsrsEntry,
+  DEFAULT_FSRS_PARAMS,
+  GRADE_AGAIN,
+  GRADE_HARD,
+  GRADE_GOOD,
+  GRADE_EASY,
+} from './fsrsEngine.js';
+import { DAY_MS } from './srsEngine.js';
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+
+const due = (entry) => new Date(entry.nextReview).getTime();
+
+describe('retrievability', () => {
+  it('is 1 right after a review', () => {
+    expect(retrievability(0, 5)).toBe(1);
+  });
+
+  it('equals the 0.9 target after exactly `stability` days', () => {
+    expect(retrievability(10, 10)).toBeCloseTo(0.9, 10);
+  });
+
+  it('decreases as time passes', () => {
+    expect(retrievability(20, 10)).toBeLessThan(retrievability(5, 10));
+  });
+});
+
+describe('nextInterval', () => {
+  it('equals the stability at the default 0.9 retention', () => {
+    expect(nextInterval(10)).toBe(10);
+  });
+
+  it('is at least one day', () => {
+    expect(nextInterval(0.2)).toBe(1);
+  });
+
+  it('is shorter when a higher retention is requested', () => {
+    const strict = { ...DEFAULT_FSRS_PARAMS, requestRetention: 0.95 };
+    expect(nextInterval(10, strict)).toBeLessThan(10);
+  });
+
+  it('is capped at maximumInterval', () => {
+    expect(nextInterval(1e6)).toBe(DEFAULT_FSRS_PARAMS.maximumInterval);
+  });
+});
+
+describe('scheduleFsrs — first review', () => {
+  it('initial stability comes from the grade weight', () => {
+    const { w } = DEFAULT_FSRS_PARAMS;
+    expect(scheduleFsrs(undefined, GRADE_GOOD, NOW).stability).toBe(w[2]);
+    expect(scheduleFsrs(undefined, GRADE_EASY, NOW).stability).toBe(w[3]);
+  });
+
+  it('easier grades give lower difficulty and later due dates', () => {
+    const hard = scheduleFsrs(undefined, GRADE_HARD, NOW);
+    const easy = scheduleFsrs(undefined, GRADE_EASY, NOW);
+    expect(easy.difficulty).toBeLessThan(hard.difficulty);
+    expect(due(easy)).toBeGreaterThan(due(hard));
+  });
+
+  it('"Again" makes the word due immediately in box 1', () => {
+    const entry = scheduleFsrs(undefined, GRADE_AGAIN, NOW);
+    expect(due(entry)).toBe(NOW);
+    expect(entry.box).toBe(1);
+  });
+
+  it('records the review time and count', () => {
+    const entry = scheduleFsrs(undefined, GRADE_GOOD, NOW);
+    expect(entry.lastReview).toBe(new Date(NOW).toISOString());
+    expect(entry.reps).toBe(1);
+    expect(entry.lapses).toBe(0);
+  });
+});
+
+describe('scheduleFsrs — subsequent reviews', () => {
+  const first = scheduleFsrs(undefined, GRADE_GOOD, NOW);
+  const onTime = due(first);
+
+  it('a successful review on the due date increases stability', () => {
+    const second = scheduleFsrs(first, GRADE_GOOD, onTime);
+    expect(second.stability).toBeGreaterThan(first.stability);
+    expect(due(second) - onTime).toBeGreaterThan(due(first) - NOW);
+  });
+
+  it('a late successful review grows stability more than an early one', () => {
+    const early = scheduleFsrs(first, GRADE_GOOD, NOW + DAY_MS);
+    const late = scheduleFsrs(first, GRADE_GOOD, onTime + 10 * DAY_MS);
+    expect(late.stability).toBeGreaterThan(early.stability);
+  });
+
+  it('a lapse shrinks stability and counts a lapse', () => {
+    const lapsed = scheduleFsrs(first, GRADE_AGAIN, onTime);
+    expect(lapsed.stability).toBeLessThan(first.stability);
+    expect(lapsed.lapses).toBe(1);
+  });
+
+  it('difficulty stays within 1..10', () => {
+    let entry = first;
+    for (let i = 0; i < 20; i++) entry = scheduleFsrs(entry, GRADE_AGAIN, NOW + i * DAY_MS);
+    expect(entry.difficulty).toBeLessThanOrEqual(10);
+    for (let i = 0; i < 20; i++) entry = scheduleFsrs(entry, GRADE_EASY, NOW + (20 + i) * DAY_MS);
+    expect(entry.difficulty).toBeGreaterThanOrEqual(1);
+  });
+});
+
+describe('scheduleFromLog', () => {
+  it('returns null for an empty log', () => {
+    expect(scheduleFromLog([])).toBeNull();
+  });
+
+  it('matches applying the same grades incrementally', () => {
+    const t2 = NOW + 3 * DAY_MS;
+    const incremental = scheduleFsrs(scheduleFsrs(undefined, GRADE_GOOD, NOW), GRADE_HARD, t2);
+    const replayed = scheduleFromLog([
+      { timestamp: new Date(t2).toISOString(), grade: GRADE_HARD },
+      { timestamp: NOW, grade: GRADE_GOOD },
+    ]);
+    expect(replayed).toEqual(incremental);
+  });
+
+  it('reads the grade names of the review history', () => {
+    const t2 = NOW + 3 * DAY_MS;
+    const incremental = scheduleFsrs(scheduleFsrs(undefined, GRADE_EASY, NOW), GRADE_AGAIN, t2);
+    const replayed = scheduleFromLog([
+      { timestamp: NOW, grade: 'easy' },
+      { timestamp: t2, grade: 'again' },
+    ]);
+    expect(replayed).toEqual(incremental);
+    expect(replayed.lapses).toBe(1);
+  });
+});
+
+describe('markKnown / markReview (FSRS)', () => {
+  it('markKnown schedules a new word with the "Good" stability', () => {
+    const state = markKnown({}, 'w1', NOW);
+    expect(state.w1.stability).toBe(DEFAULT_FSRS_PARAMS.w[2]);
+    expect(due(state.w1)).toBe(NOW + nextInterval(state.w1.stability) * DAY_MS);
+  });
+
+  it('markReview makes the word due now', () => {
+    const state = markReview(markKnown({}, 'w1', NOW), 'w1', NOW + DAY_MS);
+    expect(due(state.w1)).toBe(NOW + DAY_MS);
+  });
+
+  it('does not mutate the original state and preserves other words', () => {
+    const state = { w2: { box: 3, nextReview: 'x' } };
+    const next = markKnown(state, 'w1', NOW);
+    expect(state).toEqual({ w2: { box: 3, nextReview: 'x' } });
+    expect(next.w2).toBe(state.w2);
+  });
+
+  it('migrates a Leitner entry before grading it', () => {
+    const state = { w1: { box: 4, nextReview: new Date(NOW).toISOString() } };
+    const next = markKnown(state, 'w1', NOW);
+    expect(next.w1.stability).toBeGreaterThan(8);
+  });
+});
+
+describe('applyGrade (FSRS)', () => {
+  const state = markKnown({}, 'w1', NOW);
+  const onTime = due(state.w1);
+
+  it('orders due dates again < hard < good < easy', () => {
+    const dueFor = (grade) => due(applyGrade(state, 'w1', grade, onTime).w1);
+    expect(dueFor('again')).toBe(onTime);
+    expect(dueFor('hard')).toBeLessThan(dueFor('good'));
+    expect(dueFor('good')).toBeLessThan(dueFor('easy'));
+  });
+
+  it('"again" matches markReview', () => {
+    expect(applyGrade(state, 'w1', 'again', onTime)).toEqual(markReview(state, 'w1', onTime));
+  });
+});
+
+describe('toFsrsEntry (migration)', () => {
+  it('returns undefined for a missing entry', () => {
+    expect(toFsrsEntry(undefined)).toBeUndefined();
+  });
+
+  it('derives stability and last review from a Leitner box', () => {
+    const nextReview = new Date(NOW + 8 * DAY_MS).toISOString();
+    const entry = toFsrsEntry({ box: 4, nextReview });
+    expect(entry.stability).toBe(8);
+    expect(entry.nextReview).toBe(nextReview);
+    expect(entry.lastReview).toBe(new Date(NOW).toISOString());
+  });
+
+  it('uses the SM-2 interval when present', () => {
+    const entry = toFsrsEntry({ box: 4, nextReview: new Date(NOW).toISOString(), ease: 2.5, interval: 15, reps: 3 });
+    expect(entry.stability).toBe(15);
+    expect(entry.reps).toBe(3);
+  });
+
+  it('returns FSRS entries unchanged', () => {
+    const entry = scheduleFsrs(undefined, GRADE_GOOD, NOW);
+    expect(toFsrsEntry(entry)).toBe(entry);
+  });
+
+  it('reads the stability from custom box intervals', () => {
+    const intervals = [0, 0, DAY_MS, 7 * DAY_MS];
+    const entry = toFsrsEntry({ box: 3, nextReview: new Date(NOW).toISOString() }, DEFAULT_FSRS_PARAMS, intervals);
+    expect(entry.stability).toBe(7);
+  });
+});
+
+describe('custom box intervals (FSRS)', () => {
+  it('maps the interval onto the configured boxes', () => {
+    // Two boxes: every session, 1 day — every successful review lands in box 2
+    const intervals = [0, 0, DAY_MS];
+    const state = applyGrade({}, 'w1', 'easy', NOW, intervals);
+    expect(state.w1.box).toBe(2);
+    expect(markReview(state, 'w1', NOW, intervals).w1.box).toBe(1);
+  });
+});
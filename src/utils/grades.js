@@ -0,0 +1,64 @@
+/**
+ * grades.js — four-grade answer model
+ *
+ *   - again: forgotten — back to the start, due immediately
+ *   - hard:  recalled with effort — small step forward
+ *   - good:  recalled — normal step forward ("Ya lo sé")
+ *   - easy:  effortless — big step forward
+ *
+ * Each scheduler maps these onto its own scale (Leitner box moves, SM-2
+ * quality, FSRS rating). Pure helpers only; input handling lives in
+ * FlashCard.jsx / App.jsx.
+ */
+
+export const GRADES = ['again', 'hard', 'good', 'easy'];
+
+/** Button labels (Spanish, like the rest of the card UI). */
+export const GRADE_LABELS = {
+  again: 'Repasar',
+  hard: 'Difícil',
+  good: 'Ya lo sé',
+  easy: 'Fácil',
+};
+
+/** Keyboard shortcut per grade — the 1–4 number keys. */
+export const GRADE_KEYS = {
+  again: '1',
+  hard: '2',
+  good: '3',
+  easy: '4',
+};
+
+/** Grade produced by each swipeGesture action. */
+const SWIPE_GRADES = {
+  review: 'again',
+  hard: 'hard',
+  known: 'good',
+  easy: 'easy',
+};
+
+/** Card exit animation per grade (matches .exit-* in FlashCard.css). */
+export const GRADE_EXIT_DIRECTIONS = {
+  again: 'left',
+  hard: 'up',
+  good: 'right',
+  easy: 'down',
+};
+
+/**
+ * Grade for a keyboard key (`KeyboardEvent.key`), or null.
+ * @param {string} key
+ * @returns {string|null}
+ */
+export function gradeForKey(key) {
+  return GRADES.find((grade) => GRADE_KEYS[grade] === key) ?? null;
+}
+
+/**
+ * Grade for a swipe action returned by `onPointerUp`, or null.
+ * @param {string|null} action
+ * @returns {string|null}
+ */
+export function gradeForSwipe(action) {
+  return SWIPE_GRADES[action] ?? null;
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+  GRADES,
+  GRADE_LABELS,
+  GRADE_KEYS,
+  GRADE_EXIT_DIRECTIONS,
+  gradeForKey,
+  gradeForSwipe,
+} from './grades';
+
+describe('GRADES', () => {
+  it('lists the four grades from hardest to easiest', () => {
+    expect(GRADES).toEqual(['again', 'hard', 'good', 'easy']);
+  });
+
+  it('has a label, key and exit direction for every grade', () => {
+    for (const grade of GRADES) {
+      expect(GRADE_LABELS[grade]).toBeTruthy();
+      expect(GRADE_KEYS[grade]).toBeTruthy();
+      expect(GRADE_EXIT_DIRECTIONS[grade]).toBeTruthy();
+    }
+  });
+
+  it('keeps the original button labels for again / good', () => {
+    expect(GRADE_LABELS.again).toBe('Repasar');
+    expect(GRADE_LABELS.good).toBe('Ya lo sé');
+  });
+});
+
+describe('gradeForKey', () => {
+  it('maps the 1–4 keys to grades in order', () => {
+    expect(['1', '2', '3', '4'].map(gradeForKey)).toEqual(GRADES);
+  });
+
+  it('returns null for other keys', () => {
+    expect(gradeForKey('5')).toBeNull();
+    expect(gradeForKey('a')).toBeNull();
+  });
+});
+
+describe('gradeForSwipe', () => {
+  it('maps swipe actions to grades', () => {
+    expect(gradeForSwipe('review')).toBe('again');
+    expect(gradeForSwipe('hard')).toBe('hard');
+    expect(gradeForSwipe('known')).toBe('good');
+    expect(gradeForSwipe('easy')).toBe('easy');
+  });
+
+  it('returns null when no swipe fired', () => {
+    expect(gradeForSwipe(null)).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * indexedDb.js — shared opener for the app's IndexedDB databases
+ *
+ * The definitions cache, the review history and the custom decks each keep
+ * their own database; this opens one by name, creating or upgrading its
+ * stores through the caller's `upgrade` callback. Each database is opened
+ * once per page and the connection shared by later calls.
+ */
+
+const connections = new Map();
+
+/**
+ * Opens or creates an IndexedDB database
+ * @param {string} name
+ * @param {number} version
+ * @param {(db: IDBDatabase, event: IDBVersionChangeEvent) => void} upgrade - creates the stores
+ * @returns {Promise<IDBDatabase>} rejects where IndexedDB is unavailable
+ */
+export function openDatabase(name, version, upgrade) {
+  if (connections.has(name)) {
+    return connections.get(name);
+  }
+
+  const connection = new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+
+    request.onerror = () => {
+      console.warn('IndexedDB error:', request.error);
+      reject(request.error);
+    };
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+
+    request.onupgradeneeded = (event) => {
+      upgrade(event.target.result, event);
+    };
+  });
+
+  connections.set(name, connection);
+  return connection;
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { openDatabase } from './indexedDb.js';
+
+// Minimal indexedDB.open: upgrades, then succeeds on the next tick
+function fakeIndexedDB(db) {
+  return {
+    open: vi.fn(() => {
+      const request = {};
+      setTimeout(() => {
+        request.onupgradeneeded({ target: { result: db } });
+        request.result = db;
+        request.onsuccess();
+      });
+      return request;
+    }),
+  };
+}
+
+describe('openDatabase', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('upgrades through the callback and opens each database once', async () => {
+    const db = { name: 'test-db' };
+    const indexedDB = fakeIndexedDB(db);
+    vi.stubGlobal('indexedDB', indexedDB);
+    const upgrade = vi.fn();
+
+    await expect(openDatabase('test-db', 2, upgrade)).resolves.toBe(db);
+    await expect(openDatabase('test-db', 2, upgrade)).resolves.toBe(db);
+    expect(indexedDB.open).toHaveBeenCalledTimes(1);
+    expect(indexedDB.open).toHaveBeenCalledWith('test-db', 2);
+    expect(upgrade).toHaveBeenCalledWith(db, expect.anything());
+  });
+
+  it('rejects without IndexedDB', async () => {
+    await expect(openDatabase('missing-db', 1, () => {})).rejects.toThrow();
+  });
+});
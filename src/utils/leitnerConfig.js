@@ -0,0 +1,109 @@
+/**
+ * leitnerConfig.js — user-configurable Leitner boxes
+ *
+ * The number of boxes and each box's review interval are user settings,
+ * persisted as whole days per box, box 1 first:
+ *
+ *   { intervals: [0, 2, 4, 8, 16] }   // the default five boxes
+ *
+ * `toBoxIntervals` turns a config into the millisecond array the engines
+ * take as their `boxIntervals` argument (same shape as BOX_INTERVALS:
+ * index = box, index 0 unused). Persistence lives in App.jsx.
+ */
+
+import { DAY_MS, BOX_INTERVALS } from './srsEngine.js';
+
+/** Fewest / most boxes a user can choose. */
+export const MIN_BOX_COUNT = 2;
+export const MAX_BOX_COUNT = 10;
+
+/** Longest interval accepted for a box, in days. */
+export const MAX_INTERVAL_DAYS = 365;
+
+/** The built-in five boxes: every session, 2, 4, 8, 16 days. */
+export const DEFAULT_LEITNER_CONFIG = {
+  intervals: BOX_INTERVALS.slice(1).map((ms) => ms / DAY_MS),
+};
+
+/**
+ * Validation problems with a config, as messages for the settings UI.
+ * Intervals must be whole days in 0..MAX_INTERVAL_DAYS, each box longer
+ * than the one before it.
+ *
+ * @param {*} config
+ * @returns {string[]} empty when the config is valid
+ */
+export function validateLeitnerConfig(config) {
+  const intervals = config?.intervals;
+  if (!Array.isArray(intervals)) return ['Box intervals are missing.'];
+
+  const errors = [];
+  if (intervals.length < MIN_BOX_COUNT || intervals.length > MAX_BOX_COUNT) {
+    errors.push(`Choose between ${MIN_BOX_COUNT} and ${MAX_BOX_COUNT} boxes.`);
+  }
+  intervals.forEach((days, i) => {
+    const box = i + 1;
+    if (typeof days !== 'number' || !Number.isInteger(days) || days < 0 || days > MAX_INTERVAL_DAYS) {
+      errors.push(`Box ${box}: enter a whole number of days from 0 to ${MAX_INTERVAL_DAYS}.`);
+    } else if (i > 0 && typeof intervals[i - 1] === 'number' && days <= intervals[i - 1]) {
+      errors.push(`Box ${box} must be longer than box ${box - 1}.`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Coerce a stored/raw config into a valid one, falling back to the default
+ * when anything is wrong with it.
+ *
+ * @param {*} raw — e.g. the parsed localStorage object
+ * @returns {{ intervals: number[] }}
+ */
+export function parseLeitnerConfig(raw) {
+  if (validateLeitnerConfig(raw).length > 0) return DEFAULT_LEITNER_CONFIG;
+  return { intervals: raw.intervals.slice() };
+}
+
+/**
+ * Millisecond box intervals for the engines (index = box, index 0 unused).
+ *
+ * @param {{ intervals: number[] }} config
+ * @returns {number[]}
+ */
+export function toBoxIntervals(config) {
+  return [0, ...config.intervals.map((days) => days * DAY_MS)];
+}
+
+/**
+ * Most boxes a list of intervals can grow to: each new box must be at least
+ * a day longer than the one before it and no longer than MAX_INTERVAL_DAYS,
+ * so after a 365-day box none fit.
+ *
+ * @param {number[]} intervals
+ * @returns {number}
+ */
+export function maxBoxCount(intervals) {
+  const last = intervals[intervals.length - 1] ?? -1;
+  return Math.min(MAX_BOX_COUNT, intervals.length + Math.max(0, MAX_INTERVAL_DAYS - last));
+}
+
+/**
+ * Grow or shrink a list of box intervals to `count` boxes. New boxes double
+ * the previous interval (at least one day longer), kept low enough that the
+ * boxes after them still fit under MAX_INTERVAL_DAYS; the list grows no
+ * further than maxBoxCount. Pure — returns a new array.
+ *
+ * @param {number[]} intervals
+ * @param {number} count
+ * @returns {number[]}
+ */
+export function resizeIntervals(intervals, count) {
+  const target = Math.min(count, Math.max(intervals.length, maxBoxCount(intervals)));
+  const result = intervals.slice(0, target);
+  while (result.length < target) {
+    const last = result[result.length - 1] ?? 0;
+    const roomForRest = MAX_INTERVAL_DAYS - (target - result.length - 1);
+    result.push(Math.min(roomForRest, Math.max(last * 2, last + 1)));
+  }
+  return result;
+}
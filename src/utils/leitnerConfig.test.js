@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MIN_BOX_COUNT,
+  MAX_BOX_COUNT,
+  MAX_INTERVAL_DAYS,
+  DEFAULT_LEITNER_CONFIG,
+  validateLeitnerConfig,
+  parseLeitnerConfig,
+  toBoxIntervals,
+  resizeIntervals,
+  maxBoxCount,
+} from './leitnerConfig.js';
+import { BOX_INTERVALS, DAY_MS } from './srsEngine.js';
+
+describe('DEFAULT_LEITNER_CONFIG', () => {
+  it('matches the built-in five boxes', () => {
+    expect(DEFAULT_LEITNER_CONFIG.intervals).toEqual([0, 2, 4, 8, 16]);
+    expect(toBoxIntervals(DEFAULT_LEITNER_CONFIG)).toEqual(BOX_INTERVALS);
+  });
+});
+
+describe('validateLeitnerConfig', () => {
+  it('accepts the default and other increasing intervals', () => {
+    expect(validateLeitnerConfig(DEFAULT_LEITNER_CONFIG)).toEqual([]);
+    expect(validateLeitnerConfig({ intervals: [1, 3] })).toEqual([]);
+  });
+
+  it('rejects a missing config', () => {
+    expect(validateLeitnerConfig(null)).toHaveLength(1);
+    expect(validateLeitnerConfig({ intervals: 'x' })).toHaveLength(1);
+  });
+
+  it('enforces the box-count range', () => {
+    expect(validateLeitnerConfig({ intervals: [0] })[0]).toMatch(`${MIN_BOX_COUNT} and ${MAX_BOX_COUNT}`);
+    const tooMany = Array.from({ length: MAX_BOX_COUNT + 1 }, (_, i) => i);
+    expect(validateLeitnerConfig({ intervals: tooMany })).toHaveLength(1);
+  });
+
+  it('rejects non-integer, negative and too-long intervals', () => {
+    expect(validateLeitnerConfig({ intervals: [0, 1.5] })[0]).toMatch('Box 2');
+    expect(validateLeitnerConfig({ intervals: [-1, 2] })[0]).toMatch('Box 1');
+    expect(validateLeitnerConfig({ intervals: [0, MAX_INTERVAL_DAYS + 1] })[0]).toMatch('Box 2');
+    expect(validateLeitnerConfig({ intervals: [0, '2'] })[0]).toMatch('Box 2');
+  });
+
+  it('requires each box to be longer than the one before', () => {
+    expect(validateLeitnerConfig({ intervals: [0, 4, 4] })).toEqual([
+      'Box 3 must be longer than box 2.',
+    ]);
+  });
+});
+
+describe('parseLeitnerConfig', () => {
+  it('falls back to the default for invalid input', () => {
+    expect(parseLeitnerConfig(null)).toBe(DEFAULT_LEITNER_CONFIG);
+    expect(parseLeitnerConfig({ intervals: [3, 1] })).toBe(DEFAULT_LEITNER_CONFIG);
+  });
+
+  it('returns a copy of a valid config', () => {
+    const raw = { intervals: [0, 1, 7] };
+    const parsed = parseLeitnerConfig(raw);
+    expect(parsed).toEqual(raw);
+    expect(parsed.intervals).not.toBe(raw.intervals);
+  });
+});
+
+describe('toBoxIntervals', () => {
+  it('converts days to ms with an unused index 0', () => {
+    expect(toBoxIntervals({ intervals: [0, 1, 7] })).toEqual([0, 0, DAY_MS, 7 * DAY_MS]);
+  });
+});
+
+describe('resizeIntervals', () => {
+  it('drops boxes from the top when shrinking', () => {
+    expect(resizeIntervals([0, 2, 4, 8, 16], 3)).toEqual([0, 2, 4]);
+  });
+
+  it('adds boxes by doubling the last interval', () => {
+    expect(resizeIntervals([0, 2, 4], 5)).toEqual([0, 2, 4, 8, 16]);
+    expect(resizeIntervals([0], 3)).toEqual([0, 1, 2]);
+  });
+
+  it('caps new boxes at MAX_INTERVAL_DAYS', () => {
+    expect(resizeIntervals([0, 300], 3)).toEqual([0, 300, MAX_INTERVAL_DAYS]);
+  });
+
+  it('keeps new boxes increasing below the cap, and adds none after a 365-day box', () => {
+    expect(resizeIntervals([0, 363], 5)).toEqual([0, 363, 364, 365]);
+    expect(resizeIntervals([0, 200], 4)).toEqual([0, 200, 364, 365]);
+    expect(resizeIntervals([0, 30, 365], 5)).toEqual([0, 30, 365]);
+    for (const intervals of [resizeIntervals([0, 363], 5), resizeIntervals([0, 200], 4), resizeIntervals([0, 30, 365], 5)]) {
+      expect(validateLeitnerConfig({ intervals })).toEqual([]);
+    }
+  });
+});
+
+describe('maxBoxCount', () => {
+  it('counts the boxes that still fit under MAX_INTERVAL_DAYS', () => {
+    expect(maxBoxCount([0, 2, 4])).toBe(MAX_BOX_COUNT);
+    expect(maxBoxCount([0, 363])).toBe(4);
+    expect(maxBoxCount([0, 30, 365])).toBe(3);
+  });
+});
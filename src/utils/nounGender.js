@@ -0,0 +1,153 @@
+/**
+ * nounGender.js — noun gender and article practice
+ *
+ * Nouns in the slim vocabulary carry a `gender` derived from their RAE
+ * definitions at build time (scripts/build_slim_vocabulary.js):
+ *
+ *   'm' — masculine, 'f' — feminine, 'mf' — either article is right
+ *
+ * The "gender" study direction (studyDirection.js) makes an article card
+ * for each masculine or feminine noun, with its own SRS entry, asking
+ * el or la:
+ *
+ *   { ...word, id: "<wordId>:article", wordId: "<wordId>",
+ *     article: { answer: 'el' | 'la', exception: boolean } }
+ *
+ * The answer follows the gender, except that feminine nouns starting with
+ * a stressed a- or ha- take "el" in the singular to avoid "la a…": el agua,
+ * el hambre, el águila — but la abeja, la harina (stress elsewhere).
+ *
+ * Pure helpers only.
+ */
+
+/** Answers offered on an article card, in display order. */
+export const ARTICLES = ['el', 'la'];
+
+/** Labels for a noun's gender. */
+export const GENDER_LABELS = {
+  m: 'masculine',
+  f: 'feminine',
+  mf: 'masculine or feminine',
+};
+
+const ARTICLE_SUFFIX = ':article';
+
+// Letter names keep "la" although they start with a stressed a: la a, la hache.
+const STRESSED_A_EXCEPTIONS = new Set(['a', 'hache', 'alfa']);
+
+const STRONG_VOWELS = 'aeoáéó';
+const ACCENTED_VOWELS = 'áéíóú';
+
+/**
+ * Syllable nuclei of a word, e.g. "agua" → ["a", "ua"], "aula" → ["au", "a"],
+ * "baúl" → ["a", "ú"]. Two strong vowels, or a strong vowel and an
+ * accented i / u, are in separate syllables; other vowel pairs form a
+ * diphthong.
+ * @param {string} word - lower case
+ * @returns {string[]}
+ */
+function nuclei(word) {
+  const result = [];
+  for (const group of word.match(/[aeiouáéíóúü]+/g) ?? []) {
+    let current = '';
+    for (const vowel of group) {
+      const previous = current.at(-1);
+      const hiatus = previous && (
+        (STRONG_VOWELS.includes(previous) && STRONG_VOWELS.includes(vowel)) ||
+        'íú'.includes(previous) || 'íú'.includes(vowel)
+      );
+      if (hiatus) {
+        result.push(current);
+        current = vowel;
+      } else {
+        current += vowel;
+      }
+    }
+    result.push(current);
+  }
+  return result;
+}
+
+/**
+ * Whether a word is stressed on its first syllable. A written accent marks
+ * the stress; otherwise words ending in a vowel, n or s stress the
+ * penultimate syllable and the rest the last one.
+ * @param {string} word
+ * @returns {boolean}
+ */
+export function stressedOnFirstSyllable(word) {
+  const lower = String(word ?? '').trim().toLowerCase();
+  const syllables = nuclei(lower);
+  if (syllables.length === 0) return false;
+  const accented = syllables.findIndex((n) => [...n].some((v) => ACCENTED_VOWELS.includes(v)));
+  if (accented !== -1) return accented === 0;
+  const stressed = /[aeiouns]$/.test(lower) ? syllables.length - 2 : syllables.length - 1;
+  return Math.max(stressed, 0) === 0;
+}
+
+/**
+ * Whether a feminine noun takes "el" in the singular: it starts with a
+ * stressed a- or ha- (el agua, el hacha, el área).
+ * @param {string} word
+ * @returns {boolean}
+ */
+export function takesElWhenFeminine(word) {
+  const lower = String(word ?? '').trim().toLowerCase();
+  return /^h?[aá]/.test(lower) && !STRESSED_A_EXCEPTIONS.has(lower) && stressedOnFirstSyllable(lower);
+}
+
+/**
+ * Singular definite article of a noun, or null when its gender is unknown
+ * or either article is right.
+ * @param {{ word: string, gender?: string }} word
+ * @returns {{ answer: 'el'|'la', exception: boolean } | null}
+ */
+export function articleFor(word) {
+  if (word.gender === 'm') return { answer: 'el', exception: false };
+  if (word.gender !== 'f') return null;
+  return takesElWhenFeminine(word.word)
+    ? { answer: 'el', exception: true }
+    : { answer: 'la', exception: false };
+}
+
+/**
+ * Whether a word gets an article card: a noun known to be masculine or feminine.
+ * @param {{ tags?: string[], gender?: string }} word
+ * @returns {boolean}
+ */
+export function canPractiseArticle(word) {
+  return Boolean(word.tags?.includes('noun') && (word.gender === 'm' || word.gender === 'f'));
+}
+
+/**
+ * SRS key of a noun's article card.
+ * @param {string} wordId
+ * @returns {string}
+ */
+export function articleCardId(wordId) {
+  return `${wordId}${ARTICLE_SUFFIX}`;
+}
+
+/**
+ * Whether an SRS key / card id belongs to an article card.
+ * @param {string} cardId
+ * @returns {boolean}
+ */
+export function isArticleCardId(cardId) {
+  return typeof cardId === 'string' && cardId.endsWith(ARTICLE_SUFFIX);
+}
+
+/**
+ * Article cards for a vocabulary list: one per masculine or feminine noun.
+ * Pure — never mutates the input.
+ * @param {Array<{id: string, word: string, tags?: string[], gender?: string}>} vocab
+ * @returns {Array}
+ */
+export function buildArticleCards(vocab) {
+  return vocab.filter(canPractiseArticle).map((word) => ({
+    ...word,
+    id: articleCardId(word.id),
+    wordId: word.id,
+    article: articleFor(word),
+  }));
+}
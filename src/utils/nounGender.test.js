@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ARTICLES,
+  GENDER_LABELS,
+  stressedOnFirstSyllable,
+  takesElWhenFeminine,
+  articleFor,
+  canPractiseArticle,
+  articleCardId,
+  isArticleCardId,
+  buildArticleCards,
+} from './nounGender.js';
+
+const noun = (word, gender) => ({ id: word, word, tags: ['noun'], gender, translations: { en: word } });
+
+describe('constants', () => {
+  it('offers el and la and labels every gender', () => {
+    expect(ARTICLES).toEqual(['el', 'la']);
+    expect(Object.keys(GENDER_LABELS)).toEqual(['m', 'f', 'mf']);
+  });
+});
+
+describe('stressedOnFirstSyllable', () => {
+  it('follows the written accent', () => {
+    expect(stressedOnFirstSyllable('águila')).toBe(true);
+    expect(stressedOnFirstSyllable('área')).toBe(true);
+    expect(stressedOnFirstSyllable('habitación')).toBe(false);
+  });
+
+  it('stresses the penultimate syllable of words ending in a vowel, n or s', () => {
+    expect(stressedOnFirstSyllable('agua')).toBe(true);
+    expect(stressedOnFirstSyllable('aula')).toBe(true);
+    expect(stressedOnFirstSyllable('hambre')).toBe(true);
+    expect(stressedOnFirstSyllable('abeja')).toBe(false);
+    expect(stressedOnFirstSyllable('aguja')).toBe(false);
+    expect(stressedOnFirstSyllable('aurora')).toBe(false);
+  });
+
+  it('stresses the last syllable of other words', () => {
+    expect(stressedOnFirstSyllable('mar')).toBe(true);
+    expect(stressedOnFirstSyllable('actitud')).toBe(false);
+    expect(stressedOnFirstSyllable('')).toBe(false);
+  });
+});
+
+describe('takesElWhenFeminine', () => {
+  it('is true for a stressed a- or ha- at the start', () => {
+    for (const word of ['agua', 'alma', 'arma', 'área', 'águila', 'hambre', 'hacha', 'aula']) {
+      expect(takesElWhenFeminine(word)).toBe(true);
+    }
+  });
+
+  it('is false when the stress falls elsewhere or the word starts otherwise', () => {
+    for (const word of ['abeja', 'ayuda', 'harina', 'atención', 'amenaza', 'casa', 'época']) {
+      expect(takesElWhenFeminine(word)).toBe(false);
+    }
+  });
+
+  it('keeps "la" for letter names', () => {
+    expect(takesElWhenFeminine('a')).toBe(false);
+    expect(takesElWhenFeminine('hache')).toBe(false);
+  });
+});
+
+describe('articleFor', () => {
+  it('follows the gender, with el for stressed a- feminines', () => {
+    expect(articleFor(noun('día', 'm'))).toEqual({ answer: 'el', exception: false });
+    expect(articleFor(noun('casa', 'f'))).toEqual({ answer: 'la', exception: false });
+    expect(articleFor(noun('agua', 'f'))).toEqual({ answer: 'el', exception: true });
+    expect(articleFor(noun('abeja', 'f'))).toEqual({ answer: 'la', exception: false });
+  });
+
+  it('is null when either article is right or the gender is unknown', () => {
+    expect(articleFor(noun('estudiante', 'mf'))).toBeNull();
+    expect(articleFor(noun('perro'))).toBeNull();
+  });
+});
+
+describe('article cards', () => {
+  const VOCAB = [
+    noun('agua', 'f'),
+    noun('estudiante', 'mf'),
+    { id: 'alto', word: 'alto', tags: ['adjective'], gender: 'm' },
+    noun('día', 'm'),
+    noun('perro'),
+  ];
+
+  it('are only made for nouns of known gender', () => {
+    expect(VOCAB.filter(canPractiseArticle).map((w) => w.word)).toEqual(['agua', 'día']);
+  });
+
+  it('suffix the word id', () => {
+    expect(articleCardId('n1')).toBe('n1:article');
+    expect(isArticleCardId('n1:article')).toBe(true);
+    expect(isArticleCardId('n1:reverse')).toBe(false);
+    expect(isArticleCardId(null)).toBe(false);
+  });
+
+  it('carry the expected article', () => {
+    const cards = buildArticleCards(VOCAB);
+    expect(cards.map((c) => c.id)).toEqual(['agua:article', 'día:article']);
+    expect(cards[0]).toMatchObject({ word: 'agua', wordId: 'agua', article: { answer: 'el', exception: true } });
+    expect(VOCAB[0]).not.toHaveProperty('article');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * quiz.js — multiple-choice quiz mode
+ *
+ * In quiz mode a card shows its prompt and four options to pick from: the
+ * right answer plus three distractors. A recognition card shows the Spanish
+ * word and four translations; a production card (see studyDirection.js)
+ * shows the meaning and four Spanish words.
+ *
+ * Distractors are meant to be plausible, so they come from words sharing one
+ * of the card's `tags` (same part of speech) with the nearest
+ * `frequency_rank`, topped up from the nearest other words when a tag has
+ * too few. A distractor never shows the same text as the answer, and never
+ * has the same prompt as the card (ser / estar are both "to be"), so there is
+ * always exactly one right option.
+ *
+ * Pure helpers only; randomness is injected so results are reproducible.
+ */
+
+import { normalizeAnswer } from './answerCheck.js';
+import { wordIdOf } from './studyDirection.js';
+
+/** Options shown per question: the answer and three distractors. */
+export const QUIZ_OPTION_COUNT = 4;
+
+// Distractors are drawn at random from this many nearest candidates per tier,
+// so the same card does not always get the same three.
+const DISTRACTOR_POOL = 8;
+
+/**
+ * Deterministic random number generator (mulberry32) seeded from a string.
+ * Lets a card keep the same option order across re-renders.
+ *
+ * @param {string} seed
+ * @returns {() => number} values in [0, 1)
+ */
+export function seededRandom(seed) {
+  // FNV-1a hash of the seed string
+  let state = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher–Yates shuffle. Pure — returns a new array.
+ * @param {Array} items
+ * @param {() => number} random
+ * @returns {Array}
+ */
+export function shuffle(items, random = Math.random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function sample(items, count, random) {
+  return shuffle(items, random).slice(0, count);
+}
+
+const sharesTag = (a, b) => (a.tags ?? []).some((tag) => (b.tags ?? []).includes(tag));
+
+const rankDistance = (a, b) =>
+  Math.abs((a.frequency_rank ?? Infinity) - (b.frequency_rank ?? Infinity));
+
+/**
+ * Pick distractor words for a card.
+ *
+ * @param {Object} card        the card being asked (a word or production card)
+ * @param {Array}  vocab       words to draw distractors from
+ * @param {Object} options
+ * @param {(word) => string|null} options.optionText  text shown on an option; null = unusable
+ * @param {(word) => string|null} options.promptText  text the card asks about
+ * @param {number} [options.count]  distractors wanted (default 3)
+ * @param {() => number} [options.random]
+ * @returns {Array} up to `count` words, nearest-tier first
+ */
+export function pickDistractors(card, vocab, {
+  optionText,
+  promptText,
+  count = QUIZ_OPTION_COUNT - 1,
+  random = Math.random,
+}) {
+  const answer = optionText(card);
+  if (!answer) return [];
+  const cardId = wordIdOf(card);
+  const prompt = normalizeAnswer(promptText(card) ?? '');
+
+  // One candidate per distinct option text — the nearest in frequency wins.
+  const byText = new Map();
+  for (const word of vocab) {
+    if (wordIdOf(word) === cardId) continue;
+    const text = optionText(word);
+    if (!text) continue;
+    const key = normalizeAnswer(text);
+    if (key === normalizeAnswer(answer)) continue;
+    const wordPrompt = promptText(word);
+    if (prompt && wordPrompt && normalizeAnswer(wordPrompt) === prompt) continue;
+    const existing = byText.get(key);
+    if (!existing || rankDistance(card, word) < rankDistance(card, existing)) byText.set(key, word);
+  }
+
+  const nearest = (words) =>
+    [...words].sort((a, b) => rankDistance(card, a) - rankDistance(card, b)).slice(0, DISTRACTOR_POOL);
+  const candidates = [...byText.values()];
+  const sameTag = nearest(candidates.filter((word) => sharesTag(card, word)));
+  const others = nearest(candidates.filter((word) => !sharesTag(card, word)));
+
+  const picked = sample(sameTag, count, random);
+  return picked.concat(sample(others, count - picked.length, random));
+}
+
+/**
+ * The options for a quiz question, shuffled, or null when there are not
+ * enough usable distractors (the card is then studied by flipping).
+ *
+ * @param {Object} card
+ * @param {Array}  vocab
+ * @param {Object} options  see pickDistractors
+ * @returns {Array<{ id: string, text: string, correct: boolean }>|null}
+ */
+export function buildQuizOptions(card, vocab, { optionText, promptText, random = Math.random }) {
+  const answer = optionText(card);
+  if (!answer || !promptText(card)) return null;
+  const distractors = pickDistractors(card, vocab, { optionText, promptText, random });
+  if (distractors.length < QUIZ_OPTION_COUNT - 1) return null;
+
+  return shuffle(
+    [
+      { id: card.id, text: answer, correct: true },
+      ...distractors.map((word) => ({ id: word.id, text: optionText(word), correct: false })),
+    ],
+    random
+  );
+}
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  QUIZ_OPTION_COUNT,
+  seededRandom,
+  shuffle,
+  pickDistractors,
+  buildQuizOptions,
+} from './quiz.js';
+import { buildCards } from './studyDirection.js';
+
+const word = (id, spanish, en, rank, tags) => ({
+  id, word: spanish, frequency_rank: rank, translations: { en }, tags,
+});
+
+const VOCAB = [
+  word('de', 'de', 'of, from', 1, ['preposition']),
+  word('a', 'a', 'to, at', 6, ['preposition']),
+  word('en', 'en', 'in, on', 8, ['preposition']),
+  word('por', 'por', 'for, by', 14, ['preposition']),
+  word('con', 'con', 'with', 17, ['preposition']),
+  word('sin', 'sin', 'without', 40, ['preposition']),
+  word('ser', 'ser', 'to be', 5, ['verb']),
+  word('estar', 'estar', 'to be', 10, ['verb']),
+  word('haber', 'haber', 'to have', 12, ['verb']),
+  word('y', 'y', 'and', 7, ['conjunction']),
+  word('e', 'e', 'and', 60, ['conjunction']),
+  word('casa', 'casa', 'Translation pending', 300, ['noun']),
+];
+
+const byId = Object.fromEntries(VOCAB.map((w) => [w.id, w]));
+const meaning = (w) => (w.translations.en === 'Translation pending' ? null : w.translations.en);
+const spanish = (w) => w.word;
+const RECOGNITION = { optionText: meaning, promptText: spanish };
+const PRODUCTION = { optionText: spanish, promptText: meaning };
+
+// Always picks the first remaining item — keeps sampling in pool order.
+const first = () => 0;
+
+describe('seededRandom', () => {
+  it('is deterministic per seed and stays in [0, 1)', () => {
+    const a = seededRandom('card-1');
+    const b = seededRandom('card-1');
+    const values = Array.from({ length: 5 }, () => a());
+    expect(values).toEqual(Array.from({ length: 5 }, () => b()));
+    expect(values.every((v) => v >= 0 && v < 1)).toBe(true);
+    expect(seededRandom('card-2')()).not.toBe(values[0]);
+  });
+});
+
+describe('shuffle', () => {
+  it('returns a permutation without mutating the input', () => {
+    const items = [1, 2, 3, 4, 5];
+    const shuffled = shuffle(items, seededRandom('x'));
+    expect([...shuffled].sort()).toEqual(items);
+    expect(items).toEqual([1, 2, 3, 4, 5]);
+  });
+});
+
+describe('pickDistractors', () => {
+  it('prefers words with the same tag', () => {
+    const picked = pickDistractors(byId.de, VOCAB, { ...RECOGNITION, random: seededRandom('de') });
+    expect(picked).toHaveLength(3);
+    expect(picked.every((w) => w.tags.includes('preposition'))).toBe(true);
+    expect(picked.map((w) => w.id)).not.toContain('de');
+  });
+
+  it('draws from the nearest frequency ranks', () => {
+    const vocab = [
+      byId.de,
+      ...Array.from({ length: 20 }, (_, i) => word(`p${i}`, `p${i}`, `prep ${i}`, 100 + i * 10, ['preposition'])),
+    ];
+    const picked = pickDistractors(byId.de, vocab, { ...RECOGNITION, random: Math.random });
+    // Only the 8 nearest (ranks 100–170) are eligible
+    expect(picked.every((w) => w.frequency_rank <= 170)).toBe(true);
+  });
+
+  it('tops up from other tags when a tag has too few words', () => {
+    const picked = pickDistractors(byId.haber, VOCAB, { ...RECOGNITION, random: first });
+    const ids = picked.map((w) => w.id);
+    expect(ids).toHaveLength(3);
+    // ser and estar share the text "to be" — only the nearer one, estar, is kept
+    expect(ids[0]).toBe('estar');
+    expect(ids.slice(1).every((id) => !byId[id].tags.includes('verb'))).toBe(true);
+  });
+
+  it('never repeats an option text or reuses the answer', () => {
+    const picked = pickDistractors(byId.ser, VOCAB, { ...RECOGNITION, random: first });
+    const texts = picked.map(meaning);
+    expect(texts).not.toContain('to be');
+    expect(new Set(texts).size).toBe(texts.length);
+  });
+
+  it('skips words with the same prompt meaning for production cards', () => {
+    const [serCard] = buildCards([byId.ser], 'production');
+    const picked = pickDistractors(serCard, VOCAB, { ...PRODUCTION, random: first });
+    expect(picked.map((w) => w.id)).not.toContain('estar');
+    expect(picked.map((w) => w.id)).not.toContain('ser');
+  });
+
+  it('skips words without a usable option text', () => {
+    const picked = pickDistractors(byId.sin, VOCAB, { ...RECOGNITION, random: first });
+    expect(picked.map((w) => w.id)).not.toContain('casa');
+  });
+});
+
+describe('buildQuizOptions', () => {
+  it('returns the answer and three distractors, one of them correct', () => {
+    const options = buildQuizOptions(byId.con, VOCAB, { ...RECOGNITION, random: seededRandom('con') });
+    expect(options).toHaveLength(QUIZ_OPTION_COUNT);
+    expect(options.filter((o) => o.correct)).toEqual([{ id: 'con', text: 'with', correct: true }]);
+  });
+
+  it('uses Spanish words as options for production cards', () => {
+    const [card] = buildCards([byId.por], 'production');
+    const options = buildQuizOptions(card, VOCAB, { ...PRODUCTION, random: seededRandom('por') });
+    expect(options.find((o) => o.correct)).toEqual({ id: 'por:reverse', text: 'por', correct: true });
+  });
+
+  it('returns null without an answer or enough distractors', () => {
+    expect(buildQuizOptions(byId.casa, VOCAB, RECOGNITION)).toBeNull();
+    expect(buildQuizOptions(byId.de, VOCAB.slice(0, 3), RECOGNITION)).toBeNull();
+  });
+
+  it('is reproducible with the same seed', () => {
+    const a = buildQuizOptions(byId.en, VOCAB, { ...RECOGNITION, random: seededRandom('s') });
+    const b = buildQuizOptions(byId.en, VOCAB, { ...RECOGNITION, random: seededRandom('s') });
+    expect(a).toEqual(b);
+  });
+});
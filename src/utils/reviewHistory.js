@@ -0,0 +1,197 @@
+/**
+ * IndexedDB review history log
+ * Appends one event per graded answer, kept next to the definitions cache
+ * (yalose-definitions) in its own database. localStorage only holds the
+ * current SRS entry per word; this log keeps every past answer.
+ */
+
+import { openDatabase } from './indexedDb.js';
+
+const DB_NAME = 'yalose-review-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'reviews';
+
+/**
+ * Build a review event from an answer. Pure — used by App.jsx before
+ * appending the event with `logReview`.
+ *
+ * @param {Object} params
+ * @param {string} params.wordId
+ * @param {'again'|'hard'|'good'|'easy'} params.grade
+ * @param {Object|undefined} params.previousEntry - SRS entry before the answer
+ * @param {Object} params.newEntry - SRS entry after the answer
+ * @param {number|null} params.responseTimeMs - time from card shown to answer
+ * @param {string} params.cardMode - card-back mode at the time of the answer
+ * @param {number} params.now
+ * @returns {{wordId: string, timestamp: number, grade: string, previousBox: number, newBox: number, responseTimeMs: number|null, cardMode: string}}
+ */
+export function createReviewEvent({
+  wordId,
+  grade,
+  previousEntry,
+  newEntry,
+  responseTimeMs = null,
+  cardMode,
+  now = Date.now(),
+}) {
+  return {
+    wordId,
+    timestamp: now,
+    grade,
+    previousBox: previousEntry?.box ?? 0,
+    newBox: newEntry?.box ?? 0,
+    responseTimeMs: typeof responseTimeMs === 'number' ? Math.max(0, Math.round(responseTimeMs)) : null,
+    cardMode,
+  };
+}
+
+/**
+ * Opens or creates the review history database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+  return openDatabase(DB_NAME, DB_VERSION, (db) => {
+    // Create the reviews store if it doesn't exist
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('wordId', 'wordId', { unique: false });
+      store.createIndex('timestamp', 'timestamp', { unique: false });
+    }
+  });
+}
+
+/**
+ * Appends a review event to the log
+ * @param {Object} event - Event from createReviewEvent
+ * @returns {Promise<number|undefined>} id of the stored event (for deleteReview),
+ *   undefined when it could not be stored
+ */
+export async function logReview(event) {
+  try {
+    const db = await openDB();
+
+    return new Promise((resolve) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.add(event);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        // History is optional - a failed write must not break answering
+        console.warn('Error writing review history:', request.error);
+        resolve(undefined);
+      };
+    });
+  } catch (error) {
+    console.warn('IndexedDB not available for review history:', error);
+  }
+}
+
+/**
+ * Removes one event from the log (an undone answer)
+ * @param {number} id - id returned by logReview
+ * @returns {Promise<void>}
+ */
+export async function deleteReview(id) {
+  try {
+    const db = await openDB();
+
+    return new Promise((resolve) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.delete(id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => {
+        console.warn('Error deleting review history entry:', request.error);
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.warn('IndexedDB not available for review history:', error);
+  }
+}
+
+/**
+ * Reads all events matching an index query, oldest first
+ * @param {string} indexName
+ * @param {() => IDBKeyRange|string|number} buildQuery - called once IndexedDB is known to exist
+ * @returns {Promise<Object[]>}
+ */
+async function getAllFromIndex(indexName, buildQuery) {
+  try {
+    const db = await openDB();
+    const query = buildQuery();
+
+    return new Promise((resolve) => {
+      const transaction = db.transaction(STORE_NAME, 'readonly');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.index(indexName).getAll(query);
+
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+      };
+      request.onerror = () => {
+        console.warn('Error reading review history:', request.error);
+        resolve([]);
+      };
+    });
+  } catch (error) {
+    console.warn('IndexedDB not available:', error);
+    return [];
+  }
+}
+
+/**
+ * Gets every review of a word, oldest first
+ * @param {string} wordId
+ * @returns {Promise<Object[]>}
+ */
+export async function getWordHistory(wordId) {
+  return getAllFromIndex('wordId', () => wordId);
+}
+
+/**
+ * Gets the history of several words, for replaying them into a scheduler
+ * @param {string[]} wordIds
+ * @returns {Promise<Object<string, Object[]>>} wordId → reviews, oldest first;
+ *   words without reviews are left out
+ */
+export async function getWordHistories(wordIds) {
+  const histories = await Promise.all(wordIds.map(getWordHistory));
+  return Object.fromEntries(
+    wordIds.map((wordId, i) => [wordId, histories[i]]).filter(([, history]) => history.length > 0)
+  );
+}
+
+/**
+ * Gets every review with from <= timestamp <= to, oldest first
+ * @param {number} from - Unix timestamp ms (inclusive)
+ * @param {number} to - Unix timestamp ms (inclusive, default: now)
+ * @returns {Promise<Object[]>}
+ */
+export async function getReviewsInRange(from, to = Date.now()) {
+  if (from > to) return [];
+  return getAllFromIndex('timestamp', () => IDBKeyRange.bound(from, to));
+}
+
+/**
+ * Clears the whole review history
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  try {
+    const db = await openDB();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.clear();
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.warn('IndexedDB not available:', error);
+  }
+}
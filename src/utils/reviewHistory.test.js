@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  createReviewEvent,
+  getWordHistory,
+  getWordHistories,
+  getReviewsInRange,
+  logReview,
+  deleteReview,
+} from './reviewHistory.js';
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+
+describe('createReviewEvent', () => {
+  it('records word, time, grade, boxes, response time and card mode', () => {
+    const event = createReviewEvent({
+      wordId: 'w1',
+      grade: 'good',
+      previousEntry: { box: 2, nextReview: 'x' },
+      newEntry: { box: 3, nextReview: 'y' },
+      responseTimeMs: 1834.6,
+      cardMode: 'mixed',
+      now: NOW,
+    });
+    expect(event).toEqual({
+      wordId: 'w1',
+      timestamp: NOW,
+      grade: 'good',
+      previousBox: 2,
+      newBox: 3,
+      responseTimeMs: 1835,
+      cardMode: 'mixed',
+    });
+  });
+
+  it('uses box 0 for a word answered for the first time', () => {
+    const event = createReviewEvent({
+      wordId: 'w1', grade: 'again', previousEntry: undefined, newEntry: { box: 1 }, cardMode: 'translation', now: NOW,
+    });
+    expect(event.previousBox).toBe(0);
+    expect(event.newBox).toBe(1);
+  });
+
+  it('stores null when the response time is unknown', () => {
+    const event = createReviewEvent({ wordId: 'w1', grade: 'good', newEntry: { box: 1 }, cardMode: 'translation', now: NOW });
+    expect(event.responseTimeMs).toBeNull();
+  });
+
+  it('never records a negative response time', () => {
+    const event = createReviewEvent({
+      wordId: 'w1', grade: 'good', newEntry: { box: 1 }, responseTimeMs: -5, cardMode: 'translation', now: NOW,
+    });
+    expect(event.responseTimeMs).toBe(0);
+  });
+});
+
+describe('without IndexedDB (graceful fallback)', () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it('queries resolve to empty arrays and writes do not throw', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await expect(logReview({ wordId: 'w1' })).resolves.toBeUndefined();
+    await expect(deleteReview(1)).resolves.toBeUndefined();
+    await expect(getWordHistory('w1')).resolves.toEqual([]);
+    await expect(getWordHistories(['w1', 'w2'])).resolves.toEqual({});
+    await expect(getReviewsInRange(NOW - 1000, NOW)).resolves.toEqual([]);
+  });
+
+  it('an inverted date range is empty', async () => {
+    await expect(getReviewsInRange(NOW, NOW - 1000)).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * sm2Engine.js — SM-2 (SuperMemo 2 / Anki-like) scheduler
+ *
+ * Alternative to the fixed Leitner boxes in srsEngine.js. Each word keeps its
+ * own ease factor, interval (days) and successful-repetition count:
+ *
+ *   { box, nextReview, ease, interval, reps }
+ *
+ * `box` is the equivalent Leitner box for the interval (see `boxForInterval`).
+ * It is stored alongside the SM-2 fields so `buildDeck` ordering, the box
+ * badge and switching back to Leitner keep working unchanged.
+ *
+ * Exposes the same pure-function shape as srsEngine (`markKnown`,
+ * `markReview`) so App.jsx can swap schedulers at runtime.
+ */
+
+import { DAY_MS, BOX_INTERVALS, boxForInterval } from './srsEngine.js';
+
+/** Starting ease factor for a word (SM-2 default). */
+export const DEFAULT_EASE = 2.5;
+
+/** Ease never drops below this, so hard words still progress. */
+export const MIN_EASE = 1.3;
+
+/** Answer quality (0–5 SM-2 scale) used for "Ya lo sé". */
+export const QUALITY_KNOWN = 4;
+
+/** Answer quality used for "Repasar" — a lapse. */
+export const QUALITY_REVIEW = 1;
+
+/** SM-2 quality for each answer grade (see grades.js). */
+export const GRADE_QUALITY = {
+  again: QUALITY_REVIEW,
+  hard: 3,
+  good: QUALITY_KNOWN,
+  easy: 5,
+};
+
+/**
+ * Next ease factor for an answer of the given quality (SM-2 formula),
+ * clamped at MIN_EASE.
+ *
+ * @param {number} ease
+ * @param {number} quality  0–5
+ * @returns {number}
+ */
+export function nextEase(ease, quality) {
+  const q = 5 - quality;
+  const updated = ease + (0.1 - q * (0.08 + q * 0.02));
+  return Math.max(MIN_EASE, Math.round(updated * 100) / 100);
+}
+
+/**
+ * Apply one SM-2 answer to a single entry.
+ * Qualities >= 3 are successful recalls; lower qualities reset the
+ * repetition count and make the word due immediately (same as Leitner box 1).
+ *
+ * @param {Object|undefined} entry
+ * @param {number} quality  0–5
+ * @param {number} now
+ * @param {number[]} boxIntervals  active Leitner intervals, for the equivalent box
+ * @returns {Object} new entry
+ */
+export function scheduleSm2(entry, quality, now = Date.now(), boxIntervals = BOX_INTERVALS) {
+  const current = toSm2Entry(entry, boxIntervals);
+  const ease = nextEase(current.ease, quality);
+
+  if (quality < 3) {
+    return {
+      box: 1,
+      nextReview: new Date(now).toISOString(),
+      ease,
+      interval: 0,
+      reps: 0,
+    };
+  }
+
+  let interval;
+  if (current.reps === 0) interval = 1;
+  else if (current.reps === 1) interval = 6;
+  else interval = Math.round(current.interval * ease);
+
+  return {
+    box: boxForInterval(interval * DAY_MS, boxIntervals),
+    nextReview: new Date(now + interval * DAY_MS).toISOString(),
+    ease,
+    interval,
+    reps: current.reps + 1,
+  };
+}
+
+/**
+ * Mark a word as known (quality 4).
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string} wordId
+ * @param {number} now
+ * @param {number[]} boxIntervals
+ * @returns {Object} new srsState
+ */
+export function markKnown(srsState, wordId, now = Date.now(), boxIntervals = BOX_INTERVALS) {
+  return {
+    ...srsState,
+    [wordId]: scheduleSm2(srsState[wordId], QUALITY_KNOWN, now, boxIntervals),
+  };
+}
+
+/**
+ * Mark a word for review (quality 1): repetitions reset, ease drops,
+ * due immediately.
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string} wordId
+ * @param {number} now
+ * @returns {Object} new srsState
+ */
+export function markReview(srsState, wordId, now = Date.now()) {
+  return {
+    ...srsState,
+    [wordId]: scheduleSm2(srsState[wordId], QUALITY_REVIEW, now),
+  };
+}
+
+/**
+ * Apply a four-grade answer using its SM-2 quality (GRADE_QUALITY).
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string} wordId
+ * @param {'again'|'hard'|'good'|'easy'} grade
+ * @param {number} now
+ * @param {number[]} boxIntervals
+ * @returns {Object} new srsState
+ */
+export function applyGrade(srsState, wordId, grade, now = Date.now(), boxIntervals = BOX_INTERVALS) {
+  return {
+    ...srsState,
+    [wordId]: scheduleSm2(srsState[wordId], GRADE_QUALITY[grade] ?? QUALITY_KNOWN, now, boxIntervals),
+  };
+}
+
+/**
+ * Convert any stored entry into an SM-2 entry.
+ *
+ * - Missing entry → a brand-new word (no repetitions, default ease).
+ * - Entry that already has an ease factor → returned as-is.
+ * - Leitner entry `{ box, nextReview }` → interval taken from the box,
+ *   one repetition per box above 1, default ease. `nextReview` is kept so
+ *   migrating never makes a word due earlier or later than it already was.
+ *
+ * @param {Object|undefined} entry
+ * @param {number[]} boxIntervals  active Leitner intervals
+ * @returns {Object}
+ */
+export function toSm2Entry(entry, boxIntervals = BOX_INTERVALS) {
+  if (!entry) {
+    return { box: 0, nextReview: null, ease: DEFAULT_EASE, interval: 0, reps: 0 };
+  }
+  if (typeof entry.ease === 'number') return entry;
+  const box = entry.box ?? 0;
+  return {
+    box,
+    nextReview: entry.nextReview,
+    ease: DEFAULT_EASE,
+    interval: (boxIntervals[box] ?? 0) / DAY_MS,
+    reps: Math.max(0, box - 1),
+  };
+}
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+  markKnown,
+  markReview,
+  applyGrade,
+  nextEase,
+  scheduleSm2,
+  toSm2Entry,
+  DEFAULT_EASE,
+  MIN_EASE,
+} from './sm2Engine.js';
+import { DAY_MS } from './srsEngine.js';
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+
+const due = (entry) => new Date(entry.nextReview).getTime();
+
+describe('nextEase', () => {
+  it('keeps the ease unchanged for quality 4', () => {
+    expect(nextEase(2.5, 4)).toBe(2.5);
+  });
+
+  it('raises the ease for quality 5', () => {
+    expect(nextEase(2.5, 5)).toBe(2.6);
+  });
+
+  it('lowers the ease for failed answers', () => {
+    expect(nextEase(2.5, 1)).toBe(1.96);
+  });
+
+  it('never drops below MIN_EASE', () => {
+    expect(nextEase(MIN_EASE, 0)).toBe(MIN_EASE);
+  });
+});
+
+describe('markKnown (SM-2)', () => {
+  it('schedules a new word 1 day out with default ease', () => {
+    const { w1 } = markKnown({}, 'w1', NOW);
+    expect(w1.reps).toBe(1);
+    expect(w1.interval).toBe(1);
+    expect(w1.ease).toBe(DEFAULT_EASE);
+    expect(due(w1)).toBe(NOW + DAY_MS);
+  });
+
+  it('uses a 6-day interval on the second repetition', () => {
+    let state = markKnown({}, 'w1', NOW);
+    state = markKnown(state, 'w1', NOW);
+    expect(state.w1.interval).toBe(6);
+    expect(state.w1.reps).toBe(2);
+  });
+
+  it('multiplies the interval by the ease from the third repetition on', () => {
+    const state = { w1: { box: 3, nextReview: null, ease: 2, interval: 6, reps: 2 } };
+    const { w1 } = markKnown(state, 'w1', NOW);
+    expect(w1.interval).toBe(12);
+    expect(due(w1)).toBe(NOW + 12 * DAY_MS);
+  });
+
+  it('keeps an equivalent Leitner box on the entry', () => {
+    const state = { w1: { box: 3, nextReview: null, ease: 2.5, interval: 6, reps: 2 } };
+    expect(markKnown(state, 'w1', NOW).w1.box).toBe(4); // 15 days ≥ 8-day box 4
+  });
+
+  it('does not mutate the original state (pure function)', () => {
+    const state = { w1: { box: 2, nextReview: null, ease: 2.5, interval: 1, reps: 1 } };
+    markKnown(state, 'w1', NOW);
+    expect(state.w1.reps).toBe(1);
+  });
+});
+
+describe('markReview (SM-2)', () => {
+  it('resets repetitions and makes the word due immediately', () => {
+    const state = { w1: { box: 4, nextReview: null, ease: 2.5, interval: 15, reps: 3 } };
+    const { w1 } = markReview(state, 'w1', NOW);
+    expect(w1.reps).toBe(0);
+    expect(w1.interval).toBe(0);
+    expect(w1.box).toBe(1);
+    expect(due(w1)).toBe(NOW);
+  });
+
+  it('lowers the ease factor', () => {
+    const state = { w1: { box: 4, nextReview: null, ease: 2.5, interval: 15, reps: 3 } };
+    expect(markReview(state, 'w1', NOW).w1.ease).toBeLessThan(2.5);
+  });
+
+  it('preserves other words in state', () => {
+    const state = { w2: { box: 5, nextReview: 'x' } };
+    expect(markReview(state, 'w1', NOW).w2).toBe(state.w2);
+  });
+});
+
+describe('applyGrade (SM-2)', () => {
+  const state = { w1: { box: 3, nextReview: null, ease: 2.5, interval: 6, reps: 2 } };
+
+  it('orders intervals again < hard < good < easy', () => {
+    const interval = (grade) => applyGrade(state, 'w1', grade, NOW).w1.interval;
+    expect(interval('again')).toBe(0);
+    expect(interval('hard')).toBeLessThan(interval('good'));
+    expect(interval('good')).toBeLessThan(interval('easy'));
+  });
+
+  it('"hard" lowers the ease, "easy" raises it', () => {
+    expect(applyGrade(state, 'w1', 'hard', NOW).w1.ease).toBeLessThan(2.5);
+    expect(applyGrade(state, 'w1', 'easy', NOW).w1.ease).toBeGreaterThan(2.5);
+  });
+
+  it('"good" matches markKnown', () => {
+    expect(applyGrade(state, 'w1', 'good', NOW)).toEqual(markKnown(state, 'w1', NOW));
+  });
+});
+
+describe('scheduleSm2', () => {
+  it('treats quality 3 as a successful recall', () => {
+    expect(scheduleSm2(undefined, 3, NOW).reps).toBe(1);
+  });
+});
+
+describe('toSm2Entry (Leitner migration)', () => {
+  it('returns a fresh entry for a missing word', () => {
+    expect(toSm2Entry(undefined)).toMatchObject({ reps: 0, ease: DEFAULT_EASE, interval: 0 });
+  });
+
+  it('derives interval and repetitions from the Leitner box', () => {
+    const entry = toSm2Entry({ box: 3, nextReview: '2026-01-05T12:00:00.000Z' });
+    expect(entry).toEqual({
+      box: 3,
+      nextReview: '2026-01-05T12:00:00.000Z',
+      ease: DEFAULT_EASE,
+      interval: 4,
+      reps: 2,
+    });
+  });
+
+  it('returns SM-2 entries unchanged', () => {
+    const entry = { box: 2, nextReview: 'x', ease: 1.8, interval: 3, reps: 2 };
+    expect(toSm2Entry(entry)).toBe(entry);
+  });
+
+  it('reads the interval from custom box intervals', () => {
+    const intervals = [0, 0, DAY_MS, 7 * DAY_MS];
+    expect(toSm2Entry({ box: 3, nextReview: 'x' }, intervals).interval).toBe(7);
+  });
+});
+
+describe('custom box intervals (SM-2)', () => {
+  it('maps the interval onto the configured boxes', () => {
+    // Three boxes: every session, 1 day, 7 days. Second success = 6 days → box 2
+    const intervals = [0, 0, DAY_MS, 7 * DAY_MS];
+    let state = markKnown({}, 'w1', NOW, intervals);
+    state = markKnown(state, 'w1', NOW, intervals);
+    expect(state.w1).toMatchObject({ interval: 6, box: 2 });
+    state = applyGrade(state, 'w1', 'easy', NOW, intervals);
+    expect(state.w1.box).toBe(3);
+  });
+});
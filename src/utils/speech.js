@@ -0,0 +1,150 @@
+/**
+ * speech.js — Spanish pronunciation via the Web Speech API
+ *
+ * A thin wrapper around `speechSynthesis` so cards can say the Spanish word
+ * aloud. Voices come from the browser / OS, so a Spanish one may not be
+ * installed: callers check `loadVoices` + `pickVoice` first and hide the
+ * pronunciation button when there is none.
+ *
+ * Settings are persisted as JSON:
+ *
+ *   { accent: 'es-ES' | 'es-MX', autoPlay: boolean }
+ *
+ * The synthesiser and utterance constructor are injectable so the wrapper
+ * can be tested without a browser.
+ */
+
+/** Spanish accents offered in settings, in display order. */
+export const SPEECH_ACCENTS = ['es-ES', 'es-MX'];
+
+export const SPEECH_ACCENT_LABELS = {
+  'es-ES': 'Spain (es-ES)',
+  'es-MX': 'Mexico (es-MX)',
+};
+
+export const DEFAULT_SPEECH_SETTINGS = {
+  accent: 'es-ES',
+  autoPlay: false,
+};
+
+// A little slower than default, for learners.
+const SPEECH_RATE = 0.9;
+
+// How long to wait for the voice list on browsers that load it lazily.
+const VOICES_TIMEOUT_MS = 2000;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// "es_MX" / "ES-mx" → "es-mx"
+const normalizeLang = (lang) => String(lang ?? '').replace('_', '-').toLowerCase();
+
+/**
+ * Problems with speech settings, e.g. from a backup file.
+ * @param {*} settings
+ * @returns {string[]} empty when valid
+ */
+export function validateSpeechSettings(settings) {
+  if (!isPlainObject(settings)) return ['Pronunciation settings must be an object.'];
+  const errors = [];
+  if (settings.accent !== undefined && !SPEECH_ACCENTS.includes(settings.accent)) {
+    errors.push(`Unknown pronunciation accent "${settings.accent}".`);
+  }
+  if (settings.autoPlay !== undefined && typeof settings.autoPlay !== 'boolean') {
+    errors.push('Pronunciation auto-play must be true or false.');
+  }
+  return errors;
+}
+
+/**
+ * Coerce stored/raw speech settings, falling back to the defaults field by field.
+ * @param {*} raw
+ * @returns {{ accent: string, autoPlay: boolean }}
+ */
+export function parseSpeechSettings(raw) {
+  const settings = isPlainObject(raw) ? raw : {};
+  return {
+    accent: SPEECH_ACCENTS.includes(settings.accent)
+      ? settings.accent
+      : DEFAULT_SPEECH_SETTINGS.accent,
+    autoPlay: typeof settings.autoPlay === 'boolean'
+      ? settings.autoPlay
+      : DEFAULT_SPEECH_SETTINGS.autoPlay,
+  };
+}
+
+/**
+ * The browser's speech synthesiser, or null when there is none.
+ * @returns {SpeechSynthesis|null}
+ */
+export function getSynth() {
+  return typeof globalThis.speechSynthesis !== 'undefined' &&
+    typeof globalThis.SpeechSynthesisUtterance !== 'undefined'
+    ? globalThis.speechSynthesis
+    : null;
+}
+
+/**
+ * Installed voices. Some browsers (Chrome) fill the list asynchronously and
+ * announce it with `voiceschanged`; this waits for that, up to a timeout.
+ * Resolves [] without a synthesiser.
+ *
+ * @param {SpeechSynthesis|null} synth
+ * @returns {Promise<SpeechSynthesisVoice[]>}
+ */
+export function loadVoices(synth = getSynth()) {
+  if (!synth) return Promise.resolve([]);
+  const voices = synth.getVoices();
+  if (voices.length > 0) return Promise.resolve(voices);
+
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      synth.removeEventListener?.('voiceschanged', done);
+      resolve(synth.getVoices());
+    };
+    const timer = setTimeout(done, VOICES_TIMEOUT_MS);
+    synth.addEventListener?.('voiceschanged', done);
+  });
+}
+
+/**
+ * Best voice for an accent: an exact language match (local voices first),
+ * else any Spanish voice, else null.
+ *
+ * @param {Array<{ lang: string, localService?: boolean }>} voices
+ * @param {string} accent - e.g. "es-MX"
+ * @returns {Object|null}
+ */
+export function pickVoice(voices, accent) {
+  const spanish = (voices ?? [])
+    .filter((voice) => normalizeLang(voice.lang).split('-')[0] === 'es')
+    .sort((a, b) => Number(Boolean(b.localService)) - Number(Boolean(a.localService)));
+  return spanish.find((voice) => normalizeLang(voice.lang) === normalizeLang(accent))
+    ?? spanish[0]
+    ?? null;
+}
+
+/**
+ * Say a text aloud, interrupting anything still being spoken.
+ *
+ * @param {string} text
+ * @param {{ voice?: Object|null, accent?: string, synth?: SpeechSynthesis|null,
+ *           Utterance?: typeof SpeechSynthesisUtterance }} options
+ * @returns {boolean} false when speech is unavailable or there is nothing to say
+ */
+export function speak(text, {
+  voice = null,
+  accent = DEFAULT_SPEECH_SETTINGS.accent,
+  synth = getSynth(),
+  Utterance = globalThis.SpeechSynthesisUtterance,
+} = {}) {
+  if (!synth || !Utterance || !text) return false;
+  const utterance = new Utterance(text);
+  utterance.lang = voice?.lang ?? accent;
+  if (voice) utterance.voice = voice;
+  utterance.rate = SPEECH_RATE;
+  synth.cancel();
+  synth.speak(utterance);
+  return true;
+}
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  SPEECH_ACCENTS,
+  DEFAULT_SPEECH_SETTINGS,
+  validateSpeechSettings,
+  parseSpeechSettings,
+  getSynth,
+  loadVoices,
+  pickVoice,
+  speak,
+} from './speech.js';
+
+const voice = (name, lang, localService = false) => ({ name, lang, localService });
+
+const VOICES = [
+  voice('Daniel', 'en-GB', true),
+  voice('Google español', 'es-ES'),
+  voice('Mónica', 'es-ES', true),
+  voice('Paulina', 'es_MX', true),
+];
+
+// Minimal stand-ins for speechSynthesis and SpeechSynthesisUtterance
+function fakeSynth(voices = []) {
+  const listeners = {};
+  return {
+    voices,
+    spoken: [],
+    getVoices() { return this.voices; },
+    speak(utterance) { this.spoken.push(utterance); },
+    cancel: vi.fn(),
+    addEventListener(type, fn) { listeners[type] = fn; },
+    removeEventListener(type) { delete listeners[type]; },
+    emit(type) { listeners[type]?.(); },
+  };
+}
+
+class FakeUtterance {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+describe('speech settings', () => {
+  it('offers Spain and Mexico, Spain by default, no auto-play', () => {
+    expect(SPEECH_ACCENTS).toEqual(['es-ES', 'es-MX']);
+    expect(DEFAULT_SPEECH_SETTINGS).toEqual({ accent: 'es-ES', autoPlay: false });
+  });
+
+  it('parses stored settings field by field', () => {
+    expect(parseSpeechSettings(null)).toEqual(DEFAULT_SPEECH_SETTINGS);
+    expect(parseSpeechSettings({ accent: 'es-MX', autoPlay: true })).toEqual({ accent: 'es-MX', autoPlay: true });
+    expect(parseSpeechSettings({ accent: 'fr-FR', autoPlay: 'yes' })).toEqual(DEFAULT_SPEECH_SETTINGS);
+  });
+
+  it('validates settings from a backup', () => {
+    expect(validateSpeechSettings({ accent: 'es-MX', autoPlay: false })).toEqual([]);
+    expect(validateSpeechSettings({})).toEqual([]);
+    expect(validateSpeechSettings([])).toEqual(['Pronunciation settings must be an object.']);
+    expect(validateSpeechSettings({ accent: 'es-AR', autoPlay: 1 })).toEqual([
+      'Unknown pronunciation accent "es-AR".',
+      'Pronunciation auto-play must be true or false.',
+    ]);
+  });
+});
+
+describe('pickVoice', () => {
+  it('prefers an exact, local match for the accent', () => {
+    expect(pickVoice(VOICES, 'es-ES').name).toBe('Mónica');
+    expect(pickVoice(VOICES, 'es-MX').name).toBe('Paulina');
+  });
+
+  it('falls back to any Spanish voice, or null', () => {
+    expect(pickVoice([voice('Jorge', 'es-US')], 'es-MX').name).toBe('Jorge');
+    expect(pickVoice([voice('Daniel', 'en-GB')], 'es-ES')).toBeNull();
+    expect(pickVoice(undefined, 'es-ES')).toBeNull();
+  });
+});
+
+describe('loadVoices', () => {
+  afterEach(() => vi.useRealTimers());
+
+  it('resolves [] without speech synthesis', async () => {
+    expect(getSynth()).toBeNull();
+    await expect(loadVoices()).resolves.toEqual([]);
+  });
+
+  it('returns voices that are already loaded', async () => {
+    await expect(loadVoices(fakeSynth(VOICES))).resolves.toBe(VOICES);
+  });
+
+  it('waits for voiceschanged, or gives up after a timeout', async () => {
+    const synth = fakeSynth();
+    const loading = loadVoices(synth);
+    synth.voices = VOICES;
+    synth.emit('voiceschanged');
+    await expect(loading).resolves.toBe(VOICES);
+
+    vi.useFakeTimers();
+    const never = loadVoices(fakeSynth());
+    vi.advanceTimersByTime(2000);
+    await expect(never).resolves.toEqual([]);
+  });
+});
+
+describe('speak', () => {
+  it('speaks with the chosen voice, cancelling earlier speech', () => {
+    const synth = fakeSynth();
+    const mexican = VOICES[3];
+    expect(speak('hola', { voice: mexican, synth, Utterance: FakeUtterance })).toBe(true);
+    expect(synth.cancel).toHaveBeenCalled();
+    expect(synth.spoken[0]).toMatchObject({ text: 'hola', voice: mexican, lang: 'es_MX', rate: 0.9 });
+  });
+
+  it('falls back to the accent as language without a voice', () => {
+    const synth = fakeSynth();
+    speak('hola', { accent: 'es-MX', synth, Utterance: FakeUtterance });
+    expect(synth.spoken[0].lang).toBe('es-MX');
+    expect(synth.spoken[0].voice).toBeUndefined();
+  });
+
+  it('does nothing when speech is unavailable or the text is empty', () => {
+    expect(speak('hola')).toBe(false);
+    const synth = fakeSynth();
+    expect(speak('', { synth, Utterance: FakeUtterance })).toBe(false);
+    expect(synth.spoken).toEqual([]);
+  });
+});
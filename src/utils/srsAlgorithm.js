@@ -0,0 +1,110 @@
+/**
+ * srsAlgorithm.js — runtime-selectable scheduling algorithm
+ *
+ *   - leitner: Leitner boxes, five by default (srsEngine.js, leitnerConfig.js)
+ *   - sm2:     per-word ease factor / interval (sm2Engine.js)
+ *   - fsrs:    stability / difficulty memory model (fsrsEngine.js)
+ *
+ * All schedulers share one `yalose-srs-state` map and expose the same
+ * `markKnown` / `markReview` / `applyGrade` shape. Every entry carries `box` and
+ * `nextReview`, so `buildDeck` and `getEarliestNextReview` work against
+ * any algorithm without knowing which one produced the entry.
+ *
+ * Pure helpers only; persistence lives in App.jsx.
+ */
+
+import * as leitner from './srsEngine.js';
+import * as sm2 from './sm2Engine.js';
+import * as fsrs from './fsrsEngine.js';
+
+export const SRS_ALGORITHMS = ['leitner', 'sm2', 'fsrs'];
+
+/** Default algorithm when nothing is stored — existing users keep Leitner. */
+export const DEFAULT_SRS_ALGORITHM = 'leitner';
+
+/** Labels for the scheduler picker. */
+export const SRS_ALGORITHM_LABELS = {
+  leitner: 'Leitner boxes',
+  sm2: 'SM-2 (ease factor)',
+  fsrs: 'FSRS (memory model)',
+};
+
+const SCHEDULERS = {
+  leitner: { markKnown: leitner.markKnown, markReview: leitner.markReview, applyGrade: leitner.applyGrade },
+  sm2: { markKnown: sm2.markKnown, markReview: sm2.markReview, applyGrade: sm2.applyGrade },
+  fsrs: { markKnown: fsrs.markKnown, markReview: fsrs.markReview, applyGrade: fsrs.applyGrade },
+};
+
+// The answers since a card was last new (previous box 0), oldest first.
+// Empty when the log does not reach back that far: the card was learned
+// before the history was kept, or was reset and not answered since.
+function answersSinceNew(history) {
+  const ordered = [...history].sort((a, b) => a.timestamp - b.timestamp);
+  const start = ordered.map((event) => event.previousBox).lastIndexOf(0);
+  return start === -1 ? [] : ordered.slice(start);
+}
+
+// FSRS replays a card's own answers where the review history has them all,
+// and estimates the entry from its interval otherwise.
+function toFsrsFromHistory(entry, boxIntervals, history = []) {
+  const log = typeof entry?.stability === 'number' || leitner.isNewEntry(entry) ? [] : answersSinceNew(history);
+  return log.length > 0
+    ? fsrs.scheduleFromLog(log, fsrs.DEFAULT_FSRS_PARAMS, boxIntervals)
+    : fsrs.toFsrsEntry(entry, fsrs.DEFAULT_FSRS_PARAMS, boxIntervals);
+}
+
+const ENTRY_CONVERTERS = {
+  leitner: (entry, boxIntervals) => leitner.toLeitnerEntry(entry, boxIntervals),
+  sm2: (entry, boxIntervals) => sm2.toSm2Entry(entry, boxIntervals),
+  fsrs: toFsrsFromHistory,
+};
+
+/**
+ * Coerce a stored/raw value into a valid algorithm, falling back to the default.
+ * @param {*} raw
+ * @returns {string}
+ */
+export function parseSrsAlgorithm(raw) {
+  return SRS_ALGORITHMS.includes(raw) ? raw : DEFAULT_SRS_ALGORITHM;
+}
+
+/**
+ * The `{ markKnown, markReview, applyGrade }` functions for an algorithm.
+ * Each takes the active Leitner box intervals (see leitnerConfig.js) as an
+ * optional last argument after `now`.
+ * Unknown values fall back to the default algorithm.
+ *
+ * @param {string} algorithm
+ * @returns {{ markKnown: Function, markReview: Function, applyGrade: Function }}
+ */
+export function getScheduler(algorithm) {
+  return SCHEDULERS[parseSrsAlgorithm(algorithm)];
+}
+
+/**
+ * Convert every entry of an SRS state to the shape used by `algorithm`.
+ * Status fields (suspended, buried) are preserved, and so are due dates,
+ * except when switching to FSRS: a card whose answers since it was new are
+ * all in `histories` is rebuilt by replaying them (scheduleFromLog) and
+ * gets FSRS's due date; the others keep theirs.
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string} algorithm
+ * @param {number[]} boxIntervals  active Leitner intervals
+ * @param {Object<string, Object[]>} histories  review history events per
+ *   card id (see reviewHistory.js), used by FSRS only
+ * @returns {Object} new srsState
+ */
+export function convertSrsState(srsState, algorithm, boxIntervals = leitner.BOX_INTERVALS, histories = {}) {
+  const convert = ENTRY_CONVERTERS[parseSrsAlgorithm(algorithm)];
+  const result = {};
+  for (const [wordId, entry] of Object.entries(srsState)) {
+    const converted = { ...convert(entry, boxIntervals, histories[wordId]) };
+    for (const field of leitner.STATUS_FIELDS) {
+      if (entry[field] !== undefined) converted[field] = entry[field];
+    }
+    result[wordId] = converted;
+  }
+  return result;
+}
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SRS_ALGORITHMS,
+  DEFAULT_SRS_ALGORITHM,
+  parseSrsAlgorithm,
+  getScheduler,
+  convertSrsState,
+} from './srsAlgorithm.js';
+import * as leitner from './srsEngine.js';
+import * as sm2 from './sm2Engine.js';
+import * as fsrs from './fsrsEngine.js';
+
+describe('SRS_ALGORITHMS', () => {
+  it('lists Leitner, SM-2 and FSRS, Leitner by default', () => {
+    expect(SRS_ALGORITHMS).toEqual(['leitner', 'sm2', 'fsrs']);
+    expect(DEFAULT_SRS_ALGORITHM).toBe('leitner');
+  });
+});
+
+describe('parseSrsAlgorithm', () => {
+  it('passes through valid values', () => {
+    expect(parseSrsAlgorithm('sm2')).toBe('sm2');
+  });
+
+  it('falls back to the default for junk', () => {
+    expect(parseSrsAlgorithm(null)).toBe('leitner');
+    expect(parseSrsAlgorithm('anki')).toBe('leitner');
+  });
+});
+
+describe('getScheduler', () => {
+  it('returns the engine functions for each algorithm', () => {
+    expect(getScheduler('leitner').markKnown).toBe(leitner.markKnown);
+    expect(getScheduler('sm2').markReview).toBe(sm2.markReview);
+    expect(getScheduler('fsrs').markKnown).toBe(fsrs.markKnown);
+    expect(getScheduler('sm2').applyGrade).toBe(sm2.applyGrade);
+  });
+
+  it('falls back to Leitner for unknown algorithms', () => {
+    expect(getScheduler('nope').markKnown).toBe(leitner.markKnown);
+  });
+});
+
+describe('convertSrsState', () => {
+  const leitnerState = {
+    w1: { box: 2, nextReview: '2026-01-03T12:00:00.000Z' },
+    w2: { box: 5, nextReview: '2026-01-17T12:00:00.000Z' },
+  };
+
+  it('migrates Leitner entries to SM-2, keeping due dates', () => {
+    const state = convertSrsState(leitnerState, 'sm2');
+    expect(state.w1).toMatchObject({ box: 2, interval: 2, reps: 1, nextReview: leitnerState.w1.nextReview });
+    expect(state.w2.interval).toBe(16);
+  });
+
+  it('strips SM-2 fields when converting back to Leitner', () => {
+    const roundTrip = convertSrsState(convertSrsState(leitnerState, 'sm2'), 'leitner');
+    expect(roundTrip).toEqual(leitnerState);
+  });
+
+  it('migrates Leitner entries to FSRS, keeping due dates', () => {
+    const state = convertSrsState(leitnerState, 'fsrs');
+    expect(state.w2).toMatchObject({ box: 5, stability: 16, nextReview: leitnerState.w2.nextReview });
+  });
+
+  it('replays the review history of words moving to FSRS', () => {
+    const t0 = new Date('2025-12-20T12:00:00.000Z').getTime();
+    const t1 = t0 + 5 * leitner.DAY_MS;
+    const histories = {
+      w1: [
+        { wordId: 'w1', timestamp: t1, grade: 'again', previousBox: 2, newBox: 1 },
+        { wordId: 'w1', timestamp: t0, grade: 'good', previousBox: 0, newBox: 2 },
+      ],
+    };
+    const state = convertSrsState(leitnerState, 'fsrs', leitner.BOX_INTERVALS, histories);
+    expect(state.w1).toEqual(fsrs.scheduleFromLog(histories.w1));
+    expect(state.w1.lapses).toBe(1);
+    // No history: estimated from the box, due date kept
+    expect(state.w2).toEqual(convertSrsState(leitnerState, 'fsrs').w2);
+  });
+
+  it('estimates words whose history does not start from a new card', () => {
+    const histories = {
+      w1: [{ wordId: 'w1', timestamp: 0, grade: 'good', previousBox: 1, newBox: 2 }],
+    };
+    expect(convertSrsState(leitnerState, 'fsrs', leitner.BOX_INTERVALS, histories))
+      .toEqual(convertSrsState(leitnerState, 'fsrs'));
+  });
+
+  it('clamps boxes and reads intervals from custom box intervals', () => {
+    const intervals = [0, 0, leitner.DAY_MS, 7 * leitner.DAY_MS];
+    expect(convertSrsState(leitnerState, 'leitner', intervals).w2.box).toBe(3);
+    expect(convertSrsState(leitnerState, 'sm2', intervals).w1.interval).toBe(1);
+  });
+
+  it('keeps suspensions and buries through every conversion', () => {
+    const buriedUntil = '2026-01-02T00:00:00.000Z';
+    const state = { w1: { ...leitnerState.w1, suspended: true, buriedUntil } };
+    for (const algorithm of SRS_ALGORITHMS) {
+      expect(convertSrsState(state, algorithm).w1).toMatchObject({ suspended: true, buriedUntil });
+    }
+  });
+
+  it('does not mutate the input', () => {
+    convertSrsState(leitnerState, 'sm2');
+    expect(leitnerState.w1).toEqual({ box: 2, nextReview: '2026-01-03T12:00:00.000Z' });
+  });
+});
@@ -1,9 +1,13 @@
 export const DAY_MS = 24 * 60 * 60 * 1000;
 export const MAX_BOX = 5;
 
-// Review interval per box (index = box number).
+// Default review interval per box (index = box number).
 // Box 1 = every session (interval 0 → nextReview = now → always due).
 // Box 2–5 = 2 / 4 / 8 / 16 calendar days.
+//
+// Users can choose their own box count and intervals (leitnerConfig.js).
+// Functions below take the active intervals as an optional `boxIntervals`
+// argument of the same shape; its last index is the top box.
 export const BOX_INTERVALS = [
   0,            // 0: unused sentinel
   0,            // 1: every session
@@ -14,45 +18,210 @@ export const BOX_INTERVALS = [
 ];
 
 /**
- * Build the review deck: words due now, sorted by box ascending (hardest first).
- * Words with no SRS state are treated as new and always included.
+ * Top box for a set of box intervals.
+ * @param {number[]} boxIntervals
+ * @returns {number}
+ */
+export function maxBoxOf(boxIntervals = BOX_INTERVALS) {
+  return boxIntervals.length - 1;
+}
+
+/**
+ * Equivalent Leitner box for a review interval: the highest box whose
+ * interval does not exceed it. Lets interval-based schedulers (SM-2) keep a
+ * `box` on every entry so deck ordering and the box badge stay meaningful.
+ *
+ * @param {number} intervalMs
+ * @param {number[]} boxIntervals
+ * @returns {number} 1..top box
+ */
+export function boxForInterval(intervalMs, boxIntervals = BOX_INTERVALS) {
+  let box = 1;
+  for (let b = 2; b <= maxBoxOf(boxIntervals); b++) {
+    if (boxIntervals[b] <= intervalMs) box = b;
+  }
+  return box;
+}
+
+/**
+ * Reduce any stored entry (e.g. an SM-2 entry) to a plain Leitner entry.
+ * The box (clamped to the top box) and due date are kept,
+ * scheduler-specific fields are dropped.
+ *
+ * @param {Object} entry
+ * @param {number[]} boxIntervals
+ * @returns {{ box: number, nextReview: string }}
+ */
+export function toLeitnerEntry(entry, boxIntervals = BOX_INTERVALS) {
+  return {
+    box: Math.min(entry.box ?? 1, maxBoxOf(boxIntervals)),
+    nextReview: entry.nextReview,
+  };
+}
+
+// Per-card status fields kept alongside any scheduler's fields (see
+// convertSrsState). Answering a card drops them: schedulers build fresh entries.
+export const STATUS_FIELDS = ['suspended', 'buriedUntil'];
+
+/**
+ * Whether an entry is for a card never studied: none at all, or a box-0
+ * placeholder holding only a suspension or bury.
+ * @param {Object|undefined} entry
+ * @returns {boolean}
+ */
+export function isNewEntry(entry) {
+  return !entry || (entry.box ?? 0) === 0;
+}
+
+/**
+ * Whether an SRS entry is suspended — kept out of every deck until unsuspended.
+ * @param {Object|undefined} entry
+ * @returns {boolean}
+ */
+export function isSuspended(entry) {
+  return entry?.suspended === true;
+}
+
+/**
+ * Suspend or unsuspend cards. Suspending keeps the card's progress and adds
+ * `suspended: true`; a card never studied gets a box-0 placeholder entry so
+ * the flag has somewhere to live. Unsuspending removes the flag — and drops
+ * such a placeholder again, so the card is new as before.
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string[]} cardIds
+ * @param {boolean} suspended
+ * @param {number} now
+ * @returns {Object} new srsState
+ */
+export function setSuspended(srsState, cardIds, suspended, now = Date.now()) {
+  const result = { ...srsState };
+  for (const id of cardIds) {
+    const entry = srsState[id];
+    if (suspended) {
+      result[id] = entry
+        ? { ...entry, suspended: true }
+        : { box: 0, nextReview: new Date(now).toISOString(), suspended: true };
+    } else if (entry && (entry.box ?? 0) === 0) {
+      delete result[id];
+    } else if (entry) {
+      const { suspended: _flag, ...rest } = entry;
+      result[id] = rest;
+    }
+  }
+  return result;
+}
+
+/**
+ * Whether an entry is buried — kept out of the deck until its `buriedUntil`.
+ * @param {Object|undefined} entry
+ * @param {number} now
+ * @returns {boolean}
+ */
+export function isBuried(entry, now = Date.now()) {
+  return Boolean(entry?.buriedUntil) && new Date(entry.buriedUntil).getTime() > now;
+}
+
+/**
+ * Bury cards until the start of tomorrow (local time): they leave today's
+ * deck and come back tomorrow with their schedule unchanged. Like
+ * suspending, a card never studied gets a box-0 placeholder entry.
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string[]} cardIds
+ * @param {number} now
+ * @returns {Object} new srsState
+ */
+export function buryCards(srsState, cardIds, now = Date.now()) {
+  const buriedUntil = new Date(startOfDay(now, 1)).toISOString();
+  const result = { ...srsState };
+  for (const id of cardIds) {
+    const entry = srsState[id] ?? { box: 0, nextReview: new Date(now).toISOString() };
+    result[id] = { ...entry, buriedUntil };
+  }
+  return result;
+}
+
+/**
+ * When a card can next be shown: its due date, or the end of its bury if later.
+ * @param {Object} entry
+ * @returns {number} timestamp ms
+ */
+export function availableAt(entry) {
+  const due = new Date(entry.nextReview).getTime();
+  return entry.buriedUntil ? Math.max(due, new Date(entry.buriedUntil).getTime()) : due;
+}
+
+/**
+ * Forget cards' progress: they become new again (and unsuspended).
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string[]} cardIds
+ * @returns {Object} new srsState
+ */
+export function resetCards(srsState, cardIds) {
+  const result = { ...srsState };
+  for (const id of cardIds) delete result[id];
+  return result;
+}
+
+/**
+ * Whether a card is due now: untracked cards always are (they are new),
+ * suspended cards never, buried cards not until their bury ends.
+ * @param {Object|undefined} entry
+ * @param {number} now
+ * @returns {boolean}
+ */
+export function isDueEntry(entry, now = Date.now()) {
+  if (!entry) return true;
+  if (isSuspended(entry)) return false;
+  return availableAt(entry) <= now;
+}
+
+/**
+ * Build the review deck: words due now (see isDueEntry), sorted by box
+ * ascending (hardest first). Boxes above the top box (left over from a
+ * larger configuration) sort as the top box.
  *
  * @param {Array<{id: string}>} vocab
  * @param {Object} srsState  { [wordId]: { box: number, nextReview: string (ISO8601) } }
  * @param {number} now       Unix timestamp ms
+ * @param {number[]} boxIntervals
  * @returns {Array}          Due words, box ascending
  */
-export function buildDeck(vocab, srsState, now = Date.now()) {
+export function buildDeck(vocab, srsState, now = Date.now(), boxIntervals = BOX_INTERVALS) {
+  const maxBox = maxBoxOf(boxIntervals);
   return vocab
-    .filter(word => {
-      const state = srsState[word.id];
-      if (!state) return true;
-      return new Date(state.nextReview).getTime() <= now;
-    })
+    .filter(word => isDueEntry(srsState[word.id], now))
     .sort((a, b) => {
-      const boxA = srsState[a.id]?.box ?? 0;
-      const boxB = srsState[b.id]?.box ?? 0;
+      const boxA = Math.min(srsState[a.id]?.box ?? 0, maxBox);
+      const boxB = Math.min(srsState[b.id]?.box ?? 0, maxBox);
       return boxA - boxB;
     });
 }
 
 /**
- * Mark a word as known: increment box (capped at MAX_BOX), set nextReview.
+ * Mark a word as known: increment box (capped at the top box), set nextReview.
  * Pure — returns a new state object, never mutates the input.
  *
  * @param {Object} srsState
  * @param {string} wordId
  * @param {number} now
+ * @param {number[]} boxIntervals
  * @returns {Object} new srsState
  */
-export function markKnown(srsState, wordId, now = Date.now()) {
+export function markKnown(srsState, wordId, now = Date.now(), boxIntervals = BOX_INTERVALS) {
+  const maxBox = maxBoxOf(boxIntervals);
   const current = srsState[wordId] ?? { box: 0 };
-  const newBox = Math.min(current.box + 1, MAX_BOX);
+  const newBox = Math.min(current.box + 1, maxBox);
   return {
     ...srsState,
     [wordId]: {
       box: newBox,
-      nextReview: new Date(now + BOX_INTERVALS[newBox]).toISOString(),
+      nextReview: new Date(now + boxIntervals[newBox]).toISOString(),
     },
   };
 }
@@ -76,6 +245,72 @@ export function markReview(srsState, wordId, now = Date.now()) {
   };
 }
 
+/**
+ * Apply a four-grade answer (see grades.js):
+ *   again → box 1, due immediately (same as markReview)
+ *   hard  → stays in its box (at least box 1), rescheduled by that box's interval
+ *   good  → one box up (same as markKnown)
+ *   easy  → two boxes up, capped at the top box
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string} wordId
+ * @param {'again'|'hard'|'good'|'easy'} grade
+ * @param {number} now
+ * @param {number[]} boxIntervals
+ * @returns {Object} new srsState
+ */
+export function applyGrade(srsState, wordId, grade, now = Date.now(), boxIntervals = BOX_INTERVALS) {
+  if (grade === 'again') return markReview(srsState, wordId, now);
+  if (grade === 'good') return markKnown(srsState, wordId, now, boxIntervals);
+
+  const maxBox = maxBoxOf(boxIntervals);
+  const current = srsState[wordId] ?? { box: 0 };
+  const newBox = grade === 'easy'
+    ? Math.min(current.box + 2, maxBox)
+    : Math.min(Math.max(current.box, 1), maxBox);
+  return {
+    ...srsState,
+    [wordId]: {
+      box: newBox,
+      nextReview: new Date(now + boxIntervals[newBox]).toISOString(),
+    },
+  };
+}
+
+/**
+ * Fit an SRS state into a (possibly smaller) box configuration: entries above
+ * the top box move down to it, and their due date is brought forward if it is
+ * further away than the top box's interval from now. Everything else —
+ * including scheduler-specific fields — is kept.
+ * Pure — returns the input unchanged when nothing needs clamping.
+ *
+ * @param {Object} srsState
+ * @param {number} now
+ * @param {number[]} boxIntervals
+ * @returns {Object} srsState
+ */
+export function clampSrsState(srsState, now = Date.now(), boxIntervals = BOX_INTERVALS) {
+  const maxBox = maxBoxOf(boxIntervals);
+  const latest = now + boxIntervals[maxBox];
+  let changed = false;
+  const result = {};
+  for (const [wordId, entry] of Object.entries(srsState)) {
+    if ((entry.box ?? 0) > maxBox) {
+      changed = true;
+      const due = new Date(entry.nextReview).getTime();
+      result[wordId] = {
+        ...entry,
+        box: maxBox,
+        nextReview: due > latest ? new Date(latest).toISOString() : entry.nextReview,
+      };
+    } else {
+      result[wordId] = entry;
+    }
+  }
+  return changed ? result : srsState;
+}
+
 /**
  * Migrate legacy yalose-known-words entries to SRS state.
  * Each known word → box 3, nextReview = now + 4 days (AC7).
@@ -96,7 +331,8 @@ export function migrateKnownWords(knownWordsArray, now = Date.now()) {
 }
 
 /**
- * Return the earliest nextReview timestamp (ms) among words not yet due.
+ * Return the earliest nextReview timestamp (ms) among words not yet due,
+ * ignoring suspended ones; a buried word counts from the end of its bury.
  * Returns null if no future reviews exist (e.g. all words are new/untracked).
  *
  * @param {Array<{id: string}>} vocab
@@ -108,11 +344,72 @@ export function getEarliestNextReview(vocab, srsState, now = Date.now()) {
   let earliest = null;
   for (const word of vocab) {
     const state = srsState[word.id];
-    if (!state) continue;
-    const ts = new Date(state.nextReview).getTime();
+    if (!state || isSuspended(state)) continue;
+    const ts = availableAt(state);
     if (ts > now && (earliest === null || ts < earliest)) {
       earliest = ts;
     }
   }
   return earliest;
 }
+
+/**
+ * Local calendar-day key, e.g. "2026-01-31".
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export function dayKey(timestamp) {
+  const d = new Date(timestamp);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Local midnight `offset` days from the day containing `timestamp`.
+ * Uses calendar arithmetic so DST changes never skip or repeat a day.
+ *
+ * @param {number} timestamp
+ * @param {number} offset
+ * @returns {number}
+ */
+export function startOfDay(timestamp, offset = 0) {
+  const d = new Date(timestamp);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() + offset);
+  return d.getTime();
+}
+
+/**
+ * Due-load forecast: scheduled words coming due per local calendar day over
+ * the next `days` days, today first. Overdue words count towards today and
+ * buried words towards the day their bury ends; new (untracked) and
+ * suspended words are not scheduled and are left out.
+ *
+ * Like buildDeck, the engine is unaware of the frequency filter — pass the
+ * band-filtered vocabulary to forecast the active band only.
+ *
+ * @param {Array<{id: string}>} vocab
+ * @param {Object} srsState
+ * @param {number} days
+ * @param {number} now
+ * @returns {Array<{date: string, count: number}>}
+ */
+export function getDueForecast(vocab, srsState, days, now = Date.now()) {
+  const result = [];
+  for (let offset = 0; offset < days; offset++) {
+    result.push({ date: dayKey(startOfDay(now, offset)), count: 0 });
+  }
+  const end = startOfDay(now, days);
+  for (const word of vocab) {
+    const entry = srsState[word.id];
+    if (isNewEntry(entry) || isSuspended(entry)) continue;
+    const ts = availableAt(entry);
+    if (ts >= end) continue;
+    const index = ts < startOfDay(now, 1)
+      ? 0
+      : result.findIndex((bucket) => bucket.date === dayKey(ts));
+    if (index >= 0) result[index].count++;
+  }
+  return result;
+}
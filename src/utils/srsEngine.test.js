@@ -3,8 +3,23 @@ import {
   buildDeck,
   markKnown,
   markReview,
+  applyGrade,
   migrateKnownWords,
   getEarliestNextReview,
+  getDueForecast,
+  dayKey,
+  startOfDay,
+  boxForInterval,
+  toLeitnerEntry,
+  clampSrsState,
+  maxBoxOf,
+  isSuspended,
+  setSuspended,
+  isNewEntry,
+  isBuried,
+  buryCards,
+  availableAt,
+  resetCards,
   BOX_INTERVALS,
   DAY_MS,
   MAX_BOX,
@@ -187,6 +202,47 @@ describe('markReview', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// applyGrade — four-grade answers
+// ---------------------------------------------------------------------------
+describe('applyGrade', () => {
+  const state = { w1: { box: 3, nextReview: new Date(NOW).toISOString() } };
+
+  it('"again" behaves like markReview', () => {
+    expect(applyGrade(state, 'w1', 'again', NOW)).toEqual(markReview(state, 'w1', NOW));
+  });
+
+  it('"good" behaves like markKnown', () => {
+    expect(applyGrade(state, 'w1', 'good', NOW)).toEqual(markKnown(state, 'w1', NOW));
+  });
+
+  it('"hard" keeps the box and reschedules by its interval', () => {
+    const { w1 } = applyGrade(state, 'w1', 'hard', NOW);
+    expect(w1.box).toBe(3);
+    expect(new Date(w1.nextReview).getTime()).toBe(NOW + BOX_INTERVALS[3]);
+  });
+
+  it('"hard" on a new word puts it in box 1', () => {
+    expect(applyGrade({}, 'w1', 'hard', NOW).w1.box).toBe(1);
+  });
+
+  it('"easy" moves two boxes up', () => {
+    const { w1 } = applyGrade(state, 'w1', 'easy', NOW);
+    expect(w1.box).toBe(5);
+    expect(new Date(w1.nextReview).getTime()).toBe(NOW + BOX_INTERVALS[5]);
+  });
+
+  it('"easy" is capped at MAX_BOX', () => {
+    const top = { w1: { box: 4, nextReview: new Date(NOW).toISOString() } };
+    expect(applyGrade(top, 'w1', 'easy', NOW).w1.box).toBe(MAX_BOX);
+  });
+
+  it('does not mutate the original state (pure function)', () => {
+    applyGrade(state, 'w1', 'easy', NOW);
+    expect(state.w1.box).toBe(3);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // migrateKnownWords — AC7
 // ---------------------------------------------------------------------------
@@ -240,6 +296,153 @@ describe('getEarliestNextReview', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// getDueForecast — due-load calendar
+// ---------------------------------------------------------------------------
+describe('dayKey / startOfDay', () => {
+  // Local-time "now" so day bucketing is timezone-independent
+  const LOCAL_NOW = new Date(2026, 0, 10, 12, 0, 0).getTime();
+
+  it('formats the local calendar day', () => {
+    expect(dayKey(LOCAL_NOW)).toBe('2026-01-10');
+  });
+
+  it('returns local midnight, offset by whole days', () => {
+    expect(startOfDay(LOCAL_NOW)).toBe(new Date(2026, 0, 10).getTime());
+    expect(startOfDay(LOCAL_NOW, -1)).toBe(new Date(2026, 0, 9).getTime());
+    expect(startOfDay(LOCAL_NOW, 22)).toBe(new Date(2026, 1, 1).getTime());
+  });
+});
+
+describe('getDueForecast', () => {
+  const LOCAL_NOW = new Date(2026, 0, 10, 12, 0, 0).getTime();
+  const at = (day, hour = 12) => new Date(2026, 0, day, hour, 0, 0).toISOString();
+  const vocab = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }, { id: 'new' }];
+
+  it('returns one bucket per day, today first', () => {
+    expect(getDueForecast(vocab, {}, 3, LOCAL_NOW).map((d) => d.date))
+      .toEqual(['2026-01-10', '2026-01-11', '2026-01-12']);
+  });
+
+  it('buckets scheduled words by local day, overdue counted today', () => {
+    const state = {
+      a: { box: 2, nextReview: new Date(LOCAL_NOW - 3 * DAY_MS).toISOString() },
+      b: { box: 2, nextReview: at(10, 23) },
+      c: { box: 3, nextReview: at(12, 8) },
+      d: { box: 5, nextReview: at(30) }, // beyond the window
+    };
+    expect(getDueForecast(vocab, state, 3, LOCAL_NOW).map((d) => d.count)).toEqual([2, 0, 1]);
+  });
+
+  it('leaves new (untracked) words out', () => {
+    expect(getDueForecast(vocab, {}, 2, LOCAL_NOW).map((d) => d.count)).toEqual([0, 0]);
+  });
+
+  it('only counts words in the vocabulary passed in (frequency band)', () => {
+    const state = { a: { box: 2, nextReview: at(11) }, b: { box: 2, nextReview: at(11) } };
+    expect(getDueForecast([{ id: 'a' }], state, 2, LOCAL_NOW)[1].count).toBe(1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// boxForInterval / toLeitnerEntry — shared with interval-based schedulers
+// ---------------------------------------------------------------------------
+describe('boxForInterval', () => {
+  it('maps intervals below 2 days to box 1', () => {
+    expect(boxForInterval(0)).toBe(1);
+    expect(boxForInterval(DAY_MS)).toBe(1);
+  });
+
+  it('maps an interval to the highest box it reaches', () => {
+    expect(boxForInterval(2 * DAY_MS)).toBe(2);
+    expect(boxForInterval(6 * DAY_MS)).toBe(3);
+    expect(boxForInterval(100 * DAY_MS)).toBe(MAX_BOX);
+  });
+});
+
+describe('toLeitnerEntry', () => {
+  it('keeps only box and nextReview', () => {
+    const entry = { box: 3, nextReview: 'x', ease: 2.5, interval: 6, reps: 2 };
+    expect(toLeitnerEntry(entry)).toEqual({ box: 3, nextReview: 'x' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Custom box configurations (leitnerConfig.js)
+// ---------------------------------------------------------------------------
+describe('custom box intervals', () => {
+  // Three boxes: every session, 1 day, 7 days
+  const THREE = [0, 0, DAY_MS, 7 * DAY_MS];
+
+  it('maxBoxOf is the last index', () => {
+    expect(maxBoxOf()).toBe(MAX_BOX);
+    expect(maxBoxOf(THREE)).toBe(3);
+  });
+
+  it('markKnown uses the configured interval and top box', () => {
+    let state = markKnown({}, 'w1', NOW, THREE);
+    state = markKnown(state, 'w1', NOW, THREE);
+    expect(state.w1).toEqual({ box: 2, nextReview: new Date(NOW + DAY_MS).toISOString() });
+    state = markKnown(markKnown(state, 'w1', NOW, THREE), 'w1', NOW, THREE);
+    expect(state.w1.box).toBe(3);
+    expect(state.w1.nextReview).toBe(new Date(NOW + 7 * DAY_MS).toISOString());
+  });
+
+  it('markKnown moves a word above the top box down to it', () => {
+    const state = markKnown({ w1: { box: 5, nextReview: new Date(NOW).toISOString() } }, 'w1', NOW, THREE);
+    expect(state.w1.box).toBe(3);
+  });
+
+  it('applyGrade caps "easy" and "hard" at the top box', () => {
+    const state = { w1: { box: 5, nextReview: new Date(NOW).toISOString() } };
+    expect(applyGrade(state, 'w1', 'easy', NOW, THREE).w1.box).toBe(3);
+    expect(applyGrade(state, 'w1', 'hard', NOW, THREE).w1.box).toBe(3);
+  });
+
+  it('buildDeck sorts boxes above the top box as the top box', () => {
+    const due = new Date(NOW - 1000).toISOString();
+    const state = {
+      w1: { box: 5, nextReview: due },
+      w2: { box: 3, nextReview: due },
+      w3: { box: 2, nextReview: due },
+    };
+    expect(buildDeck(VOCAB, state, NOW, THREE).map(w => w.id)).toEqual(['w3', 'w1', 'w2']);
+  });
+
+  it('boxForInterval maps onto the configured boxes', () => {
+    expect(boxForInterval(3 * DAY_MS, THREE)).toBe(2);
+    expect(boxForInterval(30 * DAY_MS, THREE)).toBe(3);
+  });
+
+  it('toLeitnerEntry clamps the box', () => {
+    expect(toLeitnerEntry({ box: 5, nextReview: 'x' }, THREE).box).toBe(3);
+  });
+});
+
+describe('clampSrsState', () => {
+  const THREE = [0, 0, DAY_MS, 7 * DAY_MS];
+
+  it('returns the same object when every box fits', () => {
+    const state = { w1: { box: 3, nextReview: new Date(NOW).toISOString() } };
+    expect(clampSrsState(state, NOW, THREE)).toBe(state);
+  });
+
+  it('moves higher boxes to the top box and keeps other fields', () => {
+    const soon = new Date(NOW + DAY_MS).toISOString();
+    const state = { w1: { box: 5, nextReview: soon, ease: 2.5 }, w2: { box: 1, nextReview: soon } };
+    const clamped = clampSrsState(state, NOW, THREE);
+    expect(clamped.w1).toEqual({ box: 3, nextReview: soon, ease: 2.5 });
+    expect(clamped.w2).toBe(state.w2);
+    expect(state.w1.box).toBe(5); // input untouched
+  });
+
+  it('brings due dates beyond the top interval forward', () => {
+    const state = { w1: { box: 5, nextReview: new Date(NOW + 16 * DAY_MS).toISOString() } };
+    expect(clampSrsState(state, NOW, THREE).w1.nextReview)
+      .toBe(new Date(NOW + 7 * DAY_MS).toISOString());
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Constants sanity checks — AC1
 // ---------------------------------------------------------------------------
@@ -276,6 +479,85 @@ describe('BOX_INTERVALS constants (AC1)', () => {
 // ---------------------------------------------------------------------------
 // AC6 localStorage key — documented contract test
 // ---------------------------------------------------------------------------
+describe('suspension', () => {
+  const past = new Date(NOW - DAY_MS).toISOString();
+  const future = new Date(NOW + 3 * DAY_MS).toISOString();
+
+  it('adds the flag and keeps progress, or a box-0 placeholder for new cards', () => {
+    const state = setSuspended({ w1: { box: 3, nextReview: future } }, ['w1', 'w2'], true, NOW);
+    expect(state.w1).toEqual({ box: 3, nextReview: future, suspended: true });
+    expect(state.w2).toEqual({ box: 0, nextReview: new Date(NOW).toISOString(), suspended: true });
+    expect(isSuspended(state.w1)).toBe(true);
+    expect(isSuspended(undefined)).toBe(false);
+  });
+
+  it('unsuspending restores the entry, or drops the placeholder', () => {
+    const suspended = setSuspended({ w1: { box: 3, nextReview: future } }, ['w1', 'w2'], true, NOW);
+    expect(setSuspended(suspended, ['w1', 'w2'], false, NOW)).toEqual({
+      w1: { box: 3, nextReview: future },
+    });
+  });
+
+  it('leaves suspended words out of the deck, the next review and the forecast', () => {
+    const state = {
+      w1: { box: 2, nextReview: past, suspended: true },
+      w2: { box: 2, nextReview: future, suspended: true },
+      w3: { box: 0, nextReview: past, suspended: true },
+    };
+    expect(buildDeck(VOCAB, state, NOW)).toEqual([]);
+    expect(getEarliestNextReview(VOCAB, state, NOW)).toBeNull();
+    expect(getDueForecast(VOCAB, state, 7, NOW).every((day) => day.count === 0)).toBe(true);
+  });
+
+  it('does not mutate the input', () => {
+    const state = { w1: { box: 3, nextReview: future } };
+    setSuspended(state, ['w1'], true, NOW);
+    expect(state.w1).toEqual({ box: 3, nextReview: future });
+  });
+});
+
+describe('burying', () => {
+  const past = new Date(NOW - DAY_MS).toISOString();
+  const future = new Date(NOW + 3 * DAY_MS).toISOString();
+  const tomorrow = new Date(startOfDay(NOW, 1)).toISOString();
+
+  it('buries until the start of tomorrow, keeping the schedule', () => {
+    const state = buryCards({ w1: { box: 2, nextReview: past } }, ['w1', 'w2'], NOW);
+    expect(state.w1).toEqual({ box: 2, nextReview: past, buriedUntil: tomorrow });
+    expect(state.w2).toEqual({ box: 0, nextReview: new Date(NOW).toISOString(), buriedUntil: tomorrow });
+    expect(isBuried(state.w1, NOW)).toBe(true);
+    expect(isBuried(state.w1, startOfDay(NOW, 1))).toBe(false);
+  });
+
+  it('keeps buried words out of the deck until the bury ends', () => {
+    const state = buryCards({ w1: { box: 2, nextReview: past } }, ['w1', 'w2'], NOW);
+    expect(buildDeck(VOCAB, state, NOW).map((w) => w.id)).toEqual(['w3']);
+    expect(buildDeck(VOCAB, state, startOfDay(NOW, 1)).map((w) => w.id)).toEqual(['w2', 'w3', 'w1']);
+  });
+
+  it('counts a buried word from the later of its due date and bury end', () => {
+    const buried = buryCards({ w1: { box: 2, nextReview: past }, w2: { box: 3, nextReview: future } }, ['w1', 'w2'], NOW);
+    expect(availableAt(buried.w1)).toBe(startOfDay(NOW, 1));
+    expect(availableAt(buried.w2)).toBe(new Date(future).getTime());
+    expect(getEarliestNextReview(VOCAB, buried, NOW)).toBe(startOfDay(NOW, 1));
+    expect(getDueForecast(VOCAB, buried, 7, NOW).map((day) => day.count)).toEqual([0, 1, 0, 1, 0, 0, 0]);
+  });
+
+  it('treats box-0 placeholders as new', () => {
+    expect(isNewEntry(undefined)).toBe(true);
+    expect(isNewEntry({ box: 0, nextReview: past, buriedUntil: past })).toBe(true);
+    expect(isNewEntry({ box: 1, nextReview: past })).toBe(false);
+  });
+});
+
+describe('resetCards', () => {
+  it('drops the entries so the cards are new again', () => {
+    const state = { w1: { box: 3, nextReview: 'x' }, w2: { box: 1, nextReview: 'y' } };
+    expect(resetCards(state, ['w1', 'w9'])).toEqual({ w2: { box: 1, nextReview: 'y' } });
+    expect(state.w1).toBeDefined();
+  });
+});
+
 describe('localStorage key contract (AC6)', () => {
   it('SRS_STATE_KEY used by App.jsx is yalose-srs-state — documented', () => {
     // This test documents the storage contract. The key constant lives in App.jsx
@@ -0,0 +1,118 @@
+/**
+ * statistics.js — progress statistics for the stats dashboard
+ *
+ * Pure helpers over the SRS state and the review history log
+ * (reviewHistory.js events). Days are local calendar days, so "today"
+ * matches what the learner sees on their clock.
+ */
+
+import { MAX_BOX, dayKey, startOfDay } from './srsEngine.js';
+
+/**
+ * Number of words per box in a vocabulary. Index 0 counts new (untracked)
+ * words; entries above the top box are counted in the top box.
+ *
+ * @param {Array<{id: string}>} vocab
+ * @param {Object} srsState
+ * @param {number} maxBox  top box of the active configuration
+ * @returns {number[]} length maxBox + 1
+ */
+export function countByBox(vocab, srsState, maxBox = MAX_BOX) {
+  const counts = new Array(maxBox + 1).fill(0);
+  for (const word of vocab) {
+    const box = srsState[word.id]?.box ?? 0;
+    counts[Math.min(Math.max(box, 0), maxBox)]++;
+  }
+  return counts;
+}
+
+/**
+ * Reviews per local day for the last `days` days, oldest first, today last.
+ *
+ * @param {Array<{timestamp: number}>} events
+ * @param {number} days
+ * @param {number} now
+ * @returns {Array<{date: string, count: number}>}
+ */
+export function reviewsPerDay(events, days, now = Date.now()) {
+  const counts = new Map();
+  for (const event of events) {
+    const key = dayKey(event.timestamp);
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  const result = [];
+  for (let offset = -(days - 1); offset <= 0; offset++) {
+    const date = dayKey(startOfDay(now, offset));
+    result.push({ date, count: counts.get(date) ?? 0 });
+  }
+  return result;
+}
+
+/**
+ * True retention: the share of words already in review whose first answer
+ * of the day was a recall ("hard", "good" or "easy" — anything but "again").
+ * Re-answers later the same day and first-ever answers are not retention
+ * tests and are ignored.
+ *
+ * @param {Array<{wordId: string, timestamp: number, grade: string, previousBox: number}>} events
+ * @returns {number|null} 0..1, or null when there is nothing to measure
+ */
+export function trueRetention(events) {
+  const seen = new Set();
+  let tested = 0;
+  let recalled = 0;
+  const ordered = [...events].sort((a, b) => a.timestamp - b.timestamp);
+  for (const event of ordered) {
+    const key = `${event.wordId}|${dayKey(event.timestamp)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (!event.previousBox) continue;
+    tested++;
+    if (event.grade !== 'again') recalled++;
+  }
+  return tested > 0 ? recalled / tested : null;
+}
+
+/**
+ * Study streaks in consecutive local days with at least one review.
+ * The current streak stays alive through today until it ends, so a learner
+ * who studied yesterday but not yet today still has their streak.
+ *
+ * @param {Array<{timestamp: number}>} events
+ * @param {number} now
+ * @returns {{ current: number, longest: number }}
+ */
+export function computeStreaks(events, now = Date.now()) {
+  const days = new Set(events.map((event) => dayKey(event.timestamp)));
+  if (days.size === 0) return { current: 0, longest: 0 };
+
+  let current = 0;
+  let offset = days.has(dayKey(now)) ? 0 : -1;
+  while (days.has(dayKey(startOfDay(now, offset)))) {
+    current++;
+    offset--;
+  }
+
+  const starts = [...new Set(events.map((event) => startOfDay(event.timestamp)))].sort((a, b) => a - b);
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < starts.length; i++) {
+    run = startOfDay(starts[i - 1], 1) === starts[i] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Heatmap intensity (0–4) for a day's due count relative to the busiest day.
+ * 0 means nothing due; any non-zero count is at least level 1.
+ *
+ * @param {number} count
+ * @param {number} max
+ * @returns {number}
+ */
+export function heatmapLevel(count, max) {
+  if (count <= 0 || max <= 0) return 0;
+  return Math.max(1, Math.min(4, Math.ceil((count / max) * 4)));
+}
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  countByBox,
+  reviewsPerDay,
+  trueRetention,
+  computeStreaks,
+  heatmapLevel,
+} from './statistics.js';
+
+// Local-time "now" so day bucketing is timezone-independent
+const NOW = new Date(2026, 0, 10, 12, 0, 0).getTime();
+const at = (day, hour = 12) => new Date(2026, 0, day, hour, 0, 0).getTime();
+const ev = (wordId, timestamp, grade = 'good', previousBox = 1) => ({ wordId, timestamp, grade, previousBox });
+
+describe('countByBox', () => {
+  const vocab = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }];
+
+  it('counts new words in slot 0 and tracked words by box', () => {
+    const state = { a: { box: 1 }, b: { box: 3 }, c: { box: 3 } };
+    expect(countByBox(vocab, state)).toEqual([1, 1, 0, 2, 0, 0]);
+  });
+
+  it('ignores state for words outside the vocabulary', () => {
+    expect(countByBox([{ id: 'a' }], { z: { box: 2 } })).toEqual([1, 0, 0, 0, 0, 0]);
+  });
+
+  it('clamps out-of-range boxes into the top box', () => {
+    expect(countByBox([{ id: 'a' }], { a: { box: 9 } })[5]).toBe(1);
+  });
+
+  it('sizes the result for a custom box count', () => {
+    expect(countByBox(vocab, { a: { box: 1 }, b: { box: 5 } }, 3)).toEqual([2, 1, 0, 1]);
+  });
+});
+
+describe('reviewsPerDay', () => {
+  it('returns one bucket per day, oldest first, today last', () => {
+    const result = reviewsPerDay([], 3, NOW);
+    expect(result.map((d) => d.date)).toEqual(['2026-01-08', '2026-01-09', '2026-01-10']);
+  });
+
+  it('counts events per local day', () => {
+    const events = [ev('a', at(10, 1)), ev('b', at(10, 23)), ev('a', at(9)), ev('a', at(1))];
+    expect(reviewsPerDay(events, 2, NOW).map((d) => d.count)).toEqual([1, 2]);
+  });
+});
+
+describe('trueRetention', () => {
+  it('is null without any retention test', () => {
+    expect(trueRetention([])).toBeNull();
+    expect(trueRetention([ev('a', at(10), 'good', 0)])).toBeNull(); // first-ever answer
+  });
+
+  it('counts only the first answer per word per day', () => {
+    const events = [
+      ev('a', at(10, 9), 'again'),
+      ev('a', at(10, 10), 'good'), // re-answer — ignored
+      ev('b', at(10, 9), 'good'),
+      ev('c', at(10, 9), 'hard'),
+      ev('d', at(10, 9), 'easy'),
+    ];
+    expect(trueRetention(events)).toBe(0.75);
+  });
+
+  it('uses chronological order regardless of input order', () => {
+    const events = [ev('a', at(10, 10), 'good'), ev('a', at(10, 9), 'again')];
+    expect(trueRetention(events)).toBe(0);
+  });
+});
+
+describe('computeStreaks', () => {
+  it('is zero without reviews', () => {
+    expect(computeStreaks([], NOW)).toEqual({ current: 0, longest: 0 });
+  });
+
+  it('counts consecutive days ending today', () => {
+    const events = [ev('a', at(10)), ev('a', at(9)), ev('a', at(8)), ev('a', at(5))];
+    expect(computeStreaks(events, NOW)).toEqual({ current: 3, longest: 3 });
+  });
+
+  it('keeps the streak alive when the last review was yesterday', () => {
+    expect(computeStreaks([ev('a', at(9)), ev('a', at(8))], NOW).current).toBe(2);
+  });
+
+  it('breaks the streak after a missed day', () => {
+    expect(computeStreaks([ev('a', at(8))], NOW).current).toBe(0);
+  });
+
+  it('finds the longest run anywhere in the history', () => {
+    const events = [1, 2, 3, 4, 7, 10].map((day) => ev('a', at(day)));
+    expect(computeStreaks(events, NOW)).toEqual({ current: 1, longest: 4 });
+  });
+});
+
+describe('heatmapLevel', () => {
+  it('is 0 when nothing is due', () => {
+    expect(heatmapLevel(0, 10)).toBe(0);
+    expect(heatmapLevel(0, 0)).toBe(0);
+  });
+
+  it('scales counts into levels 1–4 relative to the busiest day', () => {
+    expect(heatmapLevel(1, 100)).toBe(1);
+    expect(heatmapLevel(50, 100)).toBe(2);
+    expect(heatmapLevel(75, 100)).toBe(3);
+    expect(heatmapLevel(100, 100)).toBe(4);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * studyDirection.js — which way round cards are studied
+ *
+ *   - recognition: Spanish on the front, your language on the back (default)
+ *   - production:  your language on the front, recall the Spanish word
+ *   - both:        a card for each direction
+ *   - conjugation: drill verb forms instead (conjugationDrill.js)
+ *   - gender:      pick el or la for nouns instead (nounGender.js)
+ *   - cloze:       fill the word into an example sentence (cloze.js)
+ *
+ * Each direction is its own card with its own SRS entry, so producing a word
+ * is scheduled independently from recognising it. Recognition cards are the
+ * vocabulary words themselves (SRS key = word id, as before); production
+ * cards copy the word with a suffixed id:
+ *
+ *   { ...word, id: "<wordId>:reverse", wordId: "<wordId>", reverse: true }
+ *
+ * Everything keyed by card id (buildDeck, daily limits, statistics, review
+ * history) works on both kinds unchanged. Anything that needs the underlying
+ * word (translations, definitions) goes through `wordIdOf`.
+ *
+ * Drill cards are built the same way, one per verb and tense, with a
+ * `drill` field; article cards likewise, one per noun, with an `article`
+ * field, and cloze cards, one per word with an example, with `cloze: true`.
+ *
+ * Pure helpers only; persistence lives in App.jsx.
+ */
+
+import { DEFAULT_DRILL_SETTINGS, buildDrillCards } from './conjugationDrill.js';
+import { buildArticleCards } from './nounGender.js';
+import { buildClozeCards } from './cloze.js';
+
+export const STUDY_DIRECTIONS = ['recognition', 'production', 'both', 'conjugation', 'gender', 'cloze'];
+
+/** Default direction when nothing is stored — existing users keep recognition. */
+export const DEFAULT_STUDY_DIRECTION = 'recognition';
+
+/** Labels for the direction picker. */
+export const STUDY_DIRECTION_LABELS = {
+  recognition: 'Spanish → your language',
+  production: 'Your language → Spanish',
+  both: 'Both directions',
+  conjugation: 'Conjugation drill (verbs)',
+  gender: 'Noun gender (el / la)',
+  cloze: 'Example sentences (fill the gap)',
+};
+
+const REVERSE_SUFFIX = ':reverse';
+
+/**
+ * Coerce a stored/raw value into a valid direction, falling back to the default.
+ * @param {*} raw
+ * @returns {string}
+ */
+export function parseStudyDirection(raw) {
+  return STUDY_DIRECTIONS.includes(raw) ? raw : DEFAULT_STUDY_DIRECTION;
+}
+
+/**
+ * SRS key of the production (your language → Spanish) card for a word.
+ * @param {string} wordId
+ * @returns {string}
+ */
+export function reverseCardId(wordId) {
+  return `${wordId}${REVERSE_SUFFIX}`;
+}
+
+/**
+ * Vocabulary word id behind a card — the card's own id for recognition cards.
+ * @param {{ id: string, wordId?: string }} card
+ * @returns {string}
+ */
+export function wordIdOf(card) {
+  return card.wordId ?? card.id;
+}
+
+/**
+ * Whether an SRS key / card id belongs to a production card.
+ * @param {string} cardId
+ * @returns {boolean}
+ */
+export function isReverseCardId(cardId) {
+  return typeof cardId === 'string' && cardId.endsWith(REVERSE_SUFFIX);
+}
+
+/**
+ * SRS keys of a word's cards in a direction — both keys for "both". Drill,
+ * article and cloze cards depend on the word (see drillCardIds,
+ * articleCardId, clozeCardId), so those directions list the recognition card.
+ * @param {string} wordId
+ * @param {string} direction
+ * @returns {string[]}
+ */
+export function cardIdsOf(wordId, direction) {
+  if (direction === 'production') return [reverseCardId(wordId)];
+  if (direction === 'both') return [wordId, reverseCardId(wordId)];
+  return [wordId];
+}
+
+/**
+ * Cards to study for a vocabulary list. In "both", all recognition cards come
+ * first, then all production cards, so a word's two sides are not shown back
+ * to back when they are new. "conjugation" drills the list's verbs in the
+ * tenses of `drill`; "gender" asks the article of its nouns; "cloze" blanks
+ * its words in example sentences.
+ * Pure — never mutates the input; recognition cards are the input words.
+ *
+ * @param {Array<{id: string}>} vocab
+ * @param {string} direction
+ * @param {{ tenses: string[], persons: number[] }} drill - conjugation drill settings
+ * @returns {Array}
+ */
+export function buildCards(vocab, direction, drill = DEFAULT_DRILL_SETTINGS) {
+  if (direction === 'conjugation') return buildDrillCards(vocab, drill);
+  if (direction === 'gender') return buildArticleCards(vocab);
+  if (direction === 'cloze') return buildClozeCards(vocab);
+  const recognition = direction === 'production' ? [] : vocab;
+  const production = direction === 'recognition'
+    ? []
+    : vocab.map((word) => ({ ...word, id: reverseCardId(word.id), wordId: word.id, reverse: true }));
+  return [...recognition, ...production];
+}
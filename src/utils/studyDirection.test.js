@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  STUDY_DIRECTIONS,
+  DEFAULT_STUDY_DIRECTION,
+  STUDY_DIRECTION_LABELS,
+  parseStudyDirection,
+  reverseCardId,
+  wordIdOf,
+  isReverseCardId,
+  cardIdsOf,
+  buildCards,
+} from './studyDirection.js';
+
+const VOCAB = [
+  { id: 'a1', word: 'casa', translations: { en: 'house' } },
+  { id: 'b2', word: 'perro', translations: { en: 'dog' } },
+];
+
+describe('STUDY_DIRECTIONS', () => {
+  it('has a label for every direction and defaults to recognition', () => {
+    expect(Object.keys(STUDY_DIRECTION_LABELS)).toEqual(STUDY_DIRECTIONS);
+    expect(DEFAULT_STUDY_DIRECTION).toBe('recognition');
+  });
+});
+
+describe('parseStudyDirection', () => {
+  it('keeps valid directions', () => {
+    for (const direction of STUDY_DIRECTIONS) {
+      expect(parseStudyDirection(direction)).toBe(direction);
+    }
+  });
+
+  it('falls back to the default for anything else', () => {
+    expect(parseStudyDirection(null)).toBe(DEFAULT_STUDY_DIRECTION);
+    expect(parseStudyDirection('sideways')).toBe(DEFAULT_STUDY_DIRECTION);
+  });
+});
+
+describe('card ids', () => {
+  it('suffixes production card ids', () => {
+    expect(reverseCardId('a1')).toBe('a1:reverse');
+    expect(isReverseCardId('a1:reverse')).toBe(true);
+    expect(isReverseCardId('a1')).toBe(false);
+    expect(isReverseCardId(undefined)).toBe(false);
+  });
+
+  it('wordIdOf returns the underlying word id', () => {
+    expect(wordIdOf({ id: 'a1' })).toBe('a1');
+    expect(wordIdOf({ id: 'a1:reverse', wordId: 'a1' })).toBe('a1');
+  });
+
+  it('cardIdsOf lists the SRS keys studied in a direction', () => {
+    expect(cardIdsOf('a1', 'recognition')).toEqual(['a1']);
+    expect(cardIdsOf('a1', 'production')).toEqual(['a1:reverse']);
+    expect(cardIdsOf('a1', 'both')).toEqual(['a1', 'a1:reverse']);
+    expect(cardIdsOf('a1', 'conjugation')).toEqual(['a1']);
+    expect(cardIdsOf('a1', 'gender')).toEqual(['a1']);
+    expect(cardIdsOf('a1', 'cloze')).toEqual(['a1']);
+  });
+});
+
+describe('buildCards', () => {
+  it('recognition returns the words themselves', () => {
+    const cards = buildCards(VOCAB, 'recognition');
+    expect(cards).toHaveLength(2);
+    expect(cards[0]).toBe(VOCAB[0]);
+  });
+
+  it('production returns a reverse card per word', () => {
+    const cards = buildCards(VOCAB, 'production');
+    expect(cards.map((c) => c.id)).toEqual(['a1:reverse', 'b2:reverse']);
+    expect(cards[0]).toMatchObject({ word: 'casa', wordId: 'a1', reverse: true });
+  });
+
+  it('both lists all recognition cards before the production cards', () => {
+    expect(buildCards(VOCAB, 'both').map((c) => c.id)).toEqual(['a1', 'b2', 'a1:reverse', 'b2:reverse']);
+  });
+
+  it('conjugation drills the verbs only', () => {
+    const vocab = [...VOCAB, { id: 'c3', word: 'tener', tags: ['verb'], translations: { en: 'to have' } }];
+    expect(buildCards(vocab, 'conjugation').map((c) => c.id)).toEqual(['c3:conj:present', 'c3:conj:preterite']);
+    expect(buildCards(vocab, 'conjugation', { tenses: ['future'], persons: [0] })[0])
+      .toMatchObject({ id: 'c3:conj:future', wordId: 'c3', drill: { tense: 'future' } });
+  });
+
+  it('gender asks the article of nouns of known gender', () => {
+    const vocab = [
+      ...VOCAB,
+      { id: 'n1', word: 'agua', tags: ['noun'], gender: 'f', translations: { en: 'water' } },
+      { id: 'n2', word: 'estudiante', tags: ['noun'], gender: 'mf', translations: { en: 'student' } },
+    ];
+    expect(buildCards(vocab, 'gender')).toEqual([{
+      ...vocab[2], id: 'n1:article', wordId: 'n1', article: { answer: 'el', exception: true },
+    }]);
+  });
+
+  it('cloze blanks the words found in an example', () => {
+    const vocab = [...VOCAB, { id: 'd4', word: 'de', has_cloze: true, translations: { en: 'of' } }];
+    expect(buildCards(vocab, 'cloze')).toEqual([{ ...vocab[2], id: 'd4:cloze', wordId: 'd4', cloze: true }]);
+  });
+
+  it('does not mutate the vocabulary', () => {
+    buildCards(VOCAB, 'both');
+    expect(VOCAB[0]).toEqual({ id: 'a1', word: 'casa', translations: { en: 'house' } });
+  });
+});
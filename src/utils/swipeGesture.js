@@ -6,11 +6,11 @@
 // passed in by the caller.
 
 export function createSwipeState() {
-  return { active: false, startX: 0, startY: 0, axisLocked: null, dx: 0 };
+  return { active: false, startX: 0, startY: 0, axisLocked: null, dx: 0, dy: 0 };
 }
 
 export function onPointerDown(x, y) {
-  return { active: true, startX: x, startY: y, axisLocked: null, dx: 0 };
+  return { active: true, startX: x, startY: y, axisLocked: null, dx: 0, dy: 0 };
 }
 
 export function onPointerMove(state, x, y) {
@@ -22,23 +22,32 @@ export function onPointerMove(state, x, y) {
   if (axisLocked === null && (Math.abs(dx) > 5 || Math.abs(dy) > 5)) {
     axisLocked = Math.abs(dx) >= Math.abs(dy) ? 'horizontal' : 'vertical';
   }
-  return { ...state, dx, axisLocked };
+  return { ...state, dx, dy, axisLocked };
 }
 
-// Returns { state, action: null | 'known' | 'review' }
-export function onPointerUp(state, threshold) {
-  const neutral = { active: false, startX: 0, startY: 0, axisLocked: null, dx: 0 };
-  if (!state.active || state.axisLocked !== 'horizontal') {
-    return { state: neutral, action: null };
+// Returns { state, action: null | 'known' | 'review' | 'hard' | 'easy' }
+// Vertical swipes (up = 'hard', down = 'easy') only fire when allowVertical is
+// set; otherwise the vertical axis is left to page scroll.
+export function onPointerUp(state, threshold, allowVertical = false) {
+  const neutral = createSwipeState();
+  if (!state.active) return { state: neutral, action: null };
+  if (state.axisLocked === 'horizontal') {
+    const action = Math.abs(state.dx) >= threshold
+      ? (state.dx > 0 ? 'known' : 'review')
+      : null;
+    return { state: neutral, action };
   }
-  const action = Math.abs(state.dx) >= threshold
-    ? (state.dx > 0 ? 'known' : 'review')
-    : null;
-  return { state: neutral, action };
+  if (state.axisLocked === 'vertical' && allowVertical) {
+    const action = Math.abs(state.dy) >= threshold
+      ? (state.dy < 0 ? 'hard' : 'easy')
+      : null;
+    return { state: neutral, action };
+  }
+  return { state: neutral, action: null };
 }
 
 export function onPointerCancel() {
-  return { active: false, startX: 0, startY: 0, axisLocked: null, dx: 0 };
+  return createSwipeState();
 }
 
 // Maps current drag offset to a normalised −1…1 progress value.
@@ -47,3 +56,10 @@ export function computeProgress(state, threshold) {
   if (!state.active || state.axisLocked !== 'horizontal') return 0;
   return Math.max(-1, Math.min(1, state.dx / threshold));
 }
+
+// Vertical counterpart of computeProgress: −1 (fully up) … 1 (fully down).
+// Returns 0 whenever a swipe isn't in progress or the axis is horizontal.
+export function computeVerticalProgress(state, threshold) {
+  if (!state.active || state.axisLocked !== 'vertical') return 0;
+  return Math.max(-1, Math.min(1, state.dy / threshold));
+}
@@ -6,6 +6,7 @@ import {
   onPointerUp,
   onPointerCancel,
   computeProgress,
+  computeVerticalProgress,
 } from './swipeGesture.js';
 
 const T = 60; // threshold used throughout
@@ -110,6 +111,38 @@ describe('onPointerUp — AC1 / AC2 of spec', () => {
   });
 });
 
+describe('onPointerUp — vertical grades', () => {
+  it('fires "hard" on an up swipe when vertical swipes are allowed', () => {
+    let s = onPointerDown(0, 0);
+    s = onPointerMove(s, 5, -70);
+    expect(onPointerUp(s, T, true).action).toBe('hard');
+  });
+
+  it('fires "easy" on a down swipe when vertical swipes are allowed', () => {
+    let s = onPointerDown(0, 0);
+    s = onPointerMove(s, 5, 70);
+    expect(onPointerUp(s, T, true).action).toBe('easy');
+  });
+
+  it('fires no action for a short vertical swipe', () => {
+    let s = onPointerDown(0, 0);
+    s = onPointerMove(s, 0, 40);
+    expect(onPointerUp(s, T, true).action).toBeNull();
+  });
+
+  it('still fires horizontal actions when vertical swipes are allowed', () => {
+    let s = onPointerDown(0, 0);
+    s = onPointerMove(s, -70, 5);
+    expect(onPointerUp(s, T, true).action).toBe('review');
+  });
+
+  it('tracks dy on move', () => {
+    let s = onPointerDown(10, 10);
+    s = onPointerMove(s, 12, 50);
+    expect(s.dy).toBe(40);
+  });
+});
+
 describe('onPointerCancel', () => {
   it('resets to neutral state', () => {
     const s = onPointerCancel();
@@ -166,3 +199,19 @@ describe('computeProgress', () => {
     expect(computeProgress(s, T)).toBeCloseTo(0.5);
   });
 });
+
+describe('computeVerticalProgress', () => {
+  it('returns 0 when axis is horizontal', () => {
+    let s = onPointerDown(0, 0);
+    s = onPointerMove(s, 80, 5);
+    expect(computeVerticalProgress(s, T)).toBe(0);
+  });
+
+  it('returns -1 when fully up and clamps to 1 when far down', () => {
+    let s = onPointerDown(0, 0);
+    s = onPointerMove(s, 5, -T);
+    expect(computeVerticalProgress(s, T)).toBeCloseTo(-1);
+    s = onPointerMove(s, 5, T * 2);
+    expect(computeVerticalProgress(s, T)).toBe(1);
+  });
+});
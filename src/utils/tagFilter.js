@@ -0,0 +1,88 @@
+/**
+ * tagFilter.js — part-of-speech filter
+ *
+ * Pure helpers for restricting the study deck to words carrying one tag
+ * (noun, verb, adjective, …), the counterpart of frequencyFilter.js. Both
+ * filters combine: callers narrow the vocabulary to the frequency band, then
+ * to the tag, before handing it to `buildDeck` — so, like the band, switching
+ * tags never loses progress.
+ *
+ * Tags come from the vocabulary itself, so the list of selectable tags is
+ * derived from the loaded words rather than fixed here.
+ */
+
+/** Filter value meaning "every tag" — the default. */
+export const ALL_TAGS = 'all';
+
+/** Default tag filter when nothing is stored. */
+export const DEFAULT_TAG_FILTER = ALL_TAGS;
+
+/**
+ * Restrict a vocabulary list to the words carrying a tag. `ALL_TAGS` keeps
+ * every word, including untagged ones.
+ * Pure — returns a new array, never mutates the input.
+ *
+ * @param {Array<{tags?: string[]}>} vocab
+ * @param {string} tag
+ * @returns {Array}
+ */
+export function filterByTag(vocab, tag) {
+  if (!Array.isArray(vocab)) return [];
+  if (tag === ALL_TAGS) return vocab.slice();
+  return vocab.filter((word) => hasTag(word, tag));
+}
+
+/**
+ * Whether one word (or a card, which carries its word's tags) passes the
+ * filter — the test `filterByTag` applies.
+ *
+ * @param {{tags?: string[]}} word
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export function hasTag(word, tag) {
+  return tag === ALL_TAGS || (Array.isArray(word.tags) && word.tags.includes(tag));
+}
+
+/**
+ * Tags used in a vocabulary list, most common first (ties alphabetical).
+ *
+ * @param {Array<{tags?: string[]}>} vocab
+ * @returns {string[]}
+ */
+export function collectTags(vocab) {
+  const counts = new Map();
+  for (const word of vocab ?? []) {
+    for (const tag of word.tags ?? []) counts.set(tag, (counts.get(tag) ?? 0) + 1);
+  }
+  return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+}
+
+/**
+ * Coerce a stored/raw value into a tag filter, falling back to `ALL_TAGS`.
+ * When the available tags are known, tags no longer in the vocabulary fall
+ * back too.
+ *
+ * @param {*} raw
+ * @param {string[]} [available]
+ * @returns {string}
+ */
+export function parseTagFilter(raw, available) {
+  if (typeof raw !== 'string' || raw.trim() === '') return DEFAULT_TAG_FILTER;
+  if (raw === ALL_TAGS) return ALL_TAGS;
+  if (available && !available.includes(raw)) return DEFAULT_TAG_FILTER;
+  return raw;
+}
+
+/**
+ * Display label for a tag filter, e.g. "noun" → "Nouns".
+ *
+ * @param {string} tag
+ * @returns {string}
+ */
+export function tagLabel(tag) {
+  if (tag === ALL_TAGS) return 'All tags';
+  if (tag === 'other') return 'Other';
+  const plural = /(s|x|ch|sh)$/.test(tag) ? `${tag}es` : `${tag}s`;
+  return plural.charAt(0).toUpperCase() + plural.slice(1);
+}
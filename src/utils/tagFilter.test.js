@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ALL_TAGS,
+  DEFAULT_TAG_FILTER,
+  filterByTag,
+  collectTags,
+  parseTagFilter,
+  tagLabel,
+} from './tagFilter';
+import { filterByFrequency } from './frequencyFilter';
+
+const VOCAB = [
+  { id: 'casa', frequency_rank: 50, tags: ['noun'] },
+  { id: 'ser', frequency_rank: 5, tags: ['verb'] },
+  { id: 'perro', frequency_rank: 900, tags: ['noun'] },
+  { id: 'rojo', frequency_rank: 400, tags: ['adjective'] },
+  { id: 'mesa', frequency_rank: 2000, tags: ['noun'] },
+  { id: 'untagged', frequency_rank: 10 },
+];
+
+describe('filterByTag', () => {
+  it('keeps only words carrying the tag', () => {
+    expect(filterByTag(VOCAB, 'noun').map((w) => w.id)).toEqual(['casa', 'perro', 'mesa']);
+    expect(filterByTag(VOCAB, 'adverb')).toEqual([]);
+  });
+
+  it('ALL_TAGS returns every word, including untagged ones, as a copy', () => {
+    const result = filterByTag(VOCAB, ALL_TAGS);
+    expect(result).toEqual(VOCAB);
+    expect(result).not.toBe(VOCAB);
+  });
+
+  it('combines with the frequency band', () => {
+    const ids = filterByTag(filterByFrequency(VOCAB, 1000), 'noun').map((w) => w.id);
+    expect(ids).toEqual(['casa', 'perro']);
+  });
+
+  it('returns [] for a non-array input', () => {
+    expect(filterByTag(null, 'noun')).toEqual([]);
+  });
+});
+
+describe('collectTags', () => {
+  it('lists tags most common first, ties alphabetically', () => {
+    expect(collectTags(VOCAB)).toEqual(['noun', 'adjective', 'verb']);
+    expect(collectTags(undefined)).toEqual([]);
+  });
+});
+
+describe('parseTagFilter', () => {
+  it('falls back to all tags for missing or invalid values', () => {
+    expect(DEFAULT_TAG_FILTER).toBe(ALL_TAGS);
+    expect(parseTagFilter(null)).toBe(ALL_TAGS);
+    expect(parseTagFilter('')).toBe(ALL_TAGS);
+    expect(parseTagFilter(42)).toBe(ALL_TAGS);
+  });
+
+  it('keeps a tag, checking it against the available tags when given', () => {
+    expect(parseTagFilter('noun')).toBe('noun');
+    expect(parseTagFilter('noun', ['noun', 'verb'])).toBe('noun');
+    expect(parseTagFilter('gerund', ['noun', 'verb'])).toBe(ALL_TAGS);
+    expect(parseTagFilter(ALL_TAGS, [])).toBe(ALL_TAGS);
+  });
+});
+
+describe('tagLabel', () => {
+  it('pluralises and capitalises tags', () => {
+    expect(tagLabel('noun')).toBe('Nouns');
+    expect(tagLabel('adverb')).toBe('Adverbs');
+    expect(tagLabel('other')).toBe('Other');
+    expect(tagLabel(ALL_TAGS)).toBe('All tags');
+  });
+});
@@ -7,8 +7,12 @@
  * Exports:
  *   detectLocale(navLanguages, available) → string
  *   resolveTranslation(word, translationMap) → string
+ *   isPendingTranslation(text) → boolean
  */
 
+// Placeholder shipped in the vocabulary for words not translated yet.
+const PENDING_TRANSLATION = 'translation pending';
+
 /**
  * Detect the best locale to use given the browser's preferred language list
  * and the set of available (translated) locales.
@@ -54,15 +58,29 @@ export function detectLocale(navLanguages, available) {
  * Resolve the translation string to display on the card back.
  *
  * If translationMap is absent, null, or does not contain a non-empty entry
- * for word.id, falls back to word.translations.en (AC11).
+ * for the word's id, falls back to word.translations.en (AC11). Production
+ * cards (see studyDirection.js) are looked up by their underlying `wordId`.
  *
- * @param {{ id: string, translations: { en: string } }} word
+ * @param {{ id: string, wordId?: string, translations: { en: string } }} word
  * @param {{ [id: string]: string } | null | undefined} translationMap
  * @returns {string}
  */
 export function resolveTranslation(word, translationMap) {
-  if (translationMap && translationMap[word.id]) {
-    return translationMap[word.id];
+  const id = word.wordId ?? word.id;
+  if (translationMap && translationMap[id]) {
+    return translationMap[id];
   }
   return word.translations.en;
 }
+
+/**
+ * Whether a translation is missing or still the "Translation pending"
+ * placeholder, i.e. there is no meaning to show or check answers against.
+ *
+ * @param {string|null|undefined} text
+ * @returns {boolean}
+ */
+export function isPendingTranslation(text) {
+  return typeof text !== 'string' || text.trim() === '' ||
+    text.trim().toLowerCase() === PENDING_TRANSLATION;
+}
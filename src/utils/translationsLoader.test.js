@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { detectLocale, resolveTranslation } from './translationsLoader.js';
+import { detectLocale, resolveTranslation, isPendingTranslation } from './translationsLoader.js';
 
 const AVAILABLE = ['fr', 'de', 'ru'];
 
@@ -80,6 +80,11 @@ describe('resolveTranslation (AC10, AC11)', () => {
     expect(resolveTranslation(word, map)).toBe('of, from');
   });
 
+  it('looks up production cards by their underlying word id', () => {
+    const card = { ...word, id: 'abc:reverse', wordId: 'abc' };
+    expect(resolveTranslation(card, { abc: 'de, à partir de' })).toBe('de, à partir de');
+  });
+
   it('does not throw when word id is absent from map', () => {
     expect(() => resolveTranslation(word, { other: 'something' })).not.toThrow();
   });
@@ -90,6 +95,22 @@ describe('resolveTranslation (AC10, AC11)', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// isPendingTranslation
+// ---------------------------------------------------------------------------
+describe('isPendingTranslation', () => {
+  it('detects the placeholder and missing translations', () => {
+    expect(isPendingTranslation('Translation pending')).toBe(true);
+    expect(isPendingTranslation('  translation PENDING ')).toBe(true);
+    expect(isPendingTranslation('')).toBe(true);
+    expect(isPendingTranslation(undefined)).toBe(true);
+  });
+
+  it('accepts real translations', () => {
+    expect(isPendingTranslation('of, from')).toBe(false);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // localStorage key contracts — documented storage surface
 // ---------------------------------------------------------------------------
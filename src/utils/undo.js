@@ -0,0 +1,68 @@
+/**
+ * undo.js — undo stack for answered cards
+ *
+ * Every answer pushes a snapshot of what it changed: the word's previous SRS
+ * entry plus whatever session state App.jsx needs to put back (deck, current
+ * index, today's progress, …). Undo pops the newest snapshot and restores it.
+ *
+ * The stack is bounded so a long session never grows it without limit.
+ * Pure helpers only; the stack itself lives in App.jsx state.
+ */
+
+/** How many of the latest answers can be undone. */
+export const UNDO_LIMIT = 10;
+
+/**
+ * Push a snapshot, dropping the oldest ones beyond `limit`.
+ * Pure — returns a new array, never mutates the input.
+ *
+ * @param {Object[]} stack  oldest first
+ * @param {Object} snapshot
+ * @param {number} limit
+ * @returns {Object[]}
+ */
+export function pushUndo(stack, snapshot, limit = UNDO_LIMIT) {
+  const next = [...stack, snapshot];
+  return next.length > limit ? next.slice(next.length - limit) : next;
+}
+
+/**
+ * Pop the newest snapshot.
+ *
+ * @param {Object[]} stack  oldest first
+ * @returns {{ snapshot: Object|null, stack: Object[] }}
+ */
+export function popUndo(stack) {
+  if (stack.length === 0) return { snapshot: null, stack };
+  return { snapshot: stack[stack.length - 1], stack: stack.slice(0, -1) };
+}
+
+/**
+ * Put a word's SRS entry back to what it was before an answer. A word that
+ * had no entry (it was new) is removed from the state again.
+ * Pure — returns a new state object, never mutates the input.
+ *
+ * @param {Object} srsState
+ * @param {string} wordId
+ * @param {Object|undefined} previousEntry
+ * @returns {Object} new srsState
+ */
+export function restoreSrsEntry(srsState, wordId, previousEntry) {
+  const result = { ...srsState };
+  if (previousEntry === undefined) delete result[wordId];
+  else result[wordId] = previousEntry;
+  return result;
+}
+
+/**
+ * Whether a keydown is the undo shortcut: Ctrl+Z / ⌘Z, or a bare "u".
+ *
+ * @param {{ key: string, ctrlKey?: boolean, metaKey?: boolean, shiftKey?: boolean, altKey?: boolean }} e
+ * @returns {boolean}
+ */
+export function isUndoKey(e) {
+  const key = e.key?.toLowerCase();
+  if (e.altKey || e.shiftKey) return false;
+  if (e.ctrlKey || e.metaKey) return key === 'z';
+  return key === 'u';
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  UNDO_LIMIT,
+  pushUndo,
+  popUndo,
+  restoreSrsEntry,
+  isUndoKey,
+} from './undo.js';
+
+describe('pushUndo', () => {
+  it('appends the newest snapshot last', () => {
+    expect(pushUndo([{ n: 1 }], { n: 2 })).toEqual([{ n: 1 }, { n: 2 }]);
+  });
+
+  it('drops the oldest snapshots beyond the limit', () => {
+    let stack = [];
+    for (let n = 1; n <= UNDO_LIMIT + 2; n++) stack = pushUndo(stack, { n });
+    expect(stack).toHaveLength(UNDO_LIMIT);
+    expect(stack[0].n).toBe(3);
+    expect(pushUndo([{ n: 1 }, { n: 2 }], { n: 3 }, 2)).toEqual([{ n: 2 }, { n: 3 }]);
+  });
+
+  it('does not mutate the input', () => {
+    const stack = [{ n: 1 }];
+    pushUndo(stack, { n: 2 });
+    expect(stack).toHaveLength(1);
+  });
+});
+
+describe('popUndo', () => {
+  it('returns the newest snapshot and the rest of the stack', () => {
+    expect(popUndo([{ n: 1 }, { n: 2 }])).toEqual({ snapshot: { n: 2 }, stack: [{ n: 1 }] });
+  });
+
+  it('returns null on an empty stack', () => {
+    expect(popUndo([])).toEqual({ snapshot: null, stack: [] });
+  });
+});
+
+describe('restoreSrsEntry', () => {
+  const state = { a: { box: 3, nextReview: 'x' }, b: { box: 1, nextReview: 'y' } };
+
+  it('puts the previous entry back', () => {
+    const previous = { box: 2, nextReview: 'z' };
+    expect(restoreSrsEntry(state, 'a', previous)).toEqual({ ...state, a: previous });
+  });
+
+  it('removes a word that was new before the answer', () => {
+    expect(restoreSrsEntry(state, 'b', undefined)).toEqual({ a: state.a });
+  });
+
+  it('does not mutate the input', () => {
+    restoreSrsEntry(state, 'b', undefined);
+    expect(state.b).toBeDefined();
+  });
+});
+
+describe('isUndoKey', () => {
+  it('accepts Ctrl+Z, Cmd+Z and a bare "u"', () => {
+    expect(isUndoKey({ key: 'z', ctrlKey: true })).toBe(true);
+    expect(isUndoKey({ key: 'Z', metaKey: true })).toBe(true);
+    expect(isUndoKey({ key: 'u' })).toBe(true);
+  });
+
+  it('ignores other keys and redo-style combinations', () => {
+    expect(isUndoKey({ key: 'z' })).toBe(false);
+    expect(isUndoKey({ key: 'u', ctrlKey: true })).toBe(false);
+    expect(isUndoKey({ key: 'z', ctrlKey: true, shiftKey: true })).toBe(false);
+    expect(isUndoKey({ key: '1' })).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * vocabBrowser.js — vocabulary browser helpers
+ *
+ * Pure helpers behind the vocabulary browser: searching the whole vocabulary
+ * (Spanish word, translation in the active locale and cached definitions,
+ * ignoring accents), describing a card's SRS status, and working out which
+ * rows of the virtualised list are on screen.
+ */
+
+import { searchKey } from './answerCheck.js';
+import { isPendingTranslation } from './translationsLoader.js';
+import { DAY_MS, startOfDay, isNewEntry, isSuspended, isBuried, availableAt } from './srsEngine.js';
+
+// Where the query was found, best first — results are ordered by it.
+const MATCH_SCORES = {
+  exact: 0,
+  prefix: 1,
+  word: 2,
+  translation: 3,
+  definition: 4,
+};
+
+const byRank = (a, b) => (a.frequency_rank ?? Infinity) - (b.frequency_rank ?? Infinity);
+
+/**
+ * Search the vocabulary. The query matches part of the Spanish word, of its
+ * translation or of one of its cached definitions; case, punctuation and
+ * accents are ignored. Results come best match first — the word itself,
+ * then words starting with the query, containing it, translations, then
+ * definitions — and by frequency within each group. An empty query lists
+ * every word by frequency.
+ *
+ * @param {Array} vocab
+ * @param {string} query
+ * @param {{ translationOf?: (word) => string, definitionsOf?: (word) => string[] }} sources
+ * @returns {Array} matching words
+ */
+export function searchVocabulary(vocab, query, {
+  translationOf = (word) => word.translations?.en,
+  definitionsOf = () => [],
+} = {}) {
+  const words = Array.isArray(vocab) ? vocab : [];
+  const key = searchKey(query);
+  if (!key) return words.slice().sort(byRank);
+
+  const scored = [];
+  for (const word of words) {
+    const spanish = searchKey(word.word);
+    let score;
+    if (spanish === key) score = MATCH_SCORES.exact;
+    else if (spanish.startsWith(key)) score = MATCH_SCORES.prefix;
+    else if (spanish.includes(key)) score = MATCH_SCORES.word;
+    else {
+      const translation = translationOf(word);
+      if (!isPendingTranslation(translation) && searchKey(translation).includes(key)) {
+        score = MATCH_SCORES.translation;
+      } else if ((definitionsOf(word) ?? []).some((d) => searchKey(d).includes(key))) {
+        score = MATCH_SCORES.definition;
+      }
+    }
+    if (score !== undefined) scored.push({ word, score });
+  }
+  return scored
+    .sort((a, b) => a.score - b.score || byRank(a.word, b.word))
+    .map(({ word }) => word);
+}
+
+/**
+ * When a review is due, relative to now: "due now", "later today",
+ * "tomorrow" or "in N days" (calendar days).
+ *
+ * @param {number} due - timestamp ms
+ * @param {number} now
+ * @returns {string}
+ */
+export function formatDue(due, now = Date.now()) {
+  if (due <= now) return 'due now';
+  const days = Math.round((startOfDay(due) - startOfDay(now)) / DAY_MS);
+  if (days === 0) return 'later today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
+/**
+ * Short status of one card for the browser, e.g. "New", "Suspended",
+ * "Box 3 · in 4 days", "Buried · tomorrow".
+ * A buried card shows when its bury ends (or its due date, if later).
+ *
+ * @param {Object|undefined} entry - the card's SRS entry
+ * @param {number} now
+ * @returns {string}
+ */
+export function describeCard(entry, now = Date.now()) {
+  if (isSuspended(entry)) return 'Suspended';
+  if (isBuried(entry, now)) return `Buried · ${formatDue(availableAt(entry), now)}`;
+  if (isNewEntry(entry)) return 'New';
+  return `Box ${entry.box} · ${formatDue(new Date(entry.nextReview).getTime(), now)}`;
+}
+
+/**
+ * Rows of a virtualised list to render: those in the viewport plus
+ * `overscan` rows either side, as [start, end).
+ *
+ * @param {number} scrollTop
+ * @param {number} viewportHeight
+ * @param {number} rowHeight
+ * @param {number} count - total rows
+ * @param {number} overscan
+ * @returns {{ start: number, end: number }}
+ */
+export function visibleRange(scrollTop, viewportHeight, rowHeight, count, overscan = 5) {
+  const first = Math.floor(Math.max(0, scrollTop) / rowHeight);
+  const last = Math.ceil((Math.max(0, scrollTop) + viewportHeight) / rowHeight);
+  return {
+    start: Math.min(count, Math.max(0, first - overscan)),
+    end: Math.min(count, last + overscan),
+  };
+}
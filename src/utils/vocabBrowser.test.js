@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { searchVocabulary, formatDue, describeCard, visibleRange } from './vocabBrowser.js';
+import { DAY_MS } from './srsEngine.js';
+
+const NOW = new Date('2026-01-01T12:00:00').getTime();
+
+const word = (id, spanish, rank, en) => ({
+  id, word: spanish, frequency_rank: rank, translations: { en },
+});
+
+const VOCAB = [
+  word('w1', 'casa', 120, 'house, home'),
+  word('w2', 'casar', 900, 'to marry'),
+  word('w3', 'hogar', 700, 'home'),
+  word('w4', 'boda', 1500, 'Translation pending'),
+  word('w5', 'escasa', 4000, 'scarce'),
+  word('w6', 'niño', 80, 'child'),
+];
+
+const ids = (words) => words.map((w) => w.id);
+
+describe('searchVocabulary', () => {
+  it('lists every word by frequency without a query', () => {
+    expect(ids(searchVocabulary(VOCAB, '  '))).toEqual(['w6', 'w1', 'w3', 'w2', 'w4', 'w5']);
+  });
+
+  it('ranks the word itself, then prefixes, then substrings, then translations', () => {
+    expect(ids(searchVocabulary(VOCAB, 'casa'))).toEqual(['w1', 'w2', 'w5']);
+    expect(ids(searchVocabulary(VOCAB, 'home'))).toEqual(['w1', 'w3']);
+  });
+
+  it('ignores accents and case', () => {
+    expect(ids(searchVocabulary(VOCAB, 'NINO'))).toEqual(['w6']);
+  });
+
+  it('searches the active locale translation and cached definitions', () => {
+    const sources = {
+      translationOf: (w) => ({ w6: 'niño pequeño', w3: 'foyer' })[w.id] ?? 'Translation pending',
+      definitionsOf: (w) => (w.id === 'w4' ? ['Casamiento y fiesta con que se solemniza.'] : []),
+    };
+    expect(ids(searchVocabulary(VOCAB, 'foyer', sources))).toEqual(['w3']);
+    expect(ids(searchVocabulary(VOCAB, 'casamiento', sources))).toEqual(['w4']);
+  });
+
+  it('does not match the pending-translation placeholder', () => {
+    expect(searchVocabulary(VOCAB, 'pending')).toEqual([]);
+  });
+});
+
+describe('formatDue', () => {
+  it('describes due dates in calendar days', () => {
+    expect(formatDue(NOW - 1, NOW)).toBe('due now');
+    expect(formatDue(NOW + 60 * 60 * 1000, NOW)).toBe('later today');
+    expect(formatDue(NOW + DAY_MS, NOW)).toBe('tomorrow');
+    expect(formatDue(NOW + 4 * DAY_MS, NOW)).toBe('in 4 days');
+  });
+});
+
+describe('describeCard', () => {
+  it('shows new, suspended, buried and scheduled cards', () => {
+    const due = new Date(NOW + 2 * DAY_MS).toISOString();
+    expect(describeCard(undefined, NOW)).toBe('New');
+    expect(describeCard({ box: 0, nextReview: due, buriedUntil: due }, NOW + 3 * DAY_MS)).toBe('New');
+    expect(describeCard({ box: 2, nextReview: due, suspended: true }, NOW)).toBe('Suspended');
+    expect(describeCard({ box: 2, nextReview: due }, NOW)).toBe('Box 2 · in 2 days');
+    const buriedUntil = new Date(NOW + DAY_MS).toISOString();
+    expect(describeCard({ box: 0, nextReview: due, buriedUntil }, NOW)).toBe('Buried · in 2 days');
+    expect(describeCard({ box: 1, nextReview: new Date(NOW).toISOString(), buriedUntil }, NOW))
+      .toBe('Buried · tomorrow');
+  });
+});
+
+describe('visibleRange', () => {
+  it('covers the viewport plus overscan, clamped to the list', () => {
+    expect(visibleRange(0, 300, 50, 1000, 2)).toEqual({ start: 0, end: 8 });
+    expect(visibleRange(1000, 300, 50, 1000, 2)).toEqual({ start: 18, end: 28 });
+    expect(visibleRange(49900, 300, 50, 1000, 2)).toEqual({ start: 996, end: 1000 });
+  });
+
+  it('handles an empty list and negative (overscrolled) positions', () => {
+    expect(visibleRange(0, 300, 50, 0)).toEqual({ start: 0, end: 0 });
+    expect(visibleRange(-40, 100, 50, 10, 0)).toEqual({ start: 0, end: 2 });
+  });
+});